@@ -1,361 +1,2144 @@
 'use strict';
+const crypto = require('crypto');  // random IDs
+const fs = require('fs');  // seed files
+const http = require('http');  // status code names
+const path = require('path');  // seed directory
 const express = require('express');  // web server
 const helmet = require('helmet');  // help secure Express with HTTP headers
-const bs = require('@legendarymediatv/bootstrap');  // Bootstrap functionality
 const htmlEscaper = require('html-escaper');  // escape/unescape HTML entities
-const morgan = require('morgan');  // HTTP request logger
-const MongoClient = require('mongodb').MongoClient;
 const packageInfo = require('./package.json');  // get package information
+const Logger = require('./lib/logger');  // structured JSON logging
+const Metrics = require('./lib/metrics');  // Prometheus metrics
+const Renderer = require('./lib/renderer');  // worker thread running page/template source
+const diffLines = require('./lib/diff');  // line diff of page/template source
+const RenderCache = require('./lib/cache');  // rendered page cache
+const auth = require('./lib/auth');  // users, sessions and permissions
+const seed = require('./lib/seed');  // seed directory files
+const migrations = require('./lib/migrations');  // schema migrations
+const { errorPagePattern } = require('./lib/pages');  // error page IDs
+const media = require('./lib/media');  // media library
+const forms = require('./lib/forms');  // content-defined forms
+const redirects = require('./lib/redirects');  // redirect rules for old URLs
+const search = require('./lib/search');  // site search
+const locales = require('./lib/locales');  // multilingual pages
+const sites = require('./lib/sites');  // multi-site hosting
+const timezone = require('./lib/timezone');  // wall-clock times in the settings timezone
+const types = require('./lib/types');  // content types
+const query = require('./lib/storage/query');  // MongoDB-style filters and updates, for validating writes
+const StorageAdapter = require('./lib/storage/adapter');  // storage adapter interface
+const MongoDBStorage = require('./lib/storage/mongodb');  // MongoDB storage adapter
+const FileStorage = require('./lib/storage/file');  // in-memory/JSON file storage adapter
+const ScopedStorage = require('./lib/storage/scoped');  // prefixed collection names, for sites
+
+/** source fields of each collection that keeps revisions */
+const cmsRevisionSources = { cmsBlocks: ['body'], cmsPages: ['body'], cmsTemplates: ['header', 'body', 'footer'] };
+
+/** collections whose writes invalidate rendered pages */
+const cmsRenderCollections = ['cms', 'cmsBlocks', 'cmsForms', 'cmsMedia.files', 'cmsMenus', 'cmsPages', 'cmsTemplates', 'cmsTypes'];
+
+/** page fields kept in the page index, for routing, menus and render cache checks without loading the page */
+const cmsIndexFields = ['slug', 'parent', 'title', 'template', 'status', 'publish', 'unpublish', 'updated', 'cache', 'maxAge', 'translations'];
+
+/** collections that page/template source may read through the sandbox query helper */
+const cmsSandboxCollections = ['cmsMenus', 'cmsPages', 'cmsTemplates', 'cmsTypes'];
+
+/** query operators page/template source may use in sandbox query filters (nothing that runs code on the database) */
+const cmsSandboxOperators = ['$and', '$or', '$nor', '$eq', '$ne', '$gt', '$gte', '$lt', '$lte', '$in', '$nin', '$exists', '$regex', '$options', '$not', '$size', '$all', '$elemMatch'];
+
+/** find options page/template source may pass to sandbox queries */
+const cmsSandboxOptions = ['sort', 'limit', 'skip', 'projection'];
+
+/** collections whose documents are checked before they're written, with what to call them in error messages */
+const cmsValidatedCollections = { cmsForms: 'form', cmsPages: 'page', cmsRedirects: 'redirect', cmsTypes: 'content type' };
+
+/** milliseconds readiness() waits for the storage to answer a ping */
+const cmsPingTimeout = 2000;
+
+/** configuration properties site instances take from the main instance */
+const cmsSiteProperties = ['debug', 'evalTimeout', 'indexTtl', 'mediaMaxSize', 'migrationDirectory', 'migrationLockTtl', 'renderer', 'seedDirectory', 'sessionTtl', 'trustProxy'];
+
+/**
+ * timestamp of a date for use in cache keys
+ * @param {Date} date
+ * @returns {number} null when not a date
+ */
+function cmsTime(date) {
+    return date instanceof Date ? date.getTime() : null;
+}
+
+/**
+ * build a page's canonical URL from its chain of parent slugs (the home page is the root)
+ * @param {object} page page summary (_id, slug, parent)
+ * @param {Map<string, object>} pages page summaries by ID
+ * @returns {string} null when the parent chain has a cycle
+ */
+function cmsPageUrl(page, pages) {
+    const slugs = [];
+    const visited = new Set();
+    for (let current = page; current && current._id != 'home'; current = pages.get(current.parent)) {
+        if (visited.has(current._id))
+            return null;
+        visited.add(current._id);
+
+        slugs.unshift(current.slug || current._id);
+    }
+
+    return '/' + slugs.join('/');
+}
+
+/**
+ * check a filter and options from page/template source, which only get the query operators and options in
+ * cmsSandboxOperators and cmsSandboxOptions (e.g., no $where, $function or $accumulator)
+ * @param {object} filter
+ * @param {object} options
+ * @returns {string} problem found, or null when the query is allowed
+ */
+function cmsSandboxQueryError(filter, options) {
+    // operators anywhere in the filter, including inside $elemMatch, $not and embedded documents
+    const check = (value) => {
+        if (Array.isArray(value))
+            return value.reduce((error, item) => error || check(item), null);
+        if (!value || typeof value != 'object' || value instanceof RegExp || value instanceof Date)
+            return null;
+
+        for (const [key, item] of Object.entries(value)) {
+            if (key.startsWith('$') && !cmsSandboxOperators.includes(key))
+                return `Query operator is not allowed in page/template source: ${key}`;
+
+            const error = check(item);
+            if (error)
+                return error;
+        }
+
+        return null;
+    };
+
+    if (filter !== undefined && filter !== null && (typeof filter != 'object' || Array.isArray(filter)))
+        return 'Query filter must be an object';
+    const error = check(filter);
+    if (error)
+        return error;
+
+    for (const [option, value] of Object.entries(options || {})) {
+        if (!cmsSandboxOptions.includes(option))
+            return `Query option is not allowed in page/template source: ${option}`;
+
+        // only plain counts, directions and inclusion flags (projections can hold aggregation expressions)
+        let allowed;
+        if (option == 'limit' || option == 'skip')
+            allowed = Number.isInteger(value) && value >= 0;
+        else if (!value || typeof value != 'object' || Array.isArray(value))
+            allowed = false;
+        else
+            allowed = Object.values(value).every((setting) => (option == 'sort' ? [1, -1] : [0, 1, true, false]).includes(setting));
+        if (!allowed)
+            return `Query option is invalid: ${option}`;
+    }
+
+    return null;
+}
+
+/** what visitors are told about errors outside of development, by status code */
+const cmsErrorMessages = {
+    404: 'The page you requested could not be found.',
+    500: 'Something went wrong on our end. Please try again later.'
+};
+
+/**
+ * built-in error page, for when the error page (or everything else) is unavailable
+ * @param {object} error status, title, message and stack (development only)
+ * @returns {string} HTML
+ */
+function cmsErrorHtml(error) {
+    return '<!DOCTYPE html>\n<html lang="en"><head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1">'
+        + `<title>${error.status} ${htmlEscaper.escape(error.title)}</title></head>`
+        + '<body style="font-family: sans-serif; margin: 2rem;">'
+        + `<h1>${htmlEscaper.escape(error.title)}</h1><p>${htmlEscaper.escape(error.message)}</p>`
+        + (error.stack ? `<pre>${htmlEscaper.escape(error.stack)}</pre>` : '')
+        + '</body></html>';
+}
+
+/** Content Management System */
+module.exports = class CMS {
+    /**
+     * connect to the given database and load the CMS settings (await ready() before relying on them)
+     * @param {any} server MongoDB server, or a storage adapter instance (e.g., new CMS.FileStorage('./data'))
+     * @param {any} database MongoDB database
+     * @param {any} username MongoDB username
+     * @param {any} password MongoDB password
+     * @param {number} port MongoDB port
+     */
+    constructor(server, database, username, password, port) {
+        // determine the environment the same way Express does
+        this._environment = process.env.NODE_ENV || 'development';
+        this.debug = this._environment == 'development';
+        this.logger = new Logger(process.env.CMS_LOG_LEVEL || (this.debug ? 'debug' : 'info'));
+        this.metrics = new Metrics()
+            .counter('cms_http_requests_total', 'HTTP requests handled, by method and status code')
+            .histogram('cms_render_duration_seconds', 'Page render time (template and page source evaluation) in seconds')
+            .counter('cms_db_calls_total', 'Data method calls, by method')
+            .counter('cms_db_errors_total', 'Failed data method calls, by method')
+            .histogram('cms_db_call_duration_seconds', 'Data method storage latency in seconds, by method')
+            .counter('cms_eval_errors_total', 'Page/template source errors, by page, template and section');
+
+        // storage adapter given, use it as-is
+        if (server && typeof server == 'object')
+            this._storage = server;
+        // otherwise connect to MongoDB
+        else
+            this._storage = new MongoDBStorage(server, database, username, password, port);
+        this.log(`Storage: ${this._storage.description || this._storage.constructor.name}`);
+
+        // start connecting and loading settings, failures are retried by the next ready() call
+        this.init().catch((err) => this.logger.error('CMS initialization failed', { error: err }));
+    }
+
+
+    /**********************
+     ***** Properties *****
+     *********************/
+
+    /**
+     * in-memory storage adapter, optionally persisted to JSON files (e.g., new CMS(new CMS.FileStorage('./data')))
+     * @type {typeof FileStorage}
+     */
+    static FileStorage = FileStorage;
+
+    /**
+     * MongoDB storage adapter (used when the constructor is given MongoDB connection information)
+     * @type {typeof MongoDBStorage}
+     */
+    static MongoDBStorage = MongoDBStorage;
+
+    /**
+     * storage adapter interface, for implementing other stores
+     * @type {typeof StorageAdapter}
+     */
+    static StorageAdapter = StorageAdapter;
+
+    /**
+     * error for writes that don't fit their content type, with error messages by field (e.g., err.fields.date)
+     * @type {typeof types.ValidationError}
+     */
+    static ValidationError = types.ValidationError;
+
+    /**
+     * runtime environment (i.e., NODE_ENV, defaulting to development)
+     * @type {string}
+     * @protected
+     */
+    _environment;
+
+    /**
+     * number of requests currently being handled
+     * @type {number}
+     * @protected
+     */
+    _inFlight = 0;
+
+    /**
+     * pending initialization (i.e., database connection and settings)
+     * @type {Promise<CMS>}
+     * @protected
+     */
+    _initializing;
+
+    /**
+     * HTTP server started by listen()
+     * @protected
+     */
+    _server;
+
+    /**
+     * CMS instances serving the sites in cmsSites, by site ID
+     * @type {Map<string, CMS>}
+     * @protected
+     */
+    _sites = new Map();
+
+    /**
+     * secret for signing links (from CMS_SECRET or the cms collection)
+     * @type {string}
+     * @protected
+     */
+    _secret;
+
+    /**
+     * pending shutdown started by close()
+     * @type {Promise}
+     * @protected
+     */
+    _closing;
+
+    /**
+     * storage adapter behind the data methods
+     * @type {StorageAdapter}
+     * @protected
+     */
+    _storage;
+
+    /**
+     * cached indexes by name, each { loaded, value } where value is a promise
+     * @type {Map<string, object>}
+     * @protected
+     */
+    _indexes = new Map();
+
+    /**
+     * Express application built by app()
+     * @protected
+     */
+    _webapp;
+
+    /**
+     * show development details: the page/template source debug panel and error stacks
+     * @type {boolean}
+     */
+    debug;
+
+    /**
+     * template of pages created without one (through the admin area or API), and of the search results page
+     * @type {string}
+     */
+    defaultTemplate = 'public';
+
+    /**
+     * time limit in milliseconds for each template section of page/template source, including anything it awaits
+     * @type {number}
+     */
+    evalTimeout = 1000;
+
+    /**
+     * milliseconds to reuse the page/template indexes before reading them again (writes through this instance refresh
+     * them immediately, this only bounds how long writes by other instances go unnoticed)
+     * @type {number}
+     */
+    indexTtl = 5000;
+
+    /**
+     * structured logger (CMS_LOG_LEVEL sets its level, otherwise debug in development and info elsewhere)
+     * @type {Logger}
+     */
+    logger;
+
+    /**
+     * Prometheus metrics served at /metrics (site instances add a site label)
+     * @type {Metrics}
+     */
+    metrics;
+
+    /**
+     * rendered page cache (set to null to disable)
+     * @type {RenderCache}
+     */
+    renderCache = new RenderCache();
+
+    /**
+     * worker thread running page/template source (shared with the sites' instances)
+     * @type {Renderer}
+     */
+    renderer = new Renderer();
+
+    /**
+     * largest media upload, in bytes
+     * @type {number}
+     */
+    mediaMaxSize = 16 * 1024 * 1024;
+
+    /**
+     * directory of numbered schema migration modules (see migrateSchema())
+     * @type {string}
+     */
+    migrationDirectory = path.join(__dirname, 'migrations');
+
+    /**
+     * seconds the migration lock is held before other instances may take it over (e.g., after a crash mid-migration)
+     * @type {number}
+     */
+    migrationLockTtl = 10 * 60;
+
+    /**
+     * directory migrate() reads seed documents from and exportSeed() writes them to
+     * @type {string}
+     */
+    seedDirectory = path.join(__dirname, 'seed');
+
+    /**
+     * seconds a login session lasts without activity (active sessions are extended)
+     * @type {number}
+     */
+    sessionTtl = 12 * 60 * 60;
+
+    /**
+     * CMS instance settings
+     * @type {object}
+     */
+    settings;
+
+    /**
+     * cmsSites document of the site this instance serves (null for the main instance)
+     * @type {object}
+     */
+    site = null;
+
+    /**
+     * Express "trust proxy" setting, for when the CMS is behind a reverse proxy or load balancer (e.g., 1 for one proxy
+     * hop): client addresses for login/form throttling and logs then come from X-Forwarded-For, which clients could
+     * otherwise forge (false trusts no proxies)
+     * @type {any}
+     */
+    trustProxy = false;
+
+
+    /***********************
+     ***** CMS Methods *****
+     **********************/
+
+    /**
+     * get the Express application serving the CMS (built on first use), e.g., to mount it in another web server
+     * @returns {express.Application}
+     */
+    app() {
+        if (this._webapp)
+            return this._webapp;
+
+        // configure Express, with req.ip (used to throttle logins and form submissions) only taken from proxies that are trusted
+        this._webapp = express();
+        this._webapp.set('trust proxy', this.trustProxy);
+
+        // log package/environment information (once, by the main instance)
+        if (!this.site)
+            this.logger.info('Application', { application: packageInfo.description, version: packageInfo.version, environment: this._webapp.get('env') });
+
+        // health, readiness and metrics for load balancers and monitoring, answered before anything waits for the CMS (and left out of the request log)
+        if (!this.site)
+            this._webapp.use(require('./lib/health')(this));
+
+        // give each request an ID for its log lines, and log and count it once it's done (requests for other sites are logged by the main instance)
+        if (!this.site)
+            this._webapp.use((req, res, next) => {
+                const requestId = /^[\w.:-]{1,128}$/.test(req.get('X-Request-Id') || '') ? req.get('X-Request-Id') : crypto.randomUUID();
+                const started = performance.now();
+                res.set('X-Request-Id', requestId);
+
+                Logger.run({ requestId: requestId }, () => {
+                    const timings = Logger.timings();
+                    res.once('close', () => {
+                        const fields = { requestId: requestId, method: req.method, url: req.originalUrl, status: res.statusCode, duration: Math.round((performance.now() - started) * 10) / 10 };
+                        if (Object.keys(timings).length)
+                            fields.timings = timings;
+                        this.metrics.increment('cms_http_requests_total', { method: req.method, status: res.statusCode });
+
+                        if (res.writableFinished)
+                            this.logger.info('Request', fields);
+                        else
+                            this.logger.warn('Request aborted', fields);
+                    });
+
+                    next();
+                });
+            });
+
+        // parse forms and set security headers
+        this._webapp.use(express.urlencoded({ extended: true }));  // allow POST via HTML forms
+        this._webapp.use(helmet({ contentSecurityPolicy: false }));  // enable Helmet, but allow pages to have external content
+        //this._webapp.use(express.static('public'));  // serve static content from the public folder to the root URL
+
+        // track in-flight requests and wait for the CMS to be ready
+        this._webapp.use(async (req, res, next) => {
+            // shutting down, turn new requests away
+            if (this._closing) {
+                res.set('Connection', 'close');
+                return res.sendStatus(503);
+            }
+
+            this._inFlight++;
+            res.once('close', () => this._inFlight--);
+
+            try {
+                await this.ready();
+                next();
+            }
+            catch (err) { next(err); }
+        });
+
+        // hand requests for other sites' hostnames to their instances
+        if (!this.site)
+            this._webapp.use(sites.router(this));
+
+        // login sessions for the admin area and API
+        this._webapp.use('/cms', auth.sessions(this));
+
+        // admin area for editing pages and templates
+        this._webapp.use('/cms/admin', require('./lib/admin')(this));
+
+        // JSON content API (parses JSON bodies itself, so parse errors get JSON responses)
+        this._webapp.use('/cms/api/v1', require('./lib/api')(this));
+
+        // sitemap.xml, robots.txt and Atom/RSS feeds, ahead of the page router so they aren't page lookups
+        this._webapp.use(require('./lib/feeds')(this));
+
+        // uploaded media (unknown names fall through to the page router)
+        this._webapp.use(media.router(this));
+
+        // site search results
+        this._webapp.use(search.router(this));
+
+        // route all traffic through centralized router
+        this._webapp.use(async (req, res, next) => {
+            try {
+                // index page URLs
+                const cmsStarted = performance.now();
+                let cmsIndex = await this.pageIndex();
+
+                // home page not found, do migration and index again
+                if (!cmsIndex.byId.has('home')) {
+                    await this.migrate();
+                    cmsIndex = await this.pageIndex();
+                    if (!cmsIndex.byId.has('home'))
+                        throw new Error('Unable to find Home page');
+                }
+
+                // redirect rules come before pages (including the ones saved for pages that moved)
+                const cmsRedirect = redirects.match(await this.redirectIndex(), req.path);
+                if (cmsRedirect) {
+                    this.log(`Redirect: ${req.path} => ${cmsRedirect.location} (${cmsRedirect.rule._id})`);
+                    this._redirectHit(cmsRedirect.rule);
+                    const cmsQueryStart = req.originalUrl.indexOf('?');
+                    return res.redirect(cmsRedirect.rule.status || redirects.defaultStatus, redirects.location(cmsRedirect, cmsQueryStart != -1 ? req.originalUrl.substr(cmsQueryStart) : ''));
+                }
+
+                // find the page for the requested path, without its locale prefix (e.g., /es/about)
+                const cmsLocales = locales.config(this.settings);
+                const cmsRequest = locales.split(req.path, cmsLocales);
+                const cmsMatch = this.resolvePath(cmsRequest.path, cmsIndex);
+                this.log(`Path: ${req.path} => ${cmsMatch ? cmsMatch.url : 'not found'}${cmsRequest.locale ? ` (${cmsRequest.locale})` : ''}`);
+
+                // unknown path, fall through to the 404 handler
+                if (!cmsMatch)
+                    return next();
+
+                // enforce the canonical URL, falling back to the default locale when the page isn't translated
+                const cmsQueryIndex = req.originalUrl.indexOf('?');
+                const cmsQuery = cmsQueryIndex != -1 ? req.originalUrl.substr(cmsQueryIndex) : '';
+                if (!locales.hasLocale(cmsMatch, cmsRequest.locale, cmsLocales))
+                    return res.redirect(302, cmsMatch.url + cmsQuery);
+                const cmsUrl = locales.localizedUrl(cmsMatch.url, cmsRequest.locale, cmsLocales);
+                if (cmsUrl != req.path)
+                    return res.redirect(301, cmsUrl + cmsQuery);
+
+                // first-time visitors to a default locale URL get the translation they prefer, later visits are remembered
+                if (cmsLocales) {
+                    const cmsCookie = auth.cookies(req)[locales.cookieName];
+                    let cmsLocale = cmsRequest.locale;
+                    if (cmsRequest.locale == cmsLocales.default) {
+                        res.vary('Accept-Language').vary('Cookie');
+                        const cmsPreferred = !cmsCookie ? locales.negotiate(req.get('Accept-Language'), cmsLocales.enabled) : null;
+                        if (cmsPreferred && locales.hasLocale(cmsMatch, cmsPreferred, cmsLocales))
+                            cmsLocale = cmsPreferred;
+                    }
+
+                    if (cmsCookie != cmsLocale)
+                        res.cookie(locales.cookieName, cmsLocale, { path: '/', sameSite: 'lax', secure: req.secure, maxAge: 365 * 24 * 60 * 60 * 1000 });
+                    if (cmsLocale != cmsRequest.locale)
+                        return res.redirect(302, locales.localizedUrl(cmsMatch.url, cmsLocale, cmsLocales) + cmsQuery);
+                }
+
+                // valid preview links also show unpublished pages
+                const cmsPreview = req.query.preview !== undefined && this.verifyPreview(cmsMatch._id, req.query.preview);
+                if (!cmsPreview && !this.isPublished(cmsMatch))
+                    return next();
+
+                // forms posted back to the page: saved ones redirect to the success message, others show the form again
+                const cmsForms = { action: cmsUrl, token: () => forms.visitorToken(req, res), submission: null, rendered: false };
+                if (req.method == 'POST' && req.body && typeof req.body._form == 'string') {
+                    cmsForms.submission = await forms.submit(this, req, cmsMatch);
+                    if (cmsForms.submission.status == 303)
+                        return res.redirect(303, `${cmsUrl}?submitted=${encodeURIComponent(cmsForms.submission.form)}`);
+                    res.status(cmsForms.submission.status);
+                }
+                else if (typeof req.query.submitted == 'string')
+                    cmsForms.submission = { form: req.query.submitted, submitted: true };
+
+                // serve from the render cache, keyed by the page, template (and parent templates), block, menu and settings timestamps
+                const cmsCacheable = this.renderCache && !cmsPreview && !cmsForms.submission && cmsMatch.cache !== false && ['GET', 'HEAD'].includes(req.method);
+                const [cmsTemplateUpdates, cmsBlocks, cmsMenus, cmsSettingsUpdated] = await Promise.all([this._templateUpdates(), this._blocks(), this._menus(), this._settingsUpdated()]);
+                const cmsTemplateChain = [];
+                for (let cmsTemplate = cmsMatch.template; cmsTemplate && !cmsTemplateChain.includes(cmsTemplate); cmsTemplate = (cmsTemplateUpdates.get(cmsTemplate) || {}).parent)
+                    cmsTemplateChain.push(cmsTemplate);
+                const cmsUpdates = cmsTemplateChain.map((cmsTemplate) => (cmsTemplateUpdates.get(cmsTemplate) || {}).updated)
+                    .concat([...cmsBlocks.values()].map((block) => block.updated), cmsMenus.map((menu) => menu.updated), cmsSettingsUpdated);
+                const cmsCacheKey = [cmsUrl, cmsTime(cmsMatch.updated), ...cmsTemplateChain.map((cmsTemplate, cmsLevel) => `${cmsTemplate}@${cmsTime(cmsUpdates[cmsLevel])}`), Math.max(0, ...cmsUpdates.slice(cmsTemplateChain.length).map(cmsTime))].join('|');
+                if (cmsCacheable) {
+                    const cmsCached = this.renderCache.get(cmsCacheKey);
+                    if (cmsCached) {
+                        Logger.timing('lookup', performance.now() - cmsStarted);
+                        this.log(`Render cache hit: ${cmsCacheKey}`);
+                        return this._sendRendered(req, res, cmsCached);
+                    }
+                }
+
+                // get page information, including unpublished pages for valid preview links
+                const cmsPage = await this.findPage(cmsMatch._id, { index: cmsIndex, preview: cmsPreview });
+                if (!cmsPage)
+                    return next();
+                locales.translate(cmsPage, cmsRequest.locale, cmsLocales);
+                Logger.timing('lookup', performance.now() - cmsStarted);
+
+                // keep previews out of caches and search engines
+                if (cmsPreview)
+                    res.set({ 'Cache-Control': 'no-store', 'X-Robots-Tag': 'noindex' });
+                this.logger.debug('Page', { page: cmsPage });
+
+                // render the page
+                const cmsRendered = {
+                    body: await this.render(cmsPage, { forms: cmsForms }),
+                    lastModified: [cmsPage.updated, ...cmsUpdates]
+                        .filter((date) => date instanceof Date)
+                        .reduce((latest, date) => !latest || date > latest ? date : latest, null),
+                    maxAge: cmsPage.maxAge
+                };
+                cmsRendered.etag = '"' + crypto.createHash('sha1').update(cmsRendered.body).digest('base64').replace(/=+$/, '') + '"';
+                // pages with forms carry the visitor's token, so they're only for this visitor
+                if (cmsForms.rendered)
+                    res.set('Cache-Control', 'private, no-store');
+                // expire when a scheduled page appears or disappears, since it may be in a menu
+                else if (cmsCacheable) {
+                    const cmsScheduleChange = this._nextScheduleChange(cmsIndex);
+                    this.renderCache.set(cmsCacheKey, cmsRendered, cmsScheduleChange && cmsPage.maxAge ? Math.min(cmsScheduleChange, cmsPage.maxAge) : cmsScheduleChange || cmsPage.maxAge);
+                }
+
+                // send response
+                this._sendRendered(req, res, cmsRendered);
+            }
+            catch (err) { next(err); }
+        });
+
+        // 404 not found, rendered through the error-404 page
+        this._webapp.use((req, res, next) => this._sendError(req, res, 404).catch(next));
+
+        // server error (with four arguments, so Express treats it as an error handler), rendered through the error-500 page
+        this._webapp.use((err, req, res, next) => {
+            // part of a response already went out, leave it to Express to end it
+            if (res.headersSent)
+                return next(err);
+
+            // client errors (e.g., a malformed form body) keep their status
+            const status = err.status >= 400 && err.status < 500 ? err.status : 500;
+            if (status == 500)
+                this.logger.error('Request failed', { error: err });
+
+            this._sendError(req, res, status, err).catch(next);
+        });
+
+        return this._webapp;
+    }
+
+    /**
+     * check a username and password
+     * @param {string} username
+     * @param {string} password
+     * @returns {Promise<object>} user (without the password hash), or null when the credentials are wrong
+     */
+    authenticate(username, password) {
+        return new Promise(async (resolve, reject) => {
+            try {
+                const user = await this.findOne('cmsUsers', { _id: String(username || '').trim().toLowerCase() });
+                if (!await auth.checkUserPassword(password, user) || !auth.roles[user.role])
+                    return resolve(null);
+
+                user.lastLogin = new Date();
+                await this.updateOne('cmsUsers', { _id: user._id }, { $set: { lastLogin: user.lastLogin } });
+
+                delete user.password;
+                resolve(user);
+            }
+            catch (err) { reject(new Error(err)); }
+        });
+    }
+
+    /**
+     * determine whether a user's role grants a permission
+     * @param {object} user cmsUsers document
+     * @param {string} permission e.g., pages.edit, templates, settings (see roles in lib/auth.js)
+     * @returns {boolean}
+     */
+    can(user, permission) {
+        return !!(user && auth.roles[user.role] && auth.roles[user.role].includes(permission));
+    }
+
+    /**
+     * stop accepting requests, wait for in-flight requests to finish, then close the web server and database pool
+     * @param {number} timeout milliseconds to wait for in-flight requests before dropping their connections (defaults to 10000)
+     * @returns {Promise}
+     */
+    close(timeout) {
+        if (!this._closing)
+            this._closing = new Promise(async (resolve, reject) => {
+                try {
+                    // set defaults
+                    if (!timeout)
+                        timeout = 10000;
+
+                    // stop the web server, which waits for open connections to finish
+                    if (this._server) {
+                        this.logger.info(`Closing web server (${this._inFlight} requests in flight)`);
+                        await new Promise((resolveServer) => {
+                            const forceTimer = setTimeout(() => {
+                                this.logger.warn(`Dropping connections after ${timeout}ms`);
+                                if (this._server.closeAllConnections)
+                                    this._server.closeAllConnections();
+                            }, timeout);
+
+                            this._server.close(() => {
+                                clearTimeout(forceTimer);
+                                resolveServer();
+                            });
+
+                            // idle keep-alive connections would otherwise hold the server open
+                            if (this._server.closeIdleConnections)
+                                this._server.closeIdleConnections();
+                        });
+                    }
+
+                    // stop the render worker
+                    await this.renderer.close();
+
+                    // close the storage (e.g., the database pool)
+                    await this._storage.close();
+                    this.logger.info('Storage closed');
+
+                    resolve();
+                }
+                catch (err) { reject(new Error(err)); }
+            });
+
+        return this._closing;
+    }
+
+    /**
+     * add a user account
+     * @param {string} username login name (lowercase letters, numbers and . _ @ + -)
+     * @param {string} password at least 10 characters
+     * @param {string} role admin, editor, author or viewer
+     * @param {string} name optional display name
+     * @returns {Promise<object>} user (without the password hash)
+     */
+    createUser(username, password, role, name) {
+        return new Promise(async (resolve, reject) => {
+            try {
+                username = String(username || '').trim().toLowerCase();
+                if (!auth.usernamePattern.test(username))
+                    throw `Invalid username: ${username}`;
+                if (!auth.roles[role])
+                    throw `Unknown role: ${role}`;
+                if (auth.passwordError(password))
+                    throw auth.passwordError(password);
+                if (await this.findOne('cmsUsers', { _id: username }, { projection: { _id: 1 } }))
+                    throw `User already exists: ${username}`;
+
+                const now = new Date();
+                const user = { _id: username, name: name || username, role: role, password: await auth.hashPassword(password), created: now, updated: now };
+                await this.insertOne('cmsUsers', user);
+                this.log(`Created user ${username} (${role})`);
+
+                delete user.password;
+                resolve(user);
+            }
+            catch (err) { reject(new Error(err)); }
+        });
+    }
+
+    /**
+     * delete a media file (every stored version of it)
+     * @param {string} name media name
+     * @returns {Promise<boolean>} false when there was no such media
+     */
+    deleteMedia(name) {
+        return new Promise(async (resolve, reject) => {
+            try {
+                const files = await this.find(media.mediaCollection, { filename: name }, { projection: { _id: 1 } });
+                for (const file of files)
+                    await this._storage.deleteFile(media.mediaBucket, file._id);
+                this._invalidate(media.mediaCollection);
+                this.log(`Deleted media ${name}`);
+
+                resolve(files.length > 0);
+            }
+            catch (err) { reject(new Error(err)); }
+        });
+    }
+
+    /**
+     * line diff of the source (body, and header/footer for templates) between two revisions
+     * @param {string} from revision ID of the older version
+     * @param {string} to revision ID of the newer version (omit to compare with the current document)
+     * @returns {Promise<object>} diff lines from diffLines() by source field
+     */
+    diffRevisions(from, to) {
+        return new Promise(async (resolve, reject) => {
+            try {
+                const before = await this.findOne('cmsRevisions', { _id: from });
+                if (!before)
+                    throw `Revision not found: ${from}`;
+
+                // compare with another revision of the same document, or the current document
+                let after;
+                if (to) {
+                    after = await this.findOne('cmsRevisions', { _id: to, collection: before.collection, document: before.document });
+                    if (!after)
+                        throw `Revision not found: ${to}`;
+                    after = after.revision;
+                }
+                else
+                    after = await this.findOne(before.collection, { _id: before.document }) || {};
+
+                const diff = {};
+                for (const field of cmsRevisionSources[before.collection])
+                    diff[field] = diffLines(before.revision[field], after[field]);
+
+                resolve(diff);
+            }
+            catch (err) { reject(new Error(err)); }
+        });
+    }
+
+    /**
+     * write the database's pages, templates, blocks, menus and settings to a seed directory in the format migrate() reads,
+     * or with dryRun, only report how the two differ
+     * @param {object} options optional: directory (defaults to seedDirectory), dryRun (don't write anything) and prune (delete seed files of documents that aren't in the database)
+     * @returns {Promise<object[]>} { collection, id, status, diff } for each document, where status is added, changed, unchanged or removed (only in the seed directory) and diff holds diffLines() results by changed file name
+     */
+    exportSeed(options) {
+        return new Promise(async (resolve, reject) => {
+            try {
+                // set defaults
+                options = Object.assign({ directory: this.seedDirectory }, options);
+
+                const existing = new Map();
+                if (fs.existsSync(options.directory))
+                    for (const entry of await seed.read(options.directory))
+                        existing.set(`${entry.collection}-${entry.id}`, entry);
+
+                const results = [];
+                for (const collection of seed.seedCollections)
+                    for (const document of await this.find(collection, {}, { sort: { _id: 1 } })) {
+                        const files = seed.files(collection, document);
+                        if (!files)
+                            continue;
+
+                        // compare with what's in the seed directory
+                        const key = `${collection}-${document._id}`;
+                        const before = existing.has(key) ? existing.get(key).files : {};
+                        existing.delete(key);
+
+                        const diff = {};
+                        for (const [name, contents] of Object.entries(files))
+                            if (before[name] !== contents)
+                                diff[name] = diffLines(before[name], contents);
+
+                        const status = !Object.keys(before).length ? 'added' : (Object.keys(diff).length ? 'changed' : 'unchanged');
+                        results.push({ collection: collection, id: document._id, status: status, diff: diff });
+
+                        if (!options.dryRun && status != 'unchanged') {
+                            await fs.promises.mkdir(options.directory, { recursive: true });
+                            for (const name of Object.keys(diff))
+                                await fs.promises.writeFile(path.join(options.directory, name), files[name], { encoding: 'utf-8' });
+                        }
+                    }
+
+                // documents only in the seed directory
+                for (const entry of existing.values()) {
+                    const diff = {};
+                    for (const [name, contents] of Object.entries(entry.files))
+                        diff[name] = diffLines(contents, null);
+                    results.push({ collection: entry.collection, id: entry.id, status: 'removed', diff: diff });
+
+                    if (options.prune && !options.dryRun)
+                        for (const name of Object.keys(entry.files))
+                            await fs.promises.unlink(path.join(options.directory, name));
+                }
+
+                this.log(`Seed export to ${options.directory}${options.dryRun ? ' (dry run)' : ''}: ${results.filter((result) => result.status != 'unchanged').length} differences`);
+                resolve(results);
+            }
+            catch (err) { reject(new Error(err)); }
+        });
+    }
+
+    /**
+     * get a media file's details
+     * @param {string} name media name (e.g., images/logo.png)
+     * @returns {Promise<object>} cmsMedia.files document (null when not found)
+     */
+    findMedia(name) {
+        return this.findOne(media.mediaCollection, { filename: name }, { sort: { uploadDate: -1 } });
+    }
+
+    /**
+     * get page information
+     * @param {string} search page ID
+     * @param {object} options optional: index (page index from pageIndex(), to avoid rebuilding it) and preview (include pages that aren't visible to visitors)
+     * @returns {object} null when not found (or not visible)
+     */
+    findPage(search, options) {
+        return new Promise(async (resolve, reject) => {
+            try {
+                // set defaults
+                if (!options)
+                    options = {};
+
+                // find the page in the database
+                let page = await this.findOne('cmsPages', { _id: search });
+
+                // hide drafts and pages outside their publishing window, unless previewing
+                if (page && !options.preview && !this.isPublished(page)) {
+                    this.log(`Page not published: ${page._id} (${page.status})`);
+                    page = null;
+                }
+
+                // add more metadata
+                if (page) {
+                    this.log(`Page found: ${page._id}`);
+
+                    // determine the page URL
+                    const index = options.index || await this.pageIndex();
+                    page.url = index.byId.has(page._id) ? index.byId.get(page._id).url : null;
+
+                    // replace template
+                    page.template = await this.findOne('cmsTemplates', { _id: page.template });
+
+                    // typed field values (e.g., Dates and referenced pages) according to the page's content type
+                    const type = (await this._types()).get(page.type || types.defaultType);
+                    if (type)
+                        await types.resolve(this, page, type, index);
+                }
+
+                resolve(page);
+            }
+            catch (err) { reject(new Error(err)); }
+        });
+    }
+
+    /**
+     * connect to the database and load the CMS settings, migrating first when they are missing (or in development)
+     * @returns {Promise<CMS>} resolves once the CMS is ready to serve requests
+     */
+    init() {
+        if (!this._initializing)
+            this._initializing = new Promise(async (resolve, reject) => {
+                try {
+                    // new database, add the seed content (which is already in the latest schema)
+                    if (!await this.findOne('cms', { _id: 'settings' }, { projection: { _id: 1 } })) {
+                        await this.migrate();
+                        if (!await this.findOne('cms', { _id: migrations.schemaId }, { projection: { _id: 1 } }))
+                            await migrations.markCurrent(this);
+                    }
+
+                    // bring existing content up to the latest schema, waiting for any other instance that's doing so
+                    await this.migrateSchema(null, { wait: this.migrationLockTtl * 1000 });
+
+                    // get CMS settings from the database
+                    const settings = await this.findOne('cms', { _id: 'settings' });
+
+                    // still no settings, error out
+                    if (!settings)
+                        throw new Error('Unable to find CMS settings');
+
+                    // settings found, retain them (with the site's own settings taking precedence)
+                    this.settings = Object.assign(settings, this.site && this.site.settings);
+                    if (this.settings.timezone && !timezone.isValid(this.settings.timezone))
+                        this.logger.warn(`Invalid CMS timezone, using UTC instead: ${this.settings.timezone}`);
+
+                    // secret for signing links (e.g., previews), kept out of the settings that page/template source can read
+                    this._secret = process.env.CMS_SECRET || await this._loadSecret();
+
+                    // first admin account from the environment, until there is one
+                    if (process.env.CMS_ADMIN_USERNAME && process.env.CMS_ADMIN_PASSWORD && !await this.findOne('cmsUsers', { role: 'admin' }, { projection: { _id: 1 } }))
+                        await this.createUser(process.env.CMS_ADMIN_USERNAME, process.env.CMS_ADMIN_PASSWORD, 'admin');
+
+                    this.logger.info('CMS ready');
+                    resolve(this);
+                }
+                catch (err) {
+                    // allow the next caller to try again
+                    this._initializing = null;
+                    reject(new Error(err));
+                }
+            });
+
+        return this._initializing;
+    }
+
+    /**
+     * determine the canonical URL of every page from its chain of parent slugs (reused for indexTtl milliseconds)
+     * @returns {Promise<{byId: Map<string, object>, byUrl: Map<string, object>}>} page summaries (url and the routing/caching fields, e.g., _id, slug, parent, status) by ID and URL
+     */
+    pageIndex() {
+        return this._index('pages', () => new Promise(async (resolve, reject) => {
+            try {
+                const projection = { _id: 1 };
+                for (const field of cmsIndexFields)
+                    projection[field] = 1;
+
+                const pages = await this.find('cmsPages', {}, { projection: projection });
+                const byId = new Map(pages.map((page) => [page._id, page]));
+                const byUrl = new Map();
+
+                for (const page of pages) {
+                    page.translations = locales.summary(page.translations);
+
+                    // error pages are only rendered for error responses
+                    if (errorPagePattern.test(page._id)) {
+                        page.url = null;
+                        continue;
+                    }
+
+                    page.url = cmsPageUrl(page, byId);
+
+                    // pages in a parent cycle or with a duplicate URL can't be routed to
+                    if (!page.url)
+                        this.log(`Page has a parent cycle: ${page._id}`);
+                    else if (byUrl.has(page.url))
+                        this.log(`Page URL ${page.url} is already used by ${byUrl.get(page.url)._id}: ${page._id}`);
+                    else
+                        byUrl.set(page.url, page);
+                }
+
+                resolve({ byId: byId, byUrl: byUrl });
+            }
+            catch (err) { reject(new Error(err)); }
+        }));
+    }
+
+    /**
+     * create a signed link for previewing a page regardless of its status
+     * @param {string} id page ID
+     * @param {number} ttl seconds until the link expires (defaults to 7 days)
+     * @returns {Promise<string>} page URL with a preview token
+     */
+    previewUrl(id, ttl) {
+        return new Promise(async (resolve, reject) => {
+            try {
+                // set defaults
+                if (!ttl)
+                    ttl = 7 * 24 * 60 * 60;
+
+                await this.ready();
+                const page = (await this.pageIndex()).byId.get(id);
+                if (!page || !page.url)
+                    throw `Page not found: ${id}`;
+
+                const expires = Math.floor(Date.now() / 1000) + ttl;
+                resolve(`${page.url}?preview=${expires}.${this._sign(`preview:${id}:${expires}`)}`);
+            }
+            catch (err) { reject(new Error(err)); }
+        });
+    }
+
+    /**
+     * get the redirect rules, indexed for matching request paths (reused for indexTtl milliseconds)
+     * @returns {Promise<object>} cmsRedirects documents by match type
+     */
+    redirectIndex() {
+        return this._index('redirects', async () => redirects.compile(await this.find(redirects.collection, {}), this.logger));
+    }
+
+    /**
+     * evaluate a page's template header, template body (wrapping the page body) and template footer in a sandbox
+     *
+     * A template with a parent inherits each section it leaves empty, and its own sections can run the parent's version
+     * of the same section with `await parent()`. The template body runs the page body with `await content()` (or after it
+     * finishes, when it doesn't).
+     * @param {object} cmsPage page from findPage() (i.e., with its template document and url), translated when it has a locale
+     * @param {object} options optional: forms (the request's form context from the page router, without which forms can't be rendered)
+     * @returns {Promise<string>} HTML
+     */
+    async render(cmsPage, options) {
+        const cmsStarted = performance.now();
+
+        // menus are rendered synchronously, so load them and the page index up front
+        const [cmsIndex, cmsMenus] = await Promise.all([this.pageIndex(), this._menus()]);
+        const cmsMenuIndex = locales.localizeIndex(cmsIndex, cmsPage.locale, locales.config(this.settings));
+
+        // template chain, where a failure shows as a template header error
+        let cmsTemplates = [];
+        let cmsTemplateError = null;
+        try { cmsTemplates = await this.templateChain(cmsPage.template); }
+        catch (err) { cmsTemplateError = err; }
+
+        // evaluate the source in the render worker, with menus linking to the page's locale
+        const cmsRendered = await this.renderer.render({
+            page: cmsPage,
+            templates: cmsTemplates,
+            templateError: cmsTemplateError,
+            settings: locales.localizeSettings(this.settings, cmsPage.locale),
+            packageInfo: { name: packageInfo.name, description: packageInfo.description, version: packageInfo.version },
+            menus: cmsMenus,
+            index: cmsMenuIndex,
+            published: [...cmsMenuIndex.byId.values()].filter((page) => this.isPublished(page)).map((page) => page._id),
+            bootstrap: {
+                bootstrapCSS: this.settings.bootstrapCSS,
+                bootstrapJS: this.settings.bootstrapJS,
+                jqueryJS: this.settings.jqueryJS,
+                popperJS: this.settings.popperJS,
+                fontawesomeCSS: this.settings.fontawesomeCSS
+            },
+            debug: !!this.debug,
+            timeout: this.evalTimeout
+        }, this._renderHelpers((options || {}).forms));
+
+        // eval failures are logged in every environment, not just shown on the page
+        const template = cmsPage.template ? cmsPage.template._id : null;
+        for (const { section, error } of cmsRendered.errors) {
+            this.logger.error(`CMS ${section} error`, { page: cmsPage._id, template: template, templates: cmsTemplates.map((template) => template._id), error: error });
+            this.metrics.increment('cms_eval_errors_total', { page: cmsPage._id, template: template, section: section.toLowerCase() });
+        }
+        for (const section of ['header', 'body', 'footer'])
+            Logger.timing(section, cmsRendered.timings[section]);
+
+        // language and translations of the page (e.g., <link rel="alternate" hreflang="es">)
+        const cmsHtml = locales.decorate(cmsRendered.html, cmsPage, this.settings.url);
+        Logger.timing('render', performance.now() - cmsStarted);
+        this.metrics.observe('cms_render_duration_seconds', {}, (performance.now() - cmsStarted) / 1000);
+        return cmsHtml;
+    }
+
+    /**
+     * find the page for a request path, which may be a non-canonical variant of its URL (e.g., different case, trailing
+     * slash or /home), so compare the result's url to the path to decide whether to redirect
+     * @param {string} path request path (without query string)
+     * @param {object} index page index from pageIndex()
+     * @returns {object} page summary (_id, slug, parent, url), or null when no page matches
+     */
+    resolvePath(path, index) {
+        // exact match
+        if (index.byUrl.has(path))
+            return index.byUrl.get(path);
+
+        // normalize case, duplicate slashes and trailing slash
+        const normalized = '/' + path.toLowerCase().split('/').filter((token) => token).join('/');
+        if (index.byUrl.has(normalized))
+            return index.byUrl.get(normalized);
+
+        // the home page by its ID, which was its URL before it moved to /
+        if (normalized == '/home')
+            return index.byId.get('home') || null;
+
+        // pages that moved are found through the redirect rules saved when they moved
+        return null;
+    }
+
+    /**
+     * start Express web server
+     * @param {number} cmsWebPort web server port (defaults to process.env.PORT or 1337)
+     */
+    async listen(cmsWebPort) {
+        // set defaults
+        if (!cmsWebPort)
+            cmsWebPort = process.env.PORT || 1337;
+
+        // start web server
+        this._server = this.app().listen(cmsWebPort, () => this.logger.info(`Listening on port ${cmsWebPort}`));
+
+        // shut down gracefully when asked to stop
+        process.once('SIGTERM', () => {
+            this.logger.info('SIGTERM received');
+            this.close().catch((err) => this.logger.error('Shutdown failed', { error: err }));
+        });
+    }
+
+    /**
+     * read a media file's contents
+     * @param {object} file cmsMedia.files document from findMedia()
+     * @param {object} options optional byte range: start (inclusive) and end (exclusive)
+     * @returns {Promise<Readable>}
+     */
+    openMedia(file, options) {
+        return new Promise(async (resolve, reject) => {
+            try { resolve(await this._storage.openFile(media.mediaBucket, file._id, options)); }
+            catch (err) { reject(new Error(err)); }
+        });
+    }
+
+    /**
+     * make a saved revision the current version of its page/template (the version it replaces is saved as a revision)
+     * @param {string} id revision ID
+     * @param {string} author who is restoring it
+     * @returns {Promise<object>} restored document
+     */
+    restoreRevision(id, author) {
+        return new Promise(async (resolve, reject) => {
+            try {
+                const revision = await this.findOne('cmsRevisions', { _id: id });
+                if (!revision)
+                    throw `Revision not found: ${id}`;
+
+                const document = Object.assign({}, revision.revision, { updated: new Date() });
+                await this.replaceOne(revision.collection, { _id: revision.document }, document, { upsert: true, author: author });
+                this.log(`Restored ${revision.collection}.${revision.document} from revision ${id}`);
+
+                resolve(document);
+            }
+            catch (err) { reject(err instanceof types.ValidationError ? err : new Error(err)); }
+        });
+    }
+
+    /**
+     * search published pages by title, tagline, description, excerpt and body, most relevant first
+     * @param {string} text search string: words match any, "quoted phrases" must appear and -words must not
+     * @param {object} options optional: page (1-based, default 1) and limit (results per page, default 10)
+     * @returns {Promise<object>} { search, page, limit, total, pages, results } where results are { _id, url, title, tagline, snippet (HTML with matches in mark elements), score }
+     */
+    search(text, options) {
+        return new Promise(async (resolve, reject) => {
+            try {
+                // set defaults
+                options = Object.assign({ page: 1, limit: 10 }, options);
+
+                const results = { search: search.searchString(text), page: options.page, limit: options.limit, total: 0, pages: 0, results: [] };
+                if (results.search) {
+                    // rank every match, then keep the ones visitors can see
+                    const index = await this.pageIndex();
+                    const matches = (await this._storage.textSearch('cmsPages', results.search, { weights: search.searchWeights, projection: { _id: 1 } }))
+                        .filter((match) => index.byId.has(match._id) && index.byId.get(match._id).url && this.isPublished(index.byId.get(match._id)));
+                    results.total = matches.length;
+                    results.pages = Math.ceil(matches.length / options.limit);
+
+                    // load the current page of results
+                    const current = matches.slice((options.page - 1) * options.limit, options.page * options.limit);
+                    const pages = await this.find('cmsPages', { _id: { $in: current.map((match) => match._id) } }, { projection: { title: 1, tagline: 1, description: 1, excerpt: 1, body: 1 } });
+                    results.results = current.map((match) => {
+                        const page = pages.find((candidate) => candidate._id == match._id) || {};
+                        return { _id: match._id, url: index.byId.get(match._id).url, title: page.title || match._id, tagline: page.tagline || null, snippet: search.snippet(page, results.search), score: match.score };
+                    });
+                }
+                this.log(`Search "${results.search}": ${results.total} results`);
+
+                resolve(results);
+            }
+            catch (err) { reject(new Error(err)); }
+        });
+    }
+
+    /**
+     * store a media file, replacing any existing one with the same name
+     * @param {string} name media name (e.g., images/logo.png), which becomes part of its URL
+     * @param {Buffer} content file contents
+     * @param {object} options optional: contentType (otherwise by file extension), alt (text describing it) and uploader (who is uploading it)
+     * @returns {Promise<object>} cmsMedia.files document
+     */
+    saveMedia(name, content, options) {
+        return new Promise(async (resolve, reject) => {
+            try {
+                // set defaults
+                if (!options)
+                    options = {};
+
+                // enforce requirements
+                if (media.nameError(name))
+                    throw media.nameError(name);
+                if (!Buffer.isBuffer(content))
+                    throw 'Media content must be a Buffer';
+                if (content.length > this.mediaMaxSize)
+                    throw `Media must be at most ${this.mediaMaxSize} bytes`;
+
+                const metadata = { contentType: media.contentType(name, options.contentType), alt: options.alt || '', uploader: options.uploader || null };
+                const size = metadata.contentType.startsWith('image/') ? media.imageSize(content) : null;
+                if (size)
+                    Object.assign(metadata, size);
+
+                // add the new version before removing the old one, so the media is never missing
+                const previous = await this.find(media.mediaCollection, { filename: name }, { projection: { _id: 1 } });
+                const file = await this._storage.writeFile(media.mediaBucket, name, content, metadata);
+                for (const old of previous)
+                    await this._storage.deleteFile(media.mediaBucket, old._id);
+                this._invalidate(media.mediaCollection);
+                this.log(`Saved media ${name} (${metadata.contentType}, ${content.length} bytes)`);
+
+                resolve(file);
+            }
+            catch (err) { reject(new Error(err)); }
+        });
+    }
+
+    /**
+     * add or replace a site, served for its hostnames by its own CMS instance (see siteInstance())
+     * @param {object} site cmsSites document: _id, hostnames (the first is primary), optional aliases (redirected to the primary hostname), settings (taking precedence over the site's settings document) and template (the site instance's defaultTemplate)
+     * @returns {Promise<object>} saved site
+     */
+    saveSite(site) {
+        return new Promise(async (resolve, reject) => {
+            try {
+                if (this.site)
+                    throw 'Sites are managed through the main CMS instance';
+
+                // enforce requirements
+                site = Object.assign({}, site, { updated: new Date() });
+                if (sites.validate(site))
+                    throw sites.validate(site);
+                for (const other of await this.find('cmsSites', { _id: { $ne: site._id } }))
+                    for (const hostname of site.hostnames.concat(site.aliases || []))
+                        if ((other.hostnames || []).concat(other.aliases || []).includes(hostname))
+                            throw `Hostname ${hostname} already belongs to site ${other._id}`;
+
+                await this.replaceOne('cmsSites', { _id: site._id }, site, { upsert: true });
+                this.log(`Saved site ${site._id} (${site.hostnames.join(', ')})`);
+
+                resolve(site);
+            }
+            catch (err) { reject(new Error(err)); }
+        });
+    }
+
+    /**
+     * get the sites by hostname (reused for indexTtl milliseconds)
+     * @returns {Promise<Map<string, {site: object, alias: boolean}>>} each hostname's cmsSites document, and whether it's an alias
+     */
+    siteHosts() {
+        return this._index('sites', async () => sites.hostIndex(await this.find('cmsSites', {}, { sort: { _id: 1 } }), this.logger));
+    }
+
+    /**
+     * get the CMS instance serving a site, created on first use (and again when the site changes), e.g., to work with its
+     * content from code
+     *
+     * Site instances keep their collections apart with a `sites.<_id>.` prefix (sharing users and sessions), take their
+     * configuration from this instance and are seeded from the same seed directory.
+     * @param {string} id site ID
+     * @returns {Promise<CMS>} resolves once the instance is ready
+     */
+    siteInstance(id) {
+        return new Promise(async (resolve, reject) => {
+            try {
+                if (this.site)
+                    throw 'Sites are served by the main CMS instance';
+
+                const site = [...(await this.siteHosts()).values()].map((host) => host.site).find((site) => site._id == id);
+                if (!site)
+                    throw `Site not found: ${id}`;
+
+                let instance = this._sites.get(id);
+                if (!instance || JSON.stringify(instance.site) != JSON.stringify(site)) {
+                    instance = new CMS(new ScopedStorage(this._storage, sites.prefix(id), sites.sharedCollections));
+                    for (const property of cmsSiteProperties)
+                        instance[property] = this[property];
+                    instance.renderCache = this.renderCache ? new RenderCache(this.renderCache.maxEntries) : null;
+                    instance.defaultTemplate = site.template || this.defaultTemplate;
+                    instance.logger = this.logger.child({ site: id });
+                    instance.metrics = this.metrics.child({ site: id });
+                    instance.site = site;
+                    this._sites.set(id, instance);
+                }
+
+                resolve(await instance.ready());
+            }
+            catch (err) { reject(new Error(err)); }
+        });
+    }
+
+    /**
+     * wait until the database is connected and settings are loaded
+     * @returns {Promise<CMS>}
+     */
+    ready() {
+        return this.init();
+    }
+
+    /**
+     * check whether this instance can serve requests: its settings are loaded, the storage answers a ping and it isn't
+     * shutting down (for load balancer readiness checks)
+     * @returns {Promise<{ready: boolean, checks: object}>} each check is ok or what's wrong
+     */
+    readiness() {
+        return new Promise(async (resolve, reject) => {
+            try {
+                const checks = {
+                    settings: this.settings ? 'ok' : 'not loaded',
+                    storage: 'ok',
+                    shutdown: this._closing ? 'closing' : 'ok'
+                };
+
+                // a storage that doesn't answer in time is as good as down
+                let timer;
+                try {
+                    await Promise.race([
+                        this._storage.ping(),
+                        new Promise((resolveTimeout, rejectTimeout) => { timer = setTimeout(() => rejectTimeout(`No answer within ${cmsPingTimeout}ms`), cmsPingTimeout); })
+                    ]);
+                }
+                catch (err) { checks.storage = String(err && err.message ? err.message : err); }
+                finally { clearTimeout(timer); }
+
+                resolve({ ready: Object.values(checks).every((check) => check == 'ok'), checks: checks });
+            }
+            catch (err) { reject(new Error(err)); }
+        });
+    }
+
+    /**
+     * get a template and the templates it extends through their parent fields
+     * @param {object} template cmsTemplates document
+     * @returns {Promise<object[]>} the template first, then its parent, grandparent, etc.
+     */
+    templateChain(template) {
+        return new Promise(async (resolve, reject) => {
+            try {
+                if (!template)
+                    throw 'Template not found';
+
+                const chain = [template];
+                for (let parent = template.parent; parent; parent = chain[chain.length - 1].parent) {
+                    if (chain.some((ancestor) => ancestor._id == parent))
+                        throw `Template parent cycle: ${chain.map((ancestor) => ancestor._id).concat(parent).join(' → ')}`;
+
+                    const found = await this.findOne('cmsTemplates', { _id: parent });
+                    if (!found)
+                        throw `Parent template not found: ${parent} (of ${chain[chain.length - 1]._id})`;
+                    chain.push(found);
+                }
+
+                resolve(chain);
+            }
+            catch (err) { reject(new Error(err)); }
+        });
+    }
+
+    /**
+     * time zone for interpreting wall-clock times, from settings.timezone (defaults to UTC)
+     * @returns {string} IANA time zone
+     */
+    timezone() {
+        return this.settings && this.settings.timezone && timezone.isValid(this.settings.timezone) ? this.settings.timezone : 'UTC';
+    }
+
+    /**
+     * change a media file's alt text
+     * @param {string} name media name
+     * @param {string} alt text describing it (e.g., for screen readers)
+     * @returns {Promise<object>} updated cmsMedia.files document (null when there's no such media)
+     */
+    updateMedia(name, alt) {
+        return new Promise(async (resolve, reject) => {
+            try {
+                const file = await this.findMedia(name);
+                if (file) {
+                    await this.updateOne(media.mediaCollection, { _id: file._id }, { $set: { 'metadata.alt': String(alt || '') } });
+                    file.metadata = Object.assign({}, file.metadata, { alt: String(alt || '') });
+                }
+
+                resolve(file);
+            }
+            catch (err) { reject(new Error(err)); }
+        });
+    }
+
+    /**
+     * change a user account
+     * @param {string} username
+     * @param {object} changes any of password, role and name
+     * @returns {Promise<object>} user (without the password hash)
+     */
+    updateUser(username, changes) {
+        return new Promise(async (resolve, reject) => {
+            try {
+                username = String(username || '').trim().toLowerCase();
+                const user = await this.findOne('cmsUsers', { _id: username }, { projection: { password: 0 } });
+                if (!user)
+                    throw `User not found: ${username}`;
+
+                const update = { updated: new Date() };
+                if (changes.role !== undefined) {
+                    if (!auth.roles[changes.role])
+                        throw `Unknown role: ${changes.role}`;
+
+                    // keep at least one way into the admin area
+                    if (user.role == 'admin' && changes.role != 'admin' && await this.countDocuments('cmsUsers', { role: 'admin' }) < 2)
+                        throw 'Cannot remove the last admin';
+                    update.role = changes.role;
+                }
+                if (changes.password !== undefined) {
+                    if (auth.passwordError(changes.password))
+                        throw auth.passwordError(changes.password);
+                    update.password = await auth.hashPassword(changes.password);
+                }
+                if (changes.name !== undefined)
+                    update.name = changes.name || username;
 
-const cmsTemplateDivider = '//////////////////// TEMPLATE DIVIDER ////////////////////\r\n';
+                await this.updateOne('cmsUsers', { _id: username }, { $set: update });
+
+                // a new password or role ends existing sessions
+                if (update.password || update.role)
+                    await this.deleteMany('cmsSessions', { user: username });
+                this.log(`Updated user ${username}`);
+
+                delete update.password;
+                resolve(Object.assign(user, update));
+            }
+            catch (err) { reject(new Error(err)); }
+        });
+    }
 
-/** Content Management System */
-module.exports = class CMS {
     /**
-     * start the Express service and add endpoints from the given database
-     * @param {any} server MongoDB server
-     * @param {any} database MongoDB database
-     * @param {any} username MongoDB username
-     * @param {any} password MongoDB password
-     * @param {number} port MongoDB port
-     * @todo uncomment things once converted to promises
+     * check a page's publishing window and its fields against its content type (pages without one use the page type, when
+     * it's defined)
+     * @param {object} page page as it would be saved
+     * @returns {Promise<object>} error messages by field name (empty when valid)
      */
-    constructor(server, database, username, password, port) {
-        // enforce requirements
-        if (!server || !database)
-            throw 'MongoDB server and database are required';
-        if (username && !password)
-            throw 'MongoDB password is required when a username is provided';
+    validatePage(page) {
+        return new Promise(async (resolve, reject) => {
+            try {
+                // wall-clock times must exist in the settings timezone's calendar (e.g., not 2021-02-30T10:00)
+                const schedule = {};
+                for (const field of ['publish', 'unpublish'])
+                    if (page[field] !== undefined && page[field] !== null && page[field] !== '' && !timezone.toDate(page[field], this.timezone()))
+                        schedule[field] = 'Must be a date/time';
+
+                const type = (await this._types()).get(page.type || types.defaultType);
+                if (!type)
+                    resolve(Object.assign(schedule, page.type ? { type: `Unknown content type: ${page.type}` } : {}));
+                else
+                    resolve(Object.assign(schedule, await types.validate(this, page, type)));
+            }
+            catch (err) { reject(new Error(err)); }
+        });
+    }
 
-        // set defaults
-        if (!port)
-            port = 27017;
-
-        // retain database connection information
-        this._connectionString = 'mongodb://';
-        if (username)
-            this._connectionString += `${encodeURIComponent(username)}:${encodeURIComponent(password)}@`;
-        this._connectionString += `${server}:${port}`;
-        this.log(`MongoDB connection: ${this._connectionString}`);
-        this._database = database;
-        this.log(`MongoDB database: ${this._database}`);
-        if (username)
-            this.log(`MongoDB username: ${username}`);
-
-        // get CMS settings from the database
-        this.findOne('cms', { _id: 'settings' })
-            .then(async (settings) => {
-                // migrate and retry
-                if (!settings || this._webapp.get('env') == 'development') {
-                    await this.migrate(this._webapp.get('env') == 'development');
-                    settings = await this.findOne('cms', { _id: 'settings' });
+    /**
+     * check a redirect rule, including whether it would loop with the other rules or take over page URLs (unless its
+     * override is set)
+     * @param {object} rule redirect as it would be saved
+     * @returns {Promise<object>} error messages by field name (empty when valid)
+     */
+    validateRedirect(rule) {
+        return new Promise(async (resolve, reject) => {
+            try {
+                const fields = redirects.ruleErrors(rule);
+                if (Object.keys(fields).length)
+                    return resolve(fields);
+
+                // follow the rule through the others, as they'd be after saving it
+                const rules = (await this.find(redirects.collection, {})).filter((other) => other._id !== rule._id);
+                const loop = redirects.loopError(redirects.compile(rules.concat(rule)), rule);
+                if (loop)
+                    fields.to = loop;
+
+                // redirects are checked first, so pages at matching URLs would be unreachable
+                if (!rule.override) {
+                    const cmsLocales = locales.config(this.settings);
+                    const urls = new Map();
+                    for (const page of (await this.pageIndex()).byId.values())
+                        if (page.url)
+                            for (const locale of cmsLocales ? cmsLocales.enabled : [null])
+                                if (locales.hasLocale(page, locale, cmsLocales))
+                                    urls.set(locales.localizedUrl(page.url, locale, cmsLocales), page._id);
+
+                    const shadowed = redirects.shadowedUrls(rule, [...urls.keys()]);
+                    if (shadowed.length)
+                        fields.from = `Would hide ${shadowed.length == 1 ? 'the page at' : 'the pages at'} ${shadowed.slice(0, 5).map((url) => `${url} (${urls.get(url)})`).join(', ')}${shadowed.length > 5 ? ` and ${shadowed.length - 5} more` : ''} (set override to redirect anyway)`;
                 }
 
-                // still no settings, error out
-                if (!settings)
-                    throw new Error('Unable to find CMS settings');
-                // settings found, retain them
-                else
-                    this.settings = settings;
-            })
-            .catch((err) => { throw new Error(err); });
+                resolve(fields);
+            }
+            catch (err) { reject(new Error(err)); }
+        });
+    }
+
+    /**
+     * check a preview token from previewUrl()
+     * @param {string} id page ID
+     * @param {string} token preview query string value
+     * @returns {boolean}
+     */
+    verifyPreview(id, token) {
+        const [expires, signature] = String(token || '').split('.');
+        if (!signature || !(Number(expires) * 1000 > Date.now()))
+            return false;
 
-        // TODO: set the timezone: https://github.com/TooTallNate/node-time
-        // https://en.wikipedia.org/wiki/List_of_tz_database_time_zones
+        return this._verify(`preview:${id}:${expires}`, signature);
     }
 
+    /**
+     * get a cached index, loading it when missing or older than indexTtl
+     * @param {string} name index name
+     * @param {function} load returns a promise of the index
+     * @returns {Promise<any>}
+     * @protected
+     */
+    _index(name, load) {
+        const cached = this._indexes.get(name);
+        if (cached && Date.now() - cached.loaded < this.indexTtl)
+            return cached.value;
+
+        const value = load();
+        this._indexes.set(name, { loaded: Date.now(), value: value });
+
+        // don't keep failures around
+        value.catch(() => {
+            if (this._indexes.get(name) && this._indexes.get(name).value === value)
+                this._indexes.delete(name);
+        });
 
-    /**********************
-     ***** Properties *****
-     *********************/
+        return value;
+    }
 
     /**
-     * database connection string
-     * @type {string}
+     * forget rendered pages and indexes after a write that can change them
+     * @param {string} collection collection that was written to
      * @protected
      */
-    _connectionString;
+    _invalidate(collection) {
+        // sites are looked up again on the next request, with instances replaced when their site changed
+        if (collection == 'cmsSites')
+            this._indexes.delete('sites');
+        if (collection == redirects.collection)
+            this._indexes.delete('redirects');
+
+        if (!cmsRenderCollections.includes(collection))
+            return;
+
+        this._indexes.clear();
+        if (this.renderCache)
+            this.renderCache.clear();
+
+        // settings are part of every render, so pick up the new version
+        if (collection == 'cms' && this.settings)
+            this._storage.findOne('cms', { _id: 'settings' }, {})
+                .then((settings) => {
+                    if (settings)
+                        this.settings = Object.assign(settings, this.site && this.site.settings);
+                })
+                .catch((err) => this.logger.error('Unable to reload CMS settings', { error: err }));
+    }
 
     /**
-     * database name
-     * @type {string}
+     * get the signing secret stored in the cms collection, generating it on first use
+     * @returns {Promise<string>}
      * @protected
      */
-    _database;
+    async _loadSecret() {
+        await this.updateOne('cms', { _id: 'secret' }, { $setOnInsert: { value: crypto.randomBytes(32).toString('hex') } }, { upsert: true });
+        return (await this.findOne('cms', { _id: 'secret' })).value;
+    }
 
     /**
-     * Express application
+     * get the updated timestamp and parent of every template (reused for indexTtl milliseconds)
+     * @returns {Promise<Map<string, {updated: Date, parent: string}>>} by template ID
      * @protected
      */
-    _webapp;
+    _templateUpdates() {
+        return this._index('templates', async () => {
+            const templates = await this.find('cmsTemplates', {}, { projection: { _id: 1, updated: 1, parent: 1 } });
+            return new Map(templates.map((template) => [template._id, { updated: template.updated, parent: template.parent }]));
+        });
+    }
 
     /**
-     * log debug info to the console
-     * @type {boolean}
+     * get the updated timestamp of the settings (reused for indexTtl milliseconds), picking up settings saved by other
+     * instances
+     * @returns {Promise<Date>}
+     * @protected
      */
-    debug;
+    _settingsUpdated() {
+        return this._index('settings', async () => {
+            const settings = await this.findOne('cms', { _id: 'settings' });
+            if (settings && cmsTime(settings.updated) != cmsTime(this.settings.updated))
+                this.settings = Object.assign(settings, this.site && this.site.settings);
+
+            return settings ? settings.updated : null;
+        });
+    }
 
     /**
-     * CMS instance settings
-     * @type {object}
+     * sign a value with the CMS secret (HMAC-SHA256)
+     * @param {string} value
+     * @returns {string} base64url signature
+     * @protected
      */
-    settings;
+    _sign(value) {
+        if (!this._secret)
+            throw 'CMS secret is not loaded yet';
 
+        return crypto.createHmac('sha256', this._secret).update(value).digest('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
 
-    /***********************
-     ***** CMS Methods *****
-     **********************/
+    /**
+     * verify a signature from _sign() in constant time
+     * @param {string} value
+     * @param {string} signature
+     * @returns {boolean}
+     * @protected
+     */
+    _verify(value, signature) {
+        const expected = Buffer.from(this._sign(value));
+        const actual = Buffer.from(String(signature));
+        return expected.length == actual.length && crypto.timingSafeEqual(expected, actual);
+    }
 
     /**
-     * get page information
-     * @param {string} search page ID
-     * @returns {object}
+     * send a rendered page with cache validators, answering conditional requests with 304 Not Modified
+     * @param {Request} req Express request
+     * @param {Response} res Express response
+     * @param {object} rendered body, etag, lastModified and maxAge
+     * @protected
      */
-    findPage(search) {
-        return new Promise(async (resolve, reject) => {
-            try {
-                // find the page in the database
-                let page = await this.findOne('cmsPages', { _id: search });
+    _sendRendered(req, res, rendered) {
+        res.set('ETag', rendered.etag);
+        if (rendered.lastModified)
+            res.set('Last-Modified', rendered.lastModified.toUTCString());
+        if (!res.get('Cache-Control'))
+            res.set('Cache-Control', rendered.maxAge ? `public, max-age=${Number(rendered.maxAge)}` : 'no-cache');
+
+        // compares If-None-Match/If-Modified-Since with the headers above
+        if (req.fresh)
+            return res.status(304).end();
+
+        res.type('html').send(rendered.body);
+    }
 
-                // add more metadata
+    /**
+     * send an error response, rendering the error-<status> page (e.g., error-404) through its template with the error as
+     * `cmsPage.error`, or a built-in page when there isn't one (or it fails too)
+     *
+     * Visitors get a safe message, while development shows the error itself and its stack.
+     * @param {Request} req Express request
+     * @param {Response} res Express response
+     * @param {number} status HTTP status code
+     * @param {Error} err error behind the response (optional)
+     * @returns {Promise}
+     * @protected
+     */
+    async _sendError(req, res, status, err) {
+        const error = {
+            status: status,
+            title: http.STATUS_CODES[status] || 'Error',
+            message: this.debug && err ? String(err.message || err) : cmsErrorMessages[status] || http.STATUS_CODES[status] || 'Something went wrong.',
+            stack: this.debug && err ? String(err.stack || err) : null
+        };
+        res.status(status).set('Cache-Control', 'no-store');
+
+        // APIs and other clients that don't take HTML get the status text
+        if (!req.accepts('html'))
+            return res.type('text').send(error.title);
+
+        // error page in the request's locale, unless the CMS never got ready
+        let body = null;
+        if (this.settings)
+            try {
+                const page = await this.findPage(`error-${status}`);
                 if (page) {
-                    this.log(`Page found: ${page._id}`);
+                    const config = locales.config(this.settings);
+                    const locale = locales.split(req.path, config).locale;
+                    locales.translate(page, locales.hasLocale(page, locale, config) ? locale : config && config.default, config);
+                    page.error = error;
+                    body = await this.render(page);
+                }
+            }
+            catch (renderErr) { this.logger.error(`Unable to render error page error-${status}`, { error: renderErr }); }
 
-                    // determine the page URL
-                    page.url = '/' + (page._id != 'home' ? page._id : '');
+        res.type('html').send(body || cmsErrorHtml(error));
+    }
 
-                    // replace template
-                    page.template = await this.findOne('cmsTemplates', { _id: page.template });
-                }
+    /**
+     * get every block (reused for indexTtl milliseconds)
+     * @returns {Promise<Map<string, object>>} cmsBlocks documents by ID
+     * @protected
+     */
+    _blocks() {
+        return this._index('blocks', async () => new Map((await this.find('cmsBlocks', {})).map((block) => [block._id, block])));
+    }
 
-                resolve(page);
+    /**
+     * get every menu (reused for indexTtl milliseconds)
+     * @returns {Promise<object[]>} cmsMenus documents
+     * @protected
+     */
+    _menus() {
+        return this._index('menus', () => this.find('cmsMenus', {}));
+    }
+
+    /**
+     * seconds until the next scheduled publish/unpublish of any page, which can change menus on every page
+     * @param {object} index page index from pageIndex()
+     * @returns {number} null when nothing is scheduled
+     * @protected
+     */
+    _nextScheduleChange(index) {
+        const now = Date.now();
+        const timeZone = this.timezone();
+        let next = null;
+        for (const page of index.byId.values())
+            for (const field of ['publish', 'unpublish']) {
+                const date = timezone.toDate(page[field], timeZone);
+                if (date && date.getTime() > now && (next === null || date.getTime() < next))
+                    next = date.getTime();
             }
-            catch (err) { reject(new Error(err)); }
-        });
+
+        return next === null ? null : Math.ceil((next - now) / 1000);
     }
 
     /**
-     * start Express web server
-     * @param {number} cmsWebPort web server port (defaults to process.env.PORT or 1337)
+     * count a redirect's hit and remember when it was, without waiting
+     *
+     * This goes straight to storage: updateOne() would check the rule again and drop the redirect index on every hit.
+     * @param {object} rule cmsRedirects document
+     * @protected
      */
-    async listen(cmsWebPort) {
-        // set defaults
-        if (!cmsWebPort)
-            cmsWebPort = process.env.PORT || 1337;
+    _redirectHit(rule) {
+        this._measure('updateOne', () => this._storage.updateOne(redirects.collection, { _id: rule._id }, { $inc: { hits: 1 }, $set: { lastHit: new Date() } }, {}))
+            .catch((err) => this.logger.error('Unable to count redirect hit', { redirect: rule._id, error: err }));
+    }
 
-        // configure Express
-        this._webapp = express();
-        //this._webapp.use(express.urlencoded({ extended: true }));  // allow POST via HTML forms
-        this._webapp.use(helmet({ contentSecurityPolicy: false }));  // enable Helmet, but allow pages to have external content
-        //this._webapp.use(express.json());  // convert body to JSON object when it is JSON
-        //this._webapp.use(express.static('public'));  // serve static content from the public folder to the root URL
+    /**
+     * helpers page/template source calls through the render worker, for what needs storage (the worker makes read-only
+     * copies of what they return)
+     * @param {object} formContext optional: the request's action (page URL), token() (visitor's form token), submission and rendered (set once a form is rendered)
+     * @returns {object} async functions by name (e.g., query.find)
+     * @protected
+     */
+    _renderHelpers(formContext) {
+        // reads with a filter and options from the source, limited to query operators/options that don't run code
+        const checked = (read) => (filter, options) => {
+            const error = cmsSandboxQueryError(filter, options);
+            return error ? Promise.reject(new Error(error)) : read(filter, options);
+        };
+
+        // read-only query helper, limited to content collections
+        const query = (method) => (collection, filter, options) => {
+            if (!cmsSandboxCollections.includes(collection))
+                return Promise.reject(new Error(`Collection is not readable from page/template source: ${collection}`));
+
+            return checked((filter, options) => this[method](collection, filter, options))(filter, options);
+        };
+
+        // media for the image/link helpers, which fail like a bad query when it's missing
+        const mediaFile = (name) => this.findMedia(name).then((file) => {
+            if (!file)
+                throw new Error(`Media not found: ${name}`);
+
+            return file;
+        });
 
-        // log package/environment/config information
-        this.debug = this._webapp.get('env') == 'development';
-        this.log(`Application: ${packageInfo.description}`);
-        this.log(`Version: ${packageInfo.version}`);
-        this.log(`Environment: ${this._webapp.get('env')}`);
+        return {
+            'query.find': query('find'),
+            'query.findOne': query('findOne'),
+            'media.find': checked((filter, options) => this.find(media.mediaCollection, filter || {}, Object.assign({ sort: { filename: 1 } }, options)).then((files) => files.map(media.describe))),
+            'media.image': (name, options) => mediaFile(name).then((file) => media.image(file, options)),
+            'media.link': (name, label, options) => mediaFile(name).then((file) => media.link(file, label, options)),
+            'forms.render': async (id) => {
+                const form = await this.findOne(forms.formCollection, { _id: id });
+                if (!form)
+                    throw new Error(`Form not found: ${id}`);
+                if (!formContext)
+                    throw new Error(`Forms can only be rendered on pages visitors request: ${id}`);
+
+                formContext.rendered = true;
+                return forms.render(form, { action: formContext.action, token: formContext.token(), submission: formContext.submission });
+            },
+
+            // body of a block, which the worker runs in the page's sandbox
+            block: async (name) => {
+                const found = (await this._blocks()).get(name);
+                if (!found)
+                    throw new Error(`Block not found: ${name}`);
+
+                return found.body;
+            }
+        };
+    }
 
-        // configure Morgan
-        if (this.debug) {
-            this._webapp.use(morgan('tiny'));
-            this.log('Morgan enabled');
-        }
+    /**
+     * get every content type by ID (reused for indexTtl milliseconds)
+     * @returns {Promise<Map<string, object>>} cmsTypes documents
+     * @protected
+     */
+    _types() {
+        return this._index('types', async () => new Map((await this.find('cmsTypes', {})).map((type) => [type._id, type])));
+    }
 
-        // route all traffic through centralized router
-        this._webapp.use(async (req, res, next) => {
-            try {
-                let cmsPage;
+    /**
+     * determine whether a page is visible to visitors: published (or scheduled) and within its publish/unpublish window,
+     * where publish/unpublish values without an offset (e.g., 2021-01-31T09:30) are wall-clock times in settings.timezone
+     * @param {object} page page document
+     * @param {Date} now moment to check (defaults to now)
+     * @returns {boolean}
+     */
+    isPublished(page, now) {
+        // set defaults
+        if (!now)
+            now = new Date();
+        const status = page.status || 'published';
+
+        if (!['scheduled', 'published'].includes(status))
+            return false;
+
+        const timeZone = this.timezone();
+        const publish = timezone.toDate(page.publish, timeZone);
+        const unpublish = timezone.toDate(page.unpublish, timeZone);
+
+        // scheduled pages need a publish datetime
+        if (status == 'scheduled' && !publish)
+            return false;
+        if (publish && now < publish)
+            return false;
+        if (unpublish && now >= unpublish)
+            return false;
+
+        return true;
+    }
 
-                // loop through tokens in reverse order, loking for a matching page
-                const cmsTokens = req.originalUrl.toLowerCase().split('/');
-                for (let cmsTokenIndex = cmsTokens.length - 1; cmsTokenIndex >= 0; cmsTokenIndex--) {
-                    // normalize URL token
-                    if (cmsTokens[cmsTokenIndex] == '')
-                        cmsTokens[cmsTokenIndex] = 'home';
-                    else
-                        cmsTokens[cmsTokenIndex] = cmsTokens[cmsTokenIndex];
+    /**
+     * list the saved revisions of a page/template/block, newest first (without the saved document)
+     * @param {string} collection cmsPages, cmsTemplates or cmsBlocks
+     * @param {string} id document ID
+     * @returns {Promise<object[]>} revision metadata (_id, collection, document, saved, author)
+     */
+    listRevisions(collection, id) {
+        return this.find('cmsRevisions', { collection: collection, document: id }, { sort: { saved: -1 }, projection: { revision: 0 } });
+    }
 
-                    this.log(`URL Token (${cmsTokenIndex + 1}): ${cmsTokens[cmsTokenIndex]}`);
+    /**
+     * log debug details (see logger for other levels)
+     * @param {any} output message, or an object to log as JSON
+     */
+    log(output) {
+        this.logger.debug(typeof output == 'object' ? JSON.stringify(output) : output);
+    }
 
-                    // get page information
-                    cmsPage = await this.findPage(cmsTokens[cmsTokenIndex]);
-                    if (cmsPage) {
-                        this.log(`Page: ${JSON.stringify(cmsPage, null, 4)}`);
+    /**
+     * add missing documents from the seed directory (see migrateSchema() for changing existing ones)
+     * @param {true} force overwrite existing documents with the seed versions (i.e., upsert)
+     */
+    migrate(force) {
+        return new Promise(async (resolve, reject) => {
+            try {
+                for (const entry of await seed.read(this.seedDirectory)) {
+                    // see if the document already exists
+                    const existing = await this.findOne(entry.collection, { _id: entry.id }, { projection: { _id: 1 } });
+
+                    // document not found, add it
+                    if (!existing || force) {
+                        const document = entry.document;
+
+                        // add dynamic metadata to pages/templates
+                        if (seed.sourceFields[entry.collection]) {
+                            document.created = new Date();
+                            document.updated = new Date();
+                        }
 
-                        break;
+                        // add/update the document
+                        const results = await this.replaceOne(entry.collection, { _id: entry.id }, document, { upsert: true, author: 'migrate()' });
+                        this.log(`Upserted ${entry.collection}.${entry.id}: ${JSON.stringify(results)}`);
                     }
                 }
 
-                // home page not found, do migration and find home page again
-                if (!cmsPage) {
-                    await this.migrate();
-                    cmsPage = await this.findOne('cmsPages', { '_id': 'home' });
-                    if (!cmsPage)
-                        throw new Error('Unable to find Home page');
-                }
-
-                // TODO: enforce URL
-                // res.redirect(301, '/');
-
-                let output;
+                resolve(true);
+            }
+            catch (err) { reject(new Error(err)); }
+        });
+    }
 
+    /**
+     * run schema migrations (see migrationDirectory) up or down to a version, while holding a lock in the cms collection
+     * @param {number} target optional schema version to end up at (defaults to the latest)
+     * @param {object} options optional: wait (milliseconds to wait while another instance holds the lock, otherwise that's an error)
+     * @returns {Promise<object[]>} { version, name, direction } for each migration that ran
+     */
+    migrateSchema(target, options) {
+        return new Promise(async (resolve, reject) => {
+            try {
+                resolve(await migrations.run(this, Object.assign({}, options, { target: target })));
+            }
+            catch (err) { reject(new Error(err.message || err)); }
+        });
+    }
 
-                // evaluate the template header
-                try { eval(cmsPage.template.header); }
-                // evaluation failed, show error
-                catch (err) {
-                    output = new bs.HTML(htmlEscaper.escape(cmsPage._id == 'home' ? packageInfo.description : cmsPage.title));
+    /**
+     * schema version and the applied/pending migrations
+     * @returns {Promise<object>} { version, latest, applied, pending, lock } where applied/pending list { version, name, description } and lock is the migrationLock document (null when not locked)
+     */
+    migrationStatus() {
+        return new Promise(async (resolve, reject) => {
+            try { resolve(await migrations.status(this)); }
+            catch (err) { reject(new Error(err.message || err)); }
+        });
+    }
 
-                    // enable Bootstrap
-                    output.bootstrap(
-                        this.settings.bootstrapCSS,
-                        this.settings.bootstrapJS,
-                        true,
-                        this.settings.jqueryJS,
-                        this.settings.popperJS,
-                        this.settings.fontawesomeCSS
-                    );
 
+    /****************************
+     ***** Database Methods *****
+     ***************************/
 
-                    output.alert([new bs.Heading1('CMS Template header error'), err], { theme: 'danger' });
-                }
+    /**
+     * save the current version of the matching pages/templates as revisions, before they are overwritten or deleted
+     * @param {string} collection collection being written to
+     * @param {object} filter selection filter of the write
+     * @param {boolean} many the write affects every matching document (otherwise only the first)
+     * @param {string} author who is making the change
+     * @protected
+     */
+    async _saveRevisions(collection, filter, many, author) {
+        if (!cmsRevisionSources[collection])
+            return;
+
+        const documents = many ? await this._storage.find(collection, filter, {}) : [await this._storage.findOne(collection, filter, {})];
+        for (const document of documents)
+            if (document)
+                await this._storage.insertOne('cmsRevisions', {
+                    _id: crypto.randomBytes(12).toString('hex'),
+                    collection: collection,
+                    document: document._id,
+                    saved: new Date(),
+                    author: author || null,
+                    revision: document
+                }, {});
+    }
 
-                // evaluate the page body
-                try { eval(cmsPage.body); }
-                // evaluation failed, show error
-                catch (err) { output.alert([new bs.Heading1('CMS Page body error'), err], { theme: 'danger' }); }
-
-                // show page information
-                if (this.debug && output instanceof bs.HTML) {
-                    const cmsDebugMonospace = { borderLeft: true, borderTheme: 'info', marginLeft: 3, paddingLeft: 3 };
-                    const cmsDebugAlert = new bs.Alert(null, { theme: 'info' });
-                    cmsDebugAlert.displayHeading1('Source');
-                    cmsDebugAlert.heading2('Page JSON');
-                    cmsDebugAlert.monospace(htmlEscaper.escape(JSON.stringify(cmsPage, null, 4)), cmsDebugMonospace);
-                    cmsDebugAlert.heading2('Template header');
-                    cmsDebugAlert.monospace(htmlEscaper.escape(cmsPage.template.header), cmsDebugMonospace);
-                    cmsDebugAlert.heading2('Page body');
-                    cmsDebugAlert.monospace(htmlEscaper.escape(cmsPage.body), cmsDebugMonospace);
-                    cmsDebugAlert.heading2('Template footer');
-                    cmsDebugAlert.monospace(htmlEscaper.escape(cmsPage.template.footer), cmsDebugMonospace);
-                    output.add(cmsDebugAlert);
+    /**
+     * keep old links working when a write changes page URLs (a page's new parent or slug also moves its subpages): each
+     * published page gets an exact redirect rule from its old URL to its new one, rules that led to the old URL are
+     * pointed at the new one, and rules saved for a page's earlier moves are dropped when it moves back
+     * @param {Map<string, object>} before page summaries by ID from pageIndex(), as they were before the write
+     * @protected
+     */
+    async _redirectMovedPages(before) {
+        const after = await this.pageIndex();
+        const cmsLocales = locales.config(this.settings);
+        for (const [id, previous] of before) {
+            const page = after.byId.get(id);
+            if (!page || !previous.url || !page.url || previous.url == page.url || !this.isPublished(previous))
+                continue;
+
+            for (const locale of cmsLocales ? cmsLocales.enabled : [null]) {
+                if (!locales.hasLocale(previous, locale, cmsLocales) || !locales.hasLocale(page, locale, cmsLocales))
+                    continue;
+
+                const from = locales.localizedUrl(previous.url, locale, cmsLocales);
+                const to = locales.localizedUrl(page.url, locale, cmsLocales);
+                try {
+                    await this.deleteMany(redirects.collection, { page: id, match: 'exact', from: to });
+                    await this.updateMany(redirects.collection, { match: 'exact', to: from }, { $set: { to: to } });
+
+                    // a rule already handling the old URL wins
+                    if (redirects.match(await this.redirectIndex(), from))
+                        continue;
+
+                    await this.insertOne(redirects.collection, { _id: crypto.randomBytes(12).toString('hex'), match: 'exact', from: from, to: to, page: id, created: new Date() });
+                    this.logger.info(`Redirect added for moved page ${id}: ${from} => ${to}`);
                 }
+                catch (err) { this.logger.warn(`Unable to redirect the old URL of page ${id}: ${from} => ${to}`, { error: err }); }
+            }
+        }
+    }
 
-                // evaluate the template footer
-                try { eval(cmsPage.template.footer); }
-                // evaluation failed, show error
-                catch (err) { output.alert([new bs.Heading1('CMS Template footer error'), err], { theme: 'danger' }); }
-
-                // send response
-                res.send(output.toString());
+    /**
+     * check pages/content types/forms/redirects against their definitions before they are written
+     * @param {string} collection collection being written to
+     * @param {object[]} documents documents as they would be saved
+     * @throws {types.ValidationError} when one doesn't fit
+     * @protected
+     */
+    async _validate(collection, documents) {
+        if (!cmsValidatedCollections[collection])
+            return;
+
+        for (const document of documents) {
+            let fields;
+            switch (collection) {
+                case 'cmsPages':
+                    fields = await this.validatePage(document);
+                    break;
+                case 'cmsRedirects':
+                    fields = await this.validateRedirect(document);
+                    break;
+                case 'cmsTypes':
+                    fields = types.typeErrors(document);
+                    break;
+                default:
+                    fields = forms.formErrors(document);
             }
-            catch (err) { next(err); }
-        });
+            if (Object.keys(fields).length)
+                throw new types.ValidationError(`Invalid ${cmsValidatedCollections[collection]} ${document._id}: ${Object.entries(fields).map(([field, message]) => `${field}: ${message}`).join('; ')}`, fields);
+        }
+    }
 
-        // 500 server error
-        this._webapp.use(function (err, req, res) {
-            console.error(err.stack);
-            res.sendStatus(500);
-        });
+    /**
+     * check the pages/content types/forms a replace/update would leave behind (see _validate())
+     * @param {string} collection collection being written to
+     * @param {object} filter selection filter of the write
+     * @param {boolean} many the write affects every matching document (otherwise only the first)
+     * @param {boolean} upsert the write inserts a document when nothing matches
+     * @param {function} change returns the document as it would be saved, given a copy of the current one (or the upserted one)
+     * @protected
+     */
+    async _validateWrite(collection, filter, many, upsert, change) {
+        if (!cmsValidatedCollections[collection])
+            return;
 
-        // start web server
-        const cmsNow = new Date();
-        this._webapp.listen(cmsWebPort, () => this.log(
-            `Listening on port ${cmsWebPort} @ ${cmsNow.getHours()}`
-            + ':' + cmsNow.getMinutes().toString().padStart(2, '0')
-            + ':' + cmsNow.getSeconds().toString().padStart(2, '0')
-            + ' ...'
-        ));
+        const current = many ? await this._storage.find(collection, filter, {}) : [await this._storage.findOne(collection, filter, {})].filter(Boolean);
+        const documents = current.map((document) => change(query.clone(document), false));
+        if (!current.length && upsert)
+            documents.push(change(query.upsertDocument(filter), true));
+
+        await this._validate(collection, documents);
     }
 
     /**
-     * log output to the console if debugging enabled
-     * @param {any} output
+     * count and time a data method's storage call for the metrics
+     * @param {string} method data method name (e.g., find)
+     * @param {function} call returns the storage adapter's promise
+     * @returns {Promise<any>} what the storage adapter resolves to
+     * @protected
      */
-    log(output) {
-        if (this.debug)
-            console.log(typeof output == 'object' ? JSON.stringify(output) : output);
+    async _measure(method, call) {
+        const started = performance.now();
+        try { return await call(); }
+        catch (err) {
+            this.metrics.increment('cms_db_errors_total', { method: method });
+            throw err;
+        }
+        finally {
+            this.metrics.increment('cms_db_calls_total', { method: method });
+            this.metrics.observe('cms_db_call_duration_seconds', { method: method }, (performance.now() - started) / 1000);
+        }
     }
 
     /**
-     * ensure the latest structure and settings are in place
-     * @param {true} force force the migration (i.e., upsert) 
+     * count MongoDB documents
+     * https://docs.mongodb.com/manual/reference/method/db.collection.countDocuments/
+     * @param {string} collection NoSQL collection to search. https://docs.mongodb.com/manual/core/databases-and-collections/#collections
+     * @param {object} filter Optional. Specifies selection filter using query operators. To count all documents in a collection, omit this parameter or pass an empty document ({}). https://docs.mongodb.com/manual/reference/operator/query/
+     * @param {object} options Optional. Specifies additional query options such as skip and limit. http://mongodb.github.io/node-mongodb-native/3.6/api/Collection.html#countDocuments
      */
-    migrate(force) {
+    countDocuments(collection, filter, options) {
         return new Promise(async (resolve, reject) => {
             try {
-                const fs = require('fs');  // enable filesystem functionality
-                const path = require('path');  // enable path functionality
-
-                // read seed data files
-                const dir = await fs.promises.opendir(fs.existsSync('./seed') ? './seed' : './node_modules/@legendarymediatv/cms/MySQL/seed');
-                for await (const entry of dir) {
-                    const entryPath = path.parse(entry.name);
-
-                    // JSON files are NoSQL documents
-                    if (entryPath.ext == '.json') {
-                        // parse file name for collection and _id
-                        const collection = entryPath.name.substr(0, entryPath.name.indexOf('-'));
-                        const id = entryPath.name.substr(entryPath.name.indexOf('-') + 1);
-
-                        // see if the document already exists
-                        let document = await this.findOne(collection, { _id: id });
-
-                        // document not found, add it
-                        if (!document || force) {
-                            // read in document from the file and convert it to JSON
-                            document = await fs.promises.readFile(`${dir.path}/${entry.name}`, { encoding: 'utf-8' });
-                            document = JSON.parse(document);
-
-                            if (['cmsPages', 'cmsTemplates'].includes(collection)) {
-                                // read corresponding source file into the document
-                                try {
-                                    let source = await fs.promises.readFile(`${dir.path}/${entryPath.name}.js`, { encoding: 'utf-8' });
-
-                                    if (collection == 'cmsPages')
-                                        document.body = source;
-                                    else {
-                                        source = source.split(cmsTemplateDivider);
-                                        if (source.length != 3)
-                                            throw new Error(`CMS Template source must have three parts: ${collection}.${id} (${source.length})`);
-
-                                        document.header = source[0].length ? source[0] : null;
-                                        document.body = source[1].length ? source[1] : null;
-                                        document.footer = source[2].length ? source[2] : null;
-                                    }
-                                }
-                                catch (err) { }
-
-                                // add dynamic metadata to pages/templates
-                                document.created = new Date();
-                                document.updated = new Date();
-                            }
-
-                            // add/update the document
-                            document = await this.replaceOne(collection, { _id: id }, document, { upsert: true });
-                            this.log(`Upserted ${collection}.${id}: ${JSON.stringify(document)}`);
-                        }
-                    }
-                }
+                // enforce requirements
+                if (!collection)
+                    throw 'MongoDB collection is required';
+                if (!filter)
+                    filter = {};
+                else if (typeof filter != 'object')
+                    throw `MongoDB filter must be JSON: ${typeof filter}`;
+                if (!options)
+                    options = {};
+                else if (typeof options != 'object')
+                    throw `MongoDB options must be JSON: ${typeof options}`;
 
-                resolve(true);
+                // query the storage adapter
+                const results = await this._measure('countDocuments', () => this._storage.countDocuments(collection, filter, options));
+                resolve(results);
             }
             catch (err) { reject(new Error(err)); }
         });
     }
 
-
-    /****************************
-     ***** Database Methods *****
-     ***************************/
-
     /**
      * delete multiple MongoDB documents
      * https://docs.mongodb.com/manual/reference/method/db.collection.deleteMany/
      * @param {string} collection NoSQL collection to search. https://docs.mongodb.com/manual/core/databases-and-collections/#collections
      * @param {object} filter Optional. Specifies selection filter using query operators. To return all documents in a collection, omit this parameter or pass an empty document ({}). https://docs.mongodb.com/manual/reference/operator/query/
-     * @param {object} options Optional. Specifies additional query options such as sort and projection to configure the result set. http://mongodb.github.io/node-mongodb-native/3.6/api/Collection.html#deleteMany
+     * @param {object} options Optional. Specifies additional query options such as sort and projection to configure the result set. Also accepts author, which is recorded with page/template revisions. http://mongodb.github.io/node-mongodb-native/3.6/api/Collection.html#deleteMany
      */
     deleteMany(collection, filter, options) {
         return new Promise(async (resolve, reject) => {
@@ -372,11 +2155,13 @@ module.exports = class CMS {
                 else if (typeof options != 'object')
                     throw `MongoDB options must be JSON: ${typeof options}`;
 
-                // query the database
-                const client = await MongoClient.connect(this._connectionString, { useUnifiedTopology: true });
-                const dbo = client.db(this._database);
-                const results = await dbo.collection(collection).deleteMany(filter, options);
-                client.close();
+                // save the previous version of pages/templates
+                const { author, ...storageOptions } = options;
+                await this._saveRevisions(collection, filter, true, author);
+
+                // query the storage adapter
+                const results = await this._measure('deleteMany', () => this._storage.deleteMany(collection, filter, storageOptions));
+                this._invalidate(collection);
                 resolve(results);
             }
             catch (err) { reject(new Error(err)); }
@@ -388,7 +2173,7 @@ module.exports = class CMS {
      * https://docs.mongodb.com/manual/reference/method/db.collection.deleteOne/
      * @param {string} collection NoSQL collection to search. https://docs.mongodb.com/manual/core/databases-and-collections/#collections
      * @param {object} filter Optional. Specifies selection filter using query operators. To return all documents in a collection, omit this parameter or pass an empty document ({}). https://docs.mongodb.com/manual/reference/operator/query/
-     * @param {object} options Optional. Specifies additional query options such as sort and projection to configure the result set. http://mongodb.github.io/node-mongodb-native/3.6/api/Collection.html#deleteOne
+     * @param {object} options Optional. Specifies additional query options such as sort and projection to configure the result set. Also accepts author, which is recorded with page/template revisions. http://mongodb.github.io/node-mongodb-native/3.6/api/Collection.html#deleteOne
      */
     deleteOne(collection, filter, options) {
         return new Promise(async (resolve, reject) => {
@@ -405,11 +2190,13 @@ module.exports = class CMS {
                 else if (typeof options != 'object')
                     throw `MongoDB options must be JSON: ${typeof options}`;
 
-                // query the database
-                const client = await MongoClient.connect(this._connectionString, { useUnifiedTopology: true });
-                const dbo = client.db(this._database);
-                const results = await dbo.collection(collection).deleteOne(filter, options);
-                client.close();
+                // save the previous version of pages/templates
+                const { author, ...storageOptions } = options;
+                await this._saveRevisions(collection, filter, false, author);
+
+                // query the storage adapter
+                const results = await this._measure('deleteOne', () => this._storage.deleteOne(collection, filter, storageOptions));
+                this._invalidate(collection);
                 resolve(results);
             }
             catch (err) { reject(new Error(err)); }
@@ -438,11 +2225,8 @@ module.exports = class CMS {
                 else if (typeof options != 'object')
                     throw `MongoDB options must be JSON: ${typeof options}`;
 
-                // query the database
-                const client = await MongoClient.connect(this._connectionString, { useUnifiedTopology: true });
-                const dbo = client.db(this._database);
-                const results = await dbo.collection(collection).find(filter, options).toArray();
-                client.close();
+                // query the storage adapter
+                const results = await this._measure('find', () => this._storage.find(collection, filter, options));
                 resolve(results);
             }
             catch (err) { reject(new Error(err)); }
@@ -471,11 +2255,8 @@ module.exports = class CMS {
                 else if (typeof options != 'object')
                     throw `MongoDB options must be JSON: ${typeof options}`;
 
-                // query the database
-                const client = await MongoClient.connect(this._connectionString, { useUnifiedTopology: true });
-                const dbo = client.db(this._database);
-                const results = await dbo.collection(collection).findOne(filter, options);
-                client.close();
+                // query the storage adapter
+                const results = await this._measure('findOne', () => this._storage.findOne(collection, filter, options));
                 resolve(results);
             }
             catch (err) { reject(new Error(err)); }
@@ -502,14 +2283,15 @@ module.exports = class CMS {
                 if (!options)
                     options = {};
 
-                // query the database
-                const client = await MongoClient.connect(this._connectionString, { useUnifiedTopology: true });
-                const dbo = client.db(this._database);
-                const results = await dbo.collection(collection).insertOne(document, options);
-                client.close();
+                // check pages/content types/forms/redirects against their definitions
+                await this._validate(collection, [document]);
+
+                // query the storage adapter
+                const results = await this._measure('insertOne', () => this._storage.insertOne(collection, document, options));
+                this._invalidate(collection);
                 resolve(results);
             }
-            catch (err) { reject(new Error(err)); }
+            catch (err) { reject(err instanceof types.ValidationError ? err : new Error(err)); }
         });
     }
 
@@ -519,7 +2301,7 @@ module.exports = class CMS {
      * @param {string} collection NoSQL collection to search. https://docs.mongodb.com/manual/core/databases-and-collections/#collections
      * @param {object} filter Optional. Specifies selection filter using query operators. To return all documents in a collection, omit this parameter or pass an empty document ({}). https://docs.mongodb.com/manual/reference/operator/query/
      * @param {object} document The replacement JSON document.
-     * @param {object} options Optional. Specifies additional query options.
+     * @param {object} options Optional. Specifies additional query options. Also accepts author, which is recorded with page/template revisions.
      */
     replaceMany(collection, filter, document, options) {
         return new Promise(async (resolve, reject) => {
@@ -538,14 +2320,24 @@ module.exports = class CMS {
                 else if (typeof options != 'object')
                     throw `MongoDB options must be JSON: ${typeof options}`;
 
-                // query the database
-                const client = await MongoClient.connect(this._connectionString, { useUnifiedTopology: true });
-                const dbo = client.db(this._database);
-                const results = await dbo.collection(collection).replaceMany(filter, document, options);
-                client.close();
+                // check pages/content types/forms/redirects against their definitions
+                const { author, ...storageOptions } = options;
+                await this._validateWrite(collection, filter, true, storageOptions.upsert, (current) => Object.assign({ _id: current._id }, document));
+
+                // page URLs before the write, for redirecting the ones it changes
+                const pagesBefore = collection == 'cmsPages' ? (await this.pageIndex()).byId : null;
+
+                // save the previous version of pages/templates
+                await this._saveRevisions(collection, filter, true, author);
+
+                // query the storage adapter
+                const results = await this._measure('replaceMany', () => this._storage.replaceMany(collection, filter, document, storageOptions));
+                this._invalidate(collection);
+                if (pagesBefore)
+                    await this._redirectMovedPages(pagesBefore);
                 resolve(results);
             }
-            catch (err) { reject(new Error(err)); }
+            catch (err) { reject(err instanceof types.ValidationError ? err : new Error(err)); }
         });
     }
 
@@ -555,7 +2347,7 @@ module.exports = class CMS {
      * @param {string} collection NoSQL collection to search. https://docs.mongodb.com/manual/core/databases-and-collections/#collections
      * @param {object} filter Optional. Specifies selection filter using query operators. To return all documents in a collection, omit this parameter or pass an empty document ({}). https://docs.mongodb.com/manual/reference/operator/query/
      * @param {object} document The replacement JSON document.
-     * @param {object} options Optional. Specifies additional query options.
+     * @param {object} options Optional. Specifies additional query options. Also accepts author, which is recorded with page/template revisions.
      */
     replaceOne(collection, filter, document, options) {
         return new Promise(async (resolve, reject) => {
@@ -574,14 +2366,24 @@ module.exports = class CMS {
                 else if (typeof options != 'object')
                     throw `MongoDB options must be JSON: ${typeof options}`;
 
-                // query the database
-                const client = await MongoClient.connect(this._connectionString, { useUnifiedTopology: true });
-                const dbo = client.db(this._database);
-                const results = await dbo.collection(collection).replaceOne(filter, document, options);
-                client.close();
+                // check pages/content types/forms/redirects against their definitions
+                const { author, ...storageOptions } = options;
+                await this._validateWrite(collection, filter, false, storageOptions.upsert, (current) => Object.assign({ _id: current._id }, document));
+
+                // page URLs before the write, for redirecting the ones it changes
+                const pagesBefore = collection == 'cmsPages' ? (await this.pageIndex()).byId : null;
+
+                // save the previous version of pages/templates
+                await this._saveRevisions(collection, filter, false, author);
+
+                // query the storage adapter
+                const results = await this._measure('replaceOne', () => this._storage.replaceOne(collection, filter, document, storageOptions));
+                this._invalidate(collection);
+                if (pagesBefore)
+                    await this._redirectMovedPages(pagesBefore);
                 resolve(results);
             }
-            catch (err) { reject(new Error(err)); }
+            catch (err) { reject(err instanceof types.ValidationError ? err : new Error(err)); }
         });
     }
 
@@ -591,7 +2393,7 @@ module.exports = class CMS {
      * @param {string} collection NoSQL collection to search. https://docs.mongodb.com/manual/core/databases-and-collections/#collections
      * @param {object} filter Optional. Specifies selection filter using query operators. To return all documents in a collection, omit this parameter or pass an empty document ({}). https://docs.mongodb.com/manual/reference/operator/query/
      * @param {object} update The modifications to apply. https://docs.mongodb.com/manual/reference/method/db.collection.updateMany/#update-many-update
-     * @param {object} options Optional. Specifies additional query options such as sort and projection to configure the result set. http://mongodb.github.io/node-mongodb-native/3.6/api/Collection.html#updateMany
+     * @param {object} options Optional. Specifies additional query options such as sort and projection to configure the result set. Also accepts author, which is recorded with page/template revisions. http://mongodb.github.io/node-mongodb-native/3.6/api/Collection.html#updateMany
      */
     updateMany(collection, filter, update, options) {
         return new Promise(async (resolve, reject) => {
@@ -610,14 +2412,27 @@ module.exports = class CMS {
                 else if (typeof options != 'object')
                     throw `MongoDB options must be JSON: ${typeof options}`;
 
-                // query the database
-                const client = await MongoClient.connect(this._connectionString, { useUnifiedTopology: true });
-                const dbo = client.db(this._database);
-                const results = await dbo.collection(collection).updateMany(filter, update, options);
-                client.close();
+                // check pages/content types/forms/redirects against their definitions
+                const { author, ...storageOptions } = options;
+                await this._validateWrite(collection, filter, true, storageOptions.upsert, (current, inserting) => {
+                    query.applyUpdate(current, update, inserting);
+                    return current;
+                });
+
+                // page URLs before the write, for redirecting the ones it changes
+                const pagesBefore = collection == 'cmsPages' ? (await this.pageIndex()).byId : null;
+
+                // save the previous version of pages/templates
+                await this._saveRevisions(collection, filter, true, author);
+
+                // query the storage adapter
+                const results = await this._measure('updateMany', () => this._storage.updateMany(collection, filter, update, storageOptions));
+                this._invalidate(collection);
+                if (pagesBefore)
+                    await this._redirectMovedPages(pagesBefore);
                 resolve(results);
             }
-            catch (err) { reject(new Error(err)); }
+            catch (err) { reject(err instanceof types.ValidationError ? err : new Error(err)); }
         });
     }
 
@@ -627,7 +2442,7 @@ module.exports = class CMS {
      * @param {string} collection NoSQL collection to search. https://docs.mongodb.com/manual/core/databases-and-collections/#collections
      * @param {object} filter Optional. Specifies selection filter using query operators. To return all documents in a collection, omit this parameter or pass an empty document ({}). https://docs.mongodb.com/manual/reference/operator/query/
      * @param {object} update The modifications to apply. https://docs.mongodb.com/manual/reference/method/db.collection.updateOne/#update-one-update
-     * @param {object} options Optional. Specifies additional query options such as sort and projection to configure the result set. http://mongodb.github.io/node-mongodb-native/3.6/api/Collection.html#updateOne
+     * @param {object} options Optional. Specifies additional query options such as sort and projection to configure the result set. Also accepts author, which is recorded with page/template revisions. http://mongodb.github.io/node-mongodb-native/3.6/api/Collection.html#updateOne
      */
     updateOne(collection, filter, update, options) {
         return new Promise(async (resolve, reject) => {
@@ -646,14 +2461,27 @@ module.exports = class CMS {
                 else if (typeof options != 'object')
                     throw `MongoDB options must be JSON: ${typeof options}`;
 
-                // query the database
-                const client = await MongoClient.connect(this._connection, { useUnifiedTopology: true });
-                const dbo = client.db(this._database);
-                const results = await dbo.collection(collection).updateOne(filter, update, options);
-                client.close();
+                // check pages/content types/forms/redirects against their definitions
+                const { author, ...storageOptions } = options;
+                await this._validateWrite(collection, filter, false, storageOptions.upsert, (current, inserting) => {
+                    query.applyUpdate(current, update, inserting);
+                    return current;
+                });
+
+                // page URLs before the write, for redirecting the ones it changes
+                const pagesBefore = collection == 'cmsPages' ? (await this.pageIndex()).byId : null;
+
+                // save the previous version of pages/templates
+                await this._saveRevisions(collection, filter, false, author);
+
+                // query the storage adapter
+                const results = await this._measure('updateOne', () => this._storage.updateOne(collection, filter, update, storageOptions));
+                this._invalidate(collection);
+                if (pagesBefore)
+                    await this._redirectMovedPages(pagesBefore);
                 resolve(results);
             }
-            catch (err) { reject(new Error(err)); }
+            catch (err) { reject(err instanceof types.ValidationError ? err : new Error(err)); }
         });
     }
 }
\ No newline at end of file
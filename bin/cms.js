@@ -0,0 +1,209 @@
+#!/usr/bin/env node
+'use strict';
+const readline = require('readline');  // password prompts
+const CMS = require('../app');  // CMS class
+
+/** command line usage */
+const usage = `Usage: cms <command> [arguments]
+
+Commands:
+  user:create <username> <role> [name]  add a user (roles: admin, editor, author, viewer)
+  user:password <username>              set a user's password
+  user:role <username> <role>           change a user's role
+  user:list                             list users
+  migrate [--force]                     add missing seed content (--force overwrites it)
+  schema:status                         show the schema version and pending migrations
+  schema:migrate [version]              migrate the schema up or down to a version (default: the latest)
+  seed:export [--dry-run] [--prune]     write content to the seed directory (--dry-run only shows the differences,
+                                        --prune deletes seed files of documents that are no longer in the database)
+  site:create <id> <host> [alias ...]   add a site served for the hostname (aliases redirect to it)
+  site:list                             list sites and their hostnames
+
+Passwords are read from CMS_PASSWORD when set, otherwise prompted for. The seed directory is CMS_SEED_DIR when set,
+otherwise the package's seed directory. The migrate, schema and seed commands work on the site named by CMS_SITE when
+set, otherwise on the main site. Only warnings and errors are logged, unless CMS_LOG_LEVEL asks for more.
+
+Storage comes from the environment: CMS_DATA_DIR for JSON files (see CMS.FileStorage), otherwise MongoDB using
+CMS_DB_SERVER (default localhost), CMS_DB_NAME (default cmsDB), CMS_DB_USERNAME, CMS_DB_PASSWORD and CMS_DB_PORT.`;
+
+/**
+ * prompt for a password without echoing it
+ * @param {string} question prompt text
+ * @returns {Promise<string>}
+ */
+function promptPassword(question) {
+    if (process.env.CMS_PASSWORD)
+        return Promise.resolve(process.env.CMS_PASSWORD);
+
+    return new Promise((resolve) => {
+        const prompt = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+        prompt.question(question, (answer) => {
+            prompt.close();
+            process.stdout.write('\n');
+            resolve(answer);
+        });
+
+        // hide what is typed after the question
+        prompt._writeToOutput = (text) => {
+            if (text.includes(question))
+                process.stdout.write(text);
+        };
+    });
+}
+
+/**
+ * print the changed lines of a diff with a few lines of context
+ * @param {object[]} lines diffLines() results
+ */
+function printDiff(lines) {
+    const context = 2;
+    let skipped = false;
+    lines.forEach((line, index) => {
+        const near = lines.slice(Math.max(index - context, 0), index + context + 1).some((other) => other.type != ' ');
+        if (near) {
+            console.log(`    ${line.type} ${line.line}`);
+            skipped = false;
+        }
+        else if (!skipped) {
+            console.log('    ...');
+            skipped = true;
+        }
+    });
+}
+
+/**
+ * run a command
+ * @param {string[]} args command line arguments (without node and the script)
+ * @returns {Promise<number>} exit code
+ */
+async function main(args) {
+    const [command, ...params] = args;
+    if (!command || ['help', '--help', '-h'].includes(command)) {
+        console.log(usage);
+        return command ? 0 : 1;
+    }
+
+    const cms = new CMS(process.env.CMS_DATA_DIR
+        ? new CMS.FileStorage(process.env.CMS_DATA_DIR)
+        : new CMS.MongoDBStorage(process.env.CMS_DB_SERVER || 'localhost', process.env.CMS_DB_NAME || 'cmsDB', process.env.CMS_DB_USERNAME, process.env.CMS_DB_PASSWORD, process.env.CMS_DB_PORT));
+
+    if (process.env.CMS_SEED_DIR)
+        cms.seedDirectory = process.env.CMS_SEED_DIR;
+
+    // keep the command's own output readable, unless a log level is asked for
+    if (!process.env.CMS_LOG_LEVEL)
+        cms.logger.level = 'warn';
+
+    try {
+        await cms.ready();
+        const site = process.env.CMS_SITE ? await cms.siteInstance(process.env.CMS_SITE) : cms;
+
+        switch (command) {
+            case 'user:create': {
+                const [username, role, name] = params;
+                if (!username || !role)
+                    throw 'user:create needs a username and role';
+
+                const password = await promptPassword(`Password for ${username}: `);
+                const user = await cms.createUser(username, password, role, name);
+                console.log(`Created ${user.role} ${user._id}`);
+                break;
+            }
+
+            case 'user:password': {
+                const [username] = params;
+                if (!username)
+                    throw 'user:password needs a username';
+
+                await cms.updateUser(username, { password: await promptPassword(`New password for ${username}: `) });
+                console.log(`Changed the password of ${username}`);
+                break;
+            }
+
+            case 'user:role': {
+                const [username, role] = params;
+                if (!username || !role)
+                    throw 'user:role needs a username and role';
+
+                await cms.updateUser(username, { role: role });
+                console.log(`${username} is now ${role == 'admin' ? 'an' : 'a'} ${role}`);
+                break;
+            }
+
+            case 'user:list':
+                for (const user of await cms.find('cmsUsers', {}, { sort: { _id: 1 }, projection: { password: 0 } }))
+                    console.log(`${user._id}\t${user.role}\t${user.name || ''}`);
+                break;
+
+            case 'migrate':
+                await site.migrate(params.includes('--force'));
+                console.log('Migration complete');
+                break;
+
+            case 'schema:status': {
+                const status = await site.migrationStatus();
+                console.log(`Schema version ${status.version} of ${status.latest}`);
+                for (const migration of status.applied)
+                    console.log(`  applied  ${migration.version}-${migration.name}`);
+                for (const migration of status.pending)
+                    console.log(`  pending  ${migration.version}-${migration.name}: ${migration.description}`);
+                if (status.lock)
+                    console.log(`Locked by ${status.lock.owner} until ${status.lock.expires.toISOString()}`);
+                break;
+            }
+
+            case 'schema:migrate': {
+                const results = await site.migrateSchema(params[0]);
+                for (const result of results)
+                    console.log(`${result.direction.padEnd(4)} ${result.version}-${result.name}`);
+                console.log(results.length ? `Schema version ${(await site.migrationStatus()).version}` : 'Schema already at that version');
+                break;
+            }
+
+            case 'seed:export': {
+                const dryRun = params.includes('--dry-run');
+                const results = await site.exportSeed({ dryRun: dryRun, prune: params.includes('--prune') });
+                const differences = results.filter((result) => result.status != 'unchanged');
+
+                for (const result of differences) {
+                    console.log(`${result.status.padEnd(8)} ${result.collection}.${result.id}`);
+                    if (dryRun)
+                        for (const [name, lines] of Object.entries(result.diff)) {
+                            console.log(`  ${name}`);
+                            printDiff(lines);
+                        }
+                }
+                console.log(`${differences.length} of ${results.length} documents differ from ${site.seedDirectory}${dryRun ? ' (nothing written)' : ''}`);
+                break;
+            }
+
+            case 'site:create': {
+                const [id, hostname, ...aliases] = params;
+                if (!id || !hostname)
+                    throw 'site:create needs an ID and hostname';
+
+                await cms.saveSite({ _id: id, hostnames: [hostname], aliases: aliases });
+                await cms.siteInstance(id);
+                console.log(`Created site ${id} at ${hostname}`);
+                break;
+            }
+
+            case 'site:list':
+                for (const listed of await cms.find('cmsSites', {}, { sort: { _id: 1 } }))
+                    console.log(`${listed._id}\t${(listed.hostnames || []).join(', ')}${listed.aliases && listed.aliases.length ? `\t(aliases: ${listed.aliases.join(', ')})` : ''}`);
+                break;
+
+            default:
+                throw `Unknown command: ${command}\n\n${usage}`;
+        }
+
+        return 0;
+    }
+    catch (err) {
+        console.error(err.message || err);
+        return 1;
+    }
+    finally { await cms.close(); }
+}
+
+main(process.argv.slice(2)).then((code) => { process.exitCode = code; });
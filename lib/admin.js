@@ -0,0 +1,1688 @@
+'use strict';
+const express = require('express');  // web server
+const bs = require('@legendarymediatv/bootstrap');  // Bootstrap functionality
+const htmlEscaper = require('html-escaper');  // escape/unescape HTML entities
+const crypto = require('crypto');  // redirect rule IDs
+const timezone = require('./timezone');  // wall-clock times in the settings timezone
+const Menus = require('./menus');  // navigation menus
+const { pageIdPattern, errorPagePattern, pageStatuses, isDescendant, pathError } = require('./pages');  // page ID/path validation
+const auth = require('./auth');  // users, sessions and permissions
+const media = require('./media');  // media library
+const locales = require('./locales');  // multilingual pages
+const types = require('./types');  // content types
+const forms = require('./forms');  // forms and their submissions
+const redirects = require('./redirects');  // redirect rules for old URLs
+
+/** URL prefix the admin area is mounted on */
+const adminRoot = '/cms/admin';
+
+/** URL prefix of the JSON API, which takes media uploads */
+const apiRoot = '/cms/api/v1';
+
+/** plain-text page fields editable through the admin area */
+const pageFields = ['title', 'tagline', 'description', 'excerpt'];
+
+/** publishing window fields, stored as wall-clock times in the settings timezone */
+const pageSchedule = { publish: 'Publish at', unpublish: 'Unpublish at' };
+
+/** source fields of a template, in evaluation order */
+const templateSections = ['header', 'body', 'footer'];
+
+/** submissions listed on a form's submissions page (the CSV export has them all) */
+const submissionsShown = 200;
+
+/** collections with revision history, by admin URL segment */
+const revisionCollections = { pages: 'cmsPages', templates: 'cmsTemplates', blocks: 'cmsBlocks' };
+
+/**
+ * build the admin area router, which edits pages, templates, blocks, menus, content types, forms and redirects in the browser for logged-in users
+ * @param {CMS} cms CMS instance
+ * @returns {express.Router}
+ */
+module.exports = function admin(cms) {
+    const router = express.Router();
+
+    // only continue when the user's role grants the permission
+    const permit = (permission) => (req, res, next) => cms.can(req.user, permission) ? next() : forbidden(cms, req, res, permission);
+
+    // login form
+    router.get('/login', (req, res) => {
+        res.send(loginPage(cms, req, req.query.next, req.query.notice).toString());
+    });
+
+    // log in
+    router.post('/login', async (req, res, next) => {
+        try {
+            const error = await auth.logIn(cms, req, res, req.body.username, req.body.password);
+            if (error)
+                return res.status(401).send(loginPage(cms, req, req.body.next, error).toString());
+
+            // only return to admin pages
+            const returnTo = String(req.body.next || '');
+            res.redirect(returnTo.startsWith(`${adminRoot}/`) && !returnTo.startsWith('//') ? returnTo : `${adminRoot}/`);
+        }
+        catch (err) { next(err); }
+    });
+
+    // everything else needs a logged-in user, and changes need the session's CSRF token
+    router.use((req, res, next) => {
+        if (!req.user)
+            return res.redirect(`${adminRoot}/login?next=${encodeURIComponent(req.method == 'GET' ? req.originalUrl : `${adminRoot}/`)}`);
+        if (!cms.can(req.user, 'read'))
+            return forbidden(cms, req, res, 'read');
+        if (!auth.verifyCsrf(req)) {
+            const output = adminPage(cms, req, 'Form expired', null);
+            output.paragraph('This form is out of date, go back, reload the page and try again.');
+            return res.status(403).send(output.toString());
+        }
+
+        next();
+    });
+
+    // log out
+    router.post('/logout', async (req, res, next) => {
+        try {
+            await auth.logOut(cms, req, res);
+            res.redirect(`${adminRoot}/login?notice=${encodeURIComponent('Logged out')}`);
+        }
+        catch (err) { next(err); }
+    });
+
+    // dashboard: list pages, templates, blocks and menus
+    router.get('/', async (req, res, next) => {
+        try {
+            const pages = await cms.find('cmsPages', {}, { sort: { _id: 1 } });
+            const templates = await cms.find('cmsTemplates', {}, { sort: { _id: 1 } });
+            const blocks = await cms.find('cmsBlocks', {}, { sort: { _id: 1 } });
+            const menus = await cms.find('cmsMenus', {}, { sort: { _id: 1 } });
+            const contentTypes = await cms.find('cmsTypes', {}, { sort: { _id: 1 } });
+            const contentForms = await cms.find('cmsForms', {}, { sort: { _id: 1 } });
+            const index = await cms.pageIndex();
+            const output = adminPage(cms, req, 'CMS Admin', req.query.notice);
+
+            output.heading2('Pages');
+            output.add(table(['Page', 'Title', 'Type', 'Status', 'URL', 'Template', 'Updated'], pages.map((page) => [
+                link(`${adminRoot}/pages/${encodeURIComponent(page._id)}`, page._id),
+                escape(page.title),
+                escape(page.type || types.defaultType),
+                escape(page.status || 'published') + (cms.isPublished(page) ? '' : ' <span class="badge badge-secondary">hidden</span>'),
+                index.byId.get(page._id).url ? link(index.byId.get(page._id).url, index.byId.get(page._id).url)
+                    : errorPagePattern.test(page._id) ? '<span class="text-muted">error page</span>' : '<span class="text-danger">parent cycle</span>',
+                escape(page.template),
+                escape(formatDate(page.updated))
+            ])));
+
+            // new page form
+            if (cms.can(req.user, 'pages.edit'))
+                output.add(form(req, `${adminRoot}/pages`, [
+                    '<div class="form-row align-items-end">',
+                    `<div class="col-sm">${textField('_id', 'New page ID', '', { required: true, pattern: pageIdPattern.source })}</div>`,
+                    `<div class="col-sm">${selectField('parent', 'Parent', parentOptions(index), 'home')}</div>`,
+                    `<div class="col-sm">${selectField('template', 'Template', templates.map((template) => template._id), cms.defaultTemplate)}</div>`,
+                    '<div class="col-sm-auto form-group"><button type="submit" class="btn btn-success">Create page</button></div>',
+                    '</div>'
+                ].join('')));
+
+            output.heading2('Templates');
+            output.add(table(['Template', 'Extends', 'Updated'], templates.map((template) => [
+                link(`${adminRoot}/templates/${encodeURIComponent(template._id)}`, template._id),
+                escape(template.parent),
+                escape(formatDate(template.updated))
+            ])));
+
+            output.heading2('Blocks');
+            output.add(table(['Block', 'Description', 'Updated'], blocks.map((block) => [
+                link(`${adminRoot}/blocks/${encodeURIComponent(block._id)}`, block._id),
+                escape(block.description),
+                escape(formatDate(block.updated))
+            ])));
+
+            // new block form
+            if (cms.can(req.user, 'templates'))
+                output.add(form(req, `${adminRoot}/blocks`, [
+                    '<div class="form-row align-items-end">',
+                    `<div class="col-sm">${textField('_id', 'New block ID', '', { required: true, pattern: pageIdPattern.source })}</div>`,
+                    '<div class="col-sm-auto form-group"><button type="submit" class="btn btn-success">Create block</button></div>',
+                    '</div>'
+                ].join('')));
+
+            output.heading2('Menus');
+            output.add(table(['Menu', 'Items', 'Updated'], menus.map((menu) => [
+                link(`${adminRoot}/menus/${encodeURIComponent(menu._id)}`, menu._id),
+                escape(Array.isArray(menu.items) ? menu.items.length : 0),
+                escape(formatDate(menu.updated))
+            ])));
+
+            // new menu form
+            if (cms.can(req.user, 'menus'))
+                output.add(form(req, `${adminRoot}/menus`, [
+                    '<div class="form-row align-items-end">',
+                    `<div class="col-sm">${textField('_id', 'New menu ID', '', { required: true, pattern: pageIdPattern.source })}</div>`,
+                    '<div class="col-sm-auto form-group"><button type="submit" class="btn btn-success">Create menu</button></div>',
+                    '</div>'
+                ].join('')));
+
+            output.heading2('Content types');
+            output.add(table(['Type', 'Name', 'Fields', 'Updated'], contentTypes.map((type) => [
+                link(`${adminRoot}/types/${encodeURIComponent(type._id)}`, type._id),
+                escape(type.name),
+                escape(Object.keys(type.fields || {}).join(', ')),
+                escape(formatDate(type.updated))
+            ])));
+
+            // new content type form
+            if (cms.can(req.user, 'templates'))
+                output.add(form(req, `${adminRoot}/types`, [
+                    '<div class="form-row align-items-end">',
+                    `<div class="col-sm">${textField('_id', 'New content type ID', '', { required: true, pattern: pageIdPattern.source })}</div>`,
+                    '<div class="col-sm-auto form-group"><button type="submit" class="btn btn-success">Create content type</button></div>',
+                    '</div>'
+                ].join('')));
+
+            output.heading2('Forms');
+            const submissionCounts = await Promise.all(contentForms.map((contentForm) => cms.countDocuments('cmsSubmissions', { form: contentForm._id })));
+            output.add(table(['Form', 'Title', 'Fields', 'Submissions', 'Updated'], contentForms.map((contentForm, formIndex) => [
+                link(`${adminRoot}/forms/${encodeURIComponent(contentForm._id)}`, contentForm._id),
+                escape(contentForm.title),
+                escape(Object.keys(contentForm.fields || {}).join(', ')),
+                cms.can(req.user, 'forms') ? link(`${adminRoot}/forms/${encodeURIComponent(contentForm._id)}/submissions`, submissionCounts[formIndex]) : escape(submissionCounts[formIndex]),
+                escape(formatDate(contentForm.updated))
+            ])));
+
+            // new form form
+            if (cms.can(req.user, 'forms'))
+                output.add(form(req, `${adminRoot}/forms`, [
+                    '<div class="form-row align-items-end">',
+                    `<div class="col-sm">${textField('_id', 'New form ID', '', { required: true, pattern: pageIdPattern.source })}</div>`,
+                    '<div class="col-sm-auto form-group"><button type="submit" class="btn btn-success">Create form</button></div>',
+                    '</div>'
+                ].join('')));
+
+            // add missing seed content and run pending schema migrations
+            if (cms.can(req.user, 'migrate')) {
+                const status = await cms.migrationStatus();
+                output.heading2('Maintenance');
+                const pending = status.pending.map((migration) => `${migration.version}-${migration.name}`);
+                output.paragraph(escape(`Schema version ${status.version}${pending.length ? `, pending migrations: ${pending.join(', ')}` : ' (up to date)'}`));
+                output.add(form(req, `${adminRoot}/migrate`, '<button type="submit" class="btn btn-outline-secondary">Run migration</button>'));
+            }
+
+            res.send(output.toString());
+        }
+        catch (err) { next(err); }
+    });
+
+    // create a page (as a draft)
+    router.post('/pages', permit('pages.edit'), async (req, res, next) => {
+        try {
+            const id = (req.body._id || '').trim().toLowerCase();
+            if (!pageIdPattern.test(id))
+                return res.redirect(`${adminRoot}/?notice=${encodeURIComponent(`Invalid page ID: ${id}`)}`);
+            if (await cms.findOne('cmsPages', { _id: id }))
+                return res.redirect(`${adminRoot}/?notice=${encodeURIComponent(`Page already exists: ${id}`)}`);
+            if (!await cms.findOne('cmsTemplates', { _id: req.body.template }))
+                return res.redirect(`${adminRoot}/?notice=${encodeURIComponent(`Unknown template: ${req.body.template}`)}`);
+            const invalidPath = pathError(await cms.pageIndex(), id, id, req.body.parent || null);
+            if (invalidPath)
+                return res.redirect(`${adminRoot}/?notice=${encodeURIComponent(invalidPath)}`);
+
+            const now = new Date();
+            await cms.insertOne('cmsPages', { _id: id, parent: req.body.parent || null, template: req.body.template, status: 'draft', title: id, body: '', created: now, updated: now });
+            cms.log(`Admin created cmsPages.${id}`);
+
+            res.redirect(`${adminRoot}/pages/${encodeURIComponent(id)}`);
+        }
+        catch (err) {
+            if (!(err instanceof types.ValidationError))
+                return next(err);
+
+            res.redirect(`${adminRoot}/?notice=${encodeURIComponent(err.message)}`);
+        }
+    });
+
+    // page editor
+    router.get('/pages/:id', async (req, res, next) => {
+        try {
+            const page = await cms.findOne('cmsPages', { _id: req.params.id });
+            if (!page)
+                return next();
+            const templates = await cms.find('cmsTemplates', {}, { sort: { _id: 1 } });
+            const contentTypes = await cms.find('cmsTypes', {}, { sort: { _id: 1 } });
+            const index = await cms.pageIndex();
+            const output = adminPage(cms, req, `Page: ${page._id}`, req.query.notice);
+            output.paragraph((index.byId.get(page._id).url ? link(index.byId.get(page._id).url, 'View page') + ' | ' : '')
+                + link(`${adminRoot}/pages/${encodeURIComponent(page._id)}/revisions`, 'History'));
+
+            // visible pages can only be changed by users who can publish
+            if (!cms.can(req.user, auth.pagePermission(page, page)))
+                output.alert('Your role can only change pages that aren\'t visible to visitors.', { theme: 'info' });
+
+            // signed link for sharing pages visitors can't see yet
+            if (!cms.isPublished(page) && index.byId.get(page._id).url)
+                output.alert(`This page is not visible to visitors. ${link(await cms.previewUrl(page._id), 'Preview link')} (valid for 7 days)`, { theme: 'warning' });
+
+            output.add(form(req, `${adminRoot}/pages/${encodeURIComponent(page._id)}`, [
+                // the home page is always the root URL
+                page._id != 'home' ? '<div class="form-row">'
+                    + `<div class="col-sm">${textField('slug', 'Slug (defaults to the page ID)', page.slug, { pattern: pageIdPattern.source })}</div>`
+                    + `<div class="col-sm">${selectField('parent', 'Parent', parentOptions(index, page._id), page.parent || 'home')}</div>`
+                    + '</div>' : '',
+                '<div class="form-row">'
+                    + `<div class="col-sm">${selectField('template', 'Template', templates.map((template) => template._id), page.template)}</div>`
+                    + (contentTypes.length ? `<div class="col-sm">${selectField('type', 'Content type', typeOptions(contentTypes, page.type), page.type || types.defaultType)}</div>` : '')
+                    + '</div>',
+                '<div class="form-row">'
+                    + `<div class="col-sm">${selectField('status', 'Status', pageStatuses, page.status || 'published')}</div>`
+                    + Object.entries(pageSchedule).map(([field, label]) => `<div class="col-sm">${textField(field, `${label} (${cms.timezone()})`, scheduleValue(cms, page[field]), { type: 'datetime-local' })}</div>`).join('')
+                    + '</div>',
+                ...pageFields.map((field) => textField(field, capitalize(field), page[field])),
+                ...contentTypes.map((type) => typeFieldset(cms, index, type, page, type._id == (page.type || types.defaultType))),
+                sourceField('body', 'Body', page.body),
+                // the page in the site's other locales
+                ...translationLocales(cms).map((locale) => {
+                    const translation = (page.translations && page.translations[locale]) || {};
+                    return `<fieldset class="border rounded px-3 mb-3"><legend class="w-auto px-2 h6">Translation: ${escape(locale)}</legend>`
+                        + pageFields.map((field) => textField(`translations[${locale}][${field}]`, capitalize(field), translation[field])).join('')
+                        + sourceField(`translations[${locale}][body]`, 'Body (leave empty to show the page body)', translation.body)
+                        + '</fieldset>';
+                }),
+                '<button type="submit" class="btn btn-primary">Save</button>'
+            ].join('')));
+
+            // deleting the home page would leave the site without a fallback
+            if (page._id != 'home')
+                output.add(form(req, `${adminRoot}/pages/${encodeURIComponent(page._id)}/delete`,
+                    '<button type="submit" class="btn btn-outline-danger mt-3" onclick="return confirm(\'Delete this page?\')">Delete page</button>'
+                ));
+
+            // only the selected content type's fields are shown (and submitted)
+            if (contentTypes.length)
+                output.add(`<script>
+(function () {
+    var select = document.getElementById('cms-type');
+    select.addEventListener('change', function () {
+        document.querySelectorAll('fieldset[data-type]').forEach(function (fieldset) {
+            fieldset.hidden = fieldset.disabled = fieldset.dataset.type != select.value;
+        });
+    });
+})();
+</script>`);
+
+            aceEditor(cms, output);
+            res.send(output.toString());
+        }
+        catch (err) { next(err); }
+    });
+
+    // save a page
+    router.post('/pages/:id', permit('pages.edit'), async (req, res, next) => {
+        try {
+            const page = await cms.findOne('cmsPages', { _id: req.params.id });
+            if (!page)
+                return next();
+
+            if (!await cms.findOne('cmsTemplates', { _id: req.body.template }))
+                return res.redirect(`${adminRoot}/pages/${encodeURIComponent(req.params.id)}?notice=${encodeURIComponent(`Unknown template: ${req.body.template}`)}`);
+
+            if (!pageStatuses.includes(req.body.status))
+                return res.redirect(`${adminRoot}/pages/${encodeURIComponent(req.params.id)}?notice=${encodeURIComponent(`Unknown status: ${req.body.status}`)}`);
+
+            const update = { template: req.body.template, status: req.body.status, body: req.body.body || '', updated: new Date() };
+            for (const field of pageFields)
+                update[field] = req.body[field] ? req.body[field] : null;
+            for (const field of Object.keys(pageSchedule))
+                update[field] = req.body[field] ? req.body[field] : null;
+
+            // fields of the selected content type
+            if (req.body.type !== undefined)
+                update.type = req.body.type || null;
+            const type = await cms.findOne('cmsTypes', { _id: (req.body.type !== undefined ? update.type : page.type) || types.defaultType });
+            for (const [name, field] of typeFields(type))
+                update[name] = typeValue(field, req.body.fields && req.body.fields[name]);
+
+            // translations of the enabled locales (a locale left empty isn't translated), keeping any others
+            const otherLocales = translationLocales(cms);
+            if (otherLocales.length) {
+                const translations = Object.assign({}, page.translations);
+                for (const locale of otherLocales) {
+                    const fields = (req.body.translations && req.body.translations[locale]) || {};
+                    const translation = {};
+                    for (const field of pageFields.concat('body'))
+                        if (typeof fields[field] == 'string' && fields[field])
+                            translation[field] = fields[field];
+
+                    if (Object.keys(translation).length)
+                        translations[locale] = translation;
+                    else
+                        delete translations[locale];
+                }
+                update.translations = Object.keys(translations).length ? translations : null;
+            }
+
+            // the home page is always the root URL
+            if (req.params.id != 'home') {
+                update.slug = (req.body.slug || '').trim().toLowerCase() || null;
+                update.parent = req.body.parent || null;
+
+                const invalidPath = pathError(await cms.pageIndex(), req.params.id, update.slug || req.params.id, update.parent);
+                if (invalidPath)
+                    return res.redirect(`${adminRoot}/pages/${encodeURIComponent(req.params.id)}?notice=${encodeURIComponent(invalidPath)}`);
+            }
+
+            // publishing, or changing a visible page, takes more than editing
+            const permission = auth.pagePermission(page, Object.assign({}, page, update));
+            if (!cms.can(req.user, permission))
+                return forbidden(cms, req, res, permission);
+
+            await cms.updateOne('cmsPages', { _id: req.params.id }, { $set: update }, { author: req.user._id });
+            cms.log(`Admin updated cmsPages.${req.params.id}`);
+
+            res.redirect(`${adminRoot}/pages/${encodeURIComponent(req.params.id)}?notice=Saved`);
+        }
+        catch (err) {
+            if (!(err instanceof types.ValidationError))
+                return next(err);
+
+            res.redirect(`${adminRoot}/pages/${encodeURIComponent(req.params.id)}?notice=${encodeURIComponent(err.message)}`);
+        }
+    });
+
+    // delete a page
+    router.post('/pages/:id/delete', permit('pages.publish'), async (req, res, next) => {
+        try {
+            if (req.params.id == 'home')
+                return res.redirect(`${adminRoot}/pages/home?notice=${encodeURIComponent('The home page cannot be deleted')}`);
+            if (await cms.findOne('cmsPages', { parent: req.params.id }))
+                return res.redirect(`${adminRoot}/pages/${encodeURIComponent(req.params.id)}?notice=${encodeURIComponent('Move or delete the child pages first')}`);
+
+            await cms.deleteOne('cmsPages', { _id: req.params.id }, { author: req.user._id });
+            cms.log(`Admin deleted cmsPages.${req.params.id}`);
+
+            res.redirect(`${adminRoot}/?notice=${encodeURIComponent(`Deleted page: ${req.params.id}`)}`);
+        }
+        catch (err) { next(err); }
+    });
+
+    // template editor
+    router.get('/templates/:id', async (req, res, next) => {
+        try {
+            const template = await cms.findOne('cmsTemplates', { _id: req.params.id });
+            if (!template)
+                return next();
+            const templates = await cms.find('cmsTemplates', { _id: { $ne: template._id } }, { sort: { _id: 1 }, projection: { _id: 1 } });
+            const output = adminPage(cms, req, `Template: ${template._id}`, req.query.notice);
+            output.paragraph(link(`${adminRoot}/templates/${encodeURIComponent(template._id)}/revisions`, 'History'));
+
+            output.add(form(req, `${adminRoot}/templates/${encodeURIComponent(template._id)}`, [
+                // empty sections are inherited from the parent template, and await parent() runs its version of a section
+                selectField('parent', 'Extends', [['', '(nothing)'], ...templates.map((parent) => parent._id)], template.parent || ''),
+                ...templateSections.map((section) => sourceField(section, capitalize(section), template[section])),
+                '<button type="submit" class="btn btn-primary">Save</button>'
+            ].join('')));
+
+            aceEditor(cms, output);
+            res.send(output.toString());
+        }
+        catch (err) { next(err); }
+    });
+
+    // save a template
+    router.post('/templates/:id', permit('templates'), async (req, res, next) => {
+        try {
+            const template = await cms.findOne('cmsTemplates', { _id: req.params.id });
+            if (!template)
+                return next();
+
+            for (const section of templateSections)
+                template[section] = req.body[section] ? req.body[section] : null;
+            template.parent = req.body.parent || null;
+            template.updated = new Date();
+
+            // the parent must exist and can't extend this template
+            if (template.parent)
+                try { await cms.templateChain(template); }
+                catch (err) { return res.redirect(`${adminRoot}/templates/${encodeURIComponent(template._id)}?notice=${encodeURIComponent(err.message)}`); }
+
+            await cms.replaceOne('cmsTemplates', { _id: template._id }, template, { author: req.user._id });
+            cms.log(`Admin updated cmsTemplates.${template._id}`);
+
+            res.redirect(`${adminRoot}/templates/${encodeURIComponent(template._id)}?notice=Saved`);
+        }
+        catch (err) { next(err); }
+    });
+
+    // create a block
+    router.post('/blocks', permit('templates'), async (req, res, next) => {
+        try {
+            const id = (req.body._id || '').trim().toLowerCase();
+            if (!pageIdPattern.test(id))
+                return res.redirect(`${adminRoot}/?notice=${encodeURIComponent(`Invalid block ID: ${id}`)}`);
+            if (await cms.findOne('cmsBlocks', { _id: id }))
+                return res.redirect(`${adminRoot}/?notice=${encodeURIComponent(`Block already exists: ${id}`)}`);
+
+            const now = new Date();
+            await cms.insertOne('cmsBlocks', { _id: id, description: null, body: '', created: now, updated: now });
+            cms.log(`Admin created cmsBlocks.${id}`);
+
+            res.redirect(`${adminRoot}/blocks/${encodeURIComponent(id)}`);
+        }
+        catch (err) { next(err); }
+    });
+
+    // block editor
+    router.get('/blocks/:id', async (req, res, next) => {
+        try {
+            const block = await cms.findOne('cmsBlocks', { _id: req.params.id });
+            if (!block)
+                return next();
+            const output = adminPage(cms, req, `Block: ${block._id}`, req.query.notice);
+            output.paragraph(link(`${adminRoot}/blocks/${encodeURIComponent(block._id)}/revisions`, 'History'));
+            output.paragraph(`Include it from page/template source with <code>await block(${escape(JSON.stringify(block._id))}, params)</code>.`, { textTheme: 'muted' });
+
+            output.add(form(req, `${adminRoot}/blocks/${encodeURIComponent(block._id)}`, [
+                textField('description', 'Description', block.description),
+                sourceField('body', 'Body', block.body),
+                '<button type="submit" class="btn btn-primary">Save</button>'
+            ].join('')));
+
+            output.add(form(req, `${adminRoot}/blocks/${encodeURIComponent(block._id)}/delete`,
+                '<button type="submit" class="btn btn-outline-danger mt-3" onclick="return confirm(\'Delete this block? Source that includes it will show an error.\')">Delete block</button>'
+            ));
+
+            aceEditor(cms, output);
+            res.send(output.toString());
+        }
+        catch (err) { next(err); }
+    });
+
+    // save a block
+    router.post('/blocks/:id', permit('templates'), async (req, res, next) => {
+        try {
+            const block = await cms.findOne('cmsBlocks', { _id: req.params.id });
+            if (!block)
+                return next();
+
+            block.description = req.body.description ? req.body.description : null;
+            block.body = req.body.body || '';
+            block.updated = new Date();
+
+            await cms.replaceOne('cmsBlocks', { _id: block._id }, block, { author: req.user._id });
+            cms.log(`Admin updated cmsBlocks.${block._id}`);
+
+            res.redirect(`${adminRoot}/blocks/${encodeURIComponent(block._id)}?notice=Saved`);
+        }
+        catch (err) { next(err); }
+    });
+
+    // delete a block
+    router.post('/blocks/:id/delete', permit('templates'), async (req, res, next) => {
+        try {
+            await cms.deleteOne('cmsBlocks', { _id: req.params.id }, { author: req.user._id });
+            cms.log(`Admin deleted cmsBlocks.${req.params.id}`);
+
+            res.redirect(`${adminRoot}/?notice=${encodeURIComponent(`Deleted block: ${req.params.id}`)}`);
+        }
+        catch (err) { next(err); }
+    });
+
+    // create a menu
+    router.post('/menus', permit('menus'), async (req, res, next) => {
+        try {
+            const id = (req.body._id || '').trim().toLowerCase();
+            if (!pageIdPattern.test(id))
+                return res.redirect(`${adminRoot}/?notice=${encodeURIComponent(`Invalid menu ID: ${id}`)}`);
+            if (await cms.findOne('cmsMenus', { _id: id }))
+                return res.redirect(`${adminRoot}/?notice=${encodeURIComponent(`Menu already exists: ${id}`)}`);
+
+            await cms.insertOne('cmsMenus', { _id: id, items: [], updated: new Date() });
+            cms.log(`Admin created cmsMenus.${id}`);
+
+            res.redirect(`${adminRoot}/menus/${encodeURIComponent(id)}`);
+        }
+        catch (err) { next(err); }
+    });
+
+    // menu editor
+    router.get('/menus/:id', async (req, res, next) => {
+        try {
+            const menu = await cms.findOne('cmsMenus', { _id: req.params.id });
+            if (!menu)
+                return next();
+
+            res.send(menuEditor(cms, req, menu, JSON.stringify(menu.items, null, 4), req.query.notice).toString());
+        }
+        catch (err) { next(err); }
+    });
+
+    // save a menu
+    router.post('/menus/:id', permit('menus'), async (req, res, next) => {
+        try {
+            const menu = await cms.findOne('cmsMenus', { _id: req.params.id });
+            if (!menu)
+                return next();
+
+            // show the submitted items again when they can't be saved
+            let error;
+            try {
+                menu.items = JSON.parse(req.body.items || '[]');
+                error = Menus.validate(menu);
+            }
+            catch (err) { error = `Invalid JSON: ${err.message}`; }
+            if (error)
+                return res.status(400).send(menuEditor(cms, req, menu, req.body.items, error).toString());
+
+            menu.updated = new Date();
+            await cms.replaceOne('cmsMenus', { _id: menu._id }, menu);
+            cms.log(`Admin updated cmsMenus.${menu._id}`);
+
+            res.redirect(`${adminRoot}/menus/${encodeURIComponent(menu._id)}?notice=Saved`);
+        }
+        catch (err) { next(err); }
+    });
+
+    // delete a menu
+    router.post('/menus/:id/delete', permit('menus'), async (req, res, next) => {
+        try {
+            await cms.deleteOne('cmsMenus', { _id: req.params.id });
+            cms.log(`Admin deleted cmsMenus.${req.params.id}`);
+
+            res.redirect(`${adminRoot}/?notice=${encodeURIComponent(`Deleted menu: ${req.params.id}`)}`);
+        }
+        catch (err) { next(err); }
+    });
+
+    // create a content type
+    router.post('/types', permit('templates'), async (req, res, next) => {
+        try {
+            const id = (req.body._id || '').trim().toLowerCase();
+            if (!pageIdPattern.test(id))
+                return res.redirect(`${adminRoot}/?notice=${encodeURIComponent(`Invalid content type ID: ${id}`)}`);
+            if (await cms.findOne('cmsTypes', { _id: id }))
+                return res.redirect(`${adminRoot}/?notice=${encodeURIComponent(`Content type already exists: ${id}`)}`);
+
+            await cms.insertOne('cmsTypes', { _id: id, name: null, fields: {}, updated: new Date() });
+            cms.log(`Admin created cmsTypes.${id}`);
+
+            res.redirect(`${adminRoot}/types/${encodeURIComponent(id)}`);
+        }
+        catch (err) { next(err); }
+    });
+
+    // content type editor
+    router.get('/types/:id', async (req, res, next) => {
+        try {
+            const type = await cms.findOne('cmsTypes', { _id: req.params.id });
+            if (!type)
+                return next();
+
+            res.send(typeEditor(cms, req, type, JSON.stringify(type.fields, null, 4), req.query.notice).toString());
+        }
+        catch (err) { next(err); }
+    });
+
+    // save a content type
+    router.post('/types/:id', permit('templates'), async (req, res, next) => {
+        try {
+            const type = await cms.findOne('cmsTypes', { _id: req.params.id });
+            if (!type)
+                return next();
+
+            // show the submitted fields again when they can't be saved
+            type.name = req.body.name ? req.body.name : null;
+            type.updated = new Date();
+            try {
+                type.fields = JSON.parse(req.body.fields || '{}');
+                await cms.replaceOne('cmsTypes', { _id: type._id }, type);
+            }
+            catch (err) {
+                if (!(err instanceof types.ValidationError) && !(err instanceof SyntaxError))
+                    throw err;
+
+                return res.status(400).send(typeEditor(cms, req, type, req.body.fields, err instanceof SyntaxError ? `Invalid JSON: ${err.message}` : err.message).toString());
+            }
+            cms.log(`Admin updated cmsTypes.${type._id}`);
+
+            res.redirect(`${adminRoot}/types/${encodeURIComponent(type._id)}?notice=Saved`);
+        }
+        catch (err) { next(err); }
+    });
+
+    // delete a content type
+    router.post('/types/:id/delete', permit('templates'), async (req, res, next) => {
+        try {
+            if (await cms.findOne('cmsPages', { type: req.params.id }, { projection: { _id: 1 } }))
+                return res.redirect(`${adminRoot}/types/${encodeURIComponent(req.params.id)}?notice=${encodeURIComponent('Change the type of its pages first')}`);
+
+            await cms.deleteOne('cmsTypes', { _id: req.params.id });
+            cms.log(`Admin deleted cmsTypes.${req.params.id}`);
+
+            res.redirect(`${adminRoot}/?notice=${encodeURIComponent(`Deleted content type: ${req.params.id}`)}`);
+        }
+        catch (err) { next(err); }
+    });
+
+    // create a form (starting as a contact form)
+    router.post('/forms', permit('forms'), async (req, res, next) => {
+        try {
+            const id = (req.body._id || '').trim().toLowerCase();
+            if (!pageIdPattern.test(id))
+                return res.redirect(`${adminRoot}/?notice=${encodeURIComponent(`Invalid form ID: ${id}`)}`);
+            if (await cms.findOne('cmsForms', { _id: id }))
+                return res.redirect(`${adminRoot}/?notice=${encodeURIComponent(`Form already exists: ${id}`)}`);
+
+            await cms.insertOne('cmsForms', {
+                _id: id,
+                title: null,
+                fields: {
+                    name: { type: 'text', required: true, maxLength: 100 },
+                    email: { type: 'email', required: true },
+                    message: { type: 'textarea', required: true, maxLength: 5000 }
+                },
+                submit: null,
+                success: null,
+                updated: new Date()
+            });
+            cms.log(`Admin created cmsForms.${id}`);
+
+            res.redirect(`${adminRoot}/forms/${encodeURIComponent(id)}`);
+        }
+        catch (err) { next(err); }
+    });
+
+    // form editor
+    router.get('/forms/:id', async (req, res, next) => {
+        try {
+            const contentForm = await cms.findOne('cmsForms', { _id: req.params.id });
+            if (!contentForm)
+                return next();
+
+            res.send(formEditor(cms, req, contentForm, JSON.stringify(contentForm.fields, null, 4), req.query.notice).toString());
+        }
+        catch (err) { next(err); }
+    });
+
+    // save a form
+    router.post('/forms/:id', permit('forms'), async (req, res, next) => {
+        try {
+            const contentForm = await cms.findOne('cmsForms', { _id: req.params.id });
+            if (!contentForm)
+                return next();
+
+            // show the submitted fields again when they can't be saved
+            for (const option of ['title', 'submit', 'success'])
+                contentForm[option] = req.body[option] ? req.body[option] : null;
+            contentForm.updated = new Date();
+            try {
+                contentForm.fields = JSON.parse(req.body.fields || '{}');
+                await cms.replaceOne('cmsForms', { _id: contentForm._id }, contentForm);
+            }
+            catch (err) {
+                if (!(err instanceof types.ValidationError) && !(err instanceof SyntaxError))
+                    throw err;
+
+                return res.status(400).send(formEditor(cms, req, contentForm, req.body.fields, err instanceof SyntaxError ? `Invalid JSON: ${err.message}` : err.message).toString());
+            }
+            cms.log(`Admin updated cmsForms.${contentForm._id}`);
+
+            res.redirect(`${adminRoot}/forms/${encodeURIComponent(contentForm._id)}?notice=Saved`);
+        }
+        catch (err) { next(err); }
+    });
+
+    // delete a form
+    router.post('/forms/:id/delete', permit('forms'), async (req, res, next) => {
+        try {
+            if (await cms.findOne('cmsSubmissions', { form: req.params.id }, { projection: { _id: 1 } }))
+                return res.redirect(`${adminRoot}/forms/${encodeURIComponent(req.params.id)}?notice=${encodeURIComponent('Export and delete its submissions first')}`);
+
+            await cms.deleteOne('cmsForms', { _id: req.params.id });
+            cms.log(`Admin deleted cmsForms.${req.params.id}`);
+
+            res.redirect(`${adminRoot}/?notice=${encodeURIComponent(`Deleted form: ${req.params.id}`)}`);
+        }
+        catch (err) { next(err); }
+    });
+
+    // a form's submissions, newest first
+    router.get('/forms/:id/submissions', permit('forms'), async (req, res, next) => {
+        try {
+            const contentForm = await cms.findOne('cmsForms', { _id: req.params.id });
+            if (!contentForm)
+                return next();
+
+            const total = await cms.countDocuments('cmsSubmissions', { form: contentForm._id });
+            const submissions = await cms.find('cmsSubmissions', { form: contentForm._id }, { sort: { submitted: -1 }, limit: submissionsShown });
+            const names = Object.keys(contentForm.fields || {});
+            const output = adminPage(cms, req, `Submissions: ${contentForm._id}`, req.query.notice);
+
+            output.paragraph(escape(total > submissions.length ? `Newest ${submissions.length} of ${total} submissions (the CSV has them all)` : `${total} submission${total == 1 ? '' : 's'}`), { textTheme: 'muted' });
+            output.add(`<p>${link(`${adminRoot}/forms/${encodeURIComponent(contentForm._id)}/submissions.csv`, 'Download CSV')} | ${link(`${adminRoot}/forms/${encodeURIComponent(contentForm._id)}`, 'Edit form')}</p>`);
+            output.add(table(['Submitted', 'Page', ...names, ''], submissions.map((submission) => [
+                escape(formatDate(submission.submitted)),
+                escape(submission.page),
+                ...names.map((name) => escape((submission.values || {})[name])),
+                form(req, `${adminRoot}/forms/${encodeURIComponent(contentForm._id)}/submissions/${encodeURIComponent(submission._id)}/delete`,
+                    '<button type="submit" class="btn btn-sm btn-outline-danger" onclick="return confirm(\'Delete this submission?\')">Delete</button>'
+                )
+            ])));
+
+            if (total)
+                output.add(form(req, `${adminRoot}/forms/${encodeURIComponent(contentForm._id)}/submissions/delete`,
+                    `<button type="submit" class="btn btn-outline-danger" onclick="return confirm('Delete all ${total} submissions?')">Delete all submissions</button>`
+                ));
+
+            res.send(output.toString());
+        }
+        catch (err) { next(err); }
+    });
+
+    // export a form's submissions, oldest first
+    router.get('/forms/:id/submissions.csv', permit('forms'), async (req, res, next) => {
+        try {
+            const contentForm = await cms.findOne('cmsForms', { _id: req.params.id });
+            if (!contentForm)
+                return next();
+
+            const submissions = await cms.find('cmsSubmissions', { form: contentForm._id }, { sort: { submitted: 1 } });
+            res.attachment(`${contentForm._id}-submissions.csv`).type('text/csv').send(forms.toCsv(contentForm, submissions));
+        }
+        catch (err) { next(err); }
+    });
+
+    // delete all of a form's submissions
+    router.post('/forms/:id/submissions/delete', permit('forms'), async (req, res, next) => {
+        try {
+            await cms.deleteMany('cmsSubmissions', { form: req.params.id });
+            cms.log(`Admin deleted cmsSubmissions of ${req.params.id}`);
+
+            res.redirect(`${adminRoot}/forms/${encodeURIComponent(req.params.id)}/submissions?notice=${encodeURIComponent('Deleted all submissions')}`);
+        }
+        catch (err) { next(err); }
+    });
+
+    // delete a submission
+    router.post('/forms/:id/submissions/:submission/delete', permit('forms'), async (req, res, next) => {
+        try {
+            await cms.deleteOne('cmsSubmissions', { _id: req.params.submission, form: req.params.id });
+            cms.log(`Admin deleted cmsSubmissions.${req.params.submission}`);
+
+            res.redirect(`${adminRoot}/forms/${encodeURIComponent(req.params.id)}/submissions?notice=${encodeURIComponent('Deleted submission')}`);
+        }
+        catch (err) { next(err); }
+    });
+
+    // redirect rules, most used first
+    router.get('/redirects', async (req, res, next) => {
+        try {
+            res.send((await redirectList(cms, req, {}, req.query.notice)).toString());
+        }
+        catch (err) { next(err); }
+    });
+
+    // create a redirect rule
+    router.post('/redirects', permit('redirects'), async (req, res, next) => {
+        try {
+            const rule = Object.assign({ _id: crypto.randomBytes(12).toString('hex') }, redirectValues(req.body), { hits: 0, lastHit: null, created: new Date(), updated: new Date() });
+            try { await cms.insertOne(redirects.collection, rule); }
+            catch (err) {
+                if (!(err instanceof types.ValidationError))
+                    throw err;
+
+                return res.status(400).send((await redirectList(cms, req, rule, err.message)).toString());
+            }
+            cms.log(`Admin created ${redirects.collection}.${rule._id}`);
+
+            res.redirect(`${adminRoot}/redirects?notice=${encodeURIComponent(`Created redirect: ${rule.from}`)}`);
+        }
+        catch (err) { next(err); }
+    });
+
+    // redirect rule editor
+    router.get('/redirects/:id', async (req, res, next) => {
+        try {
+            const rule = await cms.findOne(redirects.collection, { _id: req.params.id });
+            if (!rule)
+                return next();
+
+            res.send(redirectEditor(cms, req, rule, req.query.notice).toString());
+        }
+        catch (err) { next(err); }
+    });
+
+    // save a redirect rule
+    router.post('/redirects/:id', permit('redirects'), async (req, res, next) => {
+        try {
+            const rule = await cms.findOne(redirects.collection, { _id: req.params.id });
+            if (!rule)
+                return next();
+
+            // show the submitted values again when they can't be saved
+            Object.assign(rule, redirectValues(req.body), { updated: new Date() });
+            try { await cms.replaceOne(redirects.collection, { _id: rule._id }, rule); }
+            catch (err) {
+                if (!(err instanceof types.ValidationError))
+                    throw err;
+
+                return res.status(400).send(redirectEditor(cms, req, rule, err.message).toString());
+            }
+            cms.log(`Admin updated ${redirects.collection}.${rule._id}`);
+
+            res.redirect(`${adminRoot}/redirects/${encodeURIComponent(rule._id)}?notice=Saved`);
+        }
+        catch (err) { next(err); }
+    });
+
+    // delete a redirect rule
+    router.post('/redirects/:id/delete', permit('redirects'), async (req, res, next) => {
+        try {
+            await cms.deleteOne(redirects.collection, { _id: req.params.id });
+            cms.log(`Admin deleted ${redirects.collection}.${req.params.id}`);
+
+            res.redirect(`${adminRoot}/redirects?notice=${encodeURIComponent('Deleted redirect')}`);
+        }
+        catch (err) { next(err); }
+    });
+
+    // revision history of a page/template/block
+    router.get('/:type(pages|templates|blocks)/:id/revisions', async (req, res, next) => {
+        try {
+            const collection = revisionCollections[req.params.type];
+            const revisions = await cms.listRevisions(collection, req.params.id);
+            const editor = `${adminRoot}/${req.params.type}/${encodeURIComponent(req.params.id)}`;
+            const output = adminPage(cms, req, `History: ${req.params.id}`, req.query.notice);
+            output.paragraph(link(editor, `Back to ${req.params.id}`));
+
+            if (!revisions.length)
+                output.paragraph('No revisions have been saved yet.');
+            else
+                output.add(table(['Saved', 'Author', 'Compare', ''], revisions.map((revision, index) => [
+                    escape(formatDate(revision.saved)),
+                    escape(revision.author),
+                    link(`${adminRoot}/revisions/${revision._id}`, 'with current')
+                        + (index + 1 < revisions.length ? ' | ' + link(`${adminRoot}/revisions/${revisions[index + 1]._id}?to=${revision._id}`, 'with previous') : ''),
+                    form(req, `${adminRoot}/revisions/${revision._id}/restore`,
+                        '<button type="submit" class="btn btn-sm btn-outline-warning" onclick="return confirm(\'Restore this revision?\')">Restore</button>'
+                    )
+                ])));
+
+            res.send(output.toString());
+        }
+        catch (err) { next(err); }
+    });
+
+    // diff a revision with a newer revision or the current document
+    router.get('/revisions/:revision', async (req, res, next) => {
+        try {
+            const revision = await cms.findOne('cmsRevisions', { _id: req.params.revision }, { projection: { revision: 0 } });
+            if (!revision)
+                return next();
+            const diff = await cms.diffRevisions(revision._id, req.query.to);
+            const type = Object.keys(revisionCollections).find((key) => revisionCollections[key] == revision.collection);
+            const output = adminPage(cms, req, `Changes: ${revision.document}`, req.query.notice);
+            output.paragraph(link(`${adminRoot}/${type}/${encodeURIComponent(revision.document)}/revisions`, 'Back to history'));
+            output.paragraph(`From the revision saved ${escape(formatDate(revision.saved))} to ${req.query.to ? 'the next revision' : 'the current version'}`, { textTheme: 'muted' });
+
+            for (const [field, lines] of Object.entries(diff)) {
+                output.heading2(escape(capitalize(field)));
+                if (!lines.some((line) => line.type != ' '))
+                    output.paragraph('No changes', { textTheme: 'muted' });
+                else
+                    output.add('<pre class="border rounded p-2">' + lines.map((line) => {
+                        const theme = line.type == '+' ? ' class="d-block bg-success text-white"' : (line.type == '-' ? ' class="d-block bg-danger text-white"' : ' class="d-block"');
+                        return `<span${theme}>${escape(line.type + ' ' + line.line)}</span>`;
+                    }).join('') + '</pre>');
+            }
+
+            res.send(output.toString());
+        }
+        catch (err) { next(err); }
+    });
+
+    // restore a revision
+    router.post('/revisions/:revision/restore', async (req, res, next) => {
+        try {
+            const revision = await cms.findOne('cmsRevisions', { _id: req.params.revision });
+            if (!revision)
+                return next();
+
+            // restoring is a change like any other
+            const permission = revision.collection == 'cmsPages'
+                ? auth.pagePermission(await cms.findOne('cmsPages', { _id: revision.document }), revision.revision)
+                : 'templates';
+            if (!cms.can(req.user, permission))
+                return forbidden(cms, req, res, permission);
+
+            // revisions saved under an older content type may not fit the current one
+            try { await cms.restoreRevision(revision._id, req.user._id); }
+            catch (err) {
+                if (!(err instanceof types.ValidationError))
+                    throw err;
+
+                return res.redirect(`${adminRoot}/revisions/${revision._id}?notice=${encodeURIComponent(err.message)}`);
+            }
+            const type = Object.keys(revisionCollections).find((key) => revisionCollections[key] == revision.collection);
+
+            res.redirect(`${adminRoot}/${type}/${encodeURIComponent(revision.document)}?notice=${encodeURIComponent(`Restored the revision saved ${formatDate(revision.saved)}`)}`);
+        }
+        catch (err) { next(err); }
+    });
+
+    // media library
+    router.get('/media', async (req, res, next) => {
+        try {
+            const files = await cms.find(media.mediaCollection, {}, { sort: { filename: 1 } });
+            const editable = cms.can(req.user, 'media');
+            const output = adminPage(cms, req, 'Media', req.query.notice);
+
+            output.add(table(['', 'Name', 'Type', 'Size', 'Alt text', 'Uploaded', ''], files.map(media.describe).map((file) => [
+                file.contentType.startsWith('image/') ? `<img src="${escape(file.url)}" alt="" style="max-width: 6rem; max-height: 4rem">` : '',
+                link(file.url, file.name),
+                escape(file.contentType),
+                escape(formatSize(file.length) + (file.width ? ` (${file.width}×${file.height})` : '')),
+                editable
+                    ? form(req, `${adminRoot}/media/alt`, `<input type="hidden" name="name" value="${escape(file.name)}"><div class="input-group input-group-sm">`
+                        + `<input class="form-control" name="alt" value="${escape(file.alt)}" aria-label="Alt text">`
+                        + '<div class="input-group-append"><button type="submit" class="btn btn-outline-primary">Save</button></div></div>')
+                    : escape(file.alt),
+                escape(`${formatDate(file.uploaded)}${file.uploader ? ` by ${file.uploader}` : ''}`),
+                editable ? form(req, `${adminRoot}/media/delete`, `<input type="hidden" name="name" value="${escape(file.name)}">`
+                    + '<button type="submit" class="btn btn-sm btn-outline-danger" onclick="return confirm(\'Delete this media?\')">Delete</button>') : ''
+            ])));
+
+            // upload form, sent to the API since the file is the request body
+            if (editable) {
+                output.heading2('Upload');
+                output.add(`<form id="cms-upload" data-csrf="${escape(req.session.csrf)}">`
+                    + '<div class="form-row align-items-end">'
+                    + '<div class="col-sm form-group"><label for="cms-upload-file">File</label><input class="form-control-file" type="file" id="cms-upload-file" required></div>'
+                    + `<div class="col-sm">${textField('name', 'Name (e.g., images/logo.png)', '', { required: true })}</div>`
+                    + `<div class="col-sm">${textField('alt', 'Alt text', '')}</div>`
+                    + '<div class="col-sm-auto form-group"><button type="submit" class="btn btn-success">Upload</button></div>'
+                    + '</div></form>');
+                output.add(`<script>
+(function () {
+    var form = document.getElementById('cms-upload');
+    var fileField = document.getElementById('cms-upload-file');
+    var nameField = document.getElementById('cms-name');
+    fileField.addEventListener('change', function () {
+        if (!nameField.value && fileField.files.length)
+            nameField.value = fileField.files[0].name.toLowerCase().replace(/[^\\w.-]+/g, '-');
+    });
+    form.addEventListener('submit', function (event) {
+        event.preventDefault();
+        var file = fileField.files[0];
+        fetch('${apiRoot}/media/' + nameField.value.split('/').map(encodeURIComponent).join('/') + '?alt=' + encodeURIComponent(document.getElementById('cms-alt').value), {
+            method: 'PUT',
+            credentials: 'same-origin',
+            headers: { 'Content-Type': file.type || 'application/octet-stream', 'X-CSRF-Token': form.dataset.csrf },
+            body: file
+        })
+            .then(function (response) { return response.json(); })
+            .then(function (results) {
+                location.href = '${adminRoot}/media?notice=' + encodeURIComponent(results.error ? results.error.message : 'Uploaded: ' + results.data.name);
+            });
+    });
+})();
+</script>`);
+            }
+
+            res.send(output.toString());
+        }
+        catch (err) { next(err); }
+    });
+
+    // change media alt text
+    router.post('/media/alt', permit('media'), async (req, res, next) => {
+        try {
+            const file = await cms.updateMedia(String(req.body.name), req.body.alt);
+            res.redirect(`${adminRoot}/media?notice=${encodeURIComponent(file ? `Saved alt text: ${file.filename}` : `Media not found: ${req.body.name}`)}`);
+        }
+        catch (err) { next(err); }
+    });
+
+    // delete media
+    router.post('/media/delete', permit('media'), async (req, res, next) => {
+        try {
+            const deleted = await cms.deleteMedia(String(req.body.name));
+            res.redirect(`${adminRoot}/media?notice=${encodeURIComponent(deleted ? `Deleted: ${req.body.name}` : `Media not found: ${req.body.name}`)}`);
+        }
+        catch (err) { next(err); }
+    });
+
+    // user accounts
+    router.get('/users', permit('users'), async (req, res, next) => {
+        try {
+            const users = await cms.find('cmsUsers', {}, { sort: { _id: 1 }, projection: { password: 0 } });
+            const roles = Object.keys(auth.roles);
+            const output = adminPage(cms, req, 'Users', req.query.notice);
+
+            output.add(table(['Username', 'Name', 'Role', 'Last login', 'Password', ''], users.map((user) => [
+                escape(user._id),
+                escape(user.name),
+                form(req, `${adminRoot}/users/${encodeURIComponent(user._id)}`, '<div class="input-group input-group-sm">'
+                    + `<select class="custom-select" name="role" aria-label="Role">${roles.map((role) => `<option${role == user.role ? ' selected' : ''}>${role}</option>`).join('')}</select>`
+                    + '<div class="input-group-append"><button type="submit" class="btn btn-outline-primary">Change</button></div></div>'),
+                escape(formatDate(user.lastLogin)),
+                form(req, `${adminRoot}/users/${encodeURIComponent(user._id)}`, '<div class="input-group input-group-sm">'
+                    + '<input class="form-control" type="password" name="password" autocomplete="new-password" aria-label="New password" placeholder="New password" required>'
+                    + '<div class="input-group-append"><button type="submit" class="btn btn-outline-primary">Reset</button></div></div>'),
+                user._id == req.user._id ? '' : form(req, `${adminRoot}/users/${encodeURIComponent(user._id)}/delete`,
+                    '<button type="submit" class="btn btn-sm btn-outline-danger" onclick="return confirm(\'Delete this user?\')">Delete</button>'
+                )
+            ])));
+
+            output.heading2('Roles');
+            output.add(table(['Role', 'Permissions'], Object.entries(auth.roles).map(([role, granted]) => [
+                escape(role),
+                escape(granted.map((permission) => auth.permissions[permission]).join('; '))
+            ])));
+
+            // new user form
+            output.heading2('New user');
+            output.add(form(req, `${adminRoot}/users`, [
+                '<div class="form-row align-items-end">',
+                `<div class="col-sm">${textField('username', 'Username', '', { required: true, pattern: auth.usernamePattern.source })}</div>`,
+                `<div class="col-sm">${textField('name', 'Name', '')}</div>`,
+                `<div class="col-sm">${selectField('role', 'Role', roles, 'author')}</div>`,
+                `<div class="col-sm">${textField('password', 'Password', '', { type: 'password', autocomplete: 'new-password', required: true })}</div>`,
+                '<div class="col-sm-auto form-group"><button type="submit" class="btn btn-success">Create user</button></div>',
+                '</div>'
+            ].join('')));
+
+            res.send(output.toString());
+        }
+        catch (err) { next(err); }
+    });
+
+    // create a user
+    router.post('/users', permit('users'), async (req, res) => {
+        try {
+            const user = await cms.createUser(req.body.username, req.body.password, req.body.role, req.body.name);
+            res.redirect(`${adminRoot}/users?notice=${encodeURIComponent(`Created user: ${user._id}`)}`);
+        }
+        catch (err) { res.redirect(`${adminRoot}/users?notice=${encodeURIComponent(err.message)}`); }
+    });
+
+    // change a user's role or password
+    router.post('/users/:id', permit('users'), async (req, res) => {
+        try {
+            const changes = {};
+            if (req.body.role)
+                changes.role = req.body.role;
+            if (req.body.password)
+                changes.password = req.body.password;
+
+            await cms.updateUser(req.params.id, changes);
+            res.redirect(`${adminRoot}/users?notice=${encodeURIComponent(`Updated user: ${req.params.id}`)}`);
+        }
+        catch (err) { res.redirect(`${adminRoot}/users?notice=${encodeURIComponent(err.message)}`); }
+    });
+
+    // delete a user
+    router.post('/users/:id/delete', permit('users'), async (req, res, next) => {
+        try {
+            const user = await cms.findOne('cmsUsers', { _id: req.params.id }, { projection: { password: 0 } });
+            if (!user)
+                return next();
+            if (user._id == req.user._id)
+                return res.redirect(`${adminRoot}/users?notice=${encodeURIComponent('You cannot delete yourself')}`);
+            if (user.role == 'admin' && await cms.countDocuments('cmsUsers', { role: 'admin' }) < 2)
+                return res.redirect(`${adminRoot}/users?notice=${encodeURIComponent('Cannot remove the last admin')}`);
+
+            await cms.deleteOne('cmsUsers', { _id: user._id });
+            await cms.deleteMany('cmsSessions', { user: user._id });
+            cms.log(`Admin deleted cmsUsers.${user._id}`);
+
+            res.redirect(`${adminRoot}/users?notice=${encodeURIComponent(`Deleted user: ${user._id}`)}`);
+        }
+        catch (err) { next(err); }
+    });
+
+    // add missing seed content and run pending schema migrations
+    router.post('/migrate', permit('migrate'), async (req, res, next) => {
+        try {
+            await cms.migrate();
+            await cms.migrateSchema();
+            cms.log(`Migration run by ${req.user._id}`);
+
+            res.redirect(`${adminRoot}/?notice=${encodeURIComponent('Migration complete')}`);
+        }
+        catch (err) { next(err); }
+    });
+
+    return router;
+};
+
+
+/*****************************
+ ***** Rendering Helpers *****
+ ****************************/
+
+/**
+ * create an admin HTML page with Bootstrap enabled
+ * @param {CMS} cms CMS instance
+ * @param {Request} req Express request (for the logged-in user)
+ * @param {string} title page title
+ * @param {string} notice optional message to show above the content
+ * @returns {bs.HTML}
+ */
+function adminPage(cms, req, title, notice) {
+    const output = new bs.HTML(escape(title));
+
+    // enable Bootstrap
+    output.bootstrap(
+        cms.settings.bootstrapCSS,
+        cms.settings.bootstrapJS,
+        true,
+        cms.settings.jqueryJS,
+        cms.settings.popperJS,
+        cms.settings.fontawesomeCSS
+    );
+
+    output.add(`<nav class="navbar navbar-dark bg-dark mb-3"><a class="navbar-brand" href="${adminRoot}/">CMS Admin</a><a class="nav-link text-light mr-auto" href="/">View site</a>`
+        + (req.user
+            ? `<a class="nav-link text-light" href="${adminRoot}/media">Media</a>`
+            + `<a class="nav-link text-light" href="${adminRoot}/redirects">Redirects</a>`
+            + (cms.can(req.user, 'users') ? `<a class="nav-link text-light" href="${adminRoot}/users">Users</a>` : '')
+            + `<span class="navbar-text mx-3">${escape(req.user.name || req.user._id)} (${escape(req.user.role)})</span>`
+            + form(req, `${adminRoot}/logout`, '<button type="submit" class="btn btn-sm btn-outline-light">Log out</button>')
+            : '')
+        + '</nav>');
+    output.displayHeading1(escape(title));
+    if (notice)
+        output.alert(escape(notice), { theme: 'info' });
+
+    return output;
+}
+
+/**
+ * add the configured Ace editor scripts and bind every source field to an editor
+ * @param {CMS} cms CMS instance
+ * @param {bs.HTML} output admin page
+ */
+function aceEditor(cms, output) {
+    for (const script of cms.settings.aceJS || [])
+        output.add(`<script src="${escape(script.url)}"${script.sri ? ` integrity="${escape(script.sri)}"` : ''} crossorigin="anonymous" referrerpolicy="no-referrer"></script>`);
+
+    // the textareas keep working when Ace is unavailable
+    output.add(`<script>
+if (window.ace)
+    document.querySelectorAll('textarea.cms-source').forEach(function (textarea) {
+        var container = document.createElement('div');
+        container.className = 'border rounded';
+        container.style.height = '24rem';
+        textarea.parentNode.insertBefore(container, textarea);
+        textarea.classList.add('d-none');
+
+        var editor = ace.edit(container, {
+            mode: 'ace/mode/' + (textarea.dataset.mode || 'javascript'),
+            value: textarea.value,
+            tabSize: 4,
+            useSoftTabs: true,
+            enableBasicAutocompletion: true,
+            enableLiveAutocompletion: true
+        });
+        editor.session.setUndoManager(new ace.UndoManager());
+        textarea.form.addEventListener('submit', function () { textarea.value = editor.getValue(); });
+    });
+</script>`);
+}
+
+/**
+ * login page
+ * @param {CMS} cms CMS instance
+ * @param {Request} req Express request
+ * @param {string} returnTo admin URL to go to after logging in
+ * @param {string} notice optional message
+ * @returns {bs.HTML}
+ */
+function loginPage(cms, req, returnTo, notice) {
+    const output = adminPage(cms, req, 'Log in', notice);
+    output.add(form(req, `${adminRoot}/login`, [
+        `<input type="hidden" name="next" value="${escape(returnTo)}">`,
+        textField('username', 'Username', '', { autocomplete: 'username', required: true, autofocus: true }),
+        textField('password', 'Password', '', { type: 'password', autocomplete: 'current-password', required: true }),
+        '<button type="submit" class="btn btn-primary">Log in</button>'
+    ].join('')));
+
+    return output;
+}
+
+/**
+ * 403 page for users whose role lacks a permission
+ * @param {CMS} cms CMS instance
+ * @param {Request} req Express request
+ * @param {Response} res Express response
+ * @param {string} permission permission that was needed
+ */
+function forbidden(cms, req, res, permission) {
+    const output = adminPage(cms, req, 'Not allowed', null);
+    output.paragraph(`Your role (${escape(req.user.role)}) doesn't allow you to ${escape(auth.permissions[permission])}.`);
+    res.status(403).send(output.toString());
+}
+
+/**
+ * menu editor page, with the items as JSON
+ * @param {CMS} cms CMS instance
+ * @param {Request} req Express request
+ * @param {object} menu cmsMenus document
+ * @param {string} items items JSON to edit
+ * @param {string} notice optional message
+ * @returns {bs.HTML}
+ */
+function menuEditor(cms, req, menu, items, notice) {
+    const output = adminPage(cms, req, `Menu: ${menu._id}`, notice);
+    output.paragraph('Items are objects with a label and either a page (page ID) or a url, plus optional nested items. Pages visitors can\'t see are left out of the menu.', { textTheme: 'muted' });
+
+    output.add(form(req, `${adminRoot}/menus/${encodeURIComponent(menu._id)}`, [
+        sourceField('items', 'Items', items).replace('<textarea ', '<textarea data-mode="json" '),
+        '<button type="submit" class="btn btn-primary">Save</button>'
+    ].join('')));
+    output.add(form(req, `${adminRoot}/menus/${encodeURIComponent(menu._id)}/delete`, '<button type="submit" class="btn btn-outline-danger mt-3" onclick="return confirm(\'Delete this menu?\')">Delete menu</button>'));
+
+    aceEditor(cms, output);
+    return output;
+}
+
+/**
+ * content type editor page
+ * @param {CMS} cms CMS instance
+ * @param {Request} req Express request
+ * @param {object} type cmsTypes document
+ * @param {string} fields fields JSON to edit
+ * @param {string} notice optional message
+ * @returns {bs.HTML}
+ */
+function typeEditor(cms, req, type, fields, notice) {
+    const output = adminPage(cms, req, `Content type: ${type._id}`, notice);
+    output.paragraph(`Fields by name, each with a type (${Object.keys(types.fieldTypes).join(', ')}) and optional label, required, multiple (a list), maxLength (text) and min/max (numbers). Pages of this type are checked against them when they're saved.`, { textTheme: 'muted' });
+
+    output.add(form(req, `${adminRoot}/types/${encodeURIComponent(type._id)}`, [
+        textField('name', 'Name', type.name),
+        sourceField('fields', 'Fields', fields).replace('<textarea ', '<textarea data-mode="json" '),
+        '<button type="submit" class="btn btn-primary">Save</button>'
+    ].join('')));
+    output.add(form(req, `${adminRoot}/types/${encodeURIComponent(type._id)}/delete`, '<button type="submit" class="btn btn-outline-danger mt-3" onclick="return confirm(\'Delete this content type?\')">Delete content type</button>'));
+
+    aceEditor(cms, output);
+    return output;
+}
+
+/**
+ * form editor page
+ * @param {CMS} cms CMS instance
+ * @param {Request} req Express request
+ * @param {object} contentForm cmsForms document
+ * @param {string} fields fields JSON to edit
+ * @param {string} notice optional message
+ * @returns {bs.HTML}
+ */
+function formEditor(cms, req, contentForm, fields, notice) {
+    const output = adminPage(cms, req, `Form: ${contentForm._id}`, notice);
+    output.paragraph(`Fields by name, in display order, each with a type (${Object.keys(forms.fieldTypes).join(', ')}) and optional label, required, placeholder, help, maxLength and pattern (text), min/max (numbers) and options (select). Page/template source shows it with: await forms.render('${contentForm._id}')`, { textTheme: 'muted' });
+    if (cms.can(req.user, 'forms'))
+        output.add(`<p>${link(`${adminRoot}/forms/${encodeURIComponent(contentForm._id)}/submissions`, 'Submissions')}</p>`);
+
+    output.add(form(req, `${adminRoot}/forms/${encodeURIComponent(contentForm._id)}`, [
+        textField('title', 'Title', contentForm.title),
+        sourceField('fields', 'Fields', fields).replace('<textarea ', '<textarea data-mode="json" '),
+        '<div class="form-row">',
+        `<div class="col-sm">${textField('submit', 'Submit button', contentForm.submit, { placeholder: 'Submit' })}</div>`,
+        `<div class="col-sm">${textField('success', 'Success message', contentForm.success, { placeholder: 'Thank you, your submission has been received.' })}</div>`,
+        '</div>',
+        '<button type="submit" class="btn btn-primary">Save</button>'
+    ].join('')));
+    output.add(form(req, `${adminRoot}/forms/${encodeURIComponent(contentForm._id)}/delete`, '<button type="submit" class="btn btn-outline-danger mt-3" onclick="return confirm(\'Delete this form?\')">Delete form</button>'));
+
+    aceEditor(cms, output);
+    return output;
+}
+
+/**
+ * redirect rules page, with a form for adding one
+ * @param {CMS} cms CMS instance
+ * @param {Request} req Express request
+ * @param {object} values new rule's values to show again (e.g., when it can't be saved)
+ * @param {string} notice optional message
+ * @returns {Promise<bs.HTML>}
+ */
+async function redirectList(cms, req, values, notice) {
+    const rules = await cms.find(redirects.collection, {}, { sort: { hits: -1, from: 1 } });
+    const output = adminPage(cms, req, 'Redirects', notice);
+    output.paragraph('Redirects are checked before pages: exact rules first, then prefix rules (longest first), then regex rules (oldest first).', { textTheme: 'muted' });
+
+    output.add(table(['From', 'Match', 'To', 'Status', 'Hits', 'Last hit'], rules.map((rule) => [
+        link(`${adminRoot}/redirects/${encodeURIComponent(rule._id)}`, rule.from),
+        escape(rule.match),
+        escape(rule.to),
+        escape(rule.status || redirects.defaultStatus),
+        escape(rule.hits || 0),
+        escape(formatDate(rule.lastHit))
+    ])));
+
+    // new redirect form
+    if (cms.can(req.user, 'redirects')) {
+        output.heading2('New redirect');
+        output.add(form(req, `${adminRoot}/redirects`, redirectFields(values) + '<button type="submit" class="btn btn-success">Create redirect</button>'));
+    }
+
+    return output;
+}
+
+/**
+ * redirect rule editor page
+ * @param {CMS} cms CMS instance
+ * @param {Request} req Express request
+ * @param {object} rule cmsRedirects document
+ * @param {string} notice optional message
+ * @returns {bs.HTML}
+ */
+function redirectEditor(cms, req, rule, notice) {
+    const output = adminPage(cms, req, `Redirect: ${rule.from}`, notice);
+    output.paragraph(escape(`${rule.hits || 0} hits${rule.lastHit ? `, last at ${formatDate(rule.lastHit)}` : ''}`), { textTheme: 'muted' });
+
+    output.add(form(req, `${adminRoot}/redirects/${encodeURIComponent(rule._id)}`, redirectFields(rule) + '<button type="submit" class="btn btn-primary">Save</button>'));
+    output.add(form(req, `${adminRoot}/redirects/${encodeURIComponent(rule._id)}/delete`, '<button type="submit" class="btn btn-outline-danger mt-3" onclick="return confirm(\'Delete this redirect?\')">Delete redirect</button>'));
+
+    return output;
+}
+
+/**
+ * inputs for a redirect rule's settings
+ * @param {object} rule cmsRedirects document (or the values of a new one)
+ * @returns {string}
+ */
+function redirectFields(rule) {
+    return '<div class="form-row">'
+        + `<div class="col-sm-2">${selectField('match', 'Match', Object.keys(redirects.matchTypes), rule.match || 'exact')}</div>`
+        + `<div class="col-sm">${textField('from', 'From (path or regular expression)', rule.from, { required: true, placeholder: '/old-page' })}</div>`
+        + `<div class="col-sm">${textField('to', 'To (path or URL)', rule.to, { required: true, placeholder: '/new-page' })}</div>`
+        + `<div class="col-sm-2">${selectField('status', 'Status', redirects.statuses.map(String), String(rule.status || redirects.defaultStatus))}</div>`
+        + '</div>'
+        + `<p class="form-text text-muted small">${Object.entries(redirects.matchTypes).map(([match, description]) => `${escape(match)}: ${escape(description)}`).join('<br>')}</p>`
+        + `<div class="form-group form-check"><input type="checkbox" class="form-check-input" id="cms-query" name="query" value="1"${rule.query === false ? '' : ' checked'}><label class="form-check-label" for="cms-query">Pass the query string on</label></div>`
+        + `<div class="form-group form-check"><input type="checkbox" class="form-check-input" id="cms-override" name="override" value="1"${rule.override ? ' checked' : ''}><label class="form-check-label" for="cms-override">Redirect even when it hides existing pages</label></div>`;
+}
+
+/**
+ * redirect rule settings from a submitted form
+ * @param {object} body parsed request body
+ * @returns {object}
+ */
+function redirectValues(body) {
+    return {
+        match: body.match,
+        from: (body.from || '').trim(),
+        to: (body.to || '').trim(),
+        status: Number(body.status) || null,
+        query: body.query !== undefined,
+        override: body.override !== undefined
+    };
+}
+
+/**
+ * HTML form that posts to the admin area, with the session's CSRF token
+ * @param {Request} req Express request
+ * @param {string} action form URL
+ * @param {string} content form HTML
+ * @returns {string}
+ */
+function form(req, action, content) {
+    return `<form method="post" action="${escape(action)}">`
+        + (req.session ? `<input type="hidden" name="_csrf" value="${escape(req.session.csrf)}">` : '')
+        + `${content}</form>`;
+}
+
+/**
+ * text input form group
+ * @param {string} name field name
+ * @param {string} label field label
+ * @param {string} value current value
+ * @param {object} attributes optional input attributes (e.g., type, required, pattern)
+ * @returns {string}
+ */
+function textField(name, label, value, attributes) {
+    attributes = Object.assign({ type: 'text' }, attributes);
+    let extra = '';
+    for (const [attribute, attributeValue] of Object.entries(attributes))
+        extra += attributeValue === true ? ` ${attribute}` : ` ${attribute}="${escape(attributeValue)}"`;
+
+    return `<div class="form-group"><label for="cms-${name}">${escape(label)}</label>`
+        + `<input class="form-control" id="cms-${name}" name="${name}" value="${escape(value)}"${extra}></div>`;
+}
+
+/**
+ * locales a page can be translated into (none unless the settings enable several)
+ * @param {CMS} cms CMS instance
+ * @returns {string[]}
+ */
+function translationLocales(cms) {
+    const config = locales.config(cms.settings);
+    return config ? config.enabled.filter((locale) => locale != config.default) : [];
+}
+
+/**
+ * content type choices for a page
+ * @param {object[]} contentTypes cmsTypes documents
+ * @param {string} current the page's type, kept as a choice even when it isn't defined
+ * @returns {string[][]} [value, text] pairs
+ */
+function typeOptions(contentTypes, current) {
+    const options = contentTypes.map((type) => [type._id, type.name ? `${type.name} (${type._id})` : type._id]);
+    if (current && !contentTypes.some((type) => type._id == current))
+        options.push([current, `${current} (not defined)`]);
+
+    return options;
+}
+
+/**
+ * fields of a content type that the page editor doesn't already have inputs for
+ * @param {object} type cmsTypes document (null for free-form pages)
+ * @returns {Array<[string, object]>} [name, field] pairs
+ */
+function typeFields(type) {
+    return type && type.fields ? Object.entries(type.fields).filter(([name]) => !pageFields.includes(name)) : [];
+}
+
+/**
+ * page editor inputs for the fields of a content type, disabled (so they aren't submitted) unless it's the page's type
+ * @param {CMS} cms CMS instance
+ * @param {object} index page index from cms.pageIndex()
+ * @param {object} type cmsTypes document
+ * @param {object} page page being edited
+ * @param {boolean} selected the page has this type
+ * @returns {string} empty when the type has no fields of its own
+ */
+function typeFieldset(cms, index, type, page, selected) {
+    const fields = typeFields(type);
+    if (!fields.length)
+        return '';
+
+    return `<fieldset data-type="${escape(type._id)}"${selected ? '' : ' disabled hidden'}>`
+        + fields.map(([name, field]) => typeField(cms, index, name, field, page[name])).join('')
+        + '</fieldset>';
+}
+
+/**
+ * form group for a content type field, with lists and rich text in a textarea (lists take one value per line)
+ * @param {CMS} cms CMS instance
+ * @param {object} index page index from cms.pageIndex()
+ * @param {string} name field name
+ * @param {object} field field definition
+ * @param {any} value stored value
+ * @returns {string}
+ */
+function typeField(cms, index, name, field, value) {
+    const input = `fields[${name}]`;
+    const label = (field.label || capitalize(name)) + (field.required ? ' *' : '');
+    if (field.multiple) {
+        const values = Array.isArray(value) ? value : [];
+        return sourceField(input, `${label} (one per line)`, values.map((item) => field.type == 'date' ? scheduleValue(cms, item) : item).join('\n'))
+            .replace('cms-source" ', '" ').replace('rows="16"', 'rows="4"');
+    }
+
+    switch (field.type) {
+        case 'richText':
+            return sourceField(input, label, value).replace('<textarea ', '<textarea data-mode="html" ');
+        case 'number':
+            return textField(input, label, value, { type: 'number', step: 'any' });
+        case 'boolean':
+            return selectField(input, label, [['', ''], ['true', 'Yes'], ['false', 'No']], typeof value == 'boolean' ? String(value) : '');
+        case 'date':
+            return textField(input, `${label} (${cms.timezone()})`, scheduleValue(cms, value), { type: 'datetime-local' });
+        case 'page':
+            return selectField(input, label, [['', '']].concat([...index.byId.values()].map((page) => [page._id, page.url ? `${page.url} (${page._id})` : page._id]).sort((a, b) => a[1] < b[1] ? -1 : 1)), value);
+        case 'media':
+            return textField(input, `${label} (media name)`, value);
+    }
+
+    return textField(input, label, value, field.maxLength ? { maxlength: field.maxLength } : {});
+}
+
+/**
+ * convert a submitted content type field to the value to store, leaving validation to the CMS
+ * @param {object} field field definition
+ * @param {any} submitted form value
+ * @returns {any} null when empty
+ */
+function typeValue(field, submitted) {
+    if (typeof submitted != 'string' || !submitted.trim())
+        return null;
+
+    if (field.multiple)
+        return submitted.split(/\r?\n/).map((item) => item.trim()).filter(Boolean).map((item) => typeValue(Object.assign({}, field, { multiple: false }), item));
+
+    switch (field.type) {
+        case 'number':
+            return Number(submitted);
+        case 'boolean':
+            return submitted == 'true';
+        case 'text':
+        case 'richText':
+            return submitted;
+    }
+
+    return submitted.trim();
+}
+
+/**
+ * select form group
+ * @param {string} name field name
+ * @param {string} label field label
+ * @param {Array<string|string[]>} options option values, or [value, text] pairs
+ * @param {string} selected currently selected value
+ * @returns {string}
+ */
+function selectField(name, label, options, selected) {
+    return `<div class="form-group"><label for="cms-${name}">${escape(label)}</label>`
+        + `<select class="form-control" id="cms-${name}" name="${name}">`
+        + options.map((option) => {
+            const [value, text] = Array.isArray(option) ? option : [option, option];
+            return `<option value="${escape(value)}"${value == selected ? ' selected' : ''}>${escape(text)}</option>`;
+        }).join('')
+        + '</select></div>';
+}
+
+/**
+ * JavaScript source form group, upgraded to an Ace editor in the browser
+ * @param {string} name field name
+ * @param {string} label field label
+ * @param {string} value current source
+ * @returns {string}
+ */
+function sourceField(name, label, value) {
+    return `<div class="form-group"><label for="cms-${name}">${escape(label)}</label>`
+        + `<textarea class="form-control text-monospace cms-source" id="cms-${name}" name="${name}" rows="16" spellcheck="false">${escape(value)}</textarea></div>`;
+}
+
+/**
+ * publish/unpublish value for a datetime-local input, which can only show wall-clock times
+ * @param {CMS} cms CMS instance
+ * @param {Date|string} value stored value
+ * @returns {string}
+ */
+function scheduleValue(cms, value) {
+    return typeof value == 'string' ? value : timezone.toWallTime(value, cms.timezone());
+}
+
+/**
+ * striped table
+ * @param {string[]} headings column headings
+ * @param {string[][]} rows cell HTML
+ * @returns {string}
+ */
+function table(headings, rows) {
+    return '<table class="table table-sm table-striped"><thead><tr>'
+        + headings.map((heading) => `<th scope="col">${escape(heading)}</th>`).join('')
+        + '</tr></thead><tbody>'
+        + rows.map((row) => '<tr>' + row.map((cell) => `<td>${cell}</td>`).join('') + '</tr>').join('')
+        + '</tbody></table>';
+}
+
+/**
+ * parent page choices, excluding a page and its descendants (which would create a cycle)
+ * @param {object} index page index from cms.pageIndex()
+ * @param {string} excluded page ID being edited
+ * @returns {string[][]} [value, text] pairs, ordered by URL
+ */
+function parentOptions(index, excluded) {
+    const options = [];
+    for (const page of index.byId.values())
+        if (page.url && !isDescendant(index, page._id, excluded))
+            options.push([page._id, `${page.url} (${page._id})`]);
+
+    return options.sort((a, b) => a[1] < b[1] ? -1 : 1);
+}
+
+/**
+ * hyperlink
+ * @param {string} href link URL
+ * @param {string} text link text
+ * @returns {string}
+ */
+function link(href, text) {
+    return `<a href="${escape(href)}">${escape(text)}</a>`;
+}
+
+/**
+ * HTML-escape a value, treating null/undefined as empty
+ * @param {any} value
+ * @returns {string}
+ */
+function escape(value) {
+    return value === null || value === undefined ? '' : htmlEscaper.escape(String(value));
+}
+
+/**
+ * capitalize the first letter of a field name for use as a label
+ * @param {string} value
+ * @returns {string}
+ */
+function capitalize(value) {
+    return value.charAt(0).toUpperCase() + value.slice(1);
+}
+
+/**
+ * format a file size
+ * @param {number} bytes
+ * @returns {string} e.g., 1.5 MB
+ */
+function formatSize(bytes) {
+    const units = ['bytes', 'KB', 'MB', 'GB'];
+    let unit = 0;
+    while (bytes >= 1024 && unit < units.length - 1) {
+        bytes /= 1024;
+        unit++;
+    }
+
+    return `${unit ? bytes.toFixed(1) : bytes} ${units[unit]}`;
+}
+
+/**
+ * format a date for display
+ * @param {Date} date
+ * @returns {string}
+ */
+function formatDate(date) {
+    return date instanceof Date ? date.toISOString().replace('T', ' ').substr(0, 19) : date;
+}
@@ -0,0 +1,678 @@
+'use strict';
+const express = require('express');  // web server
+const auth = require('./auth');  // users, sessions and permissions
+const media = require('./media');  // media library
+const locales = require('./locales');  // multilingual pages
+const { pageIdPattern, pageStatuses, pathError } = require('./pages');  // page ID/path validation
+const timezone = require('./timezone');  // wall-clock times in the settings timezone
+const types = require('./types');  // content types
+
+/** URL prefix the API is mounted on */
+const apiRoot = '/cms/api/v1';
+
+/** documents per list page when no limit is given, and the most a client may ask for */
+const defaultLimit = 20;
+const maxLimit = 100;
+
+/** field names usable in fields/sort parameters (dot notation for nested fields) */
+const fieldPattern = /^[A-Za-z_$][\w$]*(\.[\w$]+)*$/;
+
+/** fields the server maintains, which clients can't set */
+const serverFields = ['_id', 'created', 'updated'];
+
+/** plain-text page fields */
+const pageTextFields = ['title', 'tagline', 'description', 'excerpt', 'body'];
+
+/** source fields of a template */
+const templateSections = ['header', 'body', 'footer'];
+
+/** plain-text and source fields of a block */
+const blockFields = ['description', 'body'];
+
+/** content collections by URL segment, with the query string parameters each list can be filtered by */
+const apiCollections = {
+    pages: { collection: 'cmsPages', name: 'page', filters: ['template', 'parent', 'status', 'type'] },
+    templates: { collection: 'cmsTemplates', name: 'template', filters: ['parent'] },
+    blocks: { collection: 'cmsBlocks', name: 'block', filters: [] },
+    types: { collection: 'cmsTypes', name: 'content type', filters: [] }
+};
+
+/** failed request, sent as a JSON error response */
+class ApiError extends Error {
+    /**
+     * @param {number} status HTTP status code
+     * @param {string} message error message
+     * @param {object} fields optional error messages by field name
+     */
+    constructor(status, message, fields) {
+        super(message);
+        this.status = status;
+        this.fields = fields;
+    }
+}
+
+/**
+ * build the JSON content API router, which reads and writes pages, templates, blocks, content types and settings for logged-in users
+ *
+ * Responses are { data } (plus { meta } for lists); failures are { error: { status, message, fields } }. Requests that
+ * change data must send the session's CSRF token in the X-CSRF-Token header.
+ * @param {CMS} cms CMS instance
+ * @returns {express.Router}
+ */
+module.exports = function api(cms) {
+    const router = express.Router();
+
+    // parse JSON bodies here, so malformed JSON gets a JSON error response too
+    router.use(express.json({ limit: '1mb' }));
+
+    // log in
+    router.post('/session', async (req, res, next) => {
+        try {
+            const body = objectBody(req);
+            const error = await auth.logIn(cms, req, res, body.username, body.password);
+            if (error)
+                throw new ApiError(401, error);
+
+            res.json({ data: sessionInfo(req) });
+        }
+        catch (err) { next(err); }
+    });
+
+    // everything else needs a logged-in user, and changes need the session's CSRF token
+    router.use((req, res, next) => {
+        if (!req.user)
+            return next(new ApiError(401, 'Log in first'));
+        if (!cms.can(req.user, 'read'))
+            return next(forbidden(req.user, 'read'));
+        if (!auth.verifyCsrf(req))
+            return next(new ApiError(403, 'Missing or invalid X-CSRF-Token header'));
+
+        next();
+    });
+
+    // current user and CSRF token
+    router.get('/session', (req, res) => {
+        res.json({ data: sessionInfo(req) });
+    });
+
+    // log out
+    router.delete('/session', async (req, res, next) => {
+        try {
+            await auth.logOut(cms, req, res);
+            res.status(204).end();
+        }
+        catch (err) { next(err); }
+    });
+
+    // list pages/templates/blocks/content types
+    router.get('/:type(pages|templates|blocks|types)', async (req, res, next) => {
+        try {
+            const type = apiCollections[req.params.type];
+            const page = integerParameter(req.query.page, 'page', 1, Infinity, 1);
+            const limit = integerParameter(req.query.limit, 'limit', 1, maxLimit, defaultLimit);
+
+            // filter by allow-listed fields
+            const filter = {};
+            for (const field of type.filters)
+                if (typeof req.query[field] == 'string')
+                    filter[field] = req.query[field] === '' ? null : req.query[field];
+
+            const [total, documents] = await Promise.all([
+                cms.countDocuments(type.collection, filter),
+                cms.find(type.collection, filter, Object.assign({ sort: sortParameter(req.query.sort), skip: (page - 1) * limit, limit: limit }, projectionParameter(req.query.fields)))
+            ]);
+
+            res.json({
+                data: await withUrls(cms, type, documents, req.query.fields),
+                meta: { page: page, limit: limit, total: total, pages: Math.ceil(total / limit) }
+            });
+        }
+        catch (err) { next(err); }
+    });
+
+    // get a page/template/block/content type
+    router.get('/:type(pages|templates|blocks|types)/:id', async (req, res, next) => {
+        try {
+            const type = apiCollections[req.params.type];
+            const document = await cms.findOne(type.collection, { _id: req.params.id }, projectionParameter(req.query.fields));
+            if (!document)
+                throw new ApiError(404, `${capitalize(type.name)} not found: ${req.params.id}`);
+
+            res.json({ data: (await withUrls(cms, type, [document], req.query.fields))[0] });
+        }
+        catch (err) { next(err); }
+    });
+
+    // create a page/template/block/content type
+    router.post('/:type(pages|templates|blocks|types)', async (req, res, next) => {
+        try {
+            const type = apiCollections[req.params.type];
+            const body = objectBody(req);
+            const id = body._id;
+            if (typeof id != 'string' || !pageIdPattern.test(id))
+                throw new ApiError(400, `Invalid ${type.name}`, { _id: `Must match ${pageIdPattern.source}` });
+            if (await cms.findOne(type.collection, { _id: id }, { projection: { _id: 1 } }))
+                throw new ApiError(409, `${capitalize(type.name)} already exists: ${id}`);
+
+            const now = new Date();
+            const document = Object.assign(type.name == 'page' ? { parent: 'home', template: cms.defaultTemplate, status: 'draft', title: id, body: '' } : {}, clientFields(body), { _id: id, created: now, updated: now });
+            authorize(cms, req, type, null, document);
+            await validate(cms, type, document);
+
+            await cms.insertOne(type.collection, document);
+            cms.log(`API created ${type.collection}.${id}`);
+
+            res.status(201).location(`${apiRoot}/${req.params.type}/${encodeURIComponent(id)}`);
+            res.json({ data: (await withUrls(cms, type, [document]))[0] });
+        }
+        catch (err) { next(err); }
+    });
+
+    // replace a page/template/block/content type
+    router.put('/:type(pages|templates|blocks|types)/:id', async (req, res, next) => {
+        try {
+            const type = apiCollections[req.params.type];
+            const body = objectBody(req);
+            const existing = await findExisting(cms, type, req.params.id);
+            if (body._id !== undefined && body._id !== existing._id)
+                throw new ApiError(400, `Invalid ${type.name}`, { _id: 'Cannot be changed' });
+
+            const document = Object.assign(clientFields(body), { _id: existing._id, created: existing.created, updated: new Date() });
+            authorize(cms, req, type, existing, document);
+            await validate(cms, type, document);
+
+            await cms.replaceOne(type.collection, { _id: existing._id }, document, { author: req.user._id });
+            cms.log(`API replaced ${type.collection}.${existing._id}`);
+
+            res.json({ data: (await withUrls(cms, type, [document]))[0] });
+        }
+        catch (err) { next(err); }
+    });
+
+    // update some fields of a page/template/block/content type (null removes a field)
+    router.patch('/:type(pages|templates|blocks|types)/:id', async (req, res, next) => {
+        try {
+            const type = apiCollections[req.params.type];
+            const body = objectBody(req);
+            const existing = await findExisting(cms, type, req.params.id);
+            if (body._id !== undefined && body._id !== existing._id)
+                throw new ApiError(400, `Invalid ${type.name}`, { _id: 'Cannot be changed' });
+
+            const update = patchUpdate(clientFields(body));
+            const document = Object.assign({}, existing, update.$set);
+            for (const field of Object.keys(update.$unset || {}))
+                delete document[field];
+            authorize(cms, req, type, existing, document);
+            await validate(cms, type, document);
+
+            await cms.updateOne(type.collection, { _id: existing._id }, update, { author: req.user._id });
+            cms.log(`API updated ${type.collection}.${existing._id}`);
+
+            res.json({ data: (await withUrls(cms, type, [document]))[0] });
+        }
+        catch (err) { next(err); }
+    });
+
+    // delete a page/template/block/content type (blocks aren't checked, since they're included by name from source)
+    router.delete('/:type(pages|templates|blocks|types)/:id', async (req, res, next) => {
+        try {
+            const type = apiCollections[req.params.type];
+            const existing = await findExisting(cms, type, req.params.id);
+            authorize(cms, req, type, existing, null);
+
+            if (type.name == 'page') {
+                if (existing._id == 'home')
+                    throw new ApiError(409, 'The home page cannot be deleted');
+                if (await cms.findOne('cmsPages', { parent: existing._id }, { projection: { _id: 1 } }))
+                    throw new ApiError(409, 'Move or delete the child pages first');
+            }
+            else if (type.name == 'template') {
+                if (await cms.findOne('cmsPages', { template: existing._id }, { projection: { _id: 1 } }))
+                    throw new ApiError(409, `Template is used by pages: ${existing._id}`);
+                if (await cms.findOne('cmsTemplates', { parent: existing._id }, { projection: { _id: 1 } }))
+                    throw new ApiError(409, `Template is extended by other templates: ${existing._id}`);
+            }
+            else if (type.name == 'content type' && await cms.findOne('cmsPages', { type: existing._id }, { projection: { _id: 1 } }))
+                throw new ApiError(409, `Content type is used by pages: ${existing._id}`);
+
+            await cms.deleteOne(type.collection, { _id: existing._id }, { author: req.user._id });
+            cms.log(`API deleted ${type.collection}.${existing._id}`);
+
+            res.status(204).end();
+        }
+        catch (err) { next(err); }
+    });
+
+    // list media, optionally in a folder and/or of a type (e.g., image or image/png)
+    router.get('/media', async (req, res, next) => {
+        try {
+            const page = integerParameter(req.query.page, 'page', 1, Infinity, 1);
+            const limit = integerParameter(req.query.limit, 'limit', 1, maxLimit, defaultLimit);
+
+            const filter = {};
+            if (typeof req.query.folder == 'string' && req.query.folder)
+                filter.filename = { $regex: `^${escapeRegExp(req.query.folder.replace(/\/+$/, ''))}/` };
+            if (typeof req.query.type == 'string' && req.query.type)
+                filter['metadata.contentType'] = { $regex: `^${escapeRegExp(req.query.type)}` };
+
+            const [total, files] = await Promise.all([
+                cms.countDocuments(media.mediaCollection, filter),
+                cms.find(media.mediaCollection, filter, { sort: { filename: 1 }, skip: (page - 1) * limit, limit: limit })
+            ]);
+
+            res.json({
+                data: files.map(media.describe),
+                meta: { page: page, limit: limit, total: total, pages: Math.ceil(total / limit) }
+            });
+        }
+        catch (err) { next(err); }
+    });
+
+    // get media details
+    router.get('/media/*', async (req, res, next) => {
+        try {
+            res.json({ data: media.describe(await findMedia(cms, req.params[0])) });
+        }
+        catch (err) { next(err); }
+    });
+
+    // upload media (the request body is the file, alt text can be given as ?alt=), only reading it for users who may
+    router.put('/media/*', (req, res, next) => {
+        if (!cms.can(req.user, 'media'))
+            return next(forbidden(req.user, 'media'));
+
+        next();
+    }, express.raw({ type: () => true, limit: cms.mediaMaxSize }), async (req, res, next) => {
+        try {
+            const name = req.params[0];
+            if (media.nameError(name))
+                throw new ApiError(400, 'Invalid media name', { name: media.nameError(name) });
+            if (!Buffer.isBuffer(req.body))
+                throw new ApiError(400, 'Request body must be the file');
+
+            const existing = await cms.findMedia(name);
+            const alt = typeof req.query.alt == 'string' ? req.query.alt : (existing && existing.metadata.alt);
+            const file = await cms.saveMedia(name, req.body, { contentType: req.get('Content-Type'), alt: alt, uploader: req.user._id });
+            cms.log(`API uploaded media ${name}`);
+
+            if (!existing)
+                res.status(201).location(`${apiRoot}/media/${name}`);
+            res.json({ data: media.describe(file) });
+        }
+        catch (err) { next(err); }
+    });
+
+    // change media alt text
+    router.patch('/media/*', async (req, res, next) => {
+        if (!cms.can(req.user, 'media'))
+            return next(forbidden(req.user, 'media'));
+
+        try {
+            const body = objectBody(req);
+            if (typeof body.alt != 'string')
+                throw new ApiError(400, 'Invalid media', { alt: 'Must be a string' });
+
+            await findMedia(cms, req.params[0]);
+            const file = await cms.updateMedia(req.params[0], body.alt);
+            cms.log(`API updated media ${req.params[0]}`);
+
+            res.json({ data: media.describe(file) });
+        }
+        catch (err) { next(err); }
+    });
+
+    // delete media
+    router.delete('/media/*', async (req, res, next) => {
+        if (!cms.can(req.user, 'media'))
+            return next(forbidden(req.user, 'media'));
+
+        try {
+            await findMedia(cms, req.params[0]);
+            await cms.deleteMedia(req.params[0]);
+            cms.log(`API deleted media ${req.params[0]}`);
+
+            res.status(204).end();
+        }
+        catch (err) { next(err); }
+    });
+
+    // get settings
+    router.get('/settings', async (req, res, next) => {
+        try {
+            res.json({ data: await cms.findOne('cms', { _id: 'settings' }) });
+        }
+        catch (err) { next(err); }
+    });
+
+    // replace settings
+    router.put('/settings', async (req, res, next) => {
+        if (!cms.can(req.user, 'settings'))
+            return next(forbidden(req.user, 'settings'));
+
+        try {
+            const settings = Object.assign(clientFields(objectBody(req)), { _id: 'settings', updated: new Date() });
+            validateSettings(settings);
+
+            await cms.replaceOne('cms', { _id: 'settings' }, settings, { upsert: true });
+            cms.log('API replaced cms.settings');
+
+            res.json({ data: settings });
+        }
+        catch (err) { next(err); }
+    });
+
+    // update some settings (null removes a setting)
+    router.patch('/settings', async (req, res, next) => {
+        if (!cms.can(req.user, 'settings'))
+            return next(forbidden(req.user, 'settings'));
+
+        try {
+            const update = patchUpdate(clientFields(objectBody(req)));
+            const settings = Object.assign({}, await cms.findOne('cms', { _id: 'settings' }), update.$set);
+            for (const field of Object.keys(update.$unset || {}))
+                delete settings[field];
+            validateSettings(settings);
+
+            await cms.updateOne('cms', { _id: 'settings' }, update, { upsert: true });
+            cms.log('API updated cms.settings');
+
+            res.json({ data: settings });
+        }
+        catch (err) { next(err); }
+    });
+
+    // unknown API route
+    router.use((req, res, next) => next(new ApiError(404, `Not found: ${req.method} ${req.baseUrl}${req.path}`)));
+
+    // JSON error response
+    router.use((err, req, res, next) => {
+        // body-parser errors (e.g., malformed JSON or too large) carry their own status, and writes that don't fit their content type are the client's
+        const status = err instanceof ApiError ? err.status : (err instanceof types.ValidationError ? 400 : (err.status >= 400 && err.status < 500 ? err.status : 500));
+        if (status == 500)
+            cms.logger.error('API request failed', { error: err });
+
+        res.status(status).json({
+            error: {
+                status: status,
+                message: status < 500 || cms.debug ? err.message : 'Internal server error',
+                fields: err.fields
+            }
+        });
+    });
+
+    return router;
+};
+
+/**
+ * check the user may make a change to a page/template/block/content type
+ * @param {CMS} cms CMS instance
+ * @param {Request} req Express request
+ * @param {object} type apiCollections entry
+ * @param {object} before current document (null when creating)
+ * @param {object} after document as it would be saved (null when deleting)
+ */
+function authorize(cms, req, type, before, after) {
+    const permission = type.name == 'page' ? auth.pagePermission(before, after) : 'templates';
+    if (!cms.can(req.user, permission))
+        throw forbidden(req.user, permission);
+}
+
+/**
+ * error for a user whose role lacks a permission
+ * @param {object} user cmsUsers document
+ * @param {string} permission permission that was needed
+ * @returns {ApiError}
+ */
+function forbidden(user, permission) {
+    return new ApiError(403, `Your role (${user.role}) doesn't allow you to ${auth.permissions[permission]}`);
+}
+
+/**
+ * logged-in user and CSRF token for API clients
+ * @param {Request} req Express request
+ * @returns {object}
+ */
+function sessionInfo(req) {
+    return { user: { _id: req.user._id, name: req.user.name, role: req.user.role }, csrfToken: req.session.csrf, expires: req.session.expires };
+}
+
+/**
+ * request body, which must be a JSON object
+ * @param {Request} req Express request
+ * @returns {object}
+ */
+function objectBody(req) {
+    if (!req.is('application/json') || !req.body || typeof req.body != 'object' || Array.isArray(req.body))
+        throw new ApiError(400, 'Request body must be a JSON object');
+
+    return req.body;
+}
+
+/**
+ * copy of a request body without the server-maintained fields
+ * @param {object} body
+ * @returns {object}
+ */
+function clientFields(body) {
+    const fields = Object.assign({}, body);
+    for (const field of serverFields)
+        delete fields[field];
+
+    return fields;
+}
+
+/**
+ * convert partial fields to update operators, where null removes a field
+ * @param {object} fields
+ * @returns {object} $set (always including updated) and optional $unset
+ */
+function patchUpdate(fields) {
+    const update = { $set: { updated: new Date() } };
+    for (const [field, value] of Object.entries(fields)) {
+        if (!fieldPattern.test(field) || field.includes('.'))
+            throw new ApiError(400, 'Invalid fields', { [field]: 'Invalid field name' });
+
+        if (value === null)
+            (update.$unset = update.$unset || {})[field] = '';
+        else
+            update.$set[field] = value;
+    }
+
+    return update;
+}
+
+/**
+ * get the document being changed
+ * @param {CMS} cms CMS instance
+ * @param {object} type apiCollections entry
+ * @param {string} id document ID
+ * @returns {Promise<object>}
+ */
+async function findExisting(cms, type, id) {
+    const existing = await cms.findOne(type.collection, { _id: id });
+    if (!existing)
+        throw new ApiError(404, `${capitalize(type.name)} not found: ${id}`);
+
+    return existing;
+}
+
+/**
+ * get the media being read or changed
+ * @param {CMS} cms CMS instance
+ * @param {string} name media name
+ * @returns {Promise<object>} cmsMedia.files document
+ */
+async function findMedia(cms, name) {
+    const file = media.nameError(name) ? null : await cms.findMedia(name);
+    if (!file)
+        throw new ApiError(404, `Media not found: ${name}`);
+
+    return file;
+}
+
+/**
+ * check a page/template/block/content type before it's saved
+ * @param {CMS} cms CMS instance
+ * @param {object} type apiCollections entry
+ * @param {object} document complete document as it would be saved
+ * @returns {Promise}
+ */
+async function validate(cms, type, document) {
+    const fields = {};
+
+    if (type.name == 'page') {
+        for (const field of pageTextFields)
+            if (document[field] !== undefined && document[field] !== null && typeof document[field] != 'string')
+                fields[field] = 'Must be a string';
+        if (typeof document.template != 'string' || !await cms.findOne('cmsTemplates', { _id: document.template }, { projection: { _id: 1 } }))
+            fields.template = `Unknown template: ${document.template}`;
+        const translationsError = locales.translationsError(document.translations);
+        if (translationsError)
+            fields.translations = translationsError;
+        if (document.status !== undefined && !pageStatuses.includes(document.status))
+            fields.status = `Must be one of: ${pageStatuses.join(', ')}`;
+        for (const field of ['publish', 'unpublish'])
+            if (document[field] !== undefined && document[field] !== null && !timezone.toDate(document[field], cms.timezone()))
+                fields[field] = 'Must be a date/time';
+
+        // the home page is always at the root
+        if (document._id == 'home') {
+            if (document.parent || document.slug)
+                fields.parent = 'The home page cannot have a parent or slug';
+        }
+        else {
+            const invalidPath = pathError(await cms.pageIndex(), document._id, document.slug || document._id, document.parent || null);
+            if (invalidPath)
+                fields[document.slug && invalidPath.startsWith('Invalid slug') ? 'slug' : 'parent'] = invalidPath;
+        }
+
+        // fields declared by the page's content type
+        Object.assign(fields, await cms.validatePage(document));
+    }
+    else if (type.name == 'template') {
+        for (const section of templateSections)
+            if (document[section] !== undefined && document[section] !== null && typeof document[section] != 'string')
+                fields[section] = 'Must be a string';
+
+        // parent templates must exist, without extending this one
+        if (document.parent !== undefined && document.parent !== null)
+            try { await cms.templateChain(document); }
+            catch (err) { fields.parent = err.message; }
+    }
+    else if (type.name == 'content type')
+        Object.assign(fields, types.typeErrors(document));
+    else
+        for (const field of blockFields)
+            if (document[field] !== undefined && document[field] !== null && typeof document[field] != 'string')
+                fields[field] = 'Must be a string';
+
+    if (Object.keys(fields).length)
+        throw new ApiError(400, `Invalid ${type.name}`, fields);
+}
+
+/**
+ * check settings before they're saved
+ * @param {object} settings complete settings document
+ */
+function validateSettings(settings) {
+    const fields = locales.settingsErrors(settings);
+    if (settings.timezone !== undefined && !timezone.isValid(settings.timezone))
+        fields.timezone = `Unknown time zone: ${settings.timezone}`;
+
+    if (Object.keys(fields).length)
+        throw new ApiError(400, 'Invalid settings', fields);
+}
+
+/**
+ * add each page's canonical URL (templates are returned as-is)
+ * @param {CMS} cms CMS instance
+ * @param {object} type apiCollections entry
+ * @param {object[]} documents
+ * @param {string} fields optional fields parameter, which may leave out url
+ * @returns {Promise<object[]>}
+ */
+async function withUrls(cms, type, documents, fields) {
+    if (type.name != 'page' || (fields && !fields.split(',').includes('url')))
+        return documents;
+
+    const index = await cms.pageIndex();
+    return documents.map((document) => Object.assign(document, { url: index.byId.has(document._id) ? index.byId.get(document._id).url : null }));
+}
+
+/**
+ * whole number query string parameter
+ * @param {string} value parameter value
+ * @param {string} name parameter name
+ * @param {number} min smallest allowed value
+ * @param {number} max largest allowed value
+ * @param {number} defaultValue value when the parameter is missing
+ * @returns {number}
+ */
+function integerParameter(value, name, min, max, defaultValue) {
+    if (value === undefined || value === '')
+        return defaultValue;
+
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min || number > max)
+        throw new ApiError(400, `Invalid ${name} parameter: must be a whole number from ${min}${max == Infinity ? '' : ` to ${max}`}`);
+
+    return number;
+}
+
+/**
+ * projection from a comma-separated fields parameter (_id is always included)
+ * @param {string} fields e.g., title,slug,url
+ * @returns {object} find() options
+ */
+function projectionParameter(fields) {
+    if (fields === undefined || fields === '')
+        return {};
+
+    const projection = { _id: 1 };
+    for (const field of String(fields).split(',')) {
+        if (!fieldPattern.test(field))
+            throw new ApiError(400, `Invalid fields parameter: ${field}`);
+
+        // url is derived from the page index rather than stored
+        if (field != 'url')
+            projection[field] = 1;
+    }
+
+    return { projection: projection };
+}
+
+/**
+ * sort from a comma-separated sort parameter, where a leading - sorts descending
+ * @param {string} sort e.g., -updated,title (defaults to _id)
+ * @returns {object} find() sort option
+ */
+function sortParameter(sort) {
+    const order = {};
+    for (const field of String(sort || '_id').split(',')) {
+        const name = field.replace(/^-/, '');
+        if (!fieldPattern.test(name))
+            throw new ApiError(400, `Invalid sort parameter: ${field}`);
+
+        order[name] = field.startsWith('-') ? -1 : 1;
+    }
+
+    return order;
+}
+
+/**
+ * capitalize the first letter
+ * @param {string} value
+ * @returns {string}
+ */
+function capitalize(value) {
+    return value.charAt(0).toUpperCase() + value.substr(1);
+}
+
+/**
+ * escape a value for use in a regular expression
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
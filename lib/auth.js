@@ -0,0 +1,287 @@
+'use strict';
+const crypto = require('crypto');  // password hashing, session tokens
+
+/**
+ * user passwords, login sessions and role-based permissions for the admin area and API
+ *
+ * Sessions are cmsSessions documents keyed by a hash of the random token in the session cookie, so a copy of the
+ * database can't be used to hijack them. Each session has its own CSRF token, which unsafe requests must send back.
+ */
+
+/** permissions granted by each role */
+const roles = {
+    admin: ['read', 'pages.edit', 'pages.publish', 'media', 'menus', 'forms', 'redirects', 'templates', 'settings', 'migrate', 'users'],
+    editor: ['read', 'pages.edit', 'pages.publish', 'media', 'menus', 'forms', 'redirects'],
+    author: ['read', 'pages.edit', 'media'],
+    viewer: ['read']
+};
+
+/** what each permission allows, for documentation and the users admin page */
+const permissions = {
+    'read': 'view the admin area and read content through the API',
+    'pages.edit': 'create pages and edit pages that aren\'t visible to visitors',
+    'pages.publish': 'publish, schedule, unpublish and delete pages, and edit visible pages',
+    'media': 'upload, describe and delete media',
+    'menus': 'edit navigation menus',
+    'forms': 'edit forms, and list, export and delete their submissions',
+    'redirects': 'edit redirects',
+    'templates': 'edit templates and blocks (which contain executable code) and content types',
+    'settings': 'change the cms settings document',
+    'migrate': 'run migrate()',
+    'users': 'manage user accounts'
+};
+
+/** page statuses visitors can see (pages without one are published) */
+const visibleStatuses = ['scheduled', 'published'];
+
+/** usernames are lowercase login names, e.g., an email address */
+const usernamePattern = /^[a-z0-9][a-z0-9._@+-]*$/;
+
+/** shortest allowed password */
+const minPasswordLength = 10;
+
+/** scrypt cost parameters (stored with each hash, so they can be raised later) */
+const scryptCost = { N: 16384, r: 8, p: 1 };
+const scryptKeyLength = 64;
+
+/** session cookie, scoped to the admin area and API */
+const sessionCookie = 'cms_session';
+const sessionPath = '/cms';
+
+/** failed logins allowed for a username from one client address within the window */
+const maxLoginFailures = 10;
+const loginFailureWindow = 15 * 60 * 1000;
+
+/** failed logins by username and client address, each { _id, username, ip, count, since }, shared by every instance */
+const loginFailureCollection = 'cmsLoginFailures';
+
+/** hash compared against when the username doesn't exist, so timing doesn't reveal which usernames do */
+let dummyHash;
+
+/**
+ * hash a password with scrypt and a random salt
+ * @param {string} password
+ * @returns {Promise<string>} scrypt$N$r$p$salt$hash (base64)
+ */
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = await scrypt(password, salt, scryptKeyLength, scryptCost);
+    return ['scrypt', scryptCost.N, scryptCost.r, scryptCost.p, salt.toString('base64'), hash.toString('base64')].join('$');
+}
+
+/**
+ * check a password against a hash from hashPassword()
+ * @param {string} password
+ * @param {string} stored hash from hashPassword()
+ * @returns {Promise<boolean>}
+ */
+async function verifyPassword(password, stored) {
+    const [algorithm, N, r, p, salt, hash] = String(stored || '').split('$');
+    if (algorithm != 'scrypt' || !hash)
+        return false;
+
+    const expected = Buffer.from(hash, 'base64');
+    const actual = await scrypt(String(password), Buffer.from(salt, 'base64'), expected.length, { N: Number(N), r: Number(r), p: Number(p) });
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * check a password against a user, spending the same time when there is no such user
+ * @param {string} password
+ * @param {object} user cmsUsers document (null when not found)
+ * @returns {Promise<boolean>}
+ */
+async function checkUserPassword(password, user) {
+    if (!dummyHash)
+        dummyHash = await hashPassword(crypto.randomBytes(16).toString('hex'));
+
+    const valid = await verifyPassword(password, user ? user.password : dummyHash);
+    return valid && !!user;
+}
+
+/**
+ * problem with a new password
+ * @param {string} password
+ * @returns {string} error message, or null when acceptable
+ */
+function passwordError(password) {
+    if (typeof password != 'string' || password.length < minPasswordLength)
+        return `Password must be at least ${minPasswordLength} characters`;
+
+    return null;
+}
+
+/**
+ * permission needed to change a page, since making pages visible (or changing visible ones) is publishing
+ * @param {object} before current page (null when creating or restoring a deleted page)
+ * @param {object} after page as it would be saved (null when deleting)
+ * @returns {string} pages.edit or pages.publish
+ */
+function pagePermission(before, after) {
+    if (!after)
+        return 'pages.publish';
+
+    return [before, after].some((page) => page && visibleStatuses.includes(page.status || 'published')) ? 'pages.publish' : 'pages.edit';
+}
+
+/**
+ * Express middleware that loads the session and user for the request (req.session and req.user, null when logged out)
+ * @param {CMS} cms CMS instance
+ * @returns {function}
+ */
+function sessions(cms) {
+    return async (req, res, next) => {
+        req.session = null;
+        req.user = null;
+
+        try {
+            const token = cookies(req)[sessionCookie];
+            if (!token)
+                return next();
+
+            const session = await cms.findOne('cmsSessions', { _id: sessionId(token) });
+            if (!session || !(session.expires > new Date()))
+                return next();
+
+            const user = await cms.findOne('cmsUsers', { _id: session.user }, { projection: { password: 0 } });
+            if (!user || !roles[user.role])
+                return next();
+
+            // keep active sessions going
+            const ttl = cms.sessionTtl * 1000;
+            if (session.expires.getTime() - Date.now() < ttl / 2) {
+                session.expires = new Date(Date.now() + ttl);
+                await cms.updateOne('cmsSessions', { _id: session._id }, { $set: { expires: session.expires } });
+                setSessionCookie(req, res, token, cms.sessionTtl);
+            }
+
+            req.session = session;
+            req.user = user;
+            next();
+        }
+        catch (err) { next(err); }
+    };
+}
+
+/**
+ * log a user in (after checking their password), throttling repeated failures for the username from the same client
+ * @param {CMS} cms CMS instance
+ * @param {Request} req Express request
+ * @param {Response} res Express response
+ * @param {string} username
+ * @param {string} password
+ * @returns {Promise<string>} error message, or null once the session cookie is set
+ */
+async function logIn(cms, req, res, username, password) {
+    // forget failures from before the window, then count the ones in it (usernames as authenticate() looks them up)
+    const now = new Date();
+    await cms.deleteMany(loginFailureCollection, { since: { $lte: new Date(now.getTime() - loginFailureWindow) } });
+    const name = String(username || '').trim().toLowerCase();
+    const client = req.ip || null;
+    const failureId = crypto.createHash('sha256').update(`${name}\n${client}`).digest('hex');
+    const failures = await cms.findOne(loginFailureCollection, { _id: failureId });
+    if (failures && failures.count >= maxLoginFailures)
+        return 'Too many failed logins, try again later';
+
+    const user = await cms.authenticate(username, password);
+    if (!user) {
+        await cms.updateOne(loginFailureCollection, { _id: failureId }, { $inc: { count: 1 }, $setOnInsert: { username: name, ip: client, since: now } }, { upsert: true });
+        cms.logger.warn('Failed login', { username: username, ip: client });
+        return 'Invalid username or password';
+    }
+    await cms.deleteOne(loginFailureCollection, { _id: failureId });
+
+    // forget expired sessions while we're here
+    await cms.deleteMany('cmsSessions', { expires: { $lte: now } });
+
+    const token = crypto.randomBytes(32).toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    req.session = { _id: sessionId(token), user: user._id, csrf: crypto.randomBytes(24).toString('hex'), created: now, expires: new Date(now.getTime() + cms.sessionTtl * 1000) };
+    req.user = user;
+    await cms.insertOne('cmsSessions', req.session);
+    setSessionCookie(req, res, token, cms.sessionTtl);
+    cms.logger.info('Logged in', { username: user._id });
+
+    return null;
+}
+
+/**
+ * end the request's session
+ * @param {CMS} cms CMS instance
+ * @param {Request} req Express request
+ * @param {Response} res Express response
+ * @returns {Promise}
+ */
+async function logOut(cms, req, res) {
+    if (req.session)
+        await cms.deleteOne('cmsSessions', { _id: req.session._id });
+
+    res.clearCookie(sessionCookie, { path: sessionPath });
+    req.session = null;
+    req.user = null;
+}
+
+/**
+ * determine whether a request changing data came with the session's CSRF token (in the X-CSRF-Token header or a
+ * _csrf form field); safe methods don't need one
+ * @param {Request} req Express request
+ * @returns {boolean}
+ */
+function verifyCsrf(req) {
+    if (['GET', 'HEAD', 'OPTIONS'].includes(req.method))
+        return true;
+    if (!req.session)
+        return false;
+
+    const expected = Buffer.from(req.session.csrf);
+    const actual = Buffer.from(String(req.get('X-CSRF-Token') || (req.body && req.body._csrf) || ''));
+    return expected.length == actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * set the session cookie
+ * @param {Request} req Express request
+ * @param {Response} res Express response
+ * @param {string} token session token
+ * @param {number} ttl seconds until it expires
+ */
+function setSessionCookie(req, res, token, ttl) {
+    res.cookie(sessionCookie, token, { path: sessionPath, httpOnly: true, sameSite: 'lax', secure: req.secure, maxAge: ttl * 1000 });
+}
+
+/**
+ * cmsSessions _id for a session token
+ * @param {string} token
+ * @returns {string}
+ */
+function sessionId(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * parse the Cookie header
+ * @param {Request} req Express request
+ * @returns {object} values by name
+ */
+function cookies(req) {
+    const values = {};
+    for (const pair of String(req.headers.cookie || '').split(';')) {
+        const index = pair.indexOf('=');
+        if (index == -1)
+            continue;
+
+        try { values[pair.substr(0, index).trim()] = decodeURIComponent(pair.substr(index + 1).trim()); }
+        catch (err) { }
+    }
+
+    return values;
+}
+
+/**
+ * crypto.scrypt as a promise
+ * @returns {Promise<Buffer>}
+ */
+function scrypt(password, salt, keyLength, options) {
+    return new Promise((resolve, reject) => crypto.scrypt(password, salt, keyLength, Object.assign({ maxmem: 64 * 1024 * 1024 }, options), (err, key) => err ? reject(err) : resolve(key)));
+}
+
+module.exports = { roles, permissions, usernamePattern, hashPassword, verifyPassword, checkUserPassword, passwordError, pagePermission, sessions, logIn, logOut, verifyCsrf, cookies };
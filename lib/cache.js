@@ -0,0 +1,88 @@
+'use strict';
+
+/** in-memory cache of rendered pages, evicting the least recently used entry when full */
+module.exports = class RenderCache {
+    /**
+     * create an empty cache
+     * @param {number} maxEntries most entries to keep (defaults to 500)
+     */
+    constructor(maxEntries) {
+        this.maxEntries = maxEntries || 500;
+    }
+
+
+    /**********************
+     ***** Properties *****
+     *********************/
+
+    /**
+     * entries by key, in least to most recently used order
+     * @type {Map<string, object>}
+     * @protected
+     */
+    _entries = new Map();
+
+    /**
+     * most entries to keep
+     * @type {number}
+     */
+    maxEntries;
+
+    /**
+     * number of cached entries
+     * @type {number}
+     */
+    get size() {
+        return this._entries.size;
+    }
+
+
+    /*******************
+     ***** Methods *****
+     ******************/
+
+    /**
+     * remove every entry
+     */
+    clear() {
+        this._entries.clear();
+    }
+
+    /**
+     * get an entry, if it's cached and hasn't expired
+     * @param {string} key
+     * @returns {object} undefined when not cached
+     */
+    get(key) {
+        const entry = this._entries.get(key);
+        if (!entry)
+            return undefined;
+
+        // expired
+        if (entry.expires && entry.expires <= Date.now()) {
+            this._entries.delete(key);
+            return undefined;
+        }
+
+        // mark as most recently used
+        this._entries.delete(key);
+        this._entries.set(key, entry);
+
+        return entry.value;
+    }
+
+    /**
+     * add or replace an entry
+     * @param {string} key
+     * @param {object} value
+     * @param {number} ttl optional seconds until the entry expires (otherwise it stays until evicted or cleared)
+     */
+    set(key, value, ttl) {
+        this._entries.delete(key);
+        this._entries.set(key, { value: value, expires: ttl ? Date.now() + ttl * 1000 : null });
+
+        // evict the least recently used entries
+        while (this._entries.size > this.maxEntries)
+            this._entries.delete(this._entries.keys().next().value);
+    }
+};
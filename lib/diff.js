@@ -0,0 +1,70 @@
+'use strict';
+
+/** largest middle section (lines before × lines after) compared line by line, beyond that it's replaced wholesale */
+const maxComparisons = 4000000;
+
+/**
+ * line-by-line diff of two pieces of source, based on their longest common subsequence
+ * @param {string} before original source (null/undefined is treated as empty)
+ * @param {string} after changed source (null/undefined is treated as empty)
+ * @returns {{type: string, line: string}[]} type is ' ' (unchanged), '-' (removed) or '+' (added)
+ */
+module.exports = function diffLines(before, after) {
+    const a = splitLines(before);
+    const b = splitLines(after);
+
+    // unchanged lines at the start and end don't need comparing
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] == b[start])
+        start++;
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] == b[endB - 1]) {
+        endA--;
+        endB--;
+    }
+
+    const results = a.slice(0, start).map((line) => ({ type: ' ', line: line }));
+    const middleA = a.slice(start, endA);
+    const middleB = b.slice(start, endB);
+
+    // too large to compare, show it as replaced
+    if (middleA.length * middleB.length > maxComparisons) {
+        results.push(...middleA.map((line) => ({ type: '-', line: line })));
+        results.push(...middleB.map((line) => ({ type: '+', line: line })));
+    }
+    else {
+        // length of the longest common subsequence of each pair of suffixes
+        const lengths = Array.from({ length: middleA.length + 1 }, () => new Uint32Array(middleB.length + 1));
+        for (let i = middleA.length - 1; i >= 0; i--)
+            for (let j = middleB.length - 1; j >= 0; j--)
+                lengths[i][j] = middleA[i] == middleB[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+
+        // walk the table, preferring removals before additions
+        let i = 0;
+        let j = 0;
+        while (i < middleA.length || j < middleB.length) {
+            if (i < middleA.length && j < middleB.length && middleA[i] == middleB[j]) {
+                results.push({ type: ' ', line: middleA[i] });
+                i++;
+                j++;
+            }
+            else if (j >= middleB.length || (i < middleA.length && lengths[i + 1][j] >= lengths[i][j + 1]))
+                results.push({ type: '-', line: middleA[i++] });
+            else
+                results.push({ type: '+', line: middleB[j++] });
+        }
+    }
+
+    results.push(...a.slice(endA).map((line) => ({ type: ' ', line: line })));
+    return results;
+};
+
+/**
+ * split source into lines, ignoring the difference between CRLF and LF
+ * @param {string} source
+ * @returns {string[]}
+ */
+function splitLines(source) {
+    return source === null || source === undefined || source === '' ? [] : String(source).split(/\r?\n/);
+}
@@ -0,0 +1,166 @@
+'use strict';
+const express = require('express');  // web server
+const htmlEscaper = require('html-escaper');  // escape/unescape HTML entities
+const locales = require('./locales');  // multilingual pages
+
+/** robots.txt when the settings don't have one ({sitemap} is replaced by the sitemap URL) */
+const defaultRobots = 'User-agent: *\nDisallow: /cms/admin\nDisallow: /search\n\nSitemap: {sitemap}\n';
+
+/** pages in the Atom/RSS feeds when settings.feedSize isn't set */
+const defaultFeedSize = 20;
+
+/**
+ * build the router for machine-readable routes (sitemap.xml, robots.txt and Atom/RSS feeds), which must be mounted
+ * ahead of the page router so these paths aren't treated as pages
+ * @param {CMS} cms CMS instance
+ * @returns {express.Router}
+ */
+module.exports = function feeds(cms) {
+    const router = express.Router();
+
+    // every published page (and its translations)
+    router.get('/sitemap.xml', async (req, res, next) => {
+        try {
+            const base = siteUrl(cms, req);
+            if (!base)
+                return next();
+            const config = locales.config(cms.settings);
+            const pages = [...(await cms.pageIndex()).byId.values()]
+                .filter((page) => page.url && cms.isPublished(page))
+                .flatMap((page) => (config ? config.enabled : [null])
+                    .filter((locale) => locales.hasLocale(page, locale, config))
+                    .map((locale) => ({ url: locales.localizedUrl(page.url, locale, config), updated: page.updated })))
+                .sort((a, b) => a.url.localeCompare(b.url));
+
+            res.type('application/xml').send('<?xml version="1.0" encoding="UTF-8"?>\n'
+                + '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n'
+                + pages.map((page) => '  <url>'
+                    + `<loc>${escape(base + page.url)}</loc>`
+                    + (page.updated instanceof Date ? `<lastmod>${page.updated.toISOString()}</lastmod>` : '')
+                    + '</url>\n').join('')
+                + '</urlset>\n');
+        }
+        catch (err) { next(err); }
+    });
+
+    // crawler rules from settings.robots (leaving out lines with the sitemap URL when there's no site URL)
+    router.get('/robots.txt', (req, res) => {
+        const robots = typeof cms.settings.robots == 'string' ? cms.settings.robots : defaultRobots;
+        const base = siteUrl(cms, req);
+        res.type('text/plain').send(base ? robots.replace(/\{sitemap\}/g, `${base}/sitemap.xml`) : robots.replace(/^.*\{sitemap\}.*(\n|$)/gm, ''));
+    });
+
+    // recent pages as Atom
+    router.get(['/feed', '/feed.atom'], async (req, res, next) => {
+        try {
+            const base = siteUrl(cms, req);
+            if (!base)
+                return next();
+            const pages = await recentPages(cms);
+            const settings = cms.settings;
+            const updated = pages.reduce((latest, page) => !latest || page.updated > latest ? page.updated : latest, null) || new Date();
+
+            res.type('application/atom+xml').send('<?xml version="1.0" encoding="UTF-8"?>\n'
+                + '<feed xmlns="http://www.w3.org/2005/Atom">\n'
+                + `  <title>${escape(settings.title)}</title>\n`
+                + (settings.tagline ? `  <subtitle>${escape(settings.tagline)}</subtitle>\n` : '')
+                + `  <id>${escape(base + '/')}</id>\n`
+                + `  <link href="${escape(base + '/')}"/>\n`
+                + `  <link rel="self" href="${escape(base + req.path)}"/>\n`
+                + `  <updated>${updated.toISOString()}</updated>\n`
+                + pages.map((page) => '  <entry>\n'
+                    + `    <title>${escape(page.title || page._id)}</title>\n`
+                    + `    <id>${escape(base + page.url)}</id>\n`
+                    + `    <link href="${escape(base + page.url)}"/>\n`
+                    + `    <published>${page.created.toISOString()}</published>\n`
+                    + `    <updated>${page.updated.toISOString()}</updated>\n`
+                    + (page.summary ? `    <summary>${escape(page.summary)}</summary>\n` : '')
+                    + '  </entry>\n').join('')
+                + '</feed>\n');
+        }
+        catch (err) { next(err); }
+    });
+
+    // recent pages as RSS 2.0
+    router.get('/feed.rss', async (req, res, next) => {
+        try {
+            const base = siteUrl(cms, req);
+            if (!base)
+                return next();
+            const pages = await recentPages(cms);
+            const settings = cms.settings;
+
+            res.type('application/rss+xml').send('<?xml version="1.0" encoding="UTF-8"?>\n'
+                + '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">\n'
+                + '<channel>\n'
+                + `  <title>${escape(settings.title)}</title>\n`
+                + `  <link>${escape(base + '/')}</link>\n`
+                + `  <description>${escape(settings.tagline || settings.title)}</description>\n`
+                + `  <atom:link href="${escape(base + req.path)}" rel="self" type="application/rss+xml"/>\n`
+                + (pages.length ? `  <lastBuildDate>${pages[0].created.toUTCString()}</lastBuildDate>\n` : '')
+                + pages.map((page) => '  <item>\n'
+                    + `    <title>${escape(page.title || page._id)}</title>\n`
+                    + `    <link>${escape(base + page.url)}</link>\n`
+                    + `    <guid isPermaLink="true">${escape(base + page.url)}</guid>\n`
+                    + `    <pubDate>${page.created.toUTCString()}</pubDate>\n`
+                    + (page.summary ? `    <description>${escape(page.summary)}</description>\n` : '')
+                    + '  </item>\n').join('')
+                + '</channel>\n'
+                + '</rss>\n');
+        }
+        catch (err) { next(err); }
+    });
+
+    return router;
+};
+
+/**
+ * most recently created published pages, newest first (the home page isn't an entry)
+ * @param {CMS} cms CMS instance
+ * @returns {Promise<object[]>} pages with url, title, summary (excerpt or description), created and updated
+ */
+async function recentPages(cms) {
+    const index = await cms.pageIndex();
+    const pages = await cms.find('cmsPages', { _id: { $ne: 'home' } }, {
+        sort: { created: -1 },
+        projection: { title: 1, excerpt: 1, description: 1, created: 1, updated: 1, status: 1, publish: 1, unpublish: 1 }
+    });
+
+    return pages
+        .filter((page) => page.created instanceof Date && index.byId.has(page._id) && index.byId.get(page._id).url && cms.isPublished(page))
+        .slice(0, Number(cms.settings.feedSize) || defaultFeedSize)
+        .map((page) => ({
+            _id: page._id,
+            url: index.byId.get(page._id).url,
+            title: page.title,
+            summary: page.excerpt || page.description,
+            created: page.created,
+            updated: page.updated instanceof Date ? page.updated : page.created
+        }));
+}
+
+/**
+ * absolute URL of the site root, from the url setting or a site instance's primary hostname (never the Host header,
+ * which the client controls)
+ * @param {CMS} cms CMS instance
+ * @param {Request} req Express request
+ * @returns {string} without a trailing slash, or null when neither is configured (warning about it)
+ */
+function siteUrl(cms, req) {
+    if (cms.settings.url)
+        return cms.settings.url.replace(/\/+$/, '');
+    if (cms.site && cms.site.hostnames && cms.site.hostnames.length)
+        return `${req.protocol}://${cms.site.hostnames[0]}`;
+
+    cms.logger.warn(`Set url in the settings to serve ${req.path}`);
+    return null;
+}
+
+/**
+ * escape a value for XML text/attributes, treating null/undefined as empty
+ * @param {any} value
+ * @returns {string}
+ */
+function escape(value) {
+    return value === null || value === undefined ? '' : htmlEscaper.escape(String(value));
+}
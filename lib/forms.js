@@ -0,0 +1,418 @@
+'use strict';
+const crypto = require('crypto');  // visitor tokens and submission IDs
+const htmlEscaper = require('html-escaper');  // escape/unescape HTML entities
+const auth = require('./auth');  // request cookies
+const { pageIdPattern } = require('./pages');  // form IDs follow the page ID rules
+
+/**
+ * forms: cmsForms documents declaring a form's fields, validation rules and success message, which page/template source
+ * renders with `await forms.render(id)` and visitors submit by POSTing back to the page
+ *
+ * Submissions are checked against the form's rules again on the server, need the visitor's token (a double-submit
+ * cookie), are dropped when a bot fills in the hidden honeypot field, are rate limited by IP address and are saved in
+ * the cmsSubmissions collection.
+ */
+
+/** form collection */
+const formCollection = 'cmsForms';
+
+/** saved submissions collection */
+const submissionCollection = 'cmsSubmissions';
+
+/** field types, with the message for values that don't fit */
+const fieldTypes = {
+    text: 'Must be text',
+    textarea: 'Must be text',
+    email: 'Must be an email address',
+    tel: 'Must be a phone number',
+    url: 'Must be a web address (e.g., https://example.com)',
+    number: 'Must be a number',
+    date: 'Must be a date (YYYY-MM-DD)',
+    select: 'Must be one of the choices',
+    checkbox: 'Must be checked or not'
+};
+
+/** field types with text values, which can have maxLength and pattern */
+const textTypes = ['text', 'textarea', 'email', 'tel', 'url'];
+
+/** field names (names starting with an underscore are kept for the form itself) */
+const fieldNamePattern = /^[A-Za-z][A-Za-z0-9_]*$/;
+
+/** longest text value accepted when a field doesn't set maxLength */
+const maxValueLength = 10000;
+
+/** cookie holding the visitor's form token */
+const cookieName = 'cmsForm';
+
+/** hidden honeypot field, which people leave empty */
+const honeypotField = '_website';
+
+/** submissions accepted from one IP address per window, and how many addresses are kept track of at once */
+const rateLimit = { submissions: 5, seconds: 10 * 60, addresses: 10000 };
+
+/** recent submission times by IP address, for the rate limit (in order of each address's latest submission) */
+const recentSubmissions = new Map();
+
+/**
+ * problems with a form definition
+ * @param {object} form cmsForms document
+ * @returns {object} error messages by field name (empty when valid)
+ */
+function formErrors(form) {
+    const fields = {};
+    if (!form || typeof form != 'object' || Array.isArray(form))
+        return { _id: 'Form must be a JSON object' };
+    if (typeof form._id != 'string' || !pageIdPattern.test(form._id))
+        fields._id = `Must match ${pageIdPattern.source}`;
+    for (const option of ['title', 'submit', 'success'])
+        if (form[option] !== undefined && form[option] !== null && typeof form[option] != 'string')
+            fields[option] = 'Must be a string';
+    if (!form.fields || typeof form.fields != 'object' || Array.isArray(form.fields) || !Object.keys(form.fields).length)
+        return Object.assign(fields, { fields: 'Must be an object of fields by name, with at least one field' });
+
+    for (const [name, field] of Object.entries(form.fields)) {
+        const error = fieldError(name, field);
+        if (error)
+            fields[`fields.${name}`] = error;
+    }
+
+    return fields;
+}
+
+/**
+ * problem with a field definition
+ * @param {string} name field name
+ * @param {object} field field definition
+ * @returns {string} error message, or null when valid
+ */
+function fieldError(name, field) {
+    if (!fieldNamePattern.test(name))
+        return `Field names must match ${fieldNamePattern.source}`;
+    if (!field || typeof field != 'object' || Array.isArray(field))
+        return 'Must be an object';
+    if (!fieldTypes[field.type])
+        return `Type must be one of: ${Object.keys(fieldTypes).join(', ')}`;
+
+    if (field.required !== undefined && typeof field.required != 'boolean')
+        return 'required must be true or false';
+    for (const option of ['label', 'placeholder', 'help'])
+        if (field[option] !== undefined && typeof field[option] != 'string')
+            return `${option} must be a string`;
+    if (field.maxLength !== undefined && (!textTypes.includes(field.type) || !Number.isInteger(field.maxLength) || field.maxLength < 1))
+        return 'maxLength must be a positive whole number, for text fields';
+    if (field.pattern !== undefined) {
+        if (!textTypes.includes(field.type) || typeof field.pattern != 'string')
+            return 'pattern must be a regular expression string, for text fields';
+        try { new RegExp(field.pattern); }
+        catch (err) { return `Invalid pattern: ${err.message}`; }
+    }
+    for (const option of ['min', 'max'])
+        if (field[option] !== undefined && (field.type != 'number' || typeof field[option] != 'number'))
+            return `${option} must be a number, for number fields`;
+    if (field.type == 'select' && (!Array.isArray(field.options) || !field.options.length || field.options.some((option) => typeof option != 'string')))
+        return 'options must be an array of strings, for select fields';
+
+    return null;
+}
+
+/**
+ * check submitted values against a form's fields
+ * @param {object} form cmsForms document
+ * @param {object} body parsed request body
+ * @returns {{values: object, errors: object}} values to save (only the form's fields, converted to their types) and error messages by field name
+ */
+function validate(form, body) {
+    const values = {};
+    const errors = {};
+    for (const [name, field] of Object.entries(form.fields)) {
+        const submitted = body[name];
+
+        // checkboxes are only submitted when checked
+        if (field.type == 'checkbox') {
+            values[name] = submitted !== undefined && submitted !== '';
+            if (field.required && !values[name])
+                errors[name] = 'Required';
+            continue;
+        }
+
+        if (submitted !== undefined && typeof submitted != 'string') {
+            errors[name] = fieldTypes[field.type];
+            continue;
+        }
+
+        const value = field.type == 'textarea' ? (submitted || '').replace(/\r\n/g, '\n') : (submitted || '').trim();
+        values[name] = value || null;
+        if (!value) {
+            if (field.required)
+                errors[name] = 'Required';
+            continue;
+        }
+
+        const error = valueError(field, value);
+        if (error)
+            errors[name] = error;
+        else if (field.type == 'number')
+            values[name] = Number(value);
+    }
+
+    return { values: values, errors: errors };
+}
+
+/**
+ * problem with a submitted value
+ * @param {object} field field definition
+ * @param {string} value non-empty submitted value
+ * @returns {string} error message, or null when valid
+ */
+function valueError(field, value) {
+    if (textTypes.includes(field.type)) {
+        if (value.length > (field.maxLength || maxValueLength))
+            return `Must be at most ${field.maxLength || maxValueLength} characters`;
+        if (field.pattern && !new RegExp(`^(?:${field.pattern})$`).test(value))
+            return 'Invalid format';
+    }
+
+    switch (field.type) {
+        case 'email':
+            return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value) ? null : fieldTypes.email;
+        case 'tel':
+            return /^\+?[\d\s().-]{3,}$/.test(value) ? null : fieldTypes.tel;
+        case 'url':
+            try { return ['http:', 'https:'].includes(new URL(value).protocol) ? null : fieldTypes.url; }
+            catch (err) { return fieldTypes.url; }
+        case 'number': {
+            const number = Number(value);
+            if (!Number.isFinite(number))
+                return fieldTypes.number;
+            if (field.min !== undefined && number < field.min)
+                return `Must be at least ${field.min}`;
+            if (field.max !== undefined && number > field.max)
+                return `Must be at most ${field.max}`;
+            return null;
+        }
+        case 'date':
+            return /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(`${value}T00:00:00Z`)) && new Date(`${value}T00:00:00Z`).toISOString().startsWith(value) ? null : fieldTypes.date;
+        case 'select':
+            return field.options.includes(value) ? null : fieldTypes.select;
+    }
+
+    return null;
+}
+
+/**
+ * get the visitor's form token, setting the cookie holding it when they don't have one yet
+ * @param {Request} req Express request
+ * @param {Response} res Express response
+ * @returns {string}
+ */
+function visitorToken(req, res) {
+    const existing = auth.cookies(req)[cookieName];
+    if (existing && /^[0-9a-f]{48}$/.test(existing))
+        return existing;
+
+    const token = crypto.randomBytes(24).toString('hex');
+    res.cookie(cookieName, token, { path: '/', httpOnly: true, sameSite: 'lax', secure: req.secure });
+    return token;
+}
+
+/**
+ * check a submission's token against the visitor's cookie
+ * @param {Request} req Express request
+ * @returns {boolean}
+ */
+function verifyToken(req) {
+    const expected = Buffer.from(String(auth.cookies(req)[cookieName] || ''));
+    const actual = Buffer.from(String(req.body._csrf || ''));
+    return expected.length > 0 && expected.length == actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * count a submission against the IP address's rate limit
+ * @param {string} ip
+ * @returns {boolean} false when the IP address is over the limit (and the submission isn't counted)
+ */
+function allowSubmission(ip) {
+    const now = Date.now();
+    const since = now - rateLimit.seconds * 1000;
+
+    // forget addresses that have been quiet for the whole window, which come first
+    for (const [address, times] of recentSubmissions) {
+        if (times[times.length - 1] > since)
+            break;
+        recentSubmissions.delete(address);
+    }
+
+    const times = (recentSubmissions.get(ip) || []).filter((time) => time > since);
+    if (times.length >= rateLimit.submissions)
+        return false;
+
+    // move the address to the end, then forget the least recently active ones when there are too many
+    recentSubmissions.delete(ip);
+    recentSubmissions.set(ip, times.concat(now));
+    for (const address of recentSubmissions.keys()) {
+        if (recentSubmissions.size <= rateLimit.addresses)
+            break;
+        recentSubmissions.delete(address);
+    }
+
+    return true;
+}
+
+/**
+ * handle a form POSTed to a page: check the token, honeypot, values and rate limit, then save the submission
+ * @param {CMS} cms CMS instance
+ * @param {Request} req Express request (with the parsed form body)
+ * @param {object} page page summary the form was posted to
+ * @returns {Promise<object>} { form, status: 303, saved } when it's done with (saved is false for dropped spam), otherwise { form, status, message, values, errors } to show the form again
+ */
+async function submit(cms, req, page) {
+    const id = String(req.body._form);
+    const form = await cms.findOne(formCollection, { _id: id });
+    if (!form)
+        return { form: id, status: 400, message: `Form not found: ${id}` };
+
+    if (!verifyToken(req))
+        return { form: id, status: 403, message: 'This form is out of date, reload the page and try again.', values: validate(form, req.body).values, errors: {} };
+
+    // bots fill in every field, so pretend it worked
+    if (req.body[honeypotField]) {
+        cms.logger.info('Form spam dropped', { form: id, page: page._id, ip: req.ip });
+        return { form: id, status: 303, saved: false };
+    }
+
+    // only valid submissions count against the rate limit, so correcting mistakes doesn't use it up
+    const { values, errors } = validate(form, req.body);
+    if (Object.keys(errors).length)
+        return { form: id, status: 400, message: 'Please correct the highlighted fields.', values: values, errors: errors };
+
+    if (!allowSubmission(req.ip))
+        return { form: id, status: 429, message: 'Too many submissions, try again later.', values: values, errors: {} };
+
+    await cms.insertOne(submissionCollection, {
+        _id: crypto.randomBytes(12).toString('hex'),
+        form: id,
+        page: page._id,
+        values: values,
+        submitted: new Date(),
+        ip: req.ip || null,
+        userAgent: req.get('User-Agent') || null
+    });
+    cms.logger.info('Form submitted', { form: id, page: page._id });
+
+    return { form: id, status: 303, saved: true };
+}
+
+/**
+ * render a form as a Bootstrap form that posts back to the page
+ * @param {object} form cmsForms document
+ * @param {object} context action (page URL), token (visitor's form token) and submission (from submit(), or { form, submitted: true } after a successful one)
+ * @returns {string} HTML (the success message in place of the form after it was submitted)
+ */
+function render(form, context) {
+    const submission = context.submission && context.submission.form == form._id ? context.submission : null;
+    if (submission && submission.submitted)
+        return `<div class="alert alert-success" role="alert">${escape(form.success || 'Thank you, your submission has been received.')}</div>`;
+
+    const values = (submission && submission.values) || {};
+    const errors = (submission && submission.errors) || {};
+    const prefix = `cms-form-${form._id}`;
+    return `<form method="post" action="${escape(context.action)}" class="cms-form" id="${prefix}">`
+        + (form.title ? `<h2 class="h4">${escape(form.title)}</h2>` : '')
+        + (submission && submission.message ? `<div class="alert alert-danger" role="alert">${escape(submission.message)}</div>` : '')
+        + `<input type="hidden" name="_form" value="${escape(form._id)}">`
+        + `<input type="hidden" name="_csrf" value="${escape(context.token)}">`
+        + `<div class="d-none" aria-hidden="true"><label for="${prefix}-${honeypotField}">Leave this empty</label><input id="${prefix}-${honeypotField}" name="${honeypotField}" tabindex="-1" autocomplete="off"></div>`
+        + Object.entries(form.fields).map(([name, field]) => renderField(prefix, name, field, values[name], errors[name])).join('')
+        + `<button type="submit" class="btn btn-primary">${escape(form.submit || 'Submit')}</button>`
+        + '</form>';
+}
+
+/**
+ * form group for a field
+ * @param {string} prefix element ID prefix
+ * @param {string} name field name
+ * @param {object} field field definition
+ * @param {any} value submitted value to show again
+ * @param {string} error error message
+ * @returns {string}
+ */
+function renderField(prefix, name, field, value, error) {
+    const id = `${prefix}-${name}`;
+    const label = escape(field.label || name.charAt(0).toUpperCase() + name.slice(1)) + (field.required ? ' <span class="text-danger">*</span>' : '');
+    const invalid = error ? ' is-invalid' : '';
+    const feedback = (error ? `<div class="invalid-feedback">${escape(error)}</div>` : '')
+        + (field.help ? `<small class="form-text text-muted">${escape(field.help)}</small>` : '');
+
+    // browser-side checks mirror the server-side ones
+    let attributes = `id="${id}" name="${name}"` + (field.required ? ' required' : '');
+    if (field.placeholder)
+        attributes += ` placeholder="${escape(field.placeholder)}"`;
+    if (field.maxLength)
+        attributes += ` maxlength="${field.maxLength}"`;
+    if (field.pattern)
+        attributes += ` pattern="${escape(field.pattern)}"`;
+    for (const option of ['min', 'max'])
+        if (field[option] !== undefined)
+            attributes += ` ${option}="${field[option]}"`;
+
+    switch (field.type) {
+        case 'checkbox':
+            return `<div class="form-group form-check"><input type="checkbox" class="form-check-input${invalid}" ${attributes} value="1"${value ? ' checked' : ''}>`
+                + `<label class="form-check-label" for="${id}">${label}</label>${feedback}</div>`;
+        case 'textarea':
+            return `<div class="form-group"><label for="${id}">${label}</label><textarea class="form-control${invalid}" ${attributes} rows="5">${escape(value)}</textarea>${feedback}</div>`;
+        case 'select':
+            return `<div class="form-group"><label for="${id}">${label}</label><select class="form-control${invalid}" ${attributes}>`
+                + '<option value=""></option>'
+                + field.options.map((option) => `<option${option == value ? ' selected' : ''}>${escape(option)}</option>`).join('')
+                + `</select>${feedback}</div>`;
+    }
+
+    return `<div class="form-group"><label for="${id}">${label}</label><input type="${field.type}" class="form-control${invalid}" ${attributes} value="${escape(value)}"${field.type == 'number' ? ' step="any"' : ''}>${feedback}</div>`;
+}
+
+/**
+ * CSV of a form's submissions, one column per form field plus when and where it was submitted
+ * @param {object} form cmsForms document
+ * @param {object[]} submissions cmsSubmissions documents
+ * @returns {string}
+ */
+function toCsv(form, submissions) {
+    const names = Object.keys(form.fields || {});
+    for (const submission of submissions)
+        for (const name of Object.keys(submission.values || {}))
+            if (!names.includes(name))
+                names.push(name);
+
+    const rows = [['submitted', 'page', ...names]].concat(submissions.map((submission) => [
+        submission.submitted instanceof Date ? submission.submitted.toISOString() : submission.submitted,
+        submission.page,
+        ...names.map((name) => (submission.values || {})[name])
+    ]));
+
+    return rows.map((row) => row.map(csvValue).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * quote a CSV value, neutralizing values spreadsheets would run as formulas
+ * @param {any} value
+ * @returns {string}
+ */
+function csvValue(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (typeof value == 'string' && /^[=+\-@\t\r]/.test(text))
+        text = `'${text}`;
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * HTML-escape a value, treating null/undefined as empty
+ * @param {any} value
+ * @returns {string}
+ */
+function escape(value) {
+    return value === null || value === undefined ? '' : htmlEscaper.escape(String(value));
+}
+
+module.exports = { formCollection, submissionCollection, fieldTypes, cookieName, formErrors, validate, visitorToken, submit, render, toCsv };
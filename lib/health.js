@@ -0,0 +1,40 @@
+'use strict';
+const express = require('express');  // web server
+const Metrics = require('./metrics');  // Prometheus metrics
+
+/**
+ * build the router for load balancer and monitoring endpoints (/healthz, /readyz and /metrics), which must be mounted
+ * ahead of everything that waits for the CMS to be ready, logs requests or renders pages
+ * @param {CMS} cms CMS instance
+ * @returns {express.Router}
+ */
+module.exports = function health(cms) {
+    const router = express.Router();
+
+    // monitoring responses are always current
+    router.use(['/healthz', '/readyz', '/metrics'], (req, res, next) => {
+        res.set('Cache-Control', 'no-store');
+        next();
+    });
+
+    // liveness: the process is up and answering
+    router.get('/healthz', (req, res) => {
+        res.json({ status: 'ok' });
+    });
+
+    // readiness: settings are loaded, storage answers and the CMS isn't shutting down
+    router.get('/readyz', async (req, res, next) => {
+        try {
+            const readiness = await cms.readiness();
+            res.status(readiness.ready ? 200 : 503).json({ status: readiness.ready ? 'ok' : 'unavailable', checks: readiness.checks });
+        }
+        catch (err) { next(err); }
+    });
+
+    // Prometheus metrics
+    router.get('/metrics', (req, res) => {
+        res.type(Metrics.contentType).send(cms.metrics.toString());
+    });
+
+    return router;
+};
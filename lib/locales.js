@@ -0,0 +1,261 @@
+'use strict';
+const htmlEscaper = require('html-escaper');  // escape/unescape HTML entities
+
+/**
+ * multilingual pages: the settings' `locales` lists the enabled locales (e.g., ["en", "es"]) and `locale` the default
+ * one (defaulting to the first), and pages keep their other languages in `translations` by locale (e.g.,
+ * `translations.es.title`)
+ *
+ * Default locale pages keep their URLs, other locales add a prefix (e.g., /es/about). First-time visitors to a default
+ * locale URL are sent to the translation their Accept-Language header prefers, and pages without a translation fall
+ * back to the default locale.
+ */
+
+/** locale codes (a language subtag with optional region/script subtags, e.g., en, es, pt-BR, zh-Hant) */
+const localePattern = /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i;
+
+/** page fields a translation can replace */
+const translatedFields = ['title', 'tagline', 'description', 'excerpt', 'body'];
+
+/** cookie remembering the locale a visitor was last served, so Accept-Language is only negotiated on the first visit */
+const cookieName = 'cmsLocale';
+
+/**
+ * locales enabled by the settings
+ * @param {object} settings CMS settings
+ * @returns {{default: string, enabled: string[]}} null unless more than one locale is enabled
+ */
+function config(settings) {
+    const enabled = settings && Array.isArray(settings.locales) ? settings.locales.filter((locale) => typeof locale == 'string' && localePattern.test(locale)) : [];
+    if (enabled.length < 2)
+        return null;
+
+    return { default: enabled.includes(settings.locale) ? settings.locale : enabled[0], enabled: enabled };
+}
+
+/**
+ * problems with the locale settings
+ * @param {object} settings complete settings document
+ * @returns {object} error messages by field (empty when valid)
+ */
+function settingsErrors(settings) {
+    const fields = {};
+    if (settings.locales !== undefined && settings.locales !== null
+        && (!Array.isArray(settings.locales) || settings.locales.some((locale) => typeof locale != 'string' || !localePattern.test(locale))))
+        fields.locales = 'Must be an array of locale codes (e.g., ["en", "es"])';
+    if (settings.locale !== undefined && settings.locale !== null) {
+        if (typeof settings.locale != 'string' || !localePattern.test(settings.locale))
+            fields.locale = 'Must be a locale code (e.g., en)';
+        else if (Array.isArray(settings.locales) && settings.locales.length && !settings.locales.includes(settings.locale))
+            fields.locale = 'Must be one of the locales';
+    }
+    if (settings.translations !== undefined && settings.translations !== null && (typeof settings.translations != 'object' || Array.isArray(settings.translations)))
+        fields.translations = 'Must be an object of settings by locale';
+
+    return fields;
+}
+
+/**
+ * problem with a page's translations
+ * @param {any} translations page translations field
+ * @returns {string} error message, or null when valid
+ */
+function translationsError(translations) {
+    if (translations === undefined || translations === null)
+        return null;
+    if (typeof translations != 'object' || Array.isArray(translations))
+        return 'Must be an object of translations by locale';
+
+    for (const [locale, translation] of Object.entries(translations)) {
+        if (!localePattern.test(locale))
+            return `Invalid locale: ${locale}`;
+        if (!translation || typeof translation != 'object' || Array.isArray(translation))
+            return `${locale} must be an object`;
+        for (const [field, value] of Object.entries(translation))
+            if (!translatedFields.includes(field))
+                return `${locale}.${field} can't be translated (only ${translatedFields.join(', ')})`;
+            else if (value !== null && typeof value != 'string')
+                return `${locale}.${field} must be a string`;
+    }
+
+    return null;
+}
+
+/**
+ * separate the locale prefix from a request path
+ * @param {string} path request path
+ * @param {object} locales config() result
+ * @returns {{locale: string, path: string}} the path without its prefix, and its locale (the default locale when unprefixed)
+ */
+function split(path, locales) {
+    if (!locales)
+        return { locale: null, path: path };
+
+    const match = /^\/([^/]+)(\/.*)?$/.exec(path);
+    const locale = match ? locales.enabled.find((enabled) => enabled.toLowerCase() == match[1].toLowerCase()) : null;
+    return locale ? { locale: locale, path: match[2] || '/' } : { locale: locales.default, path: path };
+}
+
+/**
+ * URL of a page in a locale
+ * @param {string} url page URL (in the default locale)
+ * @param {string} locale
+ * @param {object} locales config() result
+ * @returns {string}
+ */
+function localizedUrl(url, locale, locales) {
+    if (!locales || !locale || locale == locales.default)
+        return url;
+
+    return `/${locale.toLowerCase()}${url == '/' ? '' : url}`;
+}
+
+/**
+ * determine whether a page has a translation
+ * @param {object} page page or page summary
+ * @param {string} locale
+ * @param {object} locales config() result
+ * @returns {boolean} always true for the default locale
+ */
+function hasLocale(page, locale, locales) {
+    return !locales || locale == locales.default || Boolean(page.translations && page.translations[locale]);
+}
+
+/**
+ * pick the enabled locale an Accept-Language header prefers, matching language-only tags (e.g., es-MX matches es)
+ * @param {string} header Accept-Language request header
+ * @param {string[]} enabled enabled locales
+ * @returns {string} null when none are acceptable
+ */
+function negotiate(header, enabled) {
+    const preferences = String(header || '').split(',')
+        .map((range, order) => {
+            const [tag, ...parameters] = range.trim().split(';');
+            const q = parameters.map((parameter) => /^\s*q=([\d.]+)\s*$/.exec(parameter)).find(Boolean);
+            return { tag: tag.trim().toLowerCase(), q: q ? Number(q[1]) : 1, order: order };
+        })
+        .filter((preference) => preference.tag && preference.tag != '*' && preference.q > 0)
+        .sort((a, b) => b.q - a.q || a.order - b.order);
+
+    for (const preference of preferences) {
+        const language = preference.tag.split('-')[0];
+        const found = enabled.find((locale) => locale.toLowerCase() == preference.tag)
+            || enabled.find((locale) => locale.toLowerCase().split('-')[0] == language);
+        if (found)
+            return found;
+    }
+
+    return null;
+}
+
+/**
+ * keep only the titles of page translations, for the page index
+ * @param {object} translations page translations field
+ * @returns {object} {title} by locale (null when the page has none)
+ */
+function summary(translations) {
+    if (!translations || typeof translations != 'object')
+        return null;
+
+    const titles = {};
+    for (const [locale, translation] of Object.entries(translations))
+        if (translation && typeof translation == 'object')
+            titles[locale] = { title: translation.title || null };
+
+    return Object.keys(titles).length ? titles : null;
+}
+
+/**
+ * page index with the URLs and titles of a locale, for menus (pages without a translation keep their default locale
+ * URL and title)
+ * @param {object} index page index from cms.pageIndex()
+ * @param {string} locale
+ * @param {object} locales config() result
+ * @returns {object} the same index for the default locale
+ */
+function localizeIndex(index, locale, locales) {
+    if (!locales || locale == locales.default)
+        return index;
+
+    const byId = new Map();
+    const byUrl = new Map();
+    for (const page of index.byId.values()) {
+        const translation = page.translations && page.translations[locale];
+        const localized = translation && page.url ? Object.assign({}, page, { url: localizedUrl(page.url, locale, locales), title: translation.title || page.title }) : page;
+        byId.set(page._id, localized);
+        if (localized.url && index.byUrl.get(page.url) === page)
+            byUrl.set(localized.url, localized);
+    }
+
+    return { byId: byId, byUrl: byUrl };
+}
+
+/**
+ * apply a page's translation, adding its locale and the URLs of its languages (alternates, default locale first)
+ * @param {object} page page from cms.findPage() (changed in place)
+ * @param {string} locale
+ * @param {object} locales config() result
+ * @returns {object} page
+ */
+function translate(page, locale, locales) {
+    if (!locales)
+        return page;
+
+    const translation = locale != locales.default && page.translations ? page.translations[locale] : null;
+    if (translation)
+        for (const field of translatedFields)
+            if (typeof translation[field] == 'string')
+                page[field] = translation[field];
+
+    if (page.url) {
+        page.alternates = [locales.default, ...locales.enabled.filter((enabled) => enabled != locales.default && hasLocale(page, enabled, locales))]
+            .map((enabled) => ({ locale: enabled, url: localizedUrl(page.url, enabled, locales) }));
+        page.url = localizedUrl(page.url, locale, locales);
+    }
+    page.locale = locale;
+
+    return page;
+}
+
+/**
+ * settings with their translation for a locale (e.g., `translations.es.title`) applied
+ * @param {object} settings CMS settings
+ * @param {string} locale
+ * @returns {object} copy without the translations
+ */
+function localizeSettings(settings, locale) {
+    const localized = Object.assign({}, settings);
+    delete localized.translations;
+    if (locale && settings.translations && settings.translations[locale] && typeof settings.translations[locale] == 'object')
+        Object.assign(localized, settings.translations[locale]);
+
+    return localized;
+}
+
+/**
+ * add the page's language to the <html> tag and a <link rel="alternate" hreflang> for each of its languages (plus
+ * x-default) to the <head>, unless the template already did
+ * @param {string} html rendered page
+ * @param {object} page page from translate()
+ * @param {string} base absolute site URL to prefix the links with (e.g., settings.url), or empty for relative links
+ * @returns {string}
+ */
+function decorate(html, page, base) {
+    if (typeof html != 'string')
+        return html;
+
+    if (page.locale)
+        html = html.replace(/<html(?![^>]*\slang=)/i, `<html lang="${htmlEscaper.escape(page.locale)}"`);
+
+    if (page.alternates && page.alternates.length > 1 && !/<link[^>]+hreflang=/i.test(html)) {
+        base = (base || '').replace(/\/+$/, '');
+        const links = page.alternates.concat({ locale: 'x-default', url: page.alternates[0].url })
+            .map((alternate) => `<link rel="alternate" hreflang="${htmlEscaper.escape(alternate.locale)}" href="${htmlEscaper.escape(base + alternate.url)}">`)
+            .join('');
+        html = /<\/head>/i.test(html) ? html.replace(/<\/head>/i, `${links}</head>`) : html;
+    }
+
+    return html;
+}
+
+module.exports = { localePattern, translatedFields, cookieName, config, settingsErrors, translationsError, split, localizedUrl, hasLocale, negotiate, summary, localizeIndex, translate, localizeSettings, decorate };
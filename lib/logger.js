@@ -0,0 +1,172 @@
+'use strict';
+const { AsyncLocalStorage } = require('async_hooks');  // fields of the request being handled
+
+/**
+ * leveled logging as one JSON object per line (e.g., {"time":"…","level":"info","msg":"Request","requestId":"…"})
+ *
+ * Everything logged while handling a request (see run()) carries that request's fields, such as its ID, without having
+ * to pass them around. Warnings and errors go to stderr, everything else to stdout.
+ */
+
+/** severity of each level (silent logs nothing) */
+const levels = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+/** fields and timings of whatever is being handled (e.g., a request) */
+const context = new AsyncLocalStorage();
+
+module.exports = class Logger {
+    /**
+     * log lines at the given level and above
+     * @param {string} level debug, info, warn, error or silent (defaults to info)
+     * @param {object} fields optional fields added to every line (e.g., { site: 'blog' })
+     */
+    constructor(level, fields) {
+        this.fields = fields || {};
+        this.level = levels[level] ? level : 'info';
+        if (level && !levels[level])
+            this.warn(`Unknown log level ${level}, using info instead`);
+    }
+
+
+    /**********************
+     ***** Properties *****
+     *********************/
+
+    /**
+     * fields added to every line
+     * @type {object}
+     */
+    fields;
+
+    /**
+     * lowest level logged
+     * @type {string}
+     */
+    level;
+
+    /**
+     * severity of each level
+     * @type {object}
+     */
+    static levels = levels;
+
+
+    /*******************
+     ***** Methods *****
+     ******************/
+
+    /**
+     * logger adding more fields to every line, at the same level
+     * @param {object} fields
+     * @returns {Logger}
+     */
+    child(fields) {
+        return new Logger(this.level, Object.assign({}, this.fields, fields));
+    }
+
+    /**
+     * log details for troubleshooting
+     * @param {string} message
+     * @param {object} fields optional
+     */
+    debug(message, fields) {
+        this.write('debug', message, fields);
+    }
+
+    /**
+     * determine whether a level is logged
+     * @param {string} level
+     * @returns {boolean}
+     */
+    enabled(level) {
+        return levels[level] >= levels[this.level];
+    }
+
+    /**
+     * log a failure
+     * @param {string} message
+     * @param {object} fields optional (errors, e.g., { error: err }, are logged with their message and stack)
+     */
+    error(message, fields) {
+        this.write('error', message, fields);
+    }
+
+    /**
+     * log normal operation (e.g., requests)
+     * @param {string} message
+     * @param {object} fields optional
+     */
+    info(message, fields) {
+        this.write('info', message, fields);
+    }
+
+    /**
+     * log something unexpected that was worked around
+     * @param {string} message
+     * @param {object} fields optional
+     */
+    warn(message, fields) {
+        this.write('warn', message, fields);
+    }
+
+    /**
+     * write a line when its level is logged
+     * @param {string} level
+     * @param {string} message
+     * @param {object} fields optional
+     */
+    write(level, message, fields) {
+        if (!this.enabled(level))
+            return;
+
+        const store = context.getStore();
+        const line = JSON.stringify(Object.assign({ time: new Date().toISOString(), level: level, msg: String(message) }, this.fields, store && store.fields, fields), serialize);
+        (levels[level] >= levels.warn ? process.stderr : process.stdout).write(line + '\n');
+    }
+
+    /**
+     * run a function with fields added to every line logged while it runs (including asynchronously), and its own
+     * timings (see timing())
+     * @param {object} fields e.g., { requestId: '…' }
+     * @param {function} callback
+     * @returns {any} what the callback returns
+     */
+    static run(fields, callback) {
+        const parent = context.getStore();
+        return context.run({ fields: Object.assign({}, parent && parent.fields, fields), timings: {} }, callback);
+    }
+
+    /**
+     * record how long a step of whatever run() is running took (ignored outside of run())
+     * @param {string} name step (e.g., render)
+     * @param {number} milliseconds
+     */
+    static timing(name, milliseconds) {
+        const store = context.getStore();
+        if (store)
+            store.timings[name] = Math.round(milliseconds * 10) / 10;
+    }
+
+    /**
+     * timings recorded so far by whatever run() is running
+     * @returns {object} milliseconds by step (null outside of run())
+     */
+    static timings() {
+        const store = context.getStore();
+        return store ? store.timings : null;
+    }
+};
+
+/**
+ * JSON.stringify() replacer writing errors (including ones from sandboxes, which aren't instances of this context's
+ * Error) with their message and stack
+ * @param {string} key
+ * @param {any} value
+ * @returns {any}
+ */
+function serialize(key, value) {
+    if (value && typeof value == 'object' && typeof value.message == 'string' && typeof value.stack == 'string')
+        return { name: value.name, message: value.message, stack: value.stack };
+
+    return value;
+}
@@ -0,0 +1,261 @@
+'use strict';
+const express = require('express');  // web server
+const path = require('path');  // enable path functionality
+const htmlEscaper = require('html-escaper');  // escape/unescape HTML entities
+
+/**
+ * media library: uploads stored as files in the cmsMedia bucket (GridFS with MongoDB), served at /media/<name>
+ *
+ * Each upload is a cmsMedia.files document whose filename is the media name (e.g., images/logo.png) and whose metadata
+ * holds contentType, width/height (images), alt text and uploader.
+ */
+
+/** URL prefix media are served from */
+const mediaRoot = '/media';
+
+/** storage bucket holding the uploads */
+const mediaBucket = 'cmsMedia';
+
+/** collection of uploaded files' details */
+const mediaCollection = `${mediaBucket}.files`;
+
+/** media names: path segments of letters, numbers, dots, dashes and underscores (e.g., images/logo.png) */
+const mediaNamePattern = /^(?!.*\.\.)[\w-][\w.-]*(\/[\w-][\w.-]*)*$/;
+
+/** longest media name */
+const maxNameLength = 200;
+
+/** seconds browsers may cache media when the settings don't say (mediaMaxAge) */
+const defaultMaxAge = 60 * 60;
+
+/** content types by file extension, for uploads that don't declare one */
+const contentTypes = {
+    '.avif': 'image/avif',
+    '.css': 'text/css',
+    '.csv': 'text/csv',
+    '.gif': 'image/gif',
+    '.ico': 'image/x-icon',
+    '.jpeg': 'image/jpeg',
+    '.jpg': 'image/jpeg',
+    '.js': 'text/javascript',
+    '.json': 'application/json',
+    '.mp3': 'audio/mpeg',
+    '.mp4': 'video/mp4',
+    '.pdf': 'application/pdf',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml',
+    '.txt': 'text/plain',
+    '.webm': 'video/webm',
+    '.webp': 'image/webp',
+    '.woff2': 'font/woff2',
+    '.zip': 'application/zip'
+};
+
+/** shape of a MIME type */
+const contentTypePattern = /^[\w.+-]+\/[\w.+-]+$/;
+
+/**
+ * problem with a media name
+ * @param {string} name
+ * @returns {string} error message, or null when acceptable
+ */
+function nameError(name) {
+    if (typeof name != 'string' || name.length > maxNameLength || !mediaNamePattern.test(name))
+        return `Media names must be up to ${maxNameLength} letters, numbers, dots, dashes and underscores, with slashes between folders`;
+
+    return null;
+}
+
+/**
+ * content type of an upload: the declared one, unless it's missing or generic, then by file extension
+ * @param {string} name media name
+ * @param {string} declared Content-Type of the upload (parameters such as charset are kept)
+ * @returns {string}
+ */
+function contentType(name, declared) {
+    declared = String(declared || '').trim().toLowerCase();
+    if (declared && contentTypePattern.test(declared.split(';')[0].trim()) && !declared.startsWith('application/octet-stream'))
+        return declared;
+
+    return contentTypes[path.extname(name).toLowerCase()] || 'application/octet-stream';
+}
+
+/**
+ * pixel dimensions of a PNG, GIF, JPEG or WebP image
+ * @param {Buffer} content image file contents
+ * @returns {{width: number, height: number}} null when not a recognized image
+ */
+function imageSize(content) {
+    try {
+        // PNG: IHDR is the first chunk
+        if (content.length >= 24 && content.toString('latin1', 1, 4) == 'PNG' && content.toString('latin1', 12, 16) == 'IHDR')
+            return { width: content.readUInt32BE(16), height: content.readUInt32BE(20) };
+
+        // GIF: logical screen size
+        if (content.length >= 10 && content.toString('latin1', 0, 3) == 'GIF')
+            return { width: content.readUInt16LE(6), height: content.readUInt16LE(8) };
+
+        // JPEG: first start-of-frame marker
+        if (content.length >= 4 && content[0] == 0xFF && content[1] == 0xD8) {
+            let offset = 2;
+            while (offset + 9 < content.length) {
+                if (content[offset] != 0xFF)
+                    return null;
+
+                const marker = content[offset + 1];
+                if (marker >= 0xC0 && marker <= 0xCF && ![0xC4, 0xC8, 0xCC].includes(marker))
+                    return { width: content.readUInt16BE(offset + 7), height: content.readUInt16BE(offset + 5) };
+
+                offset += 2 + content.readUInt16BE(offset + 2);
+            }
+            return null;
+        }
+
+        // WebP: lossy, lossless or extended
+        if (content.length >= 30 && content.toString('latin1', 0, 4) == 'RIFF' && content.toString('latin1', 8, 12) == 'WEBP') {
+            const format = content.toString('latin1', 12, 16);
+            if (format == 'VP8 ')
+                return { width: content.readUInt16LE(26) & 0x3FFF, height: content.readUInt16LE(28) & 0x3FFF };
+            if (format == 'VP8L') {
+                const bits = content.readUInt32LE(21);
+                return { width: (bits & 0x3FFF) + 1, height: ((bits >> 14) & 0x3FFF) + 1 };
+            }
+            if (format == 'VP8X')
+                return { width: content.readUIntLE(24, 3) + 1, height: content.readUIntLE(27, 3) + 1 };
+        }
+    }
+    catch (err) { }
+
+    return null;
+}
+
+/**
+ * URL a media file is served at
+ * @param {string} name media name
+ * @returns {string}
+ */
+function mediaUrl(name) {
+    return `${mediaRoot}/${String(name).split('/').map(encodeURIComponent).join('/')}`;
+}
+
+/**
+ * flatten a cmsMedia.files document for templates and API clients
+ * @param {object} file cmsMedia.files document
+ * @returns {object} { name, url, contentType, length, width, height, alt, uploader, uploaded }
+ */
+function describe(file) {
+    const metadata = file.metadata || {};
+    return {
+        name: file.filename,
+        url: mediaUrl(file.filename),
+        contentType: metadata.contentType,
+        length: file.length,
+        width: metadata.width,
+        height: metadata.height,
+        alt: metadata.alt || '',
+        uploader: metadata.uploader,
+        uploaded: file.uploadDate
+    };
+}
+
+/**
+ * Bootstrap image element for a media file
+ * @param {object} file cmsMedia.files document
+ * @param {object} options optional: alt (instead of the stored alt text), fluid (scale with its container, default true), thumbnail, rounded and className
+ * @returns {string} HTML
+ */
+function image(file, options) {
+    options = Object.assign({ fluid: true }, options);
+    const media = describe(file);
+    const classes = [options.fluid ? 'img-fluid' : null, options.thumbnail ? 'img-thumbnail' : null, options.rounded ? 'rounded' : null, options.className].filter(Boolean);
+
+    return `<img src="${htmlEscaper.escape(media.url)}" alt="${htmlEscaper.escape(options.alt !== undefined ? String(options.alt) : media.alt)}"`
+        + (media.width && media.height ? ` width="${media.width}" height="${media.height}"` : '')
+        + (classes.length ? ` class="${htmlEscaper.escape(classes.join(' '))}"` : '')
+        + ' loading="lazy">';
+}
+
+/**
+ * link to a media file
+ * @param {object} file cmsMedia.files document
+ * @param {string} label optional link text (defaults to the alt text or name)
+ * @param {object} options optional: download (have browsers save it rather than open it) and className
+ * @returns {string} HTML
+ */
+function link(file, label, options) {
+    options = options || {};
+    const media = describe(file);
+
+    return `<a href="${htmlEscaper.escape(media.url)}"`
+        + (options.download ? ' download' : '')
+        + (options.className ? ` class="${htmlEscaper.escape(options.className)}"` : '')
+        + `>${htmlEscaper.escape(label !== undefined ? String(label) : media.alt || media.name)}</a>`;
+}
+
+/**
+ * build the router serving media files, with caching headers and byte ranges (e.g., for seeking in video)
+ * @param {CMS} cms CMS instance
+ * @returns {express.Router}
+ */
+function router(cms) {
+    const router = express.Router();
+
+    router.get(`${mediaRoot}/*`, async (req, res, next) => {
+        try {
+            // unknown media fall through to the page router (and its not found page)
+            const name = req.params[0];
+            const file = nameError(name) ? null : await cms.findMedia(name);
+            if (!file)
+                return next();
+
+            const etag = `"${file._id}"`;
+            const maxAge = Number.isInteger(cms.settings.mediaMaxAge) ? cms.settings.mediaMaxAge : defaultMaxAge;
+            res.set({
+                'Content-Type': (file.metadata && file.metadata.contentType) || 'application/octet-stream',
+                'Accept-Ranges': 'bytes',
+                'Cache-Control': `public, max-age=${maxAge}`,
+                'ETag': etag,
+                'Last-Modified': file.uploadDate.toUTCString(),
+
+                // uploads are content, not code: don't let HTML/SVG run scripts as this site
+                'Content-Security-Policy': 'default-src \'none\'; img-src \'self\'; style-src \'unsafe-inline\'; sandbox'
+            });
+
+            if (req.fresh)
+                return res.status(304).end();
+
+            // one byte range (several are answered with the whole file), unless If-Range says the file changed
+            let start = 0;
+            let end = file.length;
+            if (req.headers.range && (!req.headers['if-range'] || req.headers['if-range'] == etag)) {
+                const ranges = req.range(file.length, { combine: true });
+                if (ranges == -1) {
+                    res.set('Content-Range', `bytes */${file.length}`);
+                    return res.status(416).end();
+                }
+
+                if (Array.isArray(ranges) && ranges.type == 'bytes' && ranges.length == 1) {
+                    start = ranges[0].start;
+                    end = ranges[0].end + 1;
+                    res.status(206).set('Content-Range', `bytes ${start}-${end - 1}/${file.length}`);
+                }
+            }
+
+            res.set('Content-Length', String(end - start));
+            if (req.method == 'HEAD')
+                return res.end();
+
+            const stream = await cms.openMedia(file, { start: start, end: end });
+            stream.on('error', (err) => {
+                cms.logger.error(`Unable to read media ${name}`, { error: err });
+                res.destroy(err);
+            });
+            stream.pipe(res);
+        }
+        catch (err) { next(err); }
+    });
+
+    return router;
+}
+
+module.exports = { mediaRoot, mediaBucket, mediaCollection, nameError, contentType, imageSize, mediaUrl, describe, image, link, router };
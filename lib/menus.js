@@ -0,0 +1,278 @@
+'use strict';
+const htmlEscaper = require('html-escaper');  // escape/unescape HTML entities
+
+/**
+ * navigation menus for page/template source (exposed as `menus`)
+ *
+ * Menus are cmsMenus documents with nested `items`, each with a `label` and either a `page` (page _id) or a `url`.
+ * Items pointing at pages visitors can't see are left out, along with items left with nothing to link to. On
+ * multilingual sites, items may have `labels` by locale (e.g., `{"es": "Inicio"}`) for pages in other locales.
+ */
+module.exports = class Menus {
+    /**
+     * prepare the menus for rendering a page
+     * @param {object[]} menus cmsMenus documents
+     * @param {object} index page index from cms.pageIndex() (with the URLs of the page's locale)
+     * @param {object} page page being rendered
+     * @param {function} isPublished determines whether a page summary is visible to visitors
+     */
+    constructor(menus, index, page, isPublished) {
+        this._menus = new Map(menus.map((menu) => [menu._id, menu]));
+        this._index = index;
+        this._page = page || {};
+        this._isPublished = isPublished;
+    }
+
+
+    /*******************
+     ***** Methods *****
+     ******************/
+
+    /**
+     * Bootstrap breadcrumb from the home page to the current page, following the menu when it contains the page and the
+     * page's parents otherwise
+     * @param {string} name optional menu ID (defaults to main)
+     * @returns {string} HTML (empty on the home page)
+     */
+    breadcrumb(name) {
+        // trail through the menu
+        let trail = findTrail(this.items(name || 'main'));
+
+        // not in the menu, follow the page's parents instead
+        if (!trail) {
+            trail = [];
+            const visited = new Set();
+            for (let page = this._index.byId.get(this._page._id); page && !visited.has(page._id) && page._id != 'home'; page = this._index.byId.get(page.parent)) {
+                visited.add(page._id);
+                trail.unshift({ label: page.title || page._id, href: page.url });
+            }
+        }
+
+        if (!trail.length || (trail.length == 1 && this._page._id == 'home'))
+            return '';
+
+        // always start at home
+        const home = this._homeUrl();
+        if (trail[0].href != home)
+            trail.unshift({ label: 'Home', href: home });
+
+        return '<nav aria-label="breadcrumb"><ol class="breadcrumb">'
+            + trail.map((item, index) => index == trail.length - 1
+                ? `<li class="breadcrumb-item active" aria-current="page">${escape(item.label)}</li>`
+                : `<li class="breadcrumb-item">${item.href ? `<a href="${escape(item.href)}">${escape(item.label)}</a>` : escape(item.label)}</li>`
+            ).join('')
+            + '</ol></nav>';
+    }
+
+    /**
+     * visible items of a menu, resolved for custom rendering
+     * @param {string} name menu ID
+     * @returns {object[]} items with label, href (null for headings), active (the current page or one of its ancestors in the menu), external and items
+     */
+    items(name) {
+        const menu = this._menus.get(name);
+        return menu ? this._resolve(menu.items || []) : [];
+    }
+
+    /**
+     * Bootstrap navbar, with nested items as dropdowns and the current page marked active
+     * @param {string} name menu ID
+     * @param {object} options optional: brand (text linked to the home page), theme (dark or light, defaults to dark), background (Bootstrap bg- theme, defaults to the theme), expand (breakpoint, defaults to lg), search (add a site search box, true or its placeholder text)
+     * @returns {string} HTML (empty when the menu has no visible items)
+     */
+    navbar(name, options) {
+        options = Object.assign({ theme: 'dark', expand: 'lg' }, options);
+        const items = this.items(name);
+        if (!items.length)
+            return '';
+
+        const id = `cms-menu-${String(name).replace(/[^\w-]/g, '-')}`;
+        let html = `<nav class="navbar navbar-expand-${escape(options.expand)} navbar-${options.theme == 'light' ? 'light' : 'dark'} bg-${escape(options.background || options.theme)}">`;
+        if (options.brand)
+            html += `<a class="navbar-brand" href="${escape(this._homeUrl())}">${escape(options.brand)}</a>`;
+        html += `<button class="navbar-toggler" type="button" data-toggle="collapse" data-target="#${id}" aria-controls="${id}" aria-expanded="false" aria-label="Toggle navigation"><span class="navbar-toggler-icon"></span></button>`
+            + `<div class="collapse navbar-collapse" id="${id}"><ul class="navbar-nav mr-auto">`;
+
+        items.forEach((item, index) => {
+            // nested items become a dropdown
+            if (item.items.length) {
+                const toggle = `${id}-${index}`;
+                html += `<li class="nav-item dropdown${item.active ? ' active' : ''}">`
+                    + `<a class="nav-link dropdown-toggle" href="#" id="${toggle}" role="button" data-toggle="dropdown" aria-haspopup="true" aria-expanded="false">${escape(item.label)}</a>`
+                    + `<div class="dropdown-menu" aria-labelledby="${toggle}">`
+                    + (item.href ? dropdownItem(item) + '<div class="dropdown-divider"></div>' : '')
+                    + flatten(item.items).map(dropdownItem).join('')
+                    + '</div></li>';
+            }
+            else
+                html += `<li class="nav-item${item.active ? ' active' : ''}">${link(item, 'nav-link')}</li>`;
+        });
+
+        html += '</ul>';
+        if (options.search)
+            html += `<form class="form-inline my-2 my-${escape(options.expand)}-0" action="/search" method="get" role="search">`
+                + `<input class="form-control" type="search" name="q" placeholder="${escape(options.search === true ? 'Search' : options.search)}" aria-label="Search"></form>`;
+
+        return html + '</div></nav>';
+    }
+
+    /**
+     * URL of the home page (in the page's locale)
+     * @returns {string}
+     * @protected
+     */
+    _homeUrl() {
+        const home = this._index.byId.get('home');
+        return home && home.url ? home.url : '/';
+    }
+
+    /**
+     * resolve menu items to links, dropping hidden pages
+     * @param {object[]} items menu items
+     * @returns {object[]}
+     * @protected
+     */
+    _resolve(items) {
+        const resolved = [];
+        for (const item of items) {
+            const children = this._resolve(item.items || []);
+            let href = null;
+            let current = false;
+
+            if (item.page) {
+                const page = this._index.byId.get(item.page);
+
+                // missing/unpublished page: drop the link, and the item too unless it still has children
+                if (page && page.url && this._isPublished(page)) {
+                    href = page.url;
+                    current = page._id == this._page._id;
+                }
+            }
+            else if (item.url)
+                href = item.url;
+
+            if (!href && !children.length)
+                continue;
+
+            resolved.push({
+                label: (item.labels && item.labels[this._page.locale]) || item.label,
+                href: href,
+                current: current,
+                active: current || children.some((child) => child.active),
+                external: !item.page && /^[a-z][a-z\d+.-]*:/i.test(item.url || ''),
+                items: children
+            });
+        }
+
+        return resolved;
+    }
+
+    /**
+     * check a menu document's structure
+     * @param {object} menu cmsMenus document
+     * @returns {string} error message, or null when valid
+     */
+    static validate(menu) {
+        if (!menu || typeof menu != 'object' || Array.isArray(menu))
+            return 'Menu must be a JSON object';
+        if (!Array.isArray(menu.items))
+            return 'Menu items must be an array';
+
+        const check = (items, path) => {
+            for (const [index, item] of items.entries()) {
+                const location = `${path}[${index}]`;
+                if (!item || typeof item != 'object')
+                    return `${location} must be an object`;
+                if (!item.label || typeof item.label != 'string')
+                    return `${location}.label is required`;
+                if (item.labels !== undefined && (!item.labels || typeof item.labels != 'object' || Array.isArray(item.labels) || Object.values(item.labels).some((label) => typeof label != 'string')))
+                    return `${location}.labels must be an object of labels by locale`;
+                if (item.page && item.url)
+                    return `${location} can link to a page or a URL, not both`;
+                if (!item.page && !item.url && !(item.items && item.items.length))
+                    return `${location} needs a page, url or items`;
+                if (item.items !== undefined) {
+                    if (!Array.isArray(item.items))
+                        return `${location}.items must be an array`;
+                    const error = check(item.items, `${location}.items`);
+                    if (error)
+                        return error;
+                }
+            }
+
+            return null;
+        };
+
+        return check(menu.items, 'items');
+    }
+};
+
+/**
+ * path of items from the top of the menu to the current page
+ * @param {object[]} items resolved items
+ * @returns {object[]} null when the current page isn't in the menu
+ */
+function findTrail(items) {
+    for (const item of items) {
+        if (item.current)
+            return [item];
+
+        const trail = findTrail(item.items);
+        if (trail)
+            return [item, ...trail];
+    }
+
+    return null;
+}
+
+/**
+ * flatten nested items into one list (for dropdowns, which only go one level deep), indenting deeper levels
+ * @param {object[]} items resolved items
+ * @param {number} depth nesting level
+ * @returns {object[]}
+ */
+function flatten(items, depth) {
+    depth = depth || 0;
+    const results = [];
+    for (const item of items) {
+        results.push(Object.assign({}, item, { depth: depth }));
+        results.push(...flatten(item.items, depth + 1));
+    }
+
+    return results;
+}
+
+/**
+ * dropdown menu entry (a header when the item doesn't link anywhere)
+ * @param {object} item resolved item
+ * @returns {string}
+ */
+function dropdownItem(item) {
+    const indent = item.depth ? ` style="padding-left: ${1.5 + item.depth}rem"` : '';
+    if (!item.href)
+        return `<h6 class="dropdown-header"${indent}>${escape(item.label)}</h6>`;
+
+    return link(item, `dropdown-item${item.current ? ' active' : ''}`).replace('<a ', `<a${indent} `);
+}
+
+/**
+ * menu link, marking the current page and opening external links safely
+ * @param {object} item resolved item
+ * @param {string} className link CSS classes
+ * @returns {string}
+ */
+function link(item, className) {
+    return `<a class="${className}" href="${escape(item.href)}"`
+        + (item.current ? ' aria-current="page"' : '')
+        + (item.external ? ' rel="noopener"' : '')
+        + `>${escape(item.label)}</a>`;
+}
+
+/**
+ * HTML-escape a value, treating null/undefined as empty
+ * @param {any} value
+ * @returns {string}
+ */
+function escape(value) {
+    return value === null || value === undefined ? '' : htmlEscaper.escape(String(value));
+}
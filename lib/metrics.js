@@ -0,0 +1,186 @@
+'use strict';
+
+/**
+ * counters and histograms in the Prometheus text format (https://prometheus.io/docs/instrumenting/exposition_formats/)
+ *
+ * Metrics are defined once with counter()/histogram(), then updated with labels (e.g., { method: 'find' }). Child
+ * registries (see child()) share their parent's metrics, adding their own labels (e.g., { site: 'blog' }).
+ */
+
+/** histogram buckets in seconds, when none are given (Prometheus client defaults) */
+const defaultBuckets = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/** metric and label names */
+const namePattern = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+
+module.exports = class Metrics {
+    /**
+     * empty registry
+     * @param {object} labels optional labels added to every update (e.g., { site: 'blog' })
+     * @param {Map<string, object>} metrics optional metrics to share (used by child())
+     */
+    constructor(labels, metrics) {
+        this.labels = labels || {};
+        this._metrics = metrics || new Map();
+    }
+
+
+    /**********************
+     ***** Properties *****
+     *********************/
+
+    /**
+     * labels added to every update
+     * @type {object}
+     */
+    labels;
+
+    /**
+     * metric definitions and their series, by name
+     * @type {Map<string, object>}
+     * @protected
+     */
+    _metrics;
+
+    /**
+     * Content-Type of toString()
+     * @type {string}
+     */
+    static contentType = 'text/plain; version=0.0.4; charset=utf-8';
+
+
+    /*******************
+     ***** Methods *****
+     ******************/
+
+    /**
+     * registry sharing these metrics, adding more labels to every update
+     * @param {object} labels
+     * @returns {Metrics}
+     */
+    child(labels) {
+        return new Metrics(Object.assign({}, this.labels, labels), this._metrics);
+    }
+
+    /**
+     * define a counter (defining an existing metric again keeps it)
+     * @param {string} name e.g., cms_http_requests_total
+     * @param {string} help description
+     * @returns {Metrics} this, for chaining
+     */
+    counter(name, help) {
+        return this._define(name, { type: 'counter', help: help });
+    }
+
+    /**
+     * define a histogram (defining an existing metric again keeps it)
+     * @param {string} name e.g., cms_render_duration_seconds
+     * @param {string} help description
+     * @param {number[]} buckets optional upper bounds, in ascending order (defaults to 5ms through 10s)
+     * @returns {Metrics} this, for chaining
+     */
+    histogram(name, help, buckets) {
+        return this._define(name, { type: 'histogram', help: help, buckets: buckets || defaultBuckets });
+    }
+
+    /**
+     * add to a counter
+     * @param {string} name
+     * @param {object} labels optional
+     * @param {number} value optional amount (defaults to 1)
+     */
+    increment(name, labels, value) {
+        const series = this._series(name, 'counter', labels, () => ({ value: 0 }));
+        series.value += value === undefined ? 1 : value;
+    }
+
+    /**
+     * record a value (e.g., a duration in seconds) in a histogram
+     * @param {string} name
+     * @param {object} labels optional
+     * @param {number} value
+     */
+    observe(name, labels, value) {
+        const metric = this._metrics.get(name);
+        const series = this._series(name, 'histogram', labels, () => ({ counts: metric.buckets.map(() => 0), sum: 0, count: 0 }));
+        metric.buckets.forEach((bucket, index) => {
+            if (value <= bucket)
+                series.counts[index]++;
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    /**
+     * every metric in the Prometheus text format
+     * @returns {string}
+     */
+    toString() {
+        const lines = [];
+        for (const [name, metric] of this._metrics) {
+            lines.push(`# HELP ${name} ${metric.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`, `# TYPE ${name} ${metric.type}`);
+            for (const series of metric.series.values())
+                if (metric.type == 'counter')
+                    lines.push(`${name}${formatLabels(series.labels)} ${series.value}`);
+                else {
+                    metric.buckets.forEach((bucket, index) => lines.push(`${name}_bucket${formatLabels(Object.assign({}, series.labels, { le: String(bucket) }))} ${series.counts[index]}`));
+                    lines.push(`${name}_bucket${formatLabels(Object.assign({}, series.labels, { le: '+Inf' }))} ${series.count}`);
+                    lines.push(`${name}_sum${formatLabels(series.labels)} ${series.sum}`);
+                    lines.push(`${name}_count${formatLabels(series.labels)} ${series.count}`);
+                }
+        }
+
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * add a metric unless it's already defined
+     * @param {string} name
+     * @param {object} definition type, help and (histograms) buckets
+     * @returns {Metrics} this
+     * @protected
+     */
+    _define(name, definition) {
+        if (!namePattern.test(name))
+            throw `Invalid metric name: ${name}`;
+        if (!this._metrics.has(name))
+            this._metrics.set(name, Object.assign(definition, { series: new Map() }));
+
+        return this;
+    }
+
+    /**
+     * get the series of a metric for a set of labels, adding it when it's new
+     * @param {string} name
+     * @param {string} type counter or histogram
+     * @param {object} labels update labels (combined with this registry's labels)
+     * @param {function} create returns the starting values of a new series
+     * @returns {object}
+     * @protected
+     */
+    _series(name, type, labels, create) {
+        const metric = this._metrics.get(name);
+        if (!metric || metric.type != type)
+            throw `Unknown ${type}: ${name}`;
+
+        labels = Object.assign({}, this.labels, labels);
+        const key = JSON.stringify(Object.keys(labels).sort().map((label) => [label, String(labels[label])]));
+        if (!metric.series.has(key))
+            metric.series.set(key, Object.assign(create(), { labels: labels }));
+
+        return metric.series.get(key);
+    }
+};
+
+/**
+ * label set in the Prometheus text format
+ * @param {object} labels
+ * @returns {string} e.g., {method="find"} (empty without labels)
+ */
+function formatLabels(labels) {
+    const pairs = Object.entries(labels)
+        .filter(([label, value]) => namePattern.test(label) && value !== undefined && value !== null)
+        .map(([label, value]) => `${label}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`);
+
+    return pairs.length ? `{${pairs.join(',')}}` : '';
+}
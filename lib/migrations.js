@@ -0,0 +1,173 @@
+'use strict';
+const crypto = require('crypto');  // lock tokens
+const fs = require('fs');  // enable filesystem functionality
+const os = require('os');  // lock owner
+const path = require('path');  // enable path functionality
+
+/**
+ * ordered schema migrations: numbered modules (e.g., `001-flatten-site-settings.js`) in a migrations directory, each
+ * exporting a description and async up(cms)/down(cms) functions that transform existing documents
+ *
+ * The schema version (the number of the last migration applied) is the `schema` document in the cms collection, and a
+ * `migrationLock` document there keeps concurrent app instances from running migrations at the same time.
+ */
+
+/** cms collection documents holding the schema version and the lock */
+const schemaId = 'schema';
+const lockId = 'migrationLock';
+
+/** migration file names: version number, then a name */
+const fileNamePattern = /^(\d+)-([\w.-]+)\.js$/;
+
+/** milliseconds between attempts to take a held lock */
+const lockRetryInterval = 1000;
+
+/**
+ * load the migrations in a directory
+ * @param {string} directory migrations directory
+ * @returns {Promise<object[]>} { version, name, description, up, down } sorted by version
+ */
+async function load(directory) {
+    const results = [];
+    if (!fs.existsSync(directory))
+        return results;
+
+    for (const fileName of await fs.promises.readdir(directory)) {
+        const match = fileName.match(fileNamePattern);
+        if (!match)
+            continue;
+
+        const migration = require(path.resolve(directory, fileName));
+        if (typeof migration.up != 'function' || typeof migration.down != 'function')
+            throw new Error(`Migration must export up() and down(): ${fileName}`);
+
+        const version = Number(match[1]);
+        if (results.some((other) => other.version == version))
+            throw new Error(`Duplicate migration version: ${fileName}`);
+
+        results.push({ version: version, name: match[2], description: migration.description || '', up: migration.up, down: migration.down });
+    }
+
+    return results.sort((a, b) => a.version - b.version);
+}
+
+/**
+ * current schema version and the migrations that are applied/pending
+ * @param {CMS} cms CMS instance
+ * @returns {Promise<object>} { version, latest, applied, pending, lock } where applied/pending list { version, name, description } and lock is the current migrationLock document (null when not locked)
+ */
+async function status(cms) {
+    const available = await load(cms.migrationDirectory);
+    const version = await schemaVersion(cms);
+    const lock = await cms.findOne('cms', { _id: lockId });
+    const describe = (migration) => ({ version: migration.version, name: migration.name, description: migration.description });
+
+    return {
+        version: version,
+        latest: available.length ? available[available.length - 1].version : 0,
+        applied: available.filter((migration) => migration.version <= version).map(describe),
+        pending: available.filter((migration) => migration.version > version).map(describe),
+        lock: lock && lock.expires > new Date() ? lock : null
+    };
+}
+
+/**
+ * migrate the schema up or down to a version, one migration at a time, while holding the lock
+ * @param {CMS} cms CMS instance
+ * @param {object} options optional: target (version to end up at, defaults to the latest) and wait (milliseconds to wait for another instance's lock, otherwise a held lock is an error)
+ * @returns {Promise<object[]>} { version, name, direction } for each migration that ran
+ */
+async function run(cms, options) {
+    // set defaults
+    options = Object.assign({ wait: 0 }, options);
+
+    const available = await load(cms.migrationDirectory);
+    const target = options.target === undefined || options.target === null ? (available.length ? available[available.length - 1].version : 0) : Number(options.target);
+    if (!Number.isInteger(target) || target < 0 || (target && !available.some((migration) => migration.version == target)))
+        throw new Error(`Unknown schema version: ${options.target}`);
+
+    // nothing to do (checked before locking, so up-to-date instances don't wait on each other)
+    if (await schemaVersion(cms) == target)
+        return [];
+
+    const token = await acquireLock(cms, options.wait);
+    const results = [];
+    try {
+        // check again, another instance may have migrated while we waited
+        let version = await schemaVersion(cms);
+        const steps = version < target
+            ? available.filter((migration) => migration.version > version && migration.version <= target).map((migration) => ({ migration: migration, direction: 'up', version: migration.version }))
+            : available.filter((migration) => migration.version <= version && migration.version > target).reverse().map((migration, index, list) => ({ migration: migration, direction: 'down', version: index + 1 < list.length ? list[index + 1].version : target }));
+
+        for (const step of steps) {
+            cms.logger.info(`Migrating ${step.direction}: ${step.migration.version}-${step.migration.name}`);
+            try { await step.migration[step.direction](cms); }
+            catch (err) { throw new Error(`Migration ${step.migration.version}-${step.migration.name} (${step.direction}) failed: ${err.message || err}`); }
+
+            // record each step, so a failure later on doesn't repeat it
+            version = step.version;
+            await cms.replaceOne('cms', { _id: schemaId }, { _id: schemaId, version: version, updated: new Date() }, { upsert: true });
+            results.push({ version: step.migration.version, name: step.migration.name, direction: step.direction });
+        }
+    }
+    finally { await cms.deleteOne('cms', { _id: lockId, token: token }); }
+
+    return results;
+}
+
+/**
+ * record the schema as up to date without running anything (e.g., for a database created from current seed content)
+ * @param {CMS} cms CMS instance
+ * @returns {Promise<number>} schema version
+ */
+async function markCurrent(cms) {
+    const available = await load(cms.migrationDirectory);
+    const version = available.length ? available[available.length - 1].version : 0;
+    await cms.replaceOne('cms', { _id: schemaId }, { _id: schemaId, version: version, updated: new Date() }, { upsert: true });
+
+    return version;
+}
+
+/**
+ * schema version recorded in the database
+ * @param {CMS} cms CMS instance
+ * @returns {Promise<number>} 0 when no migrations have run
+ */
+async function schemaVersion(cms) {
+    const schema = await cms.findOne('cms', { _id: schemaId });
+    return schema && schema.version ? schema.version : 0;
+}
+
+/**
+ * take the migration lock, clearing it first if its holder let it expire
+ * @param {CMS} cms CMS instance
+ * @param {number} wait milliseconds to keep trying while another instance holds it
+ * @returns {Promise<string>} token for releasing the lock
+ */
+async function acquireLock(cms, wait) {
+    const token = crypto.randomBytes(16).toString('hex');
+    const giveUp = Date.now() + wait;
+
+    while (true) {
+        const now = new Date();
+        await cms.deleteOne('cms', { _id: lockId, expires: { $lte: now } });
+
+        try {
+            await cms.insertOne('cms', { _id: lockId, token: token, owner: `${os.hostname()}:${process.pid}`, created: now, expires: new Date(now.getTime() + cms.migrationLockTtl * 1000) });
+            return token;
+        }
+        catch (err) {
+            if (!/duplicate key/i.test(err.message || err))
+                throw err;
+        }
+
+        if (Date.now() >= giveUp) {
+            const lock = await cms.findOne('cms', { _id: lockId });
+            throw new Error(`Migrations are locked by ${lock ? `${lock.owner} until ${lock.expires.toISOString()}` : 'another instance'}`);
+        }
+
+        await new Promise((resolve) => setTimeout(resolve, lockRetryInterval));
+    }
+}
+
+module.exports = { schemaId, lockId, load, status, run, markCurrent };
@@ -0,0 +1,56 @@
+'use strict';
+
+/** page ID and URL path rules shared by the admin area and the API */
+
+/** page IDs and slugs are URL tokens, so keep them lowercase and URL-safe */
+const pageIdPattern = /^[a-z0-9][a-z0-9-]*$/;
+
+/** error pages (e.g., error-404) are rendered for error responses with that status rather than having a URL */
+const errorPagePattern = /^error-\d{3}$/;
+
+/** page statuses (pages without one are published) */
+const pageStatuses = ['draft', 'scheduled', 'published', 'archived'];
+
+/**
+ * determine whether a page is (or descends from) another page
+ * @param {object} index page index from cms.pageIndex()
+ * @param {string} id page ID to check
+ * @param {string} ancestor possible ancestor page ID
+ * @returns {boolean}
+ */
+function isDescendant(index, id, ancestor) {
+    const visited = new Set();
+    for (let current = index.byId.get(id); current && !visited.has(current._id); current = index.byId.get(current.parent)) {
+        if (current._id == ancestor)
+            return true;
+        visited.add(current._id);
+    }
+
+    return false;
+}
+
+/**
+ * validate a page's slug and parent
+ * @param {object} index page index from cms.pageIndex()
+ * @param {string} id page ID
+ * @param {string} slug URL token for the page
+ * @param {string} parent parent page ID
+ * @returns {string} error message, or null when valid
+ */
+function pathError(index, id, slug, parent) {
+    if (!pageIdPattern.test(slug))
+        return `Invalid slug: ${slug}`;
+    if (parent && !index.byId.has(parent))
+        return `Unknown parent page: ${parent}`;
+    if (parent && isDescendant(index, parent, id))
+        return 'A page cannot be its own parent or a child of its own descendants';
+
+    // children of the home page live at the root
+    const url = (parent && parent != 'home' ? index.byId.get(parent).url : '') + '/' + slug;
+    if (index.byUrl.has(url) && index.byUrl.get(url)._id != id)
+        return `URL ${url} is already used by page ${index.byUrl.get(url)._id}`;
+
+    return null;
+}
+
+module.exports = { pageIdPattern, errorPagePattern, pageStatuses, isDescendant, pathError };
@@ -0,0 +1,201 @@
+'use strict';
+
+/**
+ * redirects: cmsRedirects documents sending requests for old URLs elsewhere, checked before the page lookup so restructured
+ * sites keep their old links working
+ *
+ * Each rule has a `match` type (see matchTypes), a `from` path (or regular expression), a `to` path or URL, an optional
+ * `status` (see statuses, default 301) and `query` (false drops the request's query string instead of passing it on).
+ * Exact rules win over prefix rules (longest first), which win over regex rules (oldest first). Paths are compared without
+ * case, duplicate slashes or a trailing slash.
+ */
+
+/** redirect rule collection */
+const collection = 'cmsRedirects';
+
+/** match types, with what `from` matches */
+const matchTypes = {
+    exact: 'the path',
+    prefix: 'the path and everything under it, replacing * in `to` with the rest of the path',
+    regex: 'a regular expression matching the whole path, replacing $1 through $9 in `to` with its captured groups'
+};
+
+/** redirect status codes (permanent/temporary, and whether the request method must be kept) */
+const statuses = [301, 302, 307, 308];
+
+/** status of rules without one */
+const defaultStatus = 301;
+
+/** redirects followed when checking a rule for loops */
+const maxHops = 10;
+
+/**
+ * problems with a redirect rule
+ * @param {object} rule cmsRedirects document
+ * @returns {object} error messages by field name (empty when valid)
+ */
+function ruleErrors(rule) {
+    const fields = {};
+    if (!rule || typeof rule != 'object' || Array.isArray(rule))
+        return { _id: 'Redirect must be a JSON object' };
+    if (typeof rule._id != 'string' || !rule._id)
+        fields._id = 'Must be a string';
+    if (!matchTypes[rule.match])
+        fields.match = `Must be one of: ${Object.keys(matchTypes).join(', ')}`;
+
+    if (typeof rule.from != 'string' || !rule.from)
+        fields.from = 'Must be a path';
+    else if (rule.match == 'regex') {
+        try { new RegExp(rule.from); }
+        catch (err) { fields.from = `Invalid regular expression: ${err.message}`; }
+    }
+    else if (!rule.from.startsWith('/'))
+        fields.from = 'Must start with /';
+
+    if (typeof rule.to != 'string' || !rule.to)
+        fields.to = 'Must be a path or URL';
+    else if (!/^\/(?![/\\])/.test(rule.to) && !/^https?:\/\/[^/]/i.test(rule.to))
+        fields.to = 'Must start with / or be an http(s) URL';
+
+    if (rule.status !== undefined && rule.status !== null && !statuses.includes(rule.status))
+        fields.status = `Must be one of: ${statuses.join(', ')}`;
+    for (const option of ['query', 'override'])
+        if (rule[option] !== undefined && rule[option] !== null && typeof rule[option] != 'boolean')
+            fields[option] = 'Must be true or false';
+
+    return fields;
+}
+
+/**
+ * index rules for matching, leaving out invalid ones
+ * @param {object[]} rules cmsRedirects documents
+ * @param {Logger} logger optional, warned about invalid rules
+ * @returns {{exact: Map<string, object>, prefixes: object[], patterns: object[]}}
+ */
+function compile(rules, logger) {
+    const index = { exact: new Map(), prefixes: [], patterns: [] };
+    for (const rule of rules) {
+        const errors = ruleErrors(rule);
+        if (Object.keys(errors).length) {
+            if (logger)
+                logger.warn(`Invalid redirect ignored: ${rule && rule._id}`, { errors: errors });
+            continue;
+        }
+
+        if (rule.match == 'exact') {
+            const path = normalize(rule.from).toLowerCase();
+            if (!index.exact.has(path))
+                index.exact.set(path, rule);
+        }
+        else if (rule.match == 'prefix')
+            index.prefixes.push({ prefix: normalize(rule.from).toLowerCase(), rule: rule });
+        else
+            index.patterns.push({ pattern: new RegExp(`^(?:${rule.from})$`, 'i'), rule: rule });
+    }
+
+    index.prefixes.sort((a, b) => b.prefix.length - a.prefix.length);
+    index.patterns.sort((a, b) => (a.rule.created || 0) - (b.rule.created || 0));
+    return index;
+}
+
+/**
+ * find the rule for a request path
+ * @param {object} index compile() result
+ * @param {string} path request path (without the query string)
+ * @returns {{rule: object, location: string}} the rule and where it sends the path, or null when none match
+ */
+function match(index, path) {
+    const normalized = normalize(path);
+    const lower = normalized.toLowerCase();
+
+    const exact = index.exact.get(lower);
+    if (exact)
+        return { rule: exact, location: exact.to };
+
+    for (const { prefix, rule } of index.prefixes)
+        if (lower == prefix || lower.startsWith(prefix == '/' ? prefix : `${prefix}/`)) {
+            const rest = normalized.substr(prefix == '/' ? 1 : prefix.length + 1);
+            // replacer functions, so $& and the like in the path are kept as they are
+            return { rule: rule, location: localPath(rule.to.includes('/*') ? rule.to.replace('/*', () => rest ? `/${rest}` : '') || '/' : rule.to.replace('*', () => rest)) };
+        }
+
+    for (const { pattern, rule } of index.patterns) {
+        const groups = pattern.exec(normalized);
+        if (groups)
+            return { rule: rule, location: localPath(rule.to.replace(/\$(\d)/g, (placeholder, group) => groups[group] || '')) };
+    }
+
+    return null;
+}
+
+/**
+ * final redirect URL, passing the request's query string on unless the rule says not to
+ * @param {{rule: object, location: string}} matched match() result
+ * @param {string} query request query string, including its ? (empty when there isn't one)
+ * @returns {string}
+ */
+function location(matched, query) {
+    if (!query || query == '?' || matched.rule.query === false)
+        return matched.location;
+
+    const hash = matched.location.indexOf('#');
+    const [target, fragment] = hash == -1 ? [matched.location, ''] : [matched.location.substr(0, hash), matched.location.substr(hash)];
+    return target + (target.includes('?') ? `&${query.substr(1)}` : query) + fragment;
+}
+
+/**
+ * find a redirect loop through a rule: its own path (a rule's target, for regex rules) is followed through every rule
+ * until it leaves the site, stops matching rules or comes around again
+ * @param {object} index compile() result, including the rule
+ * @param {object} rule cmsRedirects document
+ * @returns {string} error message, or null when there's no loop
+ */
+function loopError(index, rule) {
+    let path = rule.match == 'regex' ? rule.to.replace(/\$\d/g, '') : rule.from;
+    const visited = [normalize(path).toLowerCase()];
+    for (let hop = 0; hop < maxHops; hop++) {
+        const matched = match(index, path);
+        if (!matched || !matched.location.startsWith('/'))
+            return null;
+
+        path = matched.location.replace(/[?#].*$/, '');
+        const key = normalize(path).toLowerCase();
+        const seen = visited.includes(key);
+        visited.push(key);
+        if (seen)
+            return `Redirect loop: ${visited.join(' → ')}`;
+    }
+
+    return `Redirects more than ${maxHops} times: ${visited.slice(0, 3).join(' → ')} → …`;
+}
+
+/**
+ * page URLs a rule would take over, since redirects are checked before pages
+ * @param {object} rule cmsRedirects document
+ * @param {string[]} urls page URLs (including their locale-prefixed versions)
+ * @returns {string[]}
+ */
+function shadowedUrls(rule, urls) {
+    const index = compile([rule]);
+    return urls.filter((url) => match(index, url));
+}
+
+/**
+ * remove duplicate and trailing slashes from a path
+ * @param {string} path
+ * @returns {string}
+ */
+function normalize(path) {
+    return '/' + path.split('/').filter((token) => token).join('/');
+}
+
+/**
+ * keep a redirect built from request path pieces on this site (e.g., //example.com would be another host)
+ * @param {string} target redirect path or URL
+ * @returns {string}
+ */
+function localPath(target) {
+    return /^[/\\]{2}/.test(target) ? target.replace(/^[/\\]+/, '/') : target;
+}
+
+module.exports = { collection, matchTypes, statuses, defaultStatus, ruleErrors, compile, match, location, loopError, shadowedUrls };
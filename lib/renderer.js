@@ -0,0 +1,157 @@
+'use strict';
+const path = require('path');  // worker script
+const { Worker } = require('worker_threads');  // thread for page/template source
+
+/** time allowed for a render beyond the time limits of its three template sections, before the worker is restarted */
+const renderGrace = 1000;
+
+/**
+ * worker thread rendering pages, so page/template source never runs on the thread serving requests
+ *
+ * The worker runs each section in a Sandbox (see lib/worker.js) and calls back here for anything needing storage (e.g.,
+ * query.find()), through the helpers given with each render. A render that doesn't finish in time means the worker is
+ * stuck, so it's terminated (failing the renders it had in progress) and a new one is started for the next render.
+ */
+module.exports = class Renderer {
+    /**********************
+     ***** Properties *****
+     *********************/
+
+    /**
+     * running worker, started by the first render
+     * @type {Worker}
+     * @protected
+     */
+    _worker = null;
+
+    /**
+     * renders in progress by ID, with their helpers and settle functions
+     * @type {Map<number, object>}
+     * @protected
+     */
+    _renders = new Map();
+
+    /**
+     * ID of the last render started
+     * @type {number}
+     * @protected
+     */
+    _lastId = 0;
+
+
+    /*******************
+     ***** Methods *****
+     ******************/
+
+    /**
+     * render a page in the worker
+     * @param {object} job page, templates (or templateError), settings, packageInfo, menus, index, published (page IDs),
+     * bootstrap (settings for the fallback document), debug and timeout (milliseconds for each section)
+     * @param {object} helpers async functions the source may call by name (e.g., query.find), with copies of its arguments
+     * @returns {Promise<object>} { html, errors (section and error of each failure), timings (milliseconds by section) }
+     */
+    render(job, helpers) {
+        return new Promise((resolve, reject) => {
+            const id = ++this._lastId;
+            const timer = setTimeout(() => this._restart(new Error(`Rendering timed out after ${job.timeout * 3 + renderGrace}ms`)), job.timeout * 3 + renderGrace);
+            this._renders.set(id, { helpers: helpers, resolve: resolve, reject: reject, timer: timer });
+
+            try { this._start().postMessage({ type: 'render', id: id, job: job }); }
+            catch (err) { this._settle(id, err); }
+        });
+    }
+
+    /**
+     * stop the worker, failing any renders in progress (the next render starts a new one)
+     * @returns {Promise}
+     */
+    close() {
+        return this._restart(new Error('Renderer closed'));
+    }
+
+    /**
+     * start the worker unless it's running
+     * @returns {Worker}
+     * @protected
+     */
+    _start() {
+        if (this._worker)
+            return this._worker;
+
+        const worker = new Worker(path.join(__dirname, 'worker.js'));
+        worker.on('message', (message) => this._message(message));
+        worker.on('error', (err) => this._worker === worker && this._restart(err));
+        worker.on('exit', (code) => this._worker === worker && this._restart(new Error(`Render worker stopped (exit code ${code})`)));
+
+        // an idle worker doesn't keep the process running
+        worker.unref();
+        this._worker = worker;
+        return worker;
+    }
+
+    /**
+     * terminate the worker, failing the renders in progress
+     * @param {Error} err why
+     * @returns {Promise}
+     * @protected
+     */
+    _restart(err) {
+        const worker = this._worker;
+        this._worker = null;
+        for (const id of [...this._renders.keys()])
+            this._settle(id, err);
+
+        return worker ? worker.terminate().then(() => { }) : Promise.resolve();
+    }
+
+    /**
+     * handle a message from the worker: a finished render, or a helper call
+     * @param {object} message
+     * @protected
+     */
+    async _message(message) {
+        if (message.type == 'done')
+            return this._settle(message.id, message.error, message.value);
+
+        const render = this._renders.get(message.id);
+        if (message.type != 'call' || !render)
+            return;
+
+        const worker = this._worker;
+        let reply;
+        try {
+            if (!Object.prototype.hasOwnProperty.call(render.helpers, message.name))
+                throw new Error(`Unknown helper: ${message.name}`);
+
+            reply = { type: 'result', id: message.id, call: message.call, value: await render.helpers[message.name](...message.args) };
+        }
+        catch (err) {
+            reply = { type: 'result', id: message.id, call: message.call, error: err instanceof Error ? err : new Error(err) };
+        }
+
+        if (worker !== this._worker || !this._renders.has(message.id))
+            return;
+        try { worker.postMessage(reply); }
+        catch (err) { worker.postMessage({ type: 'result', id: message.id, call: message.call, error: new Error(`Helper result can't be passed to page/template source: ${err.message}`) }); }
+    }
+
+    /**
+     * finish a render
+     * @param {number} id
+     * @param {Error} err error, if it failed
+     * @param {object} value result, if it didn't
+     * @protected
+     */
+    _settle(id, err, value) {
+        const render = this._renders.get(id);
+        if (!render)
+            return;
+
+        this._renders.delete(id);
+        clearTimeout(render.timer);
+        if (err)
+            render.reject(err);
+        else
+            render.resolve(value);
+    }
+};
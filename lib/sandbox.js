@@ -0,0 +1,534 @@
+'use strict';
+const util = require('util');  // proxy detection
+const vm = require('vm');  // isolated JavaScript contexts
+
+/** context property of the function that calls back into the host, for starting runs and calling context functions */
+const callProperty = '__cmsCall';
+
+/** properties never passed across the boundary, since they lead to constructors and prototypes of the other side */
+const hiddenProperties = ['constructor', '__proto__'];
+
+/** getters of regular expression internals, which work on regular expressions from either side */
+const regExpSource = Object.getOwnPropertyDescriptor(RegExp.prototype, 'source').get;
+const regExpFlags = Object.getOwnPropertyDescriptor(RegExp.prototype, 'flags').get;
+
+/** host function constructors, which would compile source outside the context */
+const hostConstructors = new Set([
+    Function,
+    Object.getPrototypeOf(async function () { }).constructor,
+    Object.getPrototypeOf(function* () { }).constructor,
+    Object.getPrototypeOf(async function* () { }).constructor
+]);
+
+/**
+ * isolated context for running page and template source
+ *
+ * Source only sees the allow-listed globals it is given (not `require`, `process` or the CMS instance), string code
+ * generation (`eval`, `new Function`) is disabled inside the context, and execution is capped by a time limit.
+ *
+ * Host values never reach the context directly: globals, and everything read from or returned by them, are wrapped in
+ * proxies that hide `constructor`/`__proto__` and report no prototype, so source can't climb to the host's `Function` and
+ * compile code outside the context. Context values given to the host (e.g., callbacks, options objects) are wrapped the
+ * other way, so the host only runs context code through a script with a timeout. Promise jobs of the context only run
+ * after those scripts (`microtaskMode: 'afterEvaluate'`), which keeps awaiting source under the time limit as well.
+ *
+ * Use it on a thread without async hooks (e.g., AsyncLocalStorage, as lib/logger.js uses), since Node aborts when a timeout
+ * interrupts a promise job while they're enabled; the CMS runs it in lib/worker.js.
+ */
+module.exports = class Sandbox {
+    /**
+     * create a context exposing only the given globals
+     * @param {object} globals allow-listed API available to the source (e.g., output, bs, htmlEscaper, cmsPage)
+     * @param {number} timeout time limit in milliseconds for each run (defaults to 1000)
+     */
+    constructor(globals, timeout) {
+        this.timeout = timeout || 1000;
+        this.context = vm.createContext(Object.create(null), {
+            name: 'CMS sandbox',
+            codeGeneration: { strings: false, wasm: false },
+            microtaskMode: 'afterEvaluate'
+        });
+
+        // host values wrapped for the context and context values wrapped for the host, and what each proxy wraps
+        this._contextProxies = new WeakMap();
+        this._hostProxies = new WeakMap();
+        this._hostTargets = new WeakMap();
+        this._contextTargets = new WeakMap();
+
+        // context built-ins for telling which side a value came from and building argument lists
+        this._contextObject = vm.runInContext('Object.prototype', this.context);
+        this._contextArray = vm.runInContext('(...items) => items', this.context);
+        this._contextPromise = vm.runInContext(`(() => {
+            const then = Promise.prototype.then;
+            return () => {
+                const deferred = {};
+                deferred.promise = new Promise((resolve, reject) => Object.assign(deferred, { resolve, reject }));
+                Reflect.apply(then, deferred.promise, [undefined, () => { }]);
+                return deferred;
+            };
+        })()`, this.context);
+
+        // the pending host callback is kept in a closure, so source can't reach it once the call has started
+        this._pending = vm.runInContext(`(() => {
+            let pending;
+            Object.defineProperty(this, '${callProperty}', { value: () => { const call = pending; pending = undefined; return call(); } });
+            return (call) => { pending = call; };
+        })()`, this.context);
+        this._callScript = new vm.Script(`${callProperty}()`, { filename: 'CMS sandbox' });
+
+        for (const name of Object.keys(globals || {}))
+            this.context[name] = this._toContext(globals[name]);
+    }
+
+
+    /**********************
+     ***** Properties *****
+     *********************/
+
+    /**
+     * contextified global object, holding wrapped values (use get() and set() to read and change globals from the host)
+     * @type {object}
+     */
+    context;
+
+    /**
+     * time limit in milliseconds for each run
+     * @type {number}
+     */
+    timeout;
+
+    /**
+     * when the current runs must finish, or null when nothing is running
+     * @type {number}
+     */
+    _deadline = null;
+
+    /**
+     * number of runs (and calls) in progress
+     * @type {number}
+     */
+    _running = 0;
+
+    /**
+     * functions failing the runs in progress when the deadline passes
+     * @type {Set<function>}
+     */
+    _runs = new Set();
+
+    /**
+     * deadline timer of the runs in progress
+     * @type {Timeout}
+     */
+    _timer = null;
+
+    /**
+     * number of deadlines set so far, so runs failed by one don't count against the next
+     * @type {number}
+     */
+    _generation = 0;
+
+
+    /*******************
+     ***** Methods *****
+     ******************/
+
+    /**
+     * run source in the sandbox
+     *
+     * The source is wrapped in an async strict-mode function, so it may `await` the helpers it was given, its top-level
+     * declarations stay local to this run, and `this` refers to the sandbox globals (e.g., `this.settings`). It must finish
+     * within the time limit, including anything it awaits; runs started while another is in progress (e.g., the page body
+     * within the template body, or a block) share the limit of the outer run. Locals are variables of this run only (e.g.,
+     * a block's params), shadowing globals of the same name.
+     * @param {string} source JavaScript source
+     * @param {string} filename name used in stack traces (e.g., cmsPages.home.body)
+     * @param {object} locals optional variables by name
+     * @returns {Promise} resolves to what the source returns
+     */
+    run(source, filename, locals) {
+        return new Promise((resolve, reject) => {
+            if (!source)
+                return resolve();
+
+            const generation = this._start();
+            let finished = false;
+            const finish = (settle, value) => {
+                if (finished)
+                    return;
+                finished = true;
+                this._runs.delete(expire);
+                try { settle(value); }
+                finally { this._finish(generation); }
+            };
+            const expire = () => finish(reject, this._timeoutError());
+            this._runs.add(expire);
+
+            try {
+                const names = Object.keys(locals || {});
+                const script = new vm.Script(`(async function (${names.join(', ')}) { 'use strict';\n${source}\n}).apply(this, ${callProperty}());`, {
+                    filename: filename,
+                    lineOffset: -1
+                });
+
+                // the wrapper gets its locals from the host before any of the source runs
+                const results = this._toHost(this._runScript(script, () => this._contextArray(...names.map((name) => this._toContext(locals[name])))));
+                Promise.resolve(results).then(
+                    (value) => finish(resolve, value),
+                    (err) => finish(reject, this._hostError(err))
+                );
+            }
+            catch (err) {
+                finish(reject, this._hostError(err));
+            }
+        });
+    }
+
+    /**
+     * run host code that uses values left in the sandbox (e.g., output.toString()), with context code it calls limited to
+     * the time limit
+     * @param {function} callback
+     * @returns {any} what the callback returns
+     */
+    call(callback) {
+        const generation = this._start();
+        try { return callback(); }
+        finally { this._finish(generation); }
+    }
+
+    /**
+     * value of a global (e.g., `output`), unwrapped for the host
+     * @param {string} name
+     * @returns {any}
+     */
+    get(name) {
+        return this.call(() => this._call(() => this._toHost(Reflect.get(this.context, name))));
+    }
+
+    /**
+     * set a global (e.g., `output`), wrapped for the context
+     * @param {string} name
+     * @param {any} value
+     */
+    set(name, value) {
+        this.call(() => this._call(() => Reflect.set(this.context, name, this._toContext(value))));
+    }
+
+    /**
+     * plain copy of data from the source (e.g., a query filter), which can be passed to other threads (functions are left
+     * out)
+     * @param {any} value
+     * @returns {any}
+     */
+    copy(value) {
+        value = this._toHost(value);
+        if (typeof value == 'function')
+            return undefined;
+        if (value === null || typeof value != 'object' || value instanceof Date || value instanceof RegExp)
+            return value;
+        if (Array.isArray(value))
+            return Array.from(value, (item) => this.copy(item));
+
+        const copy = {};
+        for (const key of Object.keys(value))
+            copy[key] = this.copy(value[key]);
+        return copy;
+    }
+
+    /**
+     * start a run, setting the deadline when nothing else is running
+     * @returns {number} generation of the deadline, for _finish()
+     */
+    _start() {
+        if (!this._running++) {
+            this._deadline = Date.now() + this.timeout;
+            this._timer = setTimeout(() => this._expire(), this.timeout);
+        }
+        return this._generation;
+    }
+
+    /**
+     * finish a run, clearing the deadline after the last one
+     * @param {number} generation what _start() returned
+     */
+    _finish(generation) {
+        if (generation == this._generation && !--this._running)
+            this._reset();
+    }
+
+    /**
+     * fail every run in progress once the deadline passes, since they all share it (e.g., the template body awaiting the
+     * page body), so host code handling their errors gets a new time limit
+     */
+    _expire() {
+        const runs = [...this._runs];
+        this._reset();
+        for (const expire of runs)
+            expire();
+    }
+
+    /**
+     * clear the deadline, forgetting the runs in progress
+     */
+    _reset() {
+        clearTimeout(this._timer);
+        this._runs.clear();
+        this._running = 0;
+        this._deadline = null;
+        this._timer = null;
+        this._generation++;
+    }
+
+    /**
+     * run a script in the context until the deadline, including the promise jobs it queues
+     * @param {vm.Script} script script calling `__cmsCall()`
+     * @param {function} callback host function the script calls
+     * @returns {any} script result
+     */
+    _runScript(script, callback) {
+        if (!this._deadline)
+            throw new Error('Sandbox is not running');
+
+        const remaining = this._deadline - Date.now();
+        if (remaining <= 0) {
+            this._expire();
+            throw this._timeoutError();
+        }
+
+        this._pending(callback);
+        try {
+            return script.runInContext(this.context, { timeout: remaining, breakOnSigint: true });
+        }
+        catch (err) {
+            // timeouts are thrown as context errors, the rest were already passed to the host by _call() callbacks
+            const code = this._realm(err) == 'context' && Reflect.getOwnPropertyDescriptor(err, 'code');
+            if (!code || code.value != 'ERR_SCRIPT_EXECUTION_TIMEOUT')
+                throw this._toHost(err);
+
+            this._expire();
+            throw this._timeoutError();
+        }
+        finally {
+            this._pending(undefined);
+        }
+    }
+
+    /**
+     * run host code touching context values through a script, so context code it reaches is under the time limit
+     * @param {function} callback
+     * @returns {any} what the callback returns
+     */
+    _call(callback) {
+        return this._runScript(this._callScript, callback);
+    }
+
+    /**
+     * error for a run that went past the time limit
+     * @returns {Error}
+     */
+    _timeoutError() {
+        return new Error(`Script execution timed out after ${this.timeout}ms`);
+    }
+
+    /**
+     * host error for what a run threw (context errors are copied, so the host doesn't run context code to log them)
+     * @param {any} reason
+     * @returns {any}
+     */
+    _hostError(reason) {
+        if (!this._contextTargets.has(reason))
+            return reason;
+
+        try {
+            const error = new Error(typeof reason.message == 'string' ? reason.message : String(reason));
+            if (typeof reason.name == 'string')
+                error.name = reason.name;
+            if (typeof reason.stack == 'string')
+                error.stack = reason.stack;
+            return error;
+        }
+        catch (err) {
+            return err;
+        }
+    }
+
+    /**
+     * which side an object was created on, going by the end of its prototype chain
+     * @param {object} value
+     * @returns {string} host, context, or null when it can't be told safely (e.g., proxies, null prototypes)
+     */
+    _realm(value) {
+        for (let object = value; object; object = Object.getPrototypeOf(object)) {
+            if (util.types.isProxy(object))
+                return null;
+            if (object === Object.prototype)
+                return 'host';
+            if (object === this._contextObject)
+                return 'context';
+        }
+
+        return null;
+    }
+
+    /**
+     * value for the context: primitives and context objects as they are, host objects wrapped
+     * @param {any} value
+     * @returns {any}
+     */
+    _toContext(value) {
+        if (value === null || (typeof value != 'object' && typeof value != 'function'))
+            return value;
+        if (hostConstructors.has(value))
+            return undefined;
+        if (this._hostTargets.has(value))
+            return value;
+        if (this._contextTargets.has(value))
+            return this._contextTargets.get(value);
+        if (this._realm(value) == 'context')
+            return value;
+
+        // promises are passed on as context promises, so awaiting them resumes the source within a script with a timeout
+        if (value instanceof Promise && !this._contextProxies.has(value)) {
+            const deferred = this._contextPromise();
+            const settle = (callback, result) => {
+                try { this._call(() => callback(this._toContext(result))); }
+                catch (err) { }  // the source stopped running
+            };
+            value.then((result) => settle(deferred.resolve, result), (err) => settle(deferred.reject, err));
+            this._contextProxies.set(value, deferred.promise);
+        }
+
+        if (!this._contextProxies.has(value))
+            this._wrap(value, this._contextProxies, this._hostTargets, {
+                get: (target, key) => hiddenProperties.includes(key) ? undefined : this._toContext(Reflect.get(target, key)),
+                set: (target, key, item) => !hiddenProperties.includes(key) && Reflect.set(target, key, this._toHost(item)),
+                has: (target, key) => !hiddenProperties.includes(key) && Reflect.has(target, key),
+                deleteProperty: (target, key) => !hiddenProperties.includes(key) && Reflect.deleteProperty(target, key),
+                ownKeys: (target) => Reflect.ownKeys(target).filter((key) => !hiddenProperties.includes(key)),
+                descriptor: (target, key) => hiddenProperties.includes(key) ? undefined : Reflect.getOwnPropertyDescriptor(target, key),
+                convert: (item) => this._toContext(item),
+                apply: (target, thisArg, args) => {
+                    try { return this._toContext(Reflect.apply(target, this._toHost(thisArg), args.map((arg) => this._toHost(arg)))); }
+                    catch (err) { throw this._toContext(err); }
+                },
+                construct: (target, args) => {
+                    try { return this._toContext(Reflect.construct(target, args.map((arg) => this._toHost(arg)))); }
+                    catch (err) { throw this._toContext(err); }
+                }
+            });
+
+        return this._contextProxies.get(value);
+    }
+
+    /**
+     * value for the host: primitives and host objects as they are, context objects wrapped so their code runs through _call()
+     * @param {any} value
+     * @returns {any}
+     */
+    _toHost(value) {
+        if (value === null || (typeof value != 'object' && typeof value != 'function'))
+            return value;
+        if (this._contextTargets.has(value))
+            return value;
+        if (this._hostTargets.has(value))
+            return this._hostTargets.get(value);
+        if (this._realm(value) == 'host')
+            return value;
+
+        // dates and regular expressions are copied, so host code recognizes them (e.g., in query filters)
+        if (util.types.isDate(value))
+            return new Date(Date.prototype.getTime.call(value));
+        if (util.types.isRegExp(value))
+            return new RegExp(regExpSource.call(value), regExpFlags.call(value));
+
+        if (!this._hostProxies.has(value))
+            this._wrap(value, this._hostProxies, this._contextTargets, {
+                get: (target, key) => this._call(() => this._toHost(Reflect.get(target, key))),
+                set: (target, key, item) => this._call(() => Reflect.set(target, key, this._toContext(item))),
+                has: (target, key) => this._call(() => Reflect.has(target, key)),
+                deleteProperty: (target, key) => this._call(() => Reflect.deleteProperty(target, key)),
+                ownKeys: (target) => this._call(() => Reflect.ownKeys(target)),
+                descriptor: (target, key) => this._call(() => Reflect.getOwnPropertyDescriptor(target, key)),
+                convert: (item) => this._toHost(item),
+                apply: (target, thisArg, args) => this._call(() => {
+                    try { return this._toHost(Reflect.apply(target, this._toContext(thisArg), this._contextArray(...args.map((arg) => this._toContext(arg))))); }
+                    catch (err) { throw this._toHost(err); }
+                }),
+                construct: (target, args) => this._call(() => {
+                    try { return this._toHost(Reflect.construct(target, this._contextArray(...args.map((arg) => this._toContext(arg))))); }
+                    catch (err) { throw this._toHost(err); }
+                })
+            });
+
+        return this._hostProxies.get(value);
+    }
+
+    /**
+     * wrap an object for the other side
+     *
+     * The proxy's own target is an empty stand-in of the same kind (array, function or object) that's never changed, so
+     * the proxy can report whatever the real object has without breaking proxy invariants, and no prototype.
+     * @param {object} value object to wrap
+     * @param {WeakMap} proxies cache of wrapped objects to add it to
+     * @param {WeakMap} targets wrapped objects by proxy, to add it to
+     * @param {object} traps property access on the real object, plus `descriptor` (own property descriptor, before its
+     * values are converted), `convert` (value for the other side), `apply` and `construct`
+     */
+    _wrap(value, proxies, targets, traps) {
+        const stand = typeof value == 'function' ? function () { }.bind() : Array.isArray(value) ? [] : {};
+        const proxy = new Proxy(stand, {
+            get: (stand, key) => traps.get(value, key),
+            set: (stand, key, item) => traps.set(value, key, item),
+            has: (stand, key) => traps.has(value, key),
+            deleteProperty: (stand, key) => (Reflect.getOwnPropertyDescriptor(stand, key) || {}).configurable !== false && traps.deleteProperty(value, key),
+            ownKeys: (stand) => {
+                const keys = traps.ownKeys(value);
+                return keys.concat(Reflect.ownKeys(stand).filter((key) => !Reflect.getOwnPropertyDescriptor(stand, key).configurable && !keys.includes(key)));
+            },
+            getOwnPropertyDescriptor: (stand, key) => {
+                const descriptor = traps.descriptor(value, key);
+                const own = Reflect.getOwnPropertyDescriptor(stand, key);
+                if (!descriptor)
+                    return own && !own.configurable ? own : undefined;
+
+                const result = { enumerable: descriptor.enumerable, configurable: true };
+                if ('value' in descriptor)
+                    Object.assign(result, { value: traps.convert(descriptor.value), writable: descriptor.writable });
+                else
+                    Object.assign(result, { get: traps.convert(descriptor.get), set: traps.convert(descriptor.set) });
+
+                // the stand-in's fixed properties (e.g., an array's length) must be reported as it has them
+                if (own && !own.configurable)
+                    Object.assign(result, { writable: own.writable, enumerable: own.enumerable, configurable: false });
+                return result;
+            },
+            defineProperty: () => false,
+            getPrototypeOf: () => null,
+            setPrototypeOf: () => false,
+            isExtensible: () => true,
+            preventExtensions: () => false,
+            apply: (stand, thisArg, args) => traps.apply(value, thisArg, args),
+            construct: (stand, args) => traps.construct(value, args)
+        });
+
+        proxies.set(value, proxy);
+        targets.set(proxy, value);
+    }
+
+    /**
+     * recursively copy and freeze a value so sandboxed source can read it but not change the original
+     * @param {any} value
+     * @returns {any}
+     */
+    static readOnly(value) {
+        if (value === null || typeof value != 'object')
+            return value;
+        if (value instanceof Date)
+            return Object.freeze(new Date(value));
+
+        const copy = Array.isArray(value) ? [] : {};
+        for (const key of Object.keys(value))
+            copy[key] = Sandbox.readOnly(value[key]);
+
+        return Object.freeze(copy);
+    }
+};
@@ -0,0 +1,195 @@
+'use strict';
+const express = require('express');  // web server
+const htmlEscaper = require('html-escaper');  // escape/unescape HTML entities
+const query = require('./storage/query');  // search string parsing
+
+/**
+ * site search over published pages: /search renders results through a template, /search.json returns them for
+ * client-side autocomplete
+ */
+
+/** URL of the search results page */
+const searchRoot = '/search';
+
+/** searched page fields and how much a match in each counts */
+const searchWeights = { title: 10, tagline: 5, description: 3, excerpt: 3, body: 1 };
+
+/** longest search string */
+const maxSearchLength = 200;
+
+/** results per page, and the most a JSON client may ask for */
+const defaultLimit = 10;
+const maxLimit = 50;
+
+/** characters of page text shown around the first match */
+const snippetLength = 200;
+
+/** string literals in page source (where its visible text is) */
+const literalPattern = /(['"`])((?:\\.|(?!\1)[^\\\n])*)\1/g;
+
+/**
+ * tidy a search string
+ * @param {any} value query string parameter
+ * @returns {string} empty when there's nothing to search for
+ */
+function searchString(value) {
+    return typeof value == 'string' ? value.trim().replace(/\s+/g, ' ').substr(0, maxSearchLength) : '';
+}
+
+/**
+ * readable text of page body source: its string literals (at least two words long, so options such as 'muted' are
+ * left out) without HTML tags
+ * @param {string} source page body source
+ * @returns {string}
+ */
+function bodyText(source) {
+    const texts = [];
+    for (const match of String(source || '').matchAll(literalPattern)) {
+        const text = match[2]
+            .replace(/\\(.)/g, '$1')
+            .replace(/<[^>]*>/g, ' ')
+            .replace(/\$\{[^}]*\}/g, ' ');
+        const unescaped = htmlEscaper.unescape(text).replace(/\s+/g, ' ').replace(/ ([.,;:!?])/g, '$1').trim();
+        if (unescaped.includes(' '))
+            texts.push(unescaped);
+    }
+
+    return texts.join(' ');
+}
+
+/**
+ * HTML excerpt of a page around the first search match, with matches highlighted
+ * @param {object} page page with description/excerpt and body
+ * @param {string} search search string
+ * @returns {string} HTML
+ */
+function snippet(page, search) {
+    const text = [page.description || page.excerpt, bodyText(page.body)].filter(Boolean).join(' … ');
+    const terms = [...new Set(query.parseSearch(search).terms)];
+    const pattern = terms.length ? new RegExp(`(?<![\\p{L}\\p{N}])(${terms.map(escapeRegExp).join('|')})[\\p{L}\\p{N}]*`, 'giu') : null;
+
+    // window of text starting a little before the first match, on a word boundary
+    const first = pattern ? text.search(pattern) : -1;
+    let start = first > snippetLength / 4 ? text.lastIndexOf(' ', first - snippetLength / 4) + 1 : 0;
+    if (start < 0)
+        start = 0;
+    let end = Math.min(start + snippetLength, text.length);
+    if (end < text.length && text.lastIndexOf(' ', end) > start)
+        end = text.lastIndexOf(' ', end);
+    const window = text.substring(start, end);
+
+    // escape everything, highlighting the matches
+    let html = '';
+    let last = 0;
+    if (pattern)
+        for (const match of window.matchAll(pattern)) {
+            html += htmlEscaper.escape(window.substring(last, match.index)) + `<mark>${htmlEscaper.escape(match[0])}</mark>`;
+            last = match.index + match[0].length;
+        }
+    html += htmlEscaper.escape(window.substring(last));
+
+    return (start > 0 ? '… ' : '') + html + (end < text.length ? ' …' : '');
+}
+
+/**
+ * build the search router (mounted ahead of the page router)
+ * @param {CMS} cms CMS instance
+ * @returns {express.Router}
+ */
+function router(cms) {
+    const router = express.Router();
+
+    // results for autocomplete and other client-side use
+    router.get(`${searchRoot}.json`, async (req, res, next) => {
+        try {
+            const results = await cms.search(req.query.q, { page: positiveInteger(req.query.page, 1), limit: Math.min(positiveInteger(req.query.limit, defaultLimit), maxLimit) });
+            res.set('X-Robots-Tag', 'noindex').json({
+                data: results.results,
+                meta: { q: results.search, page: results.page, limit: results.limit, total: results.total, pages: results.pages }
+            });
+        }
+        catch (err) { next(err); }
+    });
+
+    // results page, rendered through the search template (searchTemplate in the settings, defaulting to the CMS's defaultTemplate)
+    router.get(searchRoot, async (req, res, next) => {
+        try {
+            const results = await cms.search(req.query.q, { page: positiveInteger(req.query.page, 1), limit: defaultLimit });
+            const templateId = cms.settings.searchTemplate || cms.defaultTemplate;
+            const template = await cms.findOne('cmsTemplates', { _id: templateId });
+            if (!template)
+                throw new Error(`Search template not found: ${templateId}`);
+
+            // the results are the page body, added as-is by generated source
+            const body = await cms.render({ _id: 'search', parent: 'home', title: 'Search', template: template, body: `output.add(${JSON.stringify(resultsHtml(results))});` });
+            res.set({ 'Cache-Control': 'no-cache', 'X-Robots-Tag': 'noindex' }).send(body);
+        }
+        catch (err) { next(err); }
+    });
+
+    return router;
+}
+
+/**
+ * search form, results and pagination
+ * @param {object} results cms.search() results
+ * @returns {string} HTML
+ */
+function resultsHtml(results) {
+    let html = '<div class="container py-3">'
+        + `<form class="form-inline mb-3" action="${searchRoot}" method="get" role="search">`
+        + `<input class="form-control mr-2 flex-grow-1" type="search" name="q" value="${htmlEscaper.escape(results.search)}" placeholder="Search" aria-label="Search" maxlength="${maxSearchLength}">`
+        + '<button class="btn btn-primary" type="submit">Search</button></form>';
+
+    if (!results.search)
+        return html + '</div>';
+
+    html += `<p class="text-muted">${results.total} result${results.total == 1 ? '' : 's'} for “${htmlEscaper.escape(results.search)}”</p>`;
+    if (results.results.length)
+        html += '<div class="list-group mb-3">'
+            + results.results.map((result) => `<a class="list-group-item list-group-item-action" href="${htmlEscaper.escape(result.url)}">`
+                + `<h5 class="mb-1">${htmlEscaper.escape(result.title || result._id)}</h5>`
+                + (result.snippet ? `<p class="mb-1">${result.snippet}</p>` : '')
+                + `<small class="text-muted">${htmlEscaper.escape(result.url)}</small></a>`).join('')
+            + '</div>';
+
+    // previous/next pages
+    if (results.pages > 1) {
+        const pageLink = (page, label, disabled) => `<li class="page-item${disabled ? ' disabled' : ''}${page == results.page ? ' active' : ''}">`
+            + `<a class="page-link" href="${searchRoot}?q=${encodeURIComponent(results.search)}&amp;page=${page}">${label}</a></li>`;
+        const first = Math.max(1, Math.min(results.page - 2, results.pages - 4));
+        const pages = [];
+        for (let page = first; page <= Math.min(first + 4, results.pages); page++)
+            pages.push(pageLink(page, page, false));
+
+        html += '<nav aria-label="Search results pages"><ul class="pagination">'
+            + pageLink(results.page - 1, 'Previous', results.page <= 1)
+            + pages.join('')
+            + pageLink(results.page + 1, 'Next', results.page >= results.pages)
+            + '</ul></nav>';
+    }
+
+    return html + '</div>';
+}
+
+/**
+ * positive integer query string parameter
+ * @param {any} value
+ * @param {number} defaultValue used when missing or invalid
+ * @returns {number}
+ */
+function positiveInteger(value, defaultValue) {
+    const number = Number(value);
+    return Number.isInteger(number) && number > 0 ? number : defaultValue;
+}
+
+/**
+ * escape a value for use in a regular expression
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+module.exports = { searchRoot, searchWeights, searchString, bodyText, snippet, router };
@@ -0,0 +1,110 @@
+'use strict';
+const fs = require('fs');  // enable filesystem functionality
+const path = require('path');  // enable path functionality
+
+/**
+ * read and write seed directories: one `<collection>-<_id>.json` file per document, with page/template/block source in
+ * a matching `.js` file (template header, body and footer separated by divider lines)
+ *
+ * Dates are written as `{ "$date": "<ISO 8601>" }` so they survive the round trip.
+ */
+
+/** collections kept in seed directories */
+const seedCollections = ['cms', 'cmsBlocks', 'cmsForms', 'cmsMenus', 'cmsPages', 'cmsTemplates', 'cmsTypes'];
+
+/** source fields kept in the .js file of each collection that has one, in file order */
+const sourceFields = { cmsBlocks: ['body'], cmsPages: ['body'], cmsTemplates: ['header', 'body', 'footer'] };
+
+/** documents that stay out of seed directories (e.g., the signing secret and the schema version) */
+const privateDocuments = { cms: ['secret', 'schema', 'migrationLock'] };
+
+/** fields maintained by the database side, which would make every export differ */
+const metadataFields = ['created', 'updated'];
+
+/** line separating template sections */
+const templateDivider = '//////////////////// TEMPLATE DIVIDER ////////////////////';
+
+/** template divider line with either line ending (Git may check seed files out with CRLF) */
+const templateDividerPattern = /^\/{20} TEMPLATE DIVIDER \/{20}\r?\n/m;
+
+/** document IDs that make safe file names */
+const fileIdPattern = /^[\w@+][\w.@+-]*$/;
+
+/**
+ * read every document in a seed directory
+ * @param {string} directory seed directory
+ * @returns {Promise<object[]>} { collection, id, document, files } where files holds the raw file contents by name
+ */
+async function read(directory) {
+    const entries = [];
+    for (const name of (await fs.promises.readdir(directory)).sort()) {
+        const parsed = path.parse(name);
+        if (parsed.ext != '.json' || !parsed.name.includes('-'))
+            continue;
+
+        // parse file name for collection and _id
+        const collection = parsed.name.substr(0, parsed.name.indexOf('-'));
+        const id = parsed.name.substr(parsed.name.indexOf('-') + 1);
+        const files = { [name]: normalize(await fs.promises.readFile(path.join(directory, name), { encoding: 'utf-8' })) };
+        const document = JSON.parse(files[name], (key, value) => value && typeof value == 'object' && typeof value.$date == 'string' && Object.keys(value).length == 1 ? new Date(value.$date) : value);
+
+        // read corresponding source file into the document
+        if (sourceFields[collection]) {
+            const sourceName = `${parsed.name}.js`;
+            try { files[sourceName] = normalize(await fs.promises.readFile(path.join(directory, sourceName), { encoding: 'utf-8' })); }
+            catch (err) {
+                if (err.code != 'ENOENT')
+                    throw err;
+            }
+
+            if (files[sourceName] !== undefined) {
+                const sections = sourceFields[collection].length > 1 ? files[sourceName].split(templateDividerPattern) : [files[sourceName]];
+                if (sections.length != sourceFields[collection].length)
+                    throw new Error(`CMS Template source must have ${sourceFields[collection].length} parts: ${collection}.${id} (${sections.length})`);
+
+                sourceFields[collection].forEach((field, index) => document[field] = sections[index].length ? sections[index] : null);
+            }
+        }
+
+        entries.push({ collection: collection, id: id, document: document, files: files });
+    }
+
+    return entries;
+}
+
+/**
+ * seed files for a document
+ * @param {string} collection collection name
+ * @param {object} document database document
+ * @returns {object} file contents by name (null when the document doesn't belong in a seed directory)
+ */
+function files(collection, document) {
+    if (!seedCollections.includes(collection) || (privateDocuments[collection] || []).includes(document._id) || !fileIdPattern.test(String(document._id)))
+        return null;
+
+    const base = `${collection}-${document._id}`;
+    const json = Object.assign({ _id: document._id }, document);
+    for (const field of metadataFields.concat(sourceFields[collection] || []))
+        delete json[field];
+
+    const results = {
+        [`${base}.json`]: JSON.stringify(json, function (key, value) {
+            return this[key] instanceof Date ? { $date: this[key].toISOString() } : value;
+        }, 2)
+    };
+    if (sourceFields[collection])
+        results[`${base}.js`] = sourceFields[collection].map((field) => document[field] || '').join(`${templateDivider}\n`);
+
+    return results;
+}
+
+/**
+ * use LF line endings, like the repository does
+ * @param {string} contents
+ * @returns {string}
+ */
+function normalize(contents) {
+    return contents.replace(/\r\n/g, '\n');
+}
+
+module.exports = { seedCollections, sourceFields, read, files };
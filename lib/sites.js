@@ -0,0 +1,105 @@
+'use strict';
+const { pageIdPattern } = require('./pages');  // site IDs follow the page ID rules
+const timezone = require('./timezone');  // wall-clock times in the settings timezone
+
+/**
+ * multi-site hosting: each cmsSites document maps hostnames to a site served by its own CMS instance, whose collections
+ * are prefixed with `sites.<_id>.` so its settings, pages, templates, media and caches stay apart from other sites'
+ *
+ * Requests for hostnames without a site are served by the main instance (i.e., the unprefixed collections).
+ */
+
+/** collections all sites share rather than keeping their own (user accounts, and their login throttling, work on every site) */
+const sharedCollections = ['cmsLoginFailures', 'cmsSessions', 'cmsSites', 'cmsUsers'];
+
+/** hostnames as they arrive in the Host header, without the port */
+const hostnamePattern = /^(?=.{1,253}$)[a-z0-9]([a-z0-9-]*[a-z0-9])?(\.[a-z0-9]([a-z0-9-]*[a-z0-9])?)*$/;
+
+/**
+ * collection/bucket name prefix of a site
+ * @param {string} id site ID
+ * @returns {string}
+ */
+function prefix(id) {
+    return `sites.${id}.`;
+}
+
+/**
+ * problem with a site document
+ * @param {object} site cmsSites document
+ * @returns {string} error message, or null when acceptable
+ */
+function validate(site) {
+    if (!site || typeof site != 'object')
+        return 'Site must be an object';
+    if (typeof site._id != 'string' || !pageIdPattern.test(site._id))
+        return `Site ID must match ${pageIdPattern.source}`;
+    if (!Array.isArray(site.hostnames) || !site.hostnames.length)
+        return `Site ${site._id} needs at least one hostname`;
+    if (site.aliases !== undefined && site.aliases !== null && !Array.isArray(site.aliases))
+        return `Site ${site._id} aliases must be an array`;
+
+    for (const hostname of site.hostnames.concat(site.aliases || []))
+        if (typeof hostname != 'string' || !hostnamePattern.test(hostname))
+            return `Invalid hostname in site ${site._id}: ${hostname} (use lowercase and leave out the port)`;
+
+    if (site.settings !== undefined && site.settings !== null && (typeof site.settings != 'object' || Array.isArray(site.settings)))
+        return `Site ${site._id} settings must be an object`;
+    if (site.settings && site.settings.timezone !== undefined && !timezone.isValid(site.settings.timezone))
+        return `Unknown time zone in site ${site._id}: ${site.settings.timezone}`;
+    if (site.template !== undefined && site.template !== null && (typeof site.template != 'string' || !pageIdPattern.test(site.template)))
+        return `Site ${site._id} template must match ${pageIdPattern.source}`;
+
+    return null;
+}
+
+/**
+ * map every hostname to its site (invalid sites are left out with a warning, and the first site to claim a hostname
+ * keeps it)
+ * @param {object[]} sites cmsSites documents
+ * @param {Logger} logger where to warn about invalid sites
+ * @returns {Map<string, {site: object, alias: boolean}>}
+ */
+function hostIndex(sites, logger) {
+    const hosts = new Map();
+    for (const site of sites) {
+        const error = validate(site);
+        if (error) {
+            logger.warn(`Ignoring site: ${error}`);
+            continue;
+        }
+
+        for (const [hostnames, alias] of [[site.hostnames, false], [site.aliases || [], true]])
+            for (const hostname of hostnames)
+                if (!hosts.has(hostname))
+                    hosts.set(hostname, { site: site, alias: alias });
+    }
+
+    return hosts;
+}
+
+/**
+ * build the middleware handing requests for a site's hostnames to its CMS instance (and redirecting its aliases to its
+ * primary hostname), which must be mounted ahead of the main instance's routes
+ * @param {CMS} cms main CMS instance
+ * @returns {function} Express middleware
+ */
+function router(cms) {
+    return async (req, res, next) => {
+        try {
+            const host = req.hostname ? (await cms.siteHosts()).get(req.hostname.toLowerCase()) : null;
+            if (!host)
+                return next();
+
+            // aliases redirect to the same path on the primary hostname
+            if (host.alias)
+                return res.redirect(301, `${req.protocol}://${host.site.hostnames[0]}${req.originalUrl}`);
+
+            const site = await cms.siteInstance(host.site._id);
+            site.app()(req, res, next);
+        }
+        catch (err) { next(err); }
+    };
+}
+
+module.exports = { sharedCollections, hostnamePattern, prefix, validate, hostIndex, router };
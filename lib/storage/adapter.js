@@ -0,0 +1,160 @@
+'use strict';
+
+/**
+ * storage adapter interface used by the CMS data methods
+ *
+ * Adapters accept and return MongoDB-style filters, update documents, options and results, so the CMS and the source
+ * stored in it don't need to know which store is behind them. Arguments are validated by the CMS before they get here.
+ * Files are kept in buckets the way GridFS does it: each file's details are a document in the `<bucket>.files`
+ * collection, which the data methods can query and update.
+ */
+module.exports = class StorageAdapter {
+    /**
+     * open connections/files, called automatically on first use
+     * @returns {Promise}
+     */
+    async connect() { }
+
+    /**
+     * release connections/files
+     * @returns {Promise}
+     */
+    async close() { }
+
+    /**
+     * verify the store is reachable
+     * @returns {Promise<boolean>}
+     */
+    async ping() { throw 'Storage adapter must implement ping()'; }
+
+    /**
+     * count the documents matching the filter
+     * @param {string} collection collection name
+     * @param {object} filter query filter
+     * @param {object} options query options (e.g., skip, limit)
+     * @returns {Promise<number>}
+     */
+    async countDocuments(collection, filter, options) { throw 'Storage adapter must implement countDocuments()'; }
+
+    /**
+     * delete a stored file and its files document
+     * @param {string} bucket bucket name
+     * @param {any} id files document _id
+     * @returns {Promise}
+     */
+    async deleteFile(bucket, id) { throw 'Storage adapter must implement deleteFile()'; }
+
+    /**
+     * delete all documents matching the filter
+     * @param {string} collection collection name
+     * @param {object} filter query filter
+     * @param {object} options query options
+     * @returns {Promise<{deletedCount: number}>}
+     */
+    async deleteMany(collection, filter, options) { throw 'Storage adapter must implement deleteMany()'; }
+
+    /**
+     * delete the first document matching the filter
+     * @param {string} collection collection name
+     * @param {object} filter query filter
+     * @param {object} options query options
+     * @returns {Promise<{deletedCount: number}>}
+     */
+    async deleteOne(collection, filter, options) { throw 'Storage adapter must implement deleteOne()'; }
+
+    /**
+     * find all documents matching the filter
+     * @param {string} collection collection name
+     * @param {object} filter query filter
+     * @param {object} options query options (e.g., sort, skip, limit, projection)
+     * @returns {Promise<object[]>}
+     */
+    async find(collection, filter, options) { throw 'Storage adapter must implement find()'; }
+
+    /**
+     * find the first document matching the filter
+     * @param {string} collection collection name
+     * @param {object} filter query filter
+     * @param {object} options query options (e.g., sort, projection)
+     * @returns {Promise<object>} null when not found
+     */
+    async findOne(collection, filter, options) { throw 'Storage adapter must implement findOne()'; }
+
+    /**
+     * add a document, generating an _id when it doesn't have one
+     * @param {string} collection collection name
+     * @param {object} document document to add
+     * @param {object} options write options
+     * @returns {Promise<{insertedCount: number, insertedId: any}>}
+     */
+    async insertOne(collection, document, options) { throw 'Storage adapter must implement insertOne()'; }
+
+    /**
+     * read a stored file
+     * @param {string} bucket bucket name
+     * @param {any} id files document _id
+     * @param {object} options optional byte range: start (inclusive) and end (exclusive)
+     * @returns {Promise<Readable>}
+     */
+    async openFile(bucket, id, options) { throw 'Storage adapter must implement openFile()'; }
+
+    /**
+     * replace all documents matching the filter, keeping their _id values
+     * @param {string} collection collection name
+     * @param {object} filter query filter
+     * @param {object} document replacement document
+     * @param {object} options write options
+     * @returns {Promise<{matchedCount: number, modifiedCount: number}>}
+     */
+    async replaceMany(collection, filter, document, options) { throw 'Storage adapter must implement replaceMany()'; }
+
+    /**
+     * replace the first document matching the filter
+     * @param {string} collection collection name
+     * @param {object} filter query filter
+     * @param {object} document replacement document
+     * @param {object} options write options (e.g., upsert)
+     * @returns {Promise<{matchedCount: number, modifiedCount: number, upsertedCount: number, upsertedId: any}>}
+     */
+    async replaceOne(collection, filter, document, options) { throw 'Storage adapter must implement replaceOne()'; }
+
+    /**
+     * full-text search (with MongoDB $text syntax: words match any, "quoted phrases" must appear, -words must not),
+     * maintaining a text index over the weighted fields
+     * @param {string} collection collection name
+     * @param {string} search search string
+     * @param {object} options weights (by field, e.g., { title: 10, body: 1 }), filter (further conditions) and projection
+     * @returns {Promise<object[]>} matching documents, most relevant first, each with its relevance as score
+     */
+    async textSearch(collection, search, options) { throw 'Storage adapter must implement textSearch()'; }
+
+    /**
+     * apply update operators to all documents matching the filter
+     * @param {string} collection collection name
+     * @param {object} filter query filter
+     * @param {object} update update operators (e.g., $set)
+     * @param {object} options write options (e.g., upsert)
+     * @returns {Promise<{matchedCount: number, modifiedCount: number, upsertedCount: number, upsertedId: any}>}
+     */
+    async updateMany(collection, filter, update, options) { throw 'Storage adapter must implement updateMany()'; }
+
+    /**
+     * apply update operators to the first document matching the filter
+     * @param {string} collection collection name
+     * @param {object} filter query filter
+     * @param {object} update update operators (e.g., $set)
+     * @param {object} options write options (e.g., upsert)
+     * @returns {Promise<{matchedCount: number, modifiedCount: number, upsertedCount: number, upsertedId: any}>}
+     */
+    async updateOne(collection, filter, update, options) { throw 'Storage adapter must implement updateOne()'; }
+
+    /**
+     * store a file as a new files document (in the `<bucket>.files` collection, like GridFS) with a generated _id
+     * @param {string} bucket bucket name
+     * @param {string} filename file name (several files may share one, e.g., revisions)
+     * @param {Buffer} content file contents
+     * @param {object} metadata stored as the files document's metadata
+     * @returns {Promise<object>} files document: { _id, filename, length, uploadDate, metadata }
+     */
+    async writeFile(bucket, filename, content, metadata) { throw 'Storage adapter must implement writeFile()'; }
+};
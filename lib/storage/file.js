@@ -0,0 +1,388 @@
+'use strict';
+const crypto = require('crypto');  // random document IDs
+const fs = require('fs');  // enable filesystem functionality
+const path = require('path');  // enable path functionality
+const { Readable } = require('stream');  // file contents as streams
+const StorageAdapter = require('./adapter');  // storage adapter interface
+const query = require('./query');  // in-memory query evaluation
+
+/**
+ * in-memory storage, optionally persisted as one JSON file per collection (e.g., for offline development and CI)
+ *
+ * Dates are stored as `{ "$date": "<ISO 8601>" }` so they round-trip through the JSON files. Stored files are kept in a
+ * `<bucket>.chunks` directory next to them (named by files document _id), or in memory.
+ */
+module.exports = class FileStorage extends StorageAdapter {
+    /**
+     * keep collections in memory, persisting them to the given directory when there is one
+     * @param {string} directory optional directory for the collection JSON files (omit to keep everything in memory)
+     */
+    constructor(directory) {
+        super();
+
+        this._directory = directory ? path.resolve(directory) : null;
+        this.description = this._directory ? `JSON files in ${this._directory}` : 'in-memory storage';
+    }
+
+
+    /**********************
+     ***** Properties *****
+     *********************/
+
+    /**
+     * loaded collections by name (each a promise of an array of documents)
+     * @type {Map<string, Promise<object[]>>}
+     * @protected
+     */
+    _collections = new Map();
+
+    /**
+     * directory the collection JSON files are persisted to (null when in-memory only)
+     * @type {string}
+     * @protected
+     */
+    _directory;
+
+    /**
+     * contents of stored files when there is no directory, by bucket and _id
+     * @type {Map<string, Buffer>}
+     * @protected
+     */
+    _files = new Map();
+
+    /**
+     * pending file writes by collection name, so writes to the same file happen in order
+     * @type {Map<string, Promise>}
+     * @protected
+     */
+    _writes = new Map();
+
+    /**
+     * human-readable description of the store, for logging
+     * @type {string}
+     */
+    description;
+
+
+    /*******************
+     ***** Methods *****
+     ******************/
+
+    async connect() {
+        if (this._directory)
+            await fs.promises.mkdir(this._directory, { recursive: true });
+    }
+
+    async close() {
+        await Promise.all(this._writes.values());
+    }
+
+    async ping() {
+        return true;
+    }
+
+    async countDocuments(collection, filter, options) {
+        options = options || {};
+        let count = (await this._collection(collection)).filter((document) => query.matches(document, filter)).length;
+        count = Math.max(count - (options.skip || 0), 0);
+        return options.limit ? Math.min(count, options.limit) : count;
+    }
+
+    async deleteFile(bucket, id) {
+        const results = await this.deleteOne(`${bucket}.files`, { _id: id });
+        if (!results.deletedCount)
+            throw `File not found: ${bucket}.${id}`;
+
+        if (!this._directory)
+            this._files.delete(`${bucket}/${id}`);
+        else {
+            try { await fs.promises.unlink(this._contentFile(bucket, id)); }
+            catch (err) {
+                if (err.code != 'ENOENT')
+                    throw err;
+            }
+        }
+    }
+
+    async deleteMany(collection, filter) {
+        const documents = await this._collection(collection);
+        const remaining = documents.filter((document) => !query.matches(document, filter));
+        const deletedCount = documents.length - remaining.length;
+        documents.splice(0, documents.length, ...remaining);
+        if (deletedCount)
+            await this._persist(collection);
+
+        return { deletedCount: deletedCount };
+    }
+
+    async deleteOne(collection, filter) {
+        const documents = await this._collection(collection);
+        const index = documents.findIndex((document) => query.matches(document, filter));
+        if (index == -1)
+            return { deletedCount: 0 };
+
+        documents.splice(index, 1);
+        await this._persist(collection);
+        return { deletedCount: 1 };
+    }
+
+    async find(collection, filter, options) {
+        options = options || {};
+        let results = (await this._collection(collection)).filter((document) => query.matches(document, filter));
+        query.sort(results, options.sort);
+        if (options.skip)
+            results = results.slice(options.skip);
+        if (options.limit)
+            results = results.slice(0, options.limit);
+
+        return results.map((document) => query.project(query.clone(document), options.projection || options.fields));
+    }
+
+    async findOne(collection, filter, options) {
+        const results = await this.find(collection, filter, Object.assign({}, options, { limit: 1 }));
+        return results.length ? results[0] : null;
+    }
+
+    async insertOne(collection, document) {
+        const documents = await this._collection(collection);
+
+        // generate an ID like MongoDB does (in place, so the caller sees it too)
+        if (document._id === undefined)
+            document._id = crypto.randomBytes(12).toString('hex');
+        else if (documents.some((existing) => query.equals(existing._id, document._id)))
+            throw `E11000 duplicate key error collection: ${collection} index: _id_ dup key: { _id: ${JSON.stringify(document._id)} }`;
+
+        documents.push(query.clone(document));
+        await this._persist(collection);
+        return { insertedCount: 1, insertedId: document._id };
+    }
+
+    async openFile(bucket, id, options) {
+        options = options || {};
+        const file = await this.findOne(`${bucket}.files`, { _id: id });
+        if (!file)
+            throw `File not found: ${bucket}.${id}`;
+
+        const start = options.start || 0;
+        const end = options.end === undefined ? file.length : Math.min(options.end, file.length);
+        if (end <= start)
+            return Readable.from([]);
+        if (!this._directory)
+            return Readable.from([this._files.get(`${bucket}/${id}`).subarray(start, end)]);
+
+        return fs.createReadStream(this._contentFile(bucket, id), { start: start, end: end - 1 });
+    }
+
+    async replaceMany(collection, filter, document) {
+        const documents = await this._collection(collection);
+        let matchedCount = 0;
+        for (let index = 0; index < documents.length; index++)
+            if (query.matches(documents[index], filter)) {
+                documents[index] = Object.assign(query.clone(document), { _id: documents[index]._id });
+                matchedCount++;
+            }
+        if (matchedCount)
+            await this._persist(collection);
+
+        return { matchedCount: matchedCount, modifiedCount: matchedCount };
+    }
+
+    async replaceOne(collection, filter, document, options) {
+        if (query.isOperatorObject(document))
+            throw 'Replacement document must not contain update operators';
+
+        const documents = await this._collection(collection);
+        const index = documents.findIndex((existing) => query.matches(existing, filter));
+
+        // not found, insert it when upserting
+        if (index == -1) {
+            if (!options || !options.upsert)
+                return { matchedCount: 0, modifiedCount: 0, upsertedCount: 0, upsertedId: null };
+
+            const upserted = Object.assign(query.upsertDocument(filter), query.clone(document));
+            await this.insertOne(collection, upserted);
+            return { matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: { _id: upserted._id } };
+        }
+
+        const replacement = Object.assign(query.clone(document), { _id: documents[index]._id });
+        const modified = !query.equals(documents[index], replacement);
+        documents[index] = replacement;
+        if (modified)
+            await this._persist(collection);
+
+        return { matchedCount: 1, modifiedCount: modified ? 1 : 0, upsertedCount: 0, upsertedId: null };
+    }
+
+    async textSearch(collection, search, options) {
+        const parsed = query.parseSearch(search);
+        const results = [];
+        for (const document of await this._collection(collection)) {
+            const score = query.matches(document, options.filter || {}) ? query.textScore(document, parsed, options.weights) : 0;
+            if (score)
+                results.push(Object.assign(query.project(query.clone(document), options.projection), { score: score }));
+        }
+
+        return results.sort((a, b) => b.score - a.score);
+    }
+
+    async updateMany(collection, filter, update, options) {
+        return this._update(collection, filter, update, options, true);
+    }
+
+    async updateOne(collection, filter, update, options) {
+        return this._update(collection, filter, update, options, false);
+    }
+
+    async writeFile(bucket, filename, content, metadata) {
+        const file = { _id: crypto.randomBytes(12).toString('hex'), length: content.length, uploadDate: new Date(), filename: filename, metadata: metadata };
+
+        // contents first, so the files document never points at nothing
+        if (!this._directory)
+            this._files.set(`${bucket}/${file._id}`, Buffer.from(content));
+        else {
+            const contentFile = this._contentFile(bucket, file._id);
+            await fs.promises.mkdir(path.dirname(contentFile), { recursive: true });
+            await fs.promises.writeFile(contentFile, content);
+        }
+
+        await this.insertOne(`${bucket}.files`, file);
+        return query.clone(file);
+    }
+
+    /**
+     * get a collection's documents, loading them from disk on first use
+     * @param {string} collection collection name
+     * @returns {Promise<object[]>} live array of stored documents
+     * @protected
+     */
+    _collection(collection) {
+        if (!this._collections.has(collection))
+            this._collections.set(collection, new Promise(async (resolve, reject) => {
+                try {
+                    if (!this._directory)
+                        return resolve([]);
+
+                    const json = await fs.promises.readFile(this._file(collection), { encoding: 'utf-8' });
+                    resolve(JSON.parse(json, (key, value) => value && typeof value == 'object' && typeof value.$date == 'string' && Object.keys(value).length == 1 ? new Date(value.$date) : value));
+                }
+                catch (err) {
+                    // collections are created on first write
+                    if (err.code == 'ENOENT')
+                        resolve([]);
+                    else {
+                        this._collections.delete(collection);
+                        reject(new Error(err));
+                    }
+                }
+            }));
+
+        return this._collections.get(collection);
+    }
+
+    /**
+     * path to a stored file's contents
+     * @param {string} bucket bucket name
+     * @param {string} id files document _id
+     * @returns {string}
+     * @protected
+     */
+    _contentFile(bucket, id) {
+        if (!/^[\w.-]+$/.test(bucket) || !/^[\w-]+$/.test(id))
+            throw `Invalid file: ${bucket}.${id}`;
+
+        return path.join(this._directory, `${bucket}.chunks`, id);
+    }
+
+    /**
+     * path to a collection's JSON file
+     * @param {string} collection collection name
+     * @returns {string}
+     * @protected
+     */
+    _file(collection) {
+        if (!/^[\w.-]+$/.test(collection))
+            throw `Invalid collection name: ${collection}`;
+
+        return path.join(this._directory, `${collection}.json`);
+    }
+
+    /**
+     * write a collection to disk (atomically, via a temporary file), queued behind any pending write of the same file
+     * @param {string} collection collection name
+     * @returns {Promise}
+     * @protected
+     */
+    _persist(collection) {
+        if (!this._directory)
+            return Promise.resolve();
+
+        const previous = this._writes.get(collection) || Promise.resolve();
+        const write = previous.catch(() => { }).then(async () => {
+            const documents = await this._collection(collection);
+            const json = JSON.stringify(documents, function (key, value) {
+                return this[key] instanceof Date ? { $date: this[key].toISOString() } : value;
+            }, 2);
+
+            await fs.promises.mkdir(this._directory, { recursive: true });
+            const file = this._file(collection);
+            await fs.promises.writeFile(`${file}.tmp`, json, { encoding: 'utf-8' });
+            await fs.promises.rename(`${file}.tmp`, file);
+        });
+
+        this._writes.set(collection, write);
+        write.catch(() => { }).then(() => {
+            if (this._writes.get(collection) === write)
+                this._writes.delete(collection);
+        });
+
+        return write;
+    }
+
+    /**
+     * apply update operators to the first (or every) matching document, upserting when asked
+     * @param {string} collection collection name
+     * @param {object} filter query filter
+     * @param {object} update update operators
+     * @param {object} options write options (e.g., upsert)
+     * @param {boolean} multiple update every matching document
+     * @returns {Promise<object>} MongoDB-style update results
+     * @protected
+     */
+    async _update(collection, filter, update, options, multiple) {
+        if (!query.isOperatorObject(update))
+            throw 'Update document requires atomic operators';
+
+        const documents = await this._collection(collection);
+        let matchedCount = 0;
+        let modifiedCount = 0;
+        for (let index = 0; index < documents.length; index++) {
+            if (!query.matches(documents[index], filter))
+                continue;
+
+            // update a copy, so a failed update leaves the stored document untouched
+            const updated = query.clone(documents[index]);
+            query.applyUpdate(updated, update, false);
+            matchedCount++;
+            if (!query.equals(documents[index], updated)) {
+                documents[index] = updated;
+                modifiedCount++;
+            }
+
+            if (!multiple)
+                break;
+        }
+
+        // not found, insert it when upserting
+        if (!matchedCount && options && options.upsert) {
+            const upserted = query.upsertDocument(filter);
+            query.applyUpdate(upserted, update, true);
+            await this.insertOne(collection, upserted);
+            return { matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: { _id: upserted._id } };
+        }
+
+        if (modifiedCount)
+            await this._persist(collection);
+
+        return { matchedCount: matchedCount, modifiedCount: modifiedCount, upsertedCount: 0, upsertedId: null };
+    }
+};
@@ -0,0 +1,213 @@
+'use strict';
+const { MongoClient, GridFSBucket } = require('mongodb');
+const StorageAdapter = require('./adapter');  // storage adapter interface
+
+/** MongoDB storage, sharing one pooled client across all calls */
+module.exports = class MongoDBStorage extends StorageAdapter {
+    /**
+     * configure the MongoDB connection (the pool opens on first use)
+     * @param {any} server MongoDB server
+     * @param {any} database MongoDB database
+     * @param {any} username MongoDB username
+     * @param {any} password MongoDB password
+     * @param {number} port MongoDB port
+     */
+    constructor(server, database, username, password, port) {
+        super();
+
+        // enforce requirements
+        if (!server || !database)
+            throw 'MongoDB server and database are required';
+        if (username && !password)
+            throw 'MongoDB password is required when a username is provided';
+
+        // set defaults
+        if (!port)
+            port = 27017;
+
+        // retain database connection information
+        this._connectionString = 'mongodb://';
+        if (username)
+            this._connectionString += `${encodeURIComponent(username)}:${encodeURIComponent(password)}@`;
+        this._connectionString += `${server}:${port}`;
+        this._database = database;
+        this.description = `MongoDB ${server}:${port}/${database}` + (username ? ` as ${username}` : '');
+    }
+
+
+    /**********************
+     ***** Properties *****
+     *********************/
+
+    /**
+     * pooled MongoDB client
+     * @type {Promise<MongoClient>}
+     * @protected
+     */
+    _client;
+
+    /**
+     * pool has been closed by close()
+     * @type {boolean}
+     * @protected
+     */
+    _closed = false;
+
+    /**
+     * database connection string
+     * @type {string}
+     * @protected
+     */
+    _connectionString;
+
+    /**
+     * database name
+     * @type {string}
+     * @protected
+     */
+    _database;
+
+    /**
+     * collections whose text index has been created (or is being created)
+     * @type {Map<string, Promise>}
+     * @protected
+     */
+    _textIndexes = new Map();
+
+    /**
+     * human-readable description of the store, for logging
+     * @type {string}
+     */
+    description;
+
+
+    /*******************
+     ***** Methods *****
+     ******************/
+
+    async connect() {
+        await this._db();
+    }
+
+    async close() {
+        if (this._client) {
+            const client = await this._client.catch(() => null);
+            this._client = null;
+            if (client)
+                await client.close();
+        }
+
+        this._closed = true;
+    }
+
+    async ping() {
+        await (await this._db()).command({ ping: 1 });
+        return true;
+    }
+
+    async countDocuments(collection, filter, options) {
+        return (await this._db()).collection(collection).countDocuments(filter, options);
+    }
+
+    async deleteFile(bucket, id) {
+        const gridfs = new GridFSBucket(await this._db(), { bucketName: bucket });
+        await new Promise((resolve, reject) => gridfs.delete(id, (err) => err ? reject(err) : resolve()));
+    }
+
+    async deleteMany(collection, filter, options) {
+        return (await this._db()).collection(collection).deleteMany(filter, options);
+    }
+
+    async deleteOne(collection, filter, options) {
+        return (await this._db()).collection(collection).deleteOne(filter, options);
+    }
+
+    async find(collection, filter, options) {
+        return (await this._db()).collection(collection).find(filter, options).toArray();
+    }
+
+    async findOne(collection, filter, options) {
+        return (await this._db()).collection(collection).findOne(filter, options);
+    }
+
+    async insertOne(collection, document, options) {
+        return (await this._db()).collection(collection).insertOne(document, options);
+    }
+
+    async openFile(bucket, id, options) {
+        options = options || {};
+        const gridfs = new GridFSBucket(await this._db(), { bucketName: bucket });
+        return gridfs.openDownloadStream(id, { start: options.start, end: options.end });
+    }
+
+    async replaceMany(collection, filter, document, options) {
+        // MongoDB has no replaceMany, so replace each matching document individually
+        const dbo = await this._db();
+        const matches = await dbo.collection(collection).find(filter, { projection: { _id: 1 } }).toArray();
+        let modifiedCount = 0;
+        for (const match of matches) {
+            const results = await dbo.collection(collection).replaceOne({ _id: match._id }, Object.assign({}, document, { _id: match._id }), options);
+            modifiedCount += results.modifiedCount;
+        }
+
+        return { matchedCount: matches.length, modifiedCount: modifiedCount };
+    }
+
+    async replaceOne(collection, filter, document, options) {
+        return (await this._db()).collection(collection).replaceOne(filter, document, options);
+    }
+
+    async textSearch(collection, search, options) {
+        const dbo = await this._db();
+
+        // a collection can only have one text index, so it's named after the collection and created once per client
+        if (!this._textIndexes.has(collection)) {
+            const keys = {};
+            for (const field of Object.keys(options.weights))
+                keys[field] = 'text';
+            this._textIndexes.set(collection, dbo.collection(collection).createIndex(keys, { name: `${collection}_text`, weights: options.weights }));
+            this._textIndexes.get(collection).catch(() => this._textIndexes.delete(collection));
+        }
+        await this._textIndexes.get(collection);
+
+        const projection = Object.assign({}, options.projection, { score: { $meta: 'textScore' } });
+        return dbo.collection(collection)
+            .find(Object.assign({}, options.filter, { $text: { $search: search } }), { projection: projection, sort: { score: { $meta: 'textScore' } } })
+            .toArray();
+    }
+
+    async updateMany(collection, filter, update, options) {
+        return (await this._db()).collection(collection).updateMany(filter, update, options);
+    }
+
+    async updateOne(collection, filter, update, options) {
+        return (await this._db()).collection(collection).updateOne(filter, update, options);
+    }
+
+    async writeFile(bucket, filename, content, metadata) {
+        const dbo = await this._db();
+        const upload = new GridFSBucket(dbo, { bucketName: bucket }).openUploadStream(filename, { metadata: metadata });
+        await new Promise((resolve, reject) => upload.once('finish', resolve).once('error', reject).end(content));
+
+        return dbo.collection(`${bucket}.files`).findOne({ _id: upload.id });
+    }
+
+    /**
+     * get the database from the shared connection pool, connecting on first use
+     * @returns {Promise<Db>}
+     * @protected
+     */
+    async _db() {
+        if (this._closed)
+            throw 'MongoDB connection pool is closed';
+
+        if (!this._client) {
+            this._client = MongoClient.connect(this._connectionString, { useUnifiedTopology: true });
+
+            // allow the next call to try again
+            this._client.catch(() => this._client = null);
+        }
+
+        return (await this._client).db(this._database);
+    }
+};
@@ -0,0 +1,559 @@
+'use strict';
+
+/**
+ * in-memory evaluation of the MongoDB query language subset used by the CMS (filters, update operators, sort and
+ * projection), for storage adapters that don't have a query engine of their own
+ */
+
+
+/*******************
+ ***** Filters *****
+ ******************/
+
+/**
+ * determine whether a document matches a MongoDB-style filter
+ * https://docs.mongodb.com/manual/reference/operator/query/
+ * @param {object} document
+ * @param {object} filter
+ * @returns {boolean}
+ */
+function matches(document, filter) {
+    for (const [key, condition] of Object.entries(filter || {})) {
+        switch (key) {
+            case '$and':
+                if (!condition.every((subfilter) => matches(document, subfilter)))
+                    return false;
+                break;
+            case '$or':
+                if (!condition.some((subfilter) => matches(document, subfilter)))
+                    return false;
+                break;
+            case '$nor':
+                if (condition.some((subfilter) => matches(document, subfilter)))
+                    return false;
+                break;
+            default:
+                if (!matchesCondition(getPath(document, key), condition))
+                    return false;
+        }
+    }
+
+    return true;
+}
+
+/**
+ * determine whether a field value satisfies a condition (a literal or an object of query operators)
+ * @param {any} value field value (undefined when missing)
+ * @param {any} condition
+ * @returns {boolean}
+ */
+function matchesCondition(value, condition) {
+    // literal value or regular expression
+    if (!isOperatorObject(condition))
+        return condition instanceof RegExp ? matchesAny(value, (item) => typeof item == 'string' && condition.test(item)) : equalsAny(value, condition);
+
+    for (const [operator, operand] of Object.entries(condition)) {
+        switch (operator) {
+            case '$eq':
+                if (!equalsAny(value, operand))
+                    return false;
+                break;
+            case '$ne':
+                if (equalsAny(value, operand))
+                    return false;
+                break;
+            case '$gt':
+            case '$gte':
+            case '$lt':
+            case '$lte':
+                if (!matchesAny(value, (item) => compareRange(operator, item, operand)))
+                    return false;
+                break;
+            case '$in':
+                if (!operand.some((item) => item instanceof RegExp ? matchesCondition(value, item) : equalsAny(value, item)))
+                    return false;
+                break;
+            case '$nin':
+                if (operand.some((item) => item instanceof RegExp ? matchesCondition(value, item) : equalsAny(value, item)))
+                    return false;
+                break;
+            case '$exists':
+                if ((value !== undefined) != Boolean(operand))
+                    return false;
+                break;
+            case '$regex': {
+                const pattern = operand instanceof RegExp ? operand : new RegExp(operand, condition.$options || '');
+                if (!matchesAny(value, (item) => typeof item == 'string' && pattern.test(item)))
+                    return false;
+                break;
+            }
+            case '$options':
+                break;
+            case '$not':
+                if (matchesCondition(value, operand))
+                    return false;
+                break;
+            case '$size':
+                if (!Array.isArray(value) || value.length != operand)
+                    return false;
+                break;
+            case '$all':
+                if (!Array.isArray(value) || !operand.every((item) => value.some((element) => equals(element, item))))
+                    return false;
+                break;
+            case '$elemMatch':
+                if (!Array.isArray(value) || !value.some((element) => isPlainObject(element) ? matches(element, operand) : matchesCondition(element, operand)))
+                    return false;
+                break;
+            default:
+                throw `Unsupported query operator: ${operator}`;
+        }
+    }
+
+    return true;
+}
+
+/**
+ * equality the way MongoDB applies it to a field: null matches missing fields, and arrays match any of their elements
+ * @param {any} value field value
+ * @param {any} operand
+ * @returns {boolean}
+ */
+function equalsAny(value, operand) {
+    if (operand === null && (value === undefined || value === null))
+        return true;
+
+    return equals(value, operand) || (Array.isArray(value) && value.some((element) => equals(element, operand)));
+}
+
+/**
+ * test a field value, or any of its elements when it's an array
+ * @param {any} value
+ * @param {function} predicate
+ * @returns {boolean}
+ */
+function matchesAny(value, predicate) {
+    return Array.isArray(value) ? value.some(predicate) : predicate(value);
+}
+
+/**
+ * evaluate a range operator, only comparing values of the same kind (like MongoDB's type bracketing)
+ * @param {string} operator $gt, $gte, $lt or $lte
+ * @param {any} value
+ * @param {any} operand
+ * @returns {boolean}
+ */
+function compareRange(operator, value, operand) {
+    if (value === undefined || value === null || kind(value) != kind(operand))
+        return false;
+
+    const comparison = compare(value, operand);
+    switch (operator) {
+        case '$gt': return comparison > 0;
+        case '$gte': return comparison >= 0;
+        case '$lt': return comparison < 0;
+        default: return comparison <= 0;
+    }
+}
+
+
+/****************************
+ ***** Update Operators *****
+ ***************************/
+
+/**
+ * apply MongoDB update operators to a document in place
+ * https://docs.mongodb.com/manual/reference/operator/update/
+ * @param {object} document
+ * @param {object} update
+ * @param {boolean} inserting document is being created by an upsert (enables $setOnInsert)
+ */
+function applyUpdate(document, update, inserting) {
+    for (const [operator, fields] of Object.entries(update)) {
+        for (const [path, operand] of Object.entries(fields)) {
+            if (path == '_id' && operator != '$setOnInsert' && !(operator == '$set' && equals(document._id, operand)))
+                throw 'Performing an update on the path \'_id\' would modify the immutable field \'_id\'';
+
+            switch (operator) {
+                case '$set':
+                    setPath(document, path, clone(operand));
+                    break;
+                case '$setOnInsert':
+                    if (inserting)
+                        setPath(document, path, clone(operand));
+                    break;
+                case '$unset':
+                    unsetPath(document, path);
+                    break;
+                case '$inc':
+                    setPath(document, path, (getPath(document, path) || 0) + operand);
+                    break;
+                case '$min':
+                case '$max': {
+                    const current = getPath(document, path);
+                    if (current === undefined || (operator == '$min' ? compare(operand, current) < 0 : compare(operand, current) > 0))
+                        setPath(document, path, clone(operand));
+                    break;
+                }
+                case '$currentDate':
+                    setPath(document, path, new Date());
+                    break;
+                case '$push':
+                case '$addToSet': {
+                    const array = getPath(document, path) || [];
+                    if (!Array.isArray(array))
+                        throw `Cannot apply ${operator} to a non-array field: ${path}`;
+                    const items = isPlainObject(operand) && operand.$each ? operand.$each : [operand];
+                    for (const item of items)
+                        if (operator == '$push' || !array.some((element) => equals(element, item)))
+                            array.push(clone(item));
+                    if (isPlainObject(operand) && operand.$slice !== undefined) {
+                        // keep the first N elements, or the last N when negative
+                        if (operand.$slice < 0)
+                            array.splice(0, Math.max(array.length + operand.$slice, 0));
+                        else
+                            array.splice(operand.$slice);
+                    }
+                    setPath(document, path, array);
+                    break;
+                }
+                case '$pull': {
+                    const array = getPath(document, path);
+                    if (Array.isArray(array))
+                        setPath(document, path, array.filter((element) => !(isPlainObject(element) && isPlainObject(operand) && !isOperatorObject(operand) ? matches(element, operand) : matchesCondition(element, operand))));
+                    break;
+                }
+                default:
+                    throw `Unsupported update operator: ${operator}`;
+            }
+        }
+    }
+}
+
+/**
+ * determine whether an update document uses operators (as opposed to being a replacement document)
+ * @param {object} update
+ * @returns {boolean}
+ */
+function isOperatorObject(update) {
+    if (!isPlainObject(update))
+        return false;
+
+    const keys = Object.keys(update);
+    return keys.length > 0 && keys.every((key) => key.startsWith('$'));
+}
+
+/**
+ * build the starting document for an upsert from the filter's equality conditions
+ * @param {object} filter
+ * @returns {object}
+ */
+function upsertDocument(filter) {
+    const document = {};
+    for (const [key, condition] of Object.entries(filter || {})) {
+        if (key.startsWith('$'))
+            continue;
+        if (!isOperatorObject(condition) && !(condition instanceof RegExp))
+            setPath(document, key, clone(condition));
+        else if (isPlainObject(condition) && condition.$eq !== undefined)
+            setPath(document, key, clone(condition.$eq));
+    }
+
+    return document;
+}
+
+
+/*****************************
+ ***** Sort & Projection *****
+ ****************************/
+
+/**
+ * sort documents in place
+ * @param {object[]} documents
+ * @param {object|Array} sort sort specification, e.g., { updated: -1 } or [['updated', -1]]
+ * @returns {object[]}
+ */
+function sort(documents, sort) {
+    const fields = Array.isArray(sort) ? sort.map((field) => Array.isArray(field) ? field : [field, 1]) : Object.entries(sort || {});
+    if (!fields.length)
+        return documents;
+
+    return documents.sort((a, b) => {
+        for (const [path, direction] of fields) {
+            const comparison = compare(getPath(a, path), getPath(b, path));
+            if (comparison)
+                return (direction == -1 || direction == 'desc' || direction == 'descending') ? -comparison : comparison;
+        }
+
+        return 0;
+    });
+}
+
+/**
+ * apply an inclusion or exclusion projection to a copy of a document
+ * @param {object} document
+ * @param {object} projection e.g., { title: 1 } or { body: 0 }
+ * @returns {object}
+ */
+function project(document, projection) {
+    const fields = Object.entries(projection || {});
+    if (!fields.length)
+        return document;
+
+    // like MongoDB, _id only decides the mode when it's the only field
+    const others = fields.filter(([path]) => path != '_id');
+    const inclusive = others.length ? others.some(([path, include]) => include) : !!projection._id;
+    let projected;
+    if (inclusive) {
+        projected = {};
+        for (const [path, include] of fields) {
+            const value = getPath(document, path);
+            if (include && value !== undefined)
+                setPath(projected, path, value);
+        }
+        if (projection._id === undefined || projection._id)
+            projected._id = document._id;
+    }
+    else {
+        projected = clone(document);
+        for (const [path] of fields)
+            unsetPath(projected, path);
+    }
+
+    return projected;
+}
+
+
+/***********************
+ ***** Text Search *****
+ **********************/
+
+/**
+ * parse a MongoDB $text search string: words match any, "quoted phrases" must all appear and -words must not
+ * @param {string} search
+ * @returns {{terms: string[], phrases: string[], excluded: string[]}} stemmed terms, lowercase phrases and stemmed excluded terms
+ */
+function parseSearch(search) {
+    const parsed = { terms: [], phrases: [], excluded: [] };
+    const remaining = String(search || '').replace(/"([^"]*)"/g, (match, phrase) => {
+        if (phrase.trim()) {
+            parsed.phrases.push(phrase.trim().toLowerCase());
+            parsed.terms.push(...tokenize(phrase));
+        }
+        return ' ';
+    });
+
+    for (const word of remaining.split(/\s+/))
+        if (word.startsWith('-'))
+            parsed.excluded.push(...tokenize(word.substr(1)));
+        else
+            parsed.terms.push(...tokenize(word));
+
+    return parsed;
+}
+
+/**
+ * relevance of a document to a parsed search, like MongoDB's textScore: weighted term frequency in each field
+ * @param {object} document
+ * @param {object} search parseSearch() results
+ * @param {object} weights weight of each searched field, e.g., { title: 10, body: 1 }
+ * @returns {number} 0 when it doesn't match
+ */
+function textScore(document, search, weights) {
+    const fields = Object.entries(weights).map(([path, weight]) => {
+        const value = getPath(document, path);
+        const text = typeof value == 'string' ? value : '';
+        return { text: text.toLowerCase(), tokens: tokenize(text), weight: weight };
+    });
+
+    if (search.excluded.some((term) => fields.some((field) => field.tokens.includes(term))))
+        return 0;
+    if (!search.phrases.every((phrase) => fields.some((field) => field.text.includes(phrase))))
+        return 0;
+
+    let score = 0;
+    for (const field of fields) {
+        let count = 0;
+        for (const term of new Set(search.terms))
+            count += field.tokens.filter((token) => token == term).length;
+
+        // shorter fields with the same matches are more relevant
+        if (count)
+            score += field.weight * count / Math.sqrt(field.tokens.length);
+    }
+
+    return score;
+}
+
+/**
+ * split text into lowercase, stemmed words
+ * @param {string} text
+ * @returns {string[]}
+ */
+function tokenize(text) {
+    return (String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).map(stem);
+}
+
+/**
+ * strip common English suffixes, so e.g. page, pages, paging and paged all match
+ * @param {string} word lowercase word
+ * @returns {string}
+ */
+function stem(word) {
+    if (word.length <= 3)
+        return word;
+
+    const stemmed = word.replace(/ies$/, 'y').replace(/(ing|ed|es|s)$/, '').replace(/e$/, '');
+    return stemmed.length >= 3 ? stemmed : word;
+}
+
+
+/*******************
+ ***** Helpers *****
+ ******************/
+
+/**
+ * get a value by dotted path (e.g., site.title)
+ * @param {object} document
+ * @param {string} path
+ * @returns {any} undefined when missing
+ */
+function getPath(document, path) {
+    let value = document;
+    for (const key of path.split('.')) {
+        if (value === null || value === undefined)
+            return undefined;
+
+        // array of subdocuments, collect the field from each element
+        if (Array.isArray(value) && !/^\d+$/.test(key))
+            value = value.map((element) => element === null || element === undefined ? undefined : element[key]).filter((element) => element !== undefined);
+        else
+            value = value[key];
+    }
+
+    return value;
+}
+
+/**
+ * set a value by dotted path, creating intermediate objects
+ * @param {object} document
+ * @param {string} path
+ * @param {any} value
+ */
+function setPath(document, path, value) {
+    const keys = path.split('.');
+    let parent = document;
+    for (const key of keys.slice(0, -1)) {
+        if (parent[key] === null || typeof parent[key] != 'object')
+            parent[key] = {};
+        parent = parent[key];
+    }
+
+    parent[keys[keys.length - 1]] = value;
+}
+
+/**
+ * remove a value by dotted path
+ * @param {object} document
+ * @param {string} path
+ */
+function unsetPath(document, path) {
+    const keys = path.split('.');
+    let parent = document;
+    for (const key of keys.slice(0, -1)) {
+        parent = parent[key];
+        if (parent === null || typeof parent != 'object')
+            return;
+    }
+
+    delete parent[keys[keys.length - 1]];
+}
+
+/**
+ * deep copy plain objects, arrays and dates
+ * @param {any} value
+ * @returns {any}
+ */
+function clone(value) {
+    if (value instanceof Date)
+        return new Date(value);
+    if (Array.isArray(value))
+        return value.map(clone);
+    if (isPlainObject(value)) {
+        const copy = {};
+        for (const [key, item] of Object.entries(value))
+            copy[key] = clone(item);
+        return copy;
+    }
+
+    return value;
+}
+
+/**
+ * deep equality for document values
+ * @param {any} a
+ * @param {any} b
+ * @returns {boolean}
+ */
+function equals(a, b) {
+    if (a instanceof Date || b instanceof Date)
+        return a instanceof Date && b instanceof Date && a.getTime() == b.getTime();
+    if (Array.isArray(a) || Array.isArray(b))
+        return Array.isArray(a) && Array.isArray(b) && a.length == b.length && a.every((item, index) => equals(item, b[index]));
+    if (isPlainObject(a) && isPlainObject(b)) {
+        const keys = Object.keys(a);
+        return keys.length == Object.keys(b).length && keys.every((key) => equals(a[key], b[key]));
+    }
+
+    return a === b;
+}
+
+/**
+ * compare two values for sorting, ordering missing/null first like MongoDB
+ * @param {any} a
+ * @param {any} b
+ * @returns {number}
+ */
+function compare(a, b) {
+    const kinds = ['null', 'number', 'string', 'object', 'array', 'boolean', 'date'];
+    const kindA = kinds.indexOf(kind(a));
+    const kindB = kinds.indexOf(kind(b));
+    if (kindA != kindB)
+        return kindA - kindB;
+
+    if (a instanceof Date)
+        return a.getTime() - b.getTime();
+    if (typeof a == 'string')
+        return a < b ? -1 : (a > b ? 1 : 0);
+    if (typeof a == 'number' || typeof a == 'boolean')
+        return a - b;
+
+    return 0;
+}
+
+/**
+ * type category of a value, for comparisons
+ * @param {any} value
+ * @returns {string}
+ */
+function kind(value) {
+    if (value === undefined || value === null)
+        return 'null';
+    if (value instanceof Date)
+        return 'date';
+    if (Array.isArray(value))
+        return 'array';
+
+    return typeof value;
+}
+
+/**
+ * determine whether a value is a plain object (i.e., not an array, date or regular expression)
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+    return value !== null && typeof value == 'object' && !Array.isArray(value) && !(value instanceof Date) && !(value instanceof RegExp);
+}
+
+module.exports = { matches, applyUpdate, isOperatorObject, upsertDocument, sort, project, parseSearch, textScore, getPath, clone, equals };
@@ -0,0 +1,136 @@
+'use strict';
+const StorageAdapter = require('./adapter');  // storage adapter interface
+
+/**
+ * view of another storage adapter with collection and bucket names prefixed (e.g., sites.blog.cmsPages), so several
+ * sites can keep their content apart in one store
+ *
+ * Shared collections (e.g., user accounts) keep their names. Connecting and closing are left to whoever owns the
+ * underlying adapter.
+ */
+module.exports = class ScopedStorage extends StorageAdapter {
+    /**
+     * prefix the names of everything stored through this adapter
+     * @param {StorageAdapter} storage underlying adapter
+     * @param {string} prefix added to collection and bucket names (e.g., sites.blog.)
+     * @param {string[]} shared collections that keep their names
+     */
+    constructor(storage, prefix, shared) {
+        super();
+
+        this._storage = storage;
+        this.prefix = prefix;
+        this.shared = shared || [];
+        this.description = `${storage.description || storage.constructor.name} (${prefix}*)`;
+    }
+
+
+    /**********************
+     ***** Properties *****
+     *********************/
+
+    /**
+     * underlying storage adapter
+     * @type {StorageAdapter}
+     * @protected
+     */
+    _storage;
+
+    /**
+     * human-readable description of the store, for logging
+     * @type {string}
+     */
+    description;
+
+    /**
+     * added to collection and bucket names
+     * @type {string}
+     */
+    prefix;
+
+    /**
+     * collections that keep their names
+     * @type {string[]}
+     */
+    shared;
+
+
+    /*******************
+     ***** Methods *****
+     ******************/
+
+    async connect() {
+        await this._storage.connect();
+    }
+
+    async close() { }
+
+    async ping() {
+        return this._storage.ping();
+    }
+
+    async countDocuments(collection, filter, options) {
+        return this._storage.countDocuments(this.name(collection), filter, options);
+    }
+
+    async deleteFile(bucket, id) {
+        return this._storage.deleteFile(this.name(bucket), id);
+    }
+
+    async deleteMany(collection, filter, options) {
+        return this._storage.deleteMany(this.name(collection), filter, options);
+    }
+
+    async deleteOne(collection, filter, options) {
+        return this._storage.deleteOne(this.name(collection), filter, options);
+    }
+
+    async find(collection, filter, options) {
+        return this._storage.find(this.name(collection), filter, options);
+    }
+
+    async findOne(collection, filter, options) {
+        return this._storage.findOne(this.name(collection), filter, options);
+    }
+
+    async insertOne(collection, document, options) {
+        return this._storage.insertOne(this.name(collection), document, options);
+    }
+
+    async openFile(bucket, id, options) {
+        return this._storage.openFile(this.name(bucket), id, options);
+    }
+
+    async replaceMany(collection, filter, document, options) {
+        return this._storage.replaceMany(this.name(collection), filter, document, options);
+    }
+
+    async replaceOne(collection, filter, document, options) {
+        return this._storage.replaceOne(this.name(collection), filter, document, options);
+    }
+
+    async textSearch(collection, search, options) {
+        return this._storage.textSearch(this.name(collection), search, options);
+    }
+
+    async updateMany(collection, filter, update, options) {
+        return this._storage.updateMany(this.name(collection), filter, update, options);
+    }
+
+    async updateOne(collection, filter, update, options) {
+        return this._storage.updateOne(this.name(collection), filter, update, options);
+    }
+
+    async writeFile(bucket, filename, content, metadata) {
+        return this._storage.writeFile(this.name(bucket), filename, content, metadata);
+    }
+
+    /**
+     * name of a collection or bucket in the underlying store
+     * @param {string} name name as the CMS knows it
+     * @returns {string}
+     */
+    name(name) {
+        return this.shared.includes(name) ? name : this.prefix + name;
+    }
+};
@@ -0,0 +1,123 @@
+'use strict';
+
+/**
+ * convert between absolute dates and wall-clock times in IANA time zones (e.g., America/Denver) using Intl
+ * https://en.wikipedia.org/wiki/List_of_tz_database_time_zones
+ */
+
+/** wall-clock date/time without an offset, e.g., 2021-01-31T09:30 or 2021-01-31 09:30:15 */
+const wallTimePattern = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?$/;
+
+/** cached formatters by time zone */
+const formatters = new Map();
+
+/**
+ * determine whether a time zone is supported
+ * @param {string} timeZone IANA time zone
+ * @returns {boolean}
+ */
+function isValid(timeZone) {
+    try {
+        formatter(timeZone);
+        return true;
+    }
+    catch (err) { return false; }
+}
+
+/**
+ * convert a value to an absolute date, interpreting wall-clock strings (no offset) in the given time zone
+ * @param {Date|string|number} value Date, timestamp, ISO 8601 string with an offset, or wall-clock string (e.g., 2021-01-31T09:30)
+ * @param {string} timeZone IANA time zone for wall-clock strings (defaults to UTC)
+ * @returns {Date} null when the value is empty or invalid (including wall-clock times not on the calendar, e.g., 2021-02-30)
+ */
+function toDate(value, timeZone) {
+    if (value === null || value === undefined || value === '')
+        return null;
+    if (value instanceof Date)
+        return isNaN(value) ? null : value;
+
+    const parts = typeof value == 'string' ? wallTimePattern.exec(value.trim()) : null;
+    if (!parts) {
+        const date = new Date(value);
+        return isNaN(date) ? null : date;
+    }
+
+    // treat the wall-clock time as UTC, rejecting times that don't exist on a calendar (e.g., 2021-02-30 or 25:00), which
+    // Date.UTC() would roll over into the next day or month
+    const wallTime = Date.UTC(parts[1], parts[2] - 1, parts[3], parts[4] || 0, parts[5] || 0, parts[6] || 0);
+    if (new Date(wallTime).toISOString().substr(0, 19) != `${parts[1]}-${parts[2]}-${parts[3]}T${parts[4] || '00'}:${parts[5] || '00'}:${parts[6] || '00'}`)
+        return null;
+
+    // then shift by the zone's offset at that moment (twice, to settle DST changes)
+    let time = wallTime - offset(wallTime, timeZone);
+    time = wallTime - offset(time, timeZone);
+
+    return new Date(time);
+}
+
+/**
+ * format a date as a wall-clock string in the given time zone, suitable for datetime-local inputs
+ * @param {Date} date
+ * @param {string} timeZone IANA time zone (defaults to UTC)
+ * @returns {string} e.g., 2021-01-31T09:30, or an empty string when there is no date
+ */
+function toWallTime(date, timeZone) {
+    if (!(date instanceof Date) || isNaN(date))
+        return '';
+
+    const parts = zonedParts(date.getTime(), timeZone);
+    return `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}`;
+}
+
+/**
+ * milliseconds the time zone is ahead of UTC at the given moment
+ * @param {number} time timestamp
+ * @param {string} timeZone IANA time zone
+ * @returns {number}
+ */
+function offset(time, timeZone) {
+    const parts = zonedParts(time, timeZone);
+    return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - Math.floor(time / 1000) * 1000;
+}
+
+/**
+ * wall-clock parts of a moment in the given time zone
+ * @param {number} time timestamp
+ * @param {string} timeZone IANA time zone
+ * @returns {object} zero-padded year, month, day, hour, minute and second strings
+ */
+function zonedParts(time, timeZone) {
+    const parts = {};
+    for (const part of formatter(timeZone).formatToParts(new Date(time)))
+        parts[part.type] = part.value;
+
+    // some engines format midnight as 24
+    if (parts.hour == '24')
+        parts.hour = '00';
+
+    return parts;
+}
+
+/**
+ * get a (cached) formatter for the given time zone
+ * @param {string} timeZone IANA time zone (defaults to UTC)
+ * @returns {Intl.DateTimeFormat}
+ */
+function formatter(timeZone) {
+    timeZone = timeZone || 'UTC';
+    if (!formatters.has(timeZone))
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone: timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        }));
+
+    return formatters.get(timeZone);
+}
+
+module.exports = { isValid, toDate, toWallTime };
@@ -0,0 +1,237 @@
+'use strict';
+const media = require('./media');  // media library
+const { pageIdPattern } = require('./pages');  // type IDs follow the page ID rules
+const timezone = require('./timezone');  // wall-clock times in the settings timezone
+
+/**
+ * content types: cmsTypes documents declaring the fields of a kind of page (e.g., page, post, event), which page writes
+ * are checked against and page/template source receives as typed values
+ *
+ * A page's `type` names its content type (default `page`), and pages whose type isn't defined are free-form. Each
+ * entry in a type's `fields` has a `type` (see fieldTypes) and optional `label`, `required`, `multiple` (a list of
+ * values), `maxLength` (text) and `min`/`max` (numbers). Field values are stored on the page like its other fields.
+ */
+
+/** content type of pages without one */
+const defaultType = 'page';
+
+/** field types, with the message for values that don't fit */
+const fieldTypes = {
+    text: 'Must be text',
+    richText: 'Must be HTML text',
+    number: 'Must be a number',
+    boolean: 'Must be true or false',
+    date: 'Must be a date/time',
+    page: 'Must be a page ID',
+    media: 'Must be a media name'
+};
+
+/** page fields the CMS manages itself, which types can't declare */
+const systemFields = ['_id', 'type', 'slug', 'parent', 'template', 'status', 'publish', 'unpublish', 'body', 'translations', 'cache', 'maxAge', 'created', 'updated', 'url', 'locale', 'alternates', 'error'];
+
+/** field names, which become cmsPage properties */
+const fieldNamePattern = /^[A-Za-z][A-Za-z0-9_]*$/;
+
+/** document that doesn't fit its definition, with messages by field */
+class ValidationError extends Error {
+    /**
+     * @param {string} message error message
+     * @param {object} fields error messages by field name
+     */
+    constructor(message, fields) {
+        super(message);
+        this.name = 'ValidationError';
+        this.fields = fields;
+    }
+}
+
+/**
+ * problems with a content type definition
+ * @param {object} type cmsTypes document
+ * @returns {object} error messages by field name (empty when valid)
+ */
+function typeErrors(type) {
+    const fields = {};
+    if (!type || typeof type != 'object' || Array.isArray(type))
+        return { _id: 'Type must be a JSON object' };
+    if (typeof type._id != 'string' || !pageIdPattern.test(type._id))
+        fields._id = `Must match ${pageIdPattern.source}`;
+    if (type.name !== undefined && type.name !== null && typeof type.name != 'string')
+        fields.name = 'Must be a string';
+    if (!type.fields || typeof type.fields != 'object' || Array.isArray(type.fields))
+        return Object.assign(fields, { fields: 'Must be an object of fields by name' });
+
+    for (const [name, field] of Object.entries(type.fields)) {
+        const error = fieldError(name, field);
+        if (error)
+            fields[`fields.${name}`] = error;
+    }
+
+    return fields;
+}
+
+/**
+ * problem with a field definition
+ * @param {string} name field name
+ * @param {object} field field definition
+ * @returns {string} error message, or null when valid
+ */
+function fieldError(name, field) {
+    if (!fieldNamePattern.test(name))
+        return `Field names must match ${fieldNamePattern.source}`;
+    if (systemFields.includes(name))
+        return `${name} is managed by the CMS`;
+    if (!field || typeof field != 'object' || Array.isArray(field))
+        return 'Must be an object';
+    if (!fieldTypes[field.type])
+        return `Type must be one of: ${Object.keys(fieldTypes).join(', ')}`;
+
+    for (const option of ['required', 'multiple'])
+        if (field[option] !== undefined && typeof field[option] != 'boolean')
+            return `${option} must be true or false`;
+    if (field.label !== undefined && typeof field.label != 'string')
+        return 'label must be a string';
+    if (field.maxLength !== undefined && (!['text', 'richText'].includes(field.type) || !Number.isInteger(field.maxLength) || field.maxLength < 1))
+        return 'maxLength must be a positive whole number, for text fields';
+    for (const option of ['min', 'max'])
+        if (field[option] !== undefined && (field.type != 'number' || typeof field[option] != 'number'))
+            return `${option} must be a number, for number fields`;
+
+    return null;
+}
+
+/**
+ * problems with a page's fields according to its content type
+ * @param {CMS} cms CMS instance (to look up pages, media and the time zone)
+ * @param {object} page page as it would be saved
+ * @param {object} type cmsTypes document
+ * @returns {Promise<object>} error messages by field name (empty when valid)
+ */
+async function validate(cms, page, type) {
+    const fields = {};
+    for (const [name, field] of Object.entries(type.fields || {})) {
+        const value = page[name];
+        if (isEmpty(value)) {
+            if (field.required)
+                fields[name] = 'Required';
+            continue;
+        }
+
+        if (field.multiple && !Array.isArray(value)) {
+            fields[name] = 'Must be a list';
+            continue;
+        }
+
+        const values = field.multiple ? value : [value];
+        for (const [index, item] of values.entries()) {
+            const error = await valueError(cms, field, item);
+            if (error) {
+                fields[name] = field.multiple ? `${error} (item ${index + 1})` : error;
+                break;
+            }
+        }
+    }
+
+    return fields;
+}
+
+/**
+ * problem with one value of a field
+ * @param {CMS} cms CMS instance
+ * @param {object} field field definition
+ * @param {any} value
+ * @returns {Promise<string>} error message, or null when valid
+ */
+async function valueError(cms, field, value) {
+    switch (field.type) {
+        case 'text':
+        case 'richText':
+            if (typeof value != 'string')
+                return fieldTypes[field.type];
+            if (field.maxLength && value.length > field.maxLength)
+                return `Must be at most ${field.maxLength} characters`;
+            return null;
+        case 'number':
+            if (typeof value != 'number' || !Number.isFinite(value))
+                return fieldTypes.number;
+            if (field.min !== undefined && value < field.min)
+                return `Must be at least ${field.min}`;
+            if (field.max !== undefined && value > field.max)
+                return `Must be at most ${field.max}`;
+            return null;
+        case 'boolean':
+            return typeof value == 'boolean' ? null : fieldTypes.boolean;
+        case 'date':
+            return (value instanceof Date || typeof value == 'string') && timezone.toDate(value, cms.timezone()) ? null : fieldTypes.date;
+        case 'page':
+            if (typeof value != 'string')
+                return fieldTypes.page;
+            return (await cms.pageIndex()).byId.has(value) ? null : `Unknown page: ${value}`;
+        case 'media':
+            if (typeof value != 'string')
+                return fieldTypes.media;
+            return await cms.findMedia(value) ? null : `Unknown media: ${value}`;
+    }
+
+    return null;
+}
+
+/**
+ * replace a page's field values with typed ones for page/template source: dates become Dates, and page/media
+ * references become summaries ({ _id, title, url } of a visible page, or the media's description), or null when they
+ * no longer resolve
+ * @param {CMS} cms CMS instance
+ * @param {object} page page being rendered (changed in place)
+ * @param {object} type cmsTypes document
+ * @param {object} index page index from cms.pageIndex()
+ * @returns {Promise<object>} page
+ */
+async function resolve(cms, page, type, index) {
+    for (const [name, field] of Object.entries(type.fields || {})) {
+        if (isEmpty(page[name]))
+            continue;
+
+        const typed = [];
+        for (const value of field.multiple && Array.isArray(page[name]) ? page[name] : [page[name]])
+            typed.push(await typedValue(cms, field, value, index));
+        page[name] = field.multiple ? typed.filter((value) => value !== null) : typed[0];
+    }
+
+    return page;
+}
+
+/**
+ * typed version of one value of a field
+ * @param {CMS} cms CMS instance
+ * @param {object} field field definition
+ * @param {any} value stored value
+ * @param {object} index page index from cms.pageIndex()
+ * @returns {Promise<any>}
+ */
+async function typedValue(cms, field, value, index) {
+    switch (field.type) {
+        case 'date':
+            return timezone.toDate(value, cms.timezone());
+        case 'page': {
+            const page = index.byId.get(value);
+            return page && page.url && cms.isPublished(page) ? { _id: page._id, title: page.title || null, url: page.url } : null;
+        }
+        case 'media': {
+            const file = typeof value == 'string' ? await cms.findMedia(value) : null;
+            return file ? media.describe(file) : null;
+        }
+    }
+
+    return value;
+}
+
+/**
+ * determine whether a field value is missing
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isEmpty(value) {
+    return value === undefined || value === null || value === '' || (Array.isArray(value) && !value.length);
+}
+
+module.exports = { defaultType, fieldTypes, systemFields, ValidationError, typeErrors, validate, resolve };
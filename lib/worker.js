@@ -0,0 +1,230 @@
+'use strict';
+const { parentPort } = require('worker_threads');  // messages from the renderer
+const bs = require('@legendarymediatv/bootstrap');  // Bootstrap functionality
+const htmlEscaper = require('html-escaper');  // escape/unescape HTML entities
+const Sandbox = require('./sandbox');  // isolated context for page/template source
+const Menus = require('./menus');  // navigation menus
+const { mediaUrl } = require('./media');  // media library URLs
+
+/**
+ * render worker started by lib/renderer.js: evaluates a page's template header, template body (wrapping the page body)
+ * and template footer in a Sandbox for each render it's sent, calling back to the renderer for helpers needing storage
+ */
+
+/** helper calls waiting for their result, by call ID */
+const calls = new Map();
+
+/** ID of the last helper call */
+let lastCall = 0;
+
+/**
+ * call one of the render's helpers on the renderer's thread
+ * @param {Sandbox} sandbox sandbox the arguments come from
+ * @param {number} render render ID
+ * @param {string} name helper name (e.g., query.find)
+ * @param {any[]} args arguments from the source
+ * @returns {Promise} helper result
+ */
+function callHelper(sandbox, render, name, args) {
+    return new Promise((resolve, reject) => {
+        const id = ++lastCall;
+        parentPort.postMessage({ type: 'call', id: render, call: id, name: name, args: args.map((arg) => sandbox.copy(arg)) });
+        calls.set(id, { render: render, resolve: resolve, reject: reject });
+    });
+}
+
+/**
+ * evaluate a page's template sections
+ * @param {number} id render ID
+ * @param {object} job see Renderer.render()
+ * @returns {Promise<object>} { html, errors, timings }
+ */
+async function render(id, job) {
+    const cmsPage = job.page;
+    const cmsTemplates = job.templates || [];
+    const errors = [];
+    const timings = {};
+    let started = performance.now();
+
+    // blocks run in this sandbox with their params, and a block() that knows which blocks are including them
+    const block = (including) => async (name, params) => {
+        if (including.includes(name))
+            throw new Error(`Block include cycle: ${including.concat(name).join(' → ')}`);
+
+        const body = await callHelper(sandbox, id, 'block', [name]);
+        return sandbox.run(body, `cmsBlocks.${name}.body`, { params: Sandbox.readOnly(params || {}), block: block(including.concat(name)) });
+    };
+
+    // helpers needing storage, resolving to read-only copies where they return data
+    const helper = (name, readOnly) => (...args) => callHelper(sandbox, id, name, args).then(readOnly ? Sandbox.readOnly : (value) => value);
+
+    const published = new Set(job.published);
+    const menus = new Menus(job.menus, job.index, cmsPage, (page) => published.has(page._id));
+    const sandbox = new Sandbox({
+        output: undefined,
+        bs: bs,
+        htmlEscaper: htmlEscaper,
+        cmsPage: Sandbox.readOnly(cmsPage),
+        settings: Sandbox.readOnly(job.settings),
+        packageInfo: Sandbox.readOnly(job.packageInfo),
+        query: Object.freeze({ find: helper('query.find', true), findOne: helper('query.findOne', true) }),
+        menus: Object.freeze({
+            breadcrumb: (name) => menus.breadcrumb(name),
+            items: (name) => Sandbox.readOnly(menus.items(name)),
+            navbar: (name, options) => menus.navbar(name, options)
+        }),
+        media: Object.freeze({
+            find: helper('media.find', true),
+            image: helper('media.image'),
+            link: helper('media.link'),
+            url: (name) => mediaUrl(name)
+        }),
+        forms: Object.freeze({ render: helper('forms.render') }),
+        block: block([])
+    }, job.timeout);
+
+    // host code using the output the source left in the sandbox, with any source it reaches under the same time limit
+    const output = (callback) => sandbox.call(() => callback(sandbox.get('output')));
+
+    // run a template section, inheriting it when empty, where parent() runs the next template's version
+    const section = (name, level, locals) => {
+        while (cmsTemplates[level] && !cmsTemplates[level][name])
+            level++;
+        if (!cmsTemplates[level])
+            return Promise.resolve();
+
+        return sandbox.run(cmsTemplates[level][name], `cmsTemplates.${cmsTemplates[level]._id}.${name}`,
+            Object.assign({ parent: () => section(name, level + 1, locals) }, locals));
+    };
+
+    // evaluate the template header
+    try {
+        if (job.templateError)
+            throw job.templateError;
+        await section('header', 0);
+    }
+    // evaluation failed, show error
+    catch (err) {
+        errors.push({ section: 'Template header', error: err });
+        const fallback = new bs.HTML(htmlEscaper.escape(cmsPage.title || job.settings.title));
+
+        // enable Bootstrap
+        fallback.bootstrap(
+            job.bootstrap.bootstrapCSS,
+            job.bootstrap.bootstrapJS,
+            true,
+            job.bootstrap.jqueryJS,
+            job.bootstrap.popperJS,
+            job.bootstrap.fontawesomeCSS
+        );
+
+
+        fallback.alert([new bs.Heading1('CMS Template header error'), err], { theme: 'danger' });
+        sandbox.set('output', fallback);
+    }
+    timings.header = performance.now() - started;
+
+    // evaluate the page body (once), where the template body puts it
+    let content = null;
+    const pageBody = () => {
+        if (!content)
+            content = sandbox.run(cmsPage.body, `cmsPages.${cmsPage._id}.body`)
+                // evaluation failed, show error
+                .catch((err) => {
+                    errors.push({ section: 'Page body', error: err });
+                    output((page) => page.alert([new bs.Heading1('CMS Page body error'), err], { theme: 'danger' }));
+                });
+
+        return content;
+    };
+
+    // evaluate the template body
+    started = performance.now();
+    try { await section('body', 0, { content: pageBody }); }
+    // evaluation failed, show error
+    catch (err) {
+        errors.push({ section: 'Template body', error: err });
+        output((page) => page.alert([new bs.Heading1('CMS Template body error'), err], { theme: 'danger' }));
+    }
+    await pageBody();
+    timings.body = performance.now() - started;
+
+    // show page information
+    if (job.debug && sandbox.get('output') instanceof bs.HTML) {
+        const debugMonospace = { borderLeft: true, borderTheme: 'info', marginLeft: 3, paddingLeft: 3 };
+        const debugAlert = new bs.Alert(null, { theme: 'info' });
+        debugAlert.displayHeading1('Source');
+        if (cmsPage.error && cmsPage.error.stack) {
+            debugAlert.heading2('Error');
+            debugAlert.monospace(htmlEscaper.escape(cmsPage.error.stack), debugMonospace);
+        }
+        debugAlert.heading2('Page JSON');
+        debugAlert.monospace(htmlEscaper.escape(JSON.stringify(cmsPage, null, 4)), debugMonospace);
+        for (const template of cmsTemplates) {
+            debugAlert.heading2(`Template header (${htmlEscaper.escape(template._id)})`);
+            debugAlert.monospace(htmlEscaper.escape(template.header || ''), debugMonospace);
+            debugAlert.heading2(`Template body (${htmlEscaper.escape(template._id)})`);
+            debugAlert.monospace(htmlEscaper.escape(template.body || ''), debugMonospace);
+        }
+        debugAlert.heading2('Page body');
+        debugAlert.monospace(htmlEscaper.escape(cmsPage.body), debugMonospace);
+        for (const template of cmsTemplates) {
+            debugAlert.heading2(`Template footer (${htmlEscaper.escape(template._id)})`);
+            debugAlert.monospace(htmlEscaper.escape(template.footer || ''), debugMonospace);
+        }
+        output((page) => page.add(debugAlert));
+    }
+
+    // evaluate the template footer
+    started = performance.now();
+    try { await section('footer', 0); }
+    // evaluation failed, show error
+    catch (err) {
+        errors.push({ section: 'Template footer', error: err });
+        output((page) => page.alert([new bs.Heading1('CMS Template footer error'), err], { theme: 'danger' }));
+    }
+    timings.footer = performance.now() - started;
+
+    return { html: output((page) => page.toString()), errors: errors, timings: timings };
+}
+
+/**
+ * send a message to the renderer, replacing errors it can't take (e.g., with functions attached) by plain ones
+ * @param {object} message
+ */
+function post(message) {
+    try { parentPort.postMessage(message); }
+    catch (err) {
+        const plain = (error) => error instanceof Error ? Object.assign(new Error(error.message), { name: error.name, stack: error.stack }) : new Error(String(error));
+        if (message.error)
+            message.error = plain(message.error);
+        if (message.value)
+            message.value.errors = message.value.errors.map((failure) => ({ section: failure.section, error: plain(failure.error) }));
+        parentPort.postMessage(message);
+    }
+}
+
+parentPort.on('message', (message) => {
+    // render a page, forgetting any of its helper calls still waiting afterward
+    if (message.type == 'render')
+        render(message.id, message.job)
+            .then((value) => post({ type: 'done', id: message.id, value: value }), (err) => post({ type: 'done', id: message.id, error: err }))
+            .finally(() => {
+                for (const [id, call] of calls)
+                    if (call.render == message.id)
+                        calls.delete(id);
+            });
+
+    // helper result
+    else if (message.type == 'result' && calls.has(message.call)) {
+        const call = calls.get(message.call);
+        calls.delete(message.call);
+        if (message.error)
+            call.reject(message.error);
+        else
+            call.resolve(message.value);
+    }
+});
+
+// page/template source may leave promises rejected without a handler, which shouldn't stop the worker
+process.on('unhandledRejection', () => { });
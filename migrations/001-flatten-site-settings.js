@@ -0,0 +1,38 @@
+'use strict';
+
+/** settings that used to be nested under site */
+const fields = ['title', 'titleSeparator', 'subtitleSeparator', 'tagline', 'url'];
+
+module.exports = {
+    description: 'move the site.* settings (title, tagline, etc.) to the top level, where templates read them',
+
+    async up(cms) {
+        const settings = await cms.findOne('cms', { _id: 'settings' });
+        if (!settings || !settings.site)
+            return;
+
+        // fields already at the top level win
+        const update = { $unset: { site: '' } };
+        for (const field of fields)
+            if (settings.site[field] !== undefined && settings[field] === undefined)
+                (update.$set = update.$set || {})[field] = settings.site[field];
+
+        await cms.updateOne('cms', { _id: 'settings' }, update);
+    },
+
+    async down(cms) {
+        const settings = await cms.findOne('cms', { _id: 'settings' });
+        if (!settings)
+            return;
+
+        const update = { $set: {}, $unset: {} };
+        for (const field of fields)
+            if (settings[field] !== undefined) {
+                update.$set[`site.${field}`] = settings[field];
+                update.$unset[field] = '';
+            }
+
+        if (Object.keys(update.$set).length)
+            await cms.updateOne('cms', { _id: 'settings' }, update);
+    }
+};
@@ -0,0 +1,5 @@
+// what went wrong (the error itself in development)
+if (cmsPage.error)
+    output.paragraph(htmlEscaper.escape(cmsPage.error.message), { leading: true });
+
+output.paragraph('<a href="/">Try the home page</a>');
\ No newline at end of file
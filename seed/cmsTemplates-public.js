@@ -1,5 +1,5 @@
-// create HTML object
-output = new bs.HTML(htmlEscaper.escape(cmsPage._id == 'home' ? packageInfo.description : cmsPage.title));
+// create HTML object (the home page defaults to the site title)
+output = new bs.HTML(htmlEscaper.escape(cmsPage.title || this.settings.title));
 
 // enable Bootstrap
 output.bootstrap(
@@ -11,6 +11,9 @@ output.bootstrap(
     this.settings.fontawesomeCSS
 );
 
+// site navigation from the main menu
+output.add(menus.navbar('main', { brand: this.settings.title, search: true }));
+
 // set HTML description to page description/excerpt
 const pageDescription = cmsPage.description ? cmsPage.description : cmsPage.excerpt;
 if (pageDescription)
@@ -21,10 +24,11 @@ const pageContainer = new bs.Container();
 pageContainer.paddingY = 3;
 
 // page title and tagline
-pageContainer.displayHeading1(cmsPage._id != 'home' ? cmsPage.title : this.settings.title);
+pageContainer.displayHeading1(cmsPage.title || this.settings.title);
 const pageTagline = cmsPage.tagline ? cmsPage.tagline : (cmsPage._id == 'home' ? this.settings.tagline : null);
 if (pageTagline)
     pageContainer.paragraph(new bs.Italics(pageTagline), { leading: true, textTheme: 'muted' });
 //////////////////// TEMPLATE DIVIDER ////////////////////
 //////////////////// TEMPLATE DIVIDER ////////////////////
-// TODO: page navigation
\ No newline at end of file
+// page navigation back up to the home page
+output.add(menus.breadcrumb('main'));
\ No newline at end of file
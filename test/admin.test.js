@@ -0,0 +1,45 @@
+'use strict';
+const assert = require('assert');  // assertions
+const { after, before, test } = require('node:test');  // test runner
+const { startSite, addPage } = require('./support/site');  // CMS on temporary storage
+
+let site;
+let cookie;
+let csrf;
+before(async () => {
+    site = await startSite();
+    await site.cms.createUser('admin', 'adminpass123', 'admin');
+    await addPage(site.cms, 'about', "output.paragraph('About us');");
+
+    const res = await site.fetch('/cms/api/v1/session', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ username: 'admin', password: 'adminpass123' }) });
+    cookie = res.headers.get('set-cookie').split(';')[0];
+    csrf = (await res.json()).data.csrfToken;
+});
+after(() => site.close());
+
+/**
+ * save the about page through the admin form
+ * @param {object} fields form fields besides the template, status and body
+ * @returns {Promise<string>} notice the admin area redirected with
+ */
+async function savePage(fields) {
+    const res = await site.fetch('/cms/admin/pages/about', {
+        method: 'POST',
+        headers: { cookie: cookie, 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams(Object.assign({ _csrf: csrf, template: 'public', status: 'published', body: "output.paragraph('About us');", title: 'About' }, fields))
+    });
+    assert.strictEqual(res.status, 302);
+    return new URL(res.headers.get('location'), site.url).searchParams.get('notice');
+}
+
+test('pages are saved with their publishing window', async () => {
+    assert.strictEqual(await savePage({ publish: '2021-02-28T10:00' }), 'Saved');
+    assert.strictEqual((await site.cms.findOne('cmsPages', { _id: 'about' })).publish, '2021-02-28T10:00');
+});
+
+test('publishing windows not on the calendar are shown as errors', async () => {
+    for (const field of ['publish', 'unpublish']) {
+        assert.match(await savePage({ [field]: '2021-02-30T10:00' }), new RegExp(`${field}: Must be a date/time`), field);
+        assert.notStrictEqual((await site.cms.findOne('cmsPages', { _id: 'about' }))[field], '2021-02-30T10:00', field);
+    }
+});
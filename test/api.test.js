@@ -0,0 +1,107 @@
+'use strict';
+const assert = require('assert');  // assertions
+const { after, before, test } = require('node:test');  // test runner
+const { startSite, addPage } = require('./support/site');  // CMS on temporary storage
+
+let site;
+const sessions = {};
+before(async () => {
+    site = await startSite();
+    await addPage(site.cms, 'about', "output.paragraph('About us');");
+    for (const role of ['admin', 'author', 'viewer']) {
+        await site.cms.createUser(role, `${role}pass123`, role);
+        const res = await site.fetch('/cms/api/v1/session', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ username: role, password: `${role}pass123` }) });
+        sessions[role] = { cookie: res.headers.get('set-cookie').split(';')[0], 'X-CSRF-Token': (await res.json()).data.csrfToken };
+    }
+});
+after(() => site.close());
+
+/**
+ * call the JSON API
+ * @param {string} method HTTP method
+ * @param {string} path path under /cms/api/v1
+ * @param {string} role whose session to use (none when omitted)
+ * @param {object} body optional JSON body
+ * @param {boolean} csrf send the session's CSRF token (defaults to true)
+ * @returns {Promise<{status: number, body: object}>}
+ */
+async function call(method, path, role, body, csrf) {
+    const headers = Object.assign({ 'Content-Type': 'application/json' }, role ? sessions[role] : {});
+    if (csrf === false)
+        delete headers['X-CSRF-Token'];
+
+    const res = await site.fetch(`/cms/api/v1${path}`, { method: method, headers: headers, body: body === undefined ? undefined : JSON.stringify(body) });
+    return { status: res.status, body: res.status == 204 ? null : await res.json() };
+}
+
+test('content is listed and read with URLs, paging and field selection', async () => {
+    let list = await call('GET', '/pages?parent=home&fields=title,url', 'viewer');
+    assert.strictEqual(list.status, 200);
+    assert.deepStrictEqual(list.body.data, [{ _id: 'about', title: 'about', url: '/about' }]);
+
+    list = await call('GET', '/pages?fields=title&sort=-_id&limit=2&page=2', 'viewer');
+    assert.deepStrictEqual(list.body.data.map((page) => page._id), ['error-404', 'about']);
+    assert.deepStrictEqual(list.body.meta, { page: 2, limit: 2, total: 4, pages: 2 });
+
+    const page = await call('GET', '/pages/about', 'viewer');
+    assert.strictEqual(page.body.data.url, '/about');
+    assert.strictEqual((await call('GET', '/pages/nope', 'viewer')).status, 404);
+    assert.strictEqual((await call('GET', '/pages?limit=1000', 'viewer')).status, 400);
+});
+
+test('pages are created, updated and deleted, with validation errors by field', async () => {
+    let res = await call('POST', '/pages', 'admin', { _id: 'news', title: 'News', status: 'published' });
+    assert.strictEqual(res.status, 201);
+    assert.strictEqual(res.body.data.url, '/news');
+    assert.ok(res.body.data.created);
+    assert.strictEqual((await call('POST', '/pages', 'admin', { _id: 'news' })).status, 409);
+
+    res = await call('PATCH', '/pages/news', 'admin', { title: 'Latest news', tagline: null });
+    assert.strictEqual(res.body.data.title, 'Latest news');
+    res = await call('PATCH', '/pages/news', 'admin', { publish: '2021-02-30T10:00' });
+    assert.strictEqual(res.status, 400);
+    assert.deepStrictEqual(res.body.error.fields, { publish: 'Must be a date/time' });
+
+    assert.strictEqual((await call('DELETE', '/pages/news', 'admin')).status, 204);
+    assert.strictEqual((await call('DELETE', '/pages/home', 'admin')).status, 409);
+});
+
+test('requests without a session or CSRF token are rejected', async () => {
+    let res = await call('GET', '/pages');
+    assert.strictEqual(res.status, 401);
+    assert.strictEqual(res.body.error.message, 'Log in first');
+
+    res = await call('POST', '/pages', 'admin', { _id: 'sneaky' }, false);
+    assert.strictEqual(res.status, 403);
+    assert.match(res.body.error.message, /X-CSRF-Token/);
+    res = await call('PATCH', '/settings', 'admin', { title: 'Hijacked' }, false);
+    assert.strictEqual(res.status, 403);
+    assert.notStrictEqual(site.cms.settings.title, 'Hijacked');
+});
+
+test('roles limit what each user can change', async () => {
+    // viewers only read
+    let res = await call('POST', '/pages', 'viewer', { _id: 'viewer-page' });
+    assert.strictEqual(res.status, 403);
+    assert.match(res.body.error.message, /Your role \(viewer\)/);
+
+    // authors edit drafts but can't publish, touch templates or change settings
+    assert.strictEqual((await call('POST', '/pages', 'author', { _id: 'draft-post' })).status, 201);
+    assert.strictEqual((await call('PATCH', '/pages/draft-post', 'author', { status: 'published' })).status, 403);
+    assert.strictEqual((await call('PATCH', '/pages/about', 'author', { title: 'Renamed' })).status, 403);
+    assert.strictEqual((await call('PATCH', '/templates/public', 'author', { description: 'x' })).status, 403);
+    assert.strictEqual((await call('PATCH', '/settings', 'author', { title: 'x' })).status, 403);
+
+    // admins can do all of it
+    assert.strictEqual((await call('PATCH', '/pages/draft-post', 'admin', { status: 'published' })).status, 200);
+    res = await call('PATCH', '/settings', 'admin', { tagline: 'Changed' });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.data.tagline, 'Changed');
+});
+
+test('malformed requests get JSON errors', async () => {
+    const res = await site.fetch('/cms/api/v1/pages', { method: 'POST', headers: Object.assign({ 'Content-Type': 'application/json' }, sessions.admin), body: '{' });
+    assert.strictEqual(res.status, 400);
+    assert.ok((await res.json()).error.message);
+    assert.strictEqual((await call('GET', '/nope', 'viewer')).status, 404);
+});
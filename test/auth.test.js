@@ -0,0 +1,74 @@
+'use strict';
+const assert = require('assert');  // assertions
+const { after, before, test } = require('node:test');  // test runner
+const { startSite } = require('./support/site');  // CMS on temporary storage
+
+let site;
+before(async () => {
+    // requests come from the loopback address, so X-Forwarded-For stands in for different clients
+    site = await startSite({ trustProxy: 'loopback' });
+    await site.cms.createUser('editor', 'editorpass123', 'editor');
+    await site.cms.createUser('viewer', 'viewerpass123', 'viewer');
+});
+after(() => site.close());
+
+/**
+ * log in to the JSON API
+ * @param {string} username
+ * @param {string} password
+ * @param {string} client optional X-Forwarded-For address
+ * @returns {Promise<Response>}
+ */
+function login(username, password, client) {
+    return site.fetch('/cms/api/v1/session', {
+        method: 'POST',
+        headers: Object.assign({ 'Content-Type': 'application/json' }, client ? { 'X-Forwarded-For': client } : {}),
+        body: JSON.stringify({ username, password })
+    });
+}
+
+test('logging in starts a session that logging out ends', async () => {
+    let res = await login(' Editor ', 'editorpass123');
+    assert.strictEqual(res.status, 200);
+    const cookie = res.headers.get('set-cookie').split(';')[0];
+    const { data } = await res.json();
+    assert.strictEqual(data.user.role, 'editor');
+    assert.match(res.headers.get('set-cookie'), /HttpOnly/i);
+
+    res = await site.fetch('/cms/api/v1/session', { headers: { cookie: cookie } });
+    assert.strictEqual((await res.json()).data.csrfToken, data.csrfToken);
+
+    // logging out is a change, so it needs the CSRF token too
+    assert.strictEqual((await site.fetch('/cms/api/v1/session', { method: 'DELETE', headers: { cookie: cookie } })).status, 403);
+    assert.strictEqual((await site.fetch('/cms/api/v1/session', { method: 'DELETE', headers: { cookie: cookie, 'X-CSRF-Token': data.csrfToken } })).status, 204);
+    assert.strictEqual((await site.fetch('/cms/api/v1/session', { headers: { cookie: cookie } })).status, 401);
+});
+
+test('roles grant their permissions', () => {
+    const [editor, viewer] = [{ role: 'editor' }, { role: 'viewer' }];
+    assert.ok(site.cms.can(editor, 'pages.publish'));
+    assert.ok(!site.cms.can(editor, 'templates'));
+    assert.ok(site.cms.can(viewer, 'read'));
+    assert.ok(!site.cms.can(viewer, 'pages.edit'));
+    assert.ok(!site.cms.can({ role: 'owner' }, 'read'));
+});
+
+test('repeated failed logins are throttled by username and client address', async () => {
+    for (let attempt = 0; attempt < 10; attempt++)
+        assert.strictEqual((await login('viewer', 'wrong password', '203.0.113.1')).status, 401);
+
+    // even the right password is turned away now, but not for other usernames or addresses
+    let res = await login('VIEWER', 'viewerpass123', '203.0.113.1');
+    assert.strictEqual(res.status, 401);
+    assert.match((await res.json()).error.message, /Too many failed logins/);
+    assert.strictEqual((await login('editor', 'editorpass123', '203.0.113.1')).status, 200);
+    assert.strictEqual((await login('viewer', 'viewerpass123', '203.0.113.2')).status, 200);
+
+    // the count is kept in the database, so other instances see it, and expires after the window
+    const failures = await site.cms.findOne('cmsLoginFailures', { username: 'viewer', ip: '203.0.113.1' });
+    assert.strictEqual(failures.count, 10);
+    await site.cms.updateOne('cmsLoginFailures', { _id: failures._id }, { $set: { since: new Date(Date.now() - 16 * 60 * 1000) } });
+    res = await login('viewer', 'viewerpass123', '203.0.113.1');
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(await site.cms.countDocuments('cmsLoginFailures', {}), 0);
+});
@@ -0,0 +1,62 @@
+'use strict';
+const assert = require('assert');  // assertions
+const { after, before, test } = require('node:test');  // test runner
+const { startSite, addPage } = require('./support/site');  // CMS on temporary storage
+
+let site;
+before(async () => {
+    site = await startSite();
+    await site.cms.insertOne('cmsBlocks', { _id: 'greeting', body: "return 'Hello';" });
+    await addPage(site.cms, 'random', "output.paragraph(await block('greeting') + ' ' + Math.random());");
+});
+after(() => site.close());
+
+/**
+ * paragraph rendered by the random page
+ * @returns {Promise<string>}
+ */
+async function render() {
+    const res = await site.fetch('/random');
+    assert.strictEqual(res.status, 200);
+    return (await res.text()).match(/>(Hello[^<]*)</)[1];
+}
+
+test('rendered pages are served from the cache', async () => {
+    const first = await render();
+    assert.strictEqual(await render(), first);
+    assert.ok(site.cms.renderCache.size > 0);
+});
+
+test('saving the page, its template or a block invalidates the cache', async () => {
+    let previous = await render();
+    for (const write of [
+        () => site.cms.updateOne('cmsPages', { _id: 'random' }, { $set: { title: 'Random' } }),
+        () => site.cms.updateOne('cmsTemplates', { _id: 'public' }, { $set: { description: 'changed' } }),
+        () => site.cms.updateOne('cmsBlocks', { _id: 'greeting' }, { $set: { body: "return 'Hello again';" } })
+    ]) {
+        await write();
+        const current = await render();
+        assert.notStrictEqual(current, previous);
+        assert.strictEqual(await render(), current);
+        previous = current;
+    }
+    assert.match(previous, /^Hello again /);
+});
+
+test('settings and menus saved by other instances invalidate the cache once indexes expire', async () => {
+    site.cms.indexTtl = 0;
+    let previous = await render();
+    for (const [collection, id, changes] of [['cms', 'settings', { title: 'Renamed' }], ['cmsMenus', 'main', {}]]) {
+        await site.storage.updateOne(collection, { _id: id }, { $set: Object.assign({ updated: new Date() }, changes) });
+        const current = await render();
+        assert.notStrictEqual(current, previous, collection);
+        assert.strictEqual(await render(), current, collection);
+        previous = current;
+    }
+    assert.strictEqual(site.cms.settings.title, 'Renamed');
+});
+
+test('pages can opt out of the cache', async () => {
+    await site.cms.updateOne('cmsPages', { _id: 'random' }, { $set: { cache: false } });
+    assert.notStrictEqual(await render(), await render());
+});
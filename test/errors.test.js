@@ -0,0 +1,66 @@
+'use strict';
+const assert = require('assert');  // assertions
+const { after, before, test } = require('node:test');  // test runner
+const { startSite, addPage } = require('./support/site');  // CMS on temporary storage
+
+let site;
+before(async () => {
+    site = await startSite();
+    await addPage(site.cms, 'broken', "output.paragraph('Never rendered');");
+
+    // the broken page fails to load, like it would with the database going away mid-request
+    const findPage = site.cms.findPage.bind(site.cms);
+    site.cms.findPage = (id, options) => id == 'broken' ? Promise.reject(new Error('Database exploded at 10.0.0.5')) : findPage(id, options);
+});
+after(() => site.close());
+
+test('unknown paths render the error-404 page with a 404 status', async () => {
+    const res = await site.fetch('/nope');
+    assert.strictEqual(res.status, 404);
+    assert.strictEqual(res.headers.get('cache-control'), 'no-store');
+    const html = await res.text();
+    assert.match(html, /<title>Page not found<\/title>/);
+    assert.match(html, /could not be found/);
+});
+
+test('error pages have no URL of their own', async () => {
+    assert.strictEqual((await site.fetch('/error-404')).status, 404);
+    assert.strictEqual((await site.cms.pageIndex()).byId.get('error-404').url, null);
+});
+
+test('server errors render the error-500 page without the error itself outside development', async () => {
+    let res = await site.fetch('/broken');
+    assert.strictEqual(res.status, 500);
+    let html = await res.text();
+    assert.match(html, /Something went wrong on our end/);
+    assert.doesNotMatch(html, /exploded/);
+
+    site.cms.debug = true;
+    try {
+        res = await site.fetch('/broken');
+        html = await res.text();
+        assert.match(html, /Database exploded at 10\.0\.0\.5/);
+    }
+    finally { site.cms.debug = false; }
+});
+
+test('error pages are content, with the error in cmsPage.error', async () => {
+    await site.cms.updateOne('cmsPages', { _id: 'error-404' }, { $set: { body: "output.paragraph('Custom ' + cmsPage.error.status + ' ' + cmsPage.error.title);" } });
+    assert.match(await (await site.fetch('/nope')).text(), /Custom 404 Not Found/);
+});
+
+test('a built-in page is sent when the error page is missing or fails', async () => {
+    await site.cms.deleteOne('cmsPages', { _id: 'error-500' });
+    const res = await site.fetch('/broken');
+    assert.strictEqual(res.status, 500);
+    const html = await res.text();
+    assert.match(html, /^<!DOCTYPE html>/);
+    assert.match(html, /<h1>Internal Server Error<\/h1><p>Something went wrong on our end/);
+});
+
+test('clients that don\'t take HTML get the status text', async () => {
+    const res = await site.fetch('/nope', { headers: { accept: 'application/json' } });
+    assert.strictEqual(res.status, 404);
+    assert.match(res.headers.get('content-type'), /^text\/plain/);
+    assert.strictEqual(await res.text(), 'Not Found');
+});
@@ -0,0 +1,69 @@
+'use strict';
+const assert = require('assert');  // assertions
+const http = require('http');  // requests with a forged Host header (fetch sets its own)
+const { after, before, test } = require('node:test');  // test runner
+const { startSite, addPage } = require('./support/site');  // CMS on temporary storage
+
+let site;
+before(async () => {
+    site = await startSite();
+    await addPage(site.cms, 'first', "output.paragraph('First');", { created: new Date('2021-01-01T00:00:00Z'), excerpt: 'The first post' });
+    await addPage(site.cms, 'second', "output.paragraph('Second');", { created: new Date('2021-02-01T00:00:00Z') });
+    await addPage(site.cms, 'draft', "output.paragraph('Draft');", { created: new Date('2021-03-01T00:00:00Z'), status: 'draft' });
+});
+after(() => site.close());
+
+/**
+ * GET a path with a forged Host header
+ * @param {string} path
+ * @returns {Promise<{status: number, text: string}>}
+ */
+function forged(path) {
+    return new Promise((resolve, reject) => {
+        http.get(site.url + path, { headers: { host: 'evil.example' } }, (res) => {
+            const chunks = [];
+            res.on('data', (chunk) => chunks.push(chunk));
+            res.on('end', () => resolve({ status: res.statusCode, text: Buffer.concat(chunks).toString() }));
+        }).on('error', reject);
+    });
+}
+
+test('without a site URL, the sitemap and feeds are 404s and robots.txt leaves the sitemap out', async () => {
+    for (const path of ['/sitemap.xml', '/feed', '/feed.rss'])
+        assert.strictEqual((await forged(path)).status, 404, path);
+
+    const robots = (await forged('/robots.txt')).text;
+    assert.match(robots, /Disallow: \/cms\/admin/);
+    assert.doesNotMatch(robots, /Sitemap|evil/);
+});
+
+test('the sitemap lists published pages at the configured URL, whatever the Host header says', async () => {
+    site.cms.settings.url = 'https://example.com/';
+    const res = await forged('/sitemap.xml');
+    assert.strictEqual(res.status, 200);
+    const xml = res.text;
+    const urls = [...xml.matchAll(/<loc>([^<]+)<\/loc>/g)].map((match) => match[1]);
+    assert.deepStrictEqual(urls, ['https://example.com/', 'https://example.com/first', 'https://example.com/second']);
+    assert.doesNotMatch(xml, /evil/);
+
+    assert.match(await (await site.fetch('/robots.txt')).text(), /Sitemap: https:\/\/example\.com\/sitemap\.xml/);
+});
+
+test('feeds list the newest published pages first', async () => {
+    const atom = await (await site.fetch('/feed.atom')).text();
+    assert.deepStrictEqual([...atom.matchAll(/<entry>\s*<title>([^<]+)/g)].map((match) => match[1]), ['second', 'first']);
+    assert.match(atom, /<summary>The first post<\/summary>/);
+    assert.match(atom, /<link rel="self" href="https:\/\/example\.com\/feed\.atom"\/>/);
+
+    const rss = await (await site.fetch('/feed.rss')).text();
+    assert.deepStrictEqual([...rss.matchAll(/<link>([^<]+)<\/link>/g)].map((match) => match[1]), ['https://example.com/', 'https://example.com/second', 'https://example.com/first']);
+});
+
+test('pages saved since the page index was built are left out until it is rebuilt', async () => {
+    await site.fetch('/feed');
+    await site.storage.insertOne('cmsPages', { _id: 'third', template: 'public', status: 'published', title: 'third', parent: 'home', body: '', created: new Date('2021-04-01T00:00:00Z') }, {});
+
+    const res = await site.fetch('/feed');
+    assert.strictEqual(res.status, 200);
+    assert.doesNotMatch(await res.text(), /third/);
+});
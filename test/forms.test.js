@@ -0,0 +1,99 @@
+'use strict';
+const assert = require('assert');  // assertions
+const { after, before, test } = require('node:test');  // test runner
+const { startSite, addPage } = require('./support/site');  // CMS on temporary storage
+
+let site;
+let cookie;
+let token;
+before(async () => {
+    // requests come from the loopback address, so X-Forwarded-For stands in for other visitors
+    site = await startSite({ trustProxy: 'loopback' });
+    await site.cms.insertOne('cmsForms', {
+        _id: 'contact',
+        title: 'Contact',
+        fields: { name: { type: 'text', required: true }, email: { type: 'email', required: true }, topic: { type: 'select', options: ['A', 'B'] } },
+        success: 'Got it'
+    });
+    await addPage(site.cms, 'contact', "output.add(await forms.render('contact'));");
+
+    // the visitor's form token comes with the page
+    const res = await site.fetch('/contact');
+    cookie = res.headers.get('set-cookie').split(';')[0];
+    token = cookie.split('=')[1];
+    assert.ok((await res.text()).includes(`name="_csrf" value="${token}"`));
+});
+after(() => site.close());
+
+/**
+ * POST a submission to the contact page
+ * @param {object} fields form fields (with the visitor's token unless given)
+ * @param {string} visitorCookie optional cookie header (defaults to the visitor's)
+ * @param {string} client optional X-Forwarded-For address
+ * @returns {Promise<Response>}
+ */
+function post(fields, visitorCookie, client) {
+    return site.fetch('/contact', {
+        method: 'POST',
+        headers: Object.assign({ cookie: visitorCookie === undefined ? cookie : visitorCookie, 'Content-Type': 'application/x-www-form-urlencoded' }, client ? { 'X-Forwarded-For': client } : {}),
+        body: new URLSearchParams(Object.assign({ _form: 'contact', _csrf: token }, fields))
+    });
+}
+
+test('valid submissions are saved and redirect to the success message', async () => {
+    const res = await post({ name: 'Ada', email: 'ada@example.com', topic: 'A' });
+    assert.strictEqual(res.status, 303);
+    assert.strictEqual(res.headers.get('location'), '/contact?submitted=contact');
+
+    const submission = await site.cms.findOne('cmsSubmissions', { form: 'contact' });
+    assert.deepStrictEqual(submission.values, { name: 'Ada', email: 'ada@example.com', topic: 'A' });
+    assert.strictEqual(submission.page, 'contact');
+
+    const success = await site.fetch(res.headers.get('location'), { headers: { cookie: cookie } });
+    assert.match(await success.text(), /alert-success" role="alert">Got it/);
+});
+
+test('invalid submissions show the form again with errors', async () => {
+    const res = await post({ name: '', email: 'nope', topic: 'C' });
+    assert.strictEqual(res.status, 400);
+    const html = await res.text();
+    assert.match(html, /Please correct the highlighted fields/);
+    assert.strictEqual((html.match(/invalid-feedback/g) || []).length, 3);
+});
+
+test('submissions without the visitor\'s token are refused', async () => {
+    const res = await post({ name: 'Ada', email: 'ada@example.com' }, '');
+    assert.strictEqual(res.status, 403);
+    assert.match(await res.text(), /out of date/);
+});
+
+test('honeypot submissions are dropped as if they worked', async () => {
+    const before = await site.cms.countDocuments('cmsSubmissions', {});
+    const res = await post({ name: 'Bot', email: 'bot@example.com', _website: 'spam' });
+    assert.strictEqual(res.status, 303);
+    assert.strictEqual(await site.cms.countDocuments('cmsSubmissions', {}), before);
+});
+
+test('unknown forms are refused', async () => {
+    assert.strictEqual((await post({ _form: 'nope' })).status, 400);
+});
+
+test('only valid submissions count against the rate limit', async () => {
+    // one valid submission was made above, so four more are allowed however many invalid ones come between
+    for (let attempt = 0; attempt < 10; attempt++)
+        assert.strictEqual((await post({ name: '', email: 'nope' })).status, 400);
+    for (let attempt = 0; attempt < 4; attempt++)
+        assert.strictEqual((await post({ name: `Visitor ${attempt}`, email: 'visitor@example.com' })).status, 303);
+
+    const res = await post({ name: 'One too many', email: 'visitor@example.com' });
+    assert.strictEqual(res.status, 429);
+    assert.match(await res.text(), /Too many submissions/);
+    assert.strictEqual((await post({ name: '', email: 'nope' })).status, 400);
+});
+
+test('the rate limit is per visitor address', async () => {
+    assert.strictEqual((await post({ name: 'Ada', email: 'ada@example.com' })).status, 429);
+    const res = await post({ name: 'Grace', email: 'grace@example.com' }, undefined, '203.0.113.7');
+    assert.strictEqual(res.status, 303);
+    assert.strictEqual((await site.cms.findOne('cmsSubmissions', { 'values.name': 'Grace' })).ip, '203.0.113.7');
+});
@@ -0,0 +1,90 @@
+'use strict';
+const assert = require('assert');  // assertions
+const { after, before, test } = require('node:test');  // test runner
+const Metrics = require('../lib/metrics');  // metrics registry under test
+const { startSite, addPage } = require('./support/site');  // CMS on temporary storage
+
+let site;
+before(async () => {
+    site = await startSite();
+    await addPage(site.cms, 'about', "output.paragraph('About us');");
+    await addPage(site.cms, 'broken', 'output.paragraph(;');
+});
+after(() => site.close());
+
+test('registries write counters and histograms in the Prometheus text format', () => {
+    const metrics = new Metrics();
+    metrics.counter('jobs_total', 'Jobs\\done').histogram('job_seconds', 'Job time', [0.1, 1]);
+    const child = metrics.child({ site: 'blog' });
+    child.increment('jobs_total', { kind: 'say "hi"\n' });
+    child.increment('jobs_total', { kind: 'say "hi"\n' }, 2);
+    metrics.observe('job_seconds', {}, 0.5);
+
+    assert.strictEqual(metrics.toString(), [
+        '# HELP jobs_total Jobs\\\\done',
+        '# TYPE jobs_total counter',
+        'jobs_total{site="blog",kind="say \\"hi\\"\\n"} 3',
+        '# HELP job_seconds Job time',
+        '# TYPE job_seconds histogram',
+        'job_seconds_bucket{le="0.1"} 0',
+        'job_seconds_bucket{le="1"} 1',
+        'job_seconds_bucket{le="+Inf"} 1',
+        'job_seconds_sum 0.5',
+        'job_seconds_count 1',
+        ''
+    ].join('\n'));
+
+    assert.throws(() => metrics.counter('not-valid', 'Nope'));
+    assert.throws(() => metrics.increment('job_seconds'));
+});
+
+test('/healthz answers whenever the process is up', async () => {
+    const res = await site.fetch('/healthz');
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.headers.get('cache-control'), 'no-store');
+    assert.deepStrictEqual(await res.json(), { status: 'ok' });
+});
+
+test('/readyz checks the settings and storage', async () => {
+    let res = await site.fetch('/readyz');
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(await res.json(), { status: 'ok', checks: { settings: 'ok', storage: 'ok', shutdown: 'ok' } });
+
+    const ping = site.storage.ping;
+    site.storage.ping = () => Promise.reject(new Error('Connection refused'));
+    try {
+        res = await site.fetch('/readyz');
+        assert.strictEqual(res.status, 503);
+        assert.deepStrictEqual(await res.json(), { status: 'unavailable', checks: { settings: 'ok', storage: 'Connection refused', shutdown: 'ok' } });
+    }
+    finally { site.storage.ping = ping; }
+});
+
+test('/metrics counts requests, renders, data calls and source errors', async () => {
+    await (await site.fetch('/about')).text();
+    await (await site.fetch('/broken')).text();
+    await (await site.fetch('/nope')).text();
+    // requests are counted once their responses are closed
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    const res = await site.fetch('/metrics');
+    assert.match(res.headers.get('content-type'), /^text\/plain;.*version=0\.0\.4/);
+    const text = await res.text();
+    assert.match(text, /^cms_http_requests_total\{method="GET",status="200"\} [1-9]/m);
+    assert.match(text, /^cms_http_requests_total\{method="GET",status="404"\} [1-9]/m);
+    assert.match(text, /^cms_render_duration_seconds_count [1-9]/m);
+    assert.match(text, /^cms_db_calls_total\{method="find"\} [1-9]/m);
+    assert.match(text, /^cms_eval_errors_total\{page="broken",template="public",section="[^"]+"\} 1$/m);
+
+    // monitoring requests aren't counted
+    assert.doesNotMatch(text, /healthz|readyz/);
+});
+
+test('shutting down turns readiness and new page requests away, but not liveness', async () => {
+    await site.cms.close();
+    const res = await site.fetch('/readyz');
+    assert.strictEqual(res.status, 503);
+    assert.strictEqual((await res.json()).checks.shutdown, 'closing');
+    assert.strictEqual((await site.fetch('/healthz')).status, 200);
+    assert.strictEqual((await site.fetch('/about')).status, 503);
+});
@@ -0,0 +1,74 @@
+'use strict';
+const assert = require('assert');  // assertions
+const { after, before, test } = require('node:test');  // test runner
+const locales = require('../lib/locales');  // multilingual pages
+const { startSite, addPage } = require('./support/site');  // CMS on temporary storage
+
+let site;
+before(async () => {
+    site = await startSite();
+    await site.cms.updateOne('cms', { _id: 'settings' }, { $set: { locale: 'en', locales: ['en', 'es'], translations: { es: { title: 'Demo del CMS' } } } });
+    await addPage(site.cms, 'about', "output.paragraph(cmsPage.locale + ': ' + cmsPage.title + ' / ' + settings.title);", { title: 'About', translations: { es: { title: 'Acerca de' } } });
+    await addPage(site.cms, 'team', "output.paragraph('Team');");
+
+    // settings are reloaded in the background after the write
+    while (!site.cms.settings.locales)
+        await new Promise((resolve) => setTimeout(resolve, 10));
+});
+after(() => site.close());
+
+test('Accept-Language headers are matched to enabled locales', () => {
+    const enabled = ['en', 'es', 'pt-BR'];
+    assert.strictEqual(locales.negotiate('es-MX,es;q=0.9,en;q=0.8', enabled), 'es');
+    assert.strictEqual(locales.negotiate('fr, en;q=0.5, es;q=0.7', enabled), 'es');
+    assert.strictEqual(locales.negotiate('pt-br', enabled), 'pt-BR');
+    assert.strictEqual(locales.negotiate('de, *;q=0.1', enabled), null);
+    assert.strictEqual(locales.negotiate('es;q=0, en', enabled), 'en');
+});
+
+test('locale prefixes are split off request paths', () => {
+    const config = locales.config({ locale: 'en', locales: ['en', 'es'] });
+    assert.deepStrictEqual(locales.split('/es/about', config), { locale: 'es', path: '/about' });
+    assert.deepStrictEqual(locales.split('/ES', config), { locale: 'es', path: '/' });
+    assert.deepStrictEqual(locales.split('/estate', config), { locale: 'en', path: '/estate' });
+    assert.strictEqual(locales.localizedUrl('/', 'es', config), '/es');
+    assert.strictEqual(locales.config({ locales: ['en'] }), null);
+});
+
+test('rendered pages get their language and hreflang links, unless the template added them', () => {
+    const page = { locale: 'es', alternates: [{ locale: 'en', url: '/about' }, { locale: 'es', url: '/es/about' }] };
+    assert.strictEqual(locales.decorate('<html><head></head></html>', page, 'https://example.com/'),
+        '<html lang="es"><head><link rel="alternate" hreflang="en" href="https://example.com/about">'
+        + '<link rel="alternate" hreflang="es" href="https://example.com/es/about">'
+        + '<link rel="alternate" hreflang="x-default" href="https://example.com/about"></head></html>');
+    assert.strictEqual(locales.decorate('<html lang="en"><head><link rel="alternate" hreflang="en" href="/"></head></html>', page), '<html lang="en"><head><link rel="alternate" hreflang="en" href="/"></head></html>');
+});
+
+test('translations are served under their locale prefix with translated settings', async () => {
+    const res = await site.fetch('/es/about', { headers: { cookie: 'cmsLocale=es' } });
+    assert.strictEqual(res.status, 200);
+    assert.match(await res.text(), /es: Acerca de \/ Demo del CMS/);
+    assert.match(await (await site.fetch('/about', { headers: { cookie: 'cmsLocale=en' } })).text(), /en: About \/ CMS Demo/);
+});
+
+test('untranslated pages redirect to the default locale', async () => {
+    const res = await site.fetch('/es/team?x=1');
+    assert.strictEqual(res.status, 302);
+    assert.strictEqual(res.headers.get('location'), '/team?x=1');
+});
+
+test('first-time visitors get the translation they prefer, and later visits stick', async () => {
+    let res = await site.fetch('/about', { headers: { 'Accept-Language': 'es-ES,es;q=0.9' } });
+    assert.strictEqual(res.status, 302);
+    assert.strictEqual(res.headers.get('location'), '/es/about');
+    assert.match(res.headers.get('vary'), /Accept-Language/);
+    assert.match(res.headers.get('set-cookie'), /cmsLocale=es/);
+
+    // following a link back to the default locale is remembered over the header
+    res = await site.fetch('/about', { headers: { 'Accept-Language': 'es', cookie: 'cmsLocale=es' } });
+    assert.strictEqual(res.status, 200);
+    assert.match(res.headers.get('set-cookie'), /cmsLocale=en/);
+
+    // pages without a translation don't redirect
+    assert.strictEqual((await site.fetch('/team', { headers: { 'Accept-Language': 'es' } })).status, 200);
+});
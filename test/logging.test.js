@@ -0,0 +1,110 @@
+'use strict';
+const assert = require('assert');  // assertions
+const { after, before, test } = require('node:test');  // test runner
+const Logger = require('../lib/logger');  // logger under test
+const { startSite, addPage } = require('./support/site');  // CMS on temporary storage
+
+/**
+ * collect the lines logged while a function runs (passing anything else, like the test runner's own output, through)
+ * @param {function} callback
+ * @returns {Promise<object[]>} parsed lines, with stream set to stdout or stderr
+ */
+async function capture(callback) {
+    const lines = [];
+    const writes = { stdout: process.stdout.write, stderr: process.stderr.write };
+    for (const stream of Object.keys(writes))
+        process[stream].write = function (chunk) {
+            if (typeof chunk != 'string' || !chunk.startsWith('{"time":'))
+                return writes[stream].apply(this, arguments);
+            lines.push(Object.assign(JSON.parse(chunk), { stream: stream }));
+            return true;
+        };
+    try { await callback(); }
+    finally {
+        for (const stream of Object.keys(writes))
+            process[stream].write = writes[stream];
+    }
+    return lines;
+}
+
+let site;
+before(async () => {
+    site = await startSite();
+    await addPage(site.cms, 'about', "output.paragraph('About us');");
+    await addPage(site.cms, 'broken', 'output.paragraph(;');
+    site.cms.logger.level = 'info';
+});
+after(() => site.close());
+
+test('lines are JSON with the logger\'s fields, at its level and above', async () => {
+    const lines = await capture(() => {
+        const logger = new Logger('warn', { site: 'blog' });
+        logger.info('Hidden');
+        logger.child({ part: 'feeds' }).warn('Shown', { count: 2 });
+        logger.error('Failed', { error: new Error('Boom') });
+    });
+    assert.strictEqual(lines.length, 2);
+    assert.strictEqual(lines[0].stream, 'stderr');
+    assert.match(lines[0].time, /^\d{4}-\d\d-\d\dT/);
+    assert.deepStrictEqual([lines[0].level, lines[0].msg, lines[0].site, lines[0].part, lines[0].count], ['warn', 'Shown', 'blog', 'feeds', 2]);
+    assert.strictEqual(lines[1].error.message, 'Boom');
+    assert.match(lines[1].error.stack, /Boom/);
+});
+
+test('unknown levels fall back to info', async () => {
+    let logger;
+    const lines = await capture(() => { logger = new Logger('loud'); });
+    assert.strictEqual(logger.level, 'info');
+    assert.match(lines[0].msg, /Unknown log level loud/);
+    assert.ok(!new Logger('silent').enabled('error'));
+});
+
+test('lines logged within run() carry its fields, even asynchronously', async () => {
+    const logger = new Logger('debug');
+    const lines = await capture(() => Logger.run({ requestId: 'abc' }, async () => {
+        await new Promise((resolve) => setTimeout(resolve, 1));
+        Logger.timing('step', 1.234);
+        logger.debug('Inside', { timings: Logger.timings() });
+    }));
+    assert.strictEqual(lines[0].requestId, 'abc');
+    assert.deepStrictEqual(lines[0].timings, { step: 1.2 });
+    assert.strictEqual(Logger.timings(), null);
+});
+
+test('requests get an ID and are logged with their status, duration and timings', async () => {
+    let res;
+    const lines = await capture(async () => {
+        res = await site.fetch('/about', { headers: { 'X-Request-Id': 'test-123' } });
+        await res.text();
+        // the request line is written once the response is closed
+        await new Promise((resolve) => setTimeout(resolve, 50));
+    });
+    assert.strictEqual(res.headers.get('x-request-id'), 'test-123');
+
+    const line = lines.find((line) => line.msg == 'Request');
+    assert.deepStrictEqual([line.requestId, line.method, line.url, line.status], ['test-123', 'GET', '/about', 200]);
+    assert.strictEqual(typeof line.duration, 'number');
+    for (const step of ['lookup', 'header', 'body', 'footer', 'render'])
+        assert.strictEqual(typeof line.timings[step], 'number', step);
+});
+
+test('invalid request IDs are replaced with new ones', async () => {
+    await capture(async () => {
+        const res = await site.fetch('/about', { headers: { 'X-Request-Id': 'no spaces allowed' } });
+        await res.text();
+        assert.match(res.headers.get('x-request-id'), /^[0-9a-f]{8}-[0-9a-f]{4}-/);
+    });
+});
+
+test('page source errors are logged with the page and request', async () => {
+    const lines = await capture(async () => {
+        await (await site.fetch('/broken', { headers: { 'X-Request-Id': 'broken-1' } })).text();
+        await new Promise((resolve) => setTimeout(resolve, 50));
+    });
+    const line = lines.find((line) => line.level == 'error');
+    assert.strictEqual(line.stream, 'stderr');
+    assert.strictEqual(line.page, 'broken');
+    assert.strictEqual(line.requestId, 'broken-1');
+    assert.ok(line.templates.includes('public'));
+    assert.ok(line.error.message);
+});
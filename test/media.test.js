@@ -0,0 +1,59 @@
+'use strict';
+const assert = require('assert');  // assertions
+const { after, before, test } = require('node:test');  // test runner
+const { startSite } = require('./support/site');  // CMS on temporary storage
+
+let site;
+before(async () => {
+    site = await startSite({ mediaMaxSize: 1024 });
+    await site.cms.createUser('author', 'authorpass123', 'author');
+    await site.cms.createUser('viewer', 'viewerpass123', 'viewer');
+});
+after(() => site.close());
+
+/**
+ * log in to the JSON API
+ * @param {string} username
+ * @param {string} password
+ * @returns {Promise<object>} headers for API requests (session cookie and CSRF token)
+ */
+async function login(username, password) {
+    const res = await site.fetch('/cms/api/v1/session', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ username, password }) });
+    assert.strictEqual(res.status, 200);
+    return { cookie: res.headers.get('set-cookie').split(';')[0], 'X-CSRF-Token': (await res.json()).data.csrfToken };
+}
+
+/**
+ * upload media through the JSON API
+ * @param {object} headers from login()
+ * @param {string} name media name
+ * @param {Buffer} content
+ * @returns {Promise<Response>}
+ */
+function upload(headers, name, content) {
+    return site.fetch(`/cms/api/v1/media/${name}`, { method: 'PUT', headers: Object.assign({ 'Content-Type': 'text/plain' }, headers), body: content });
+}
+
+test('uploads are stored and served', async () => {
+    const headers = await login('author', 'authorpass123');
+    let res = await upload(headers, 'notes/hello.txt', Buffer.from('hello world'));
+    assert.strictEqual(res.status, 201);
+    assert.strictEqual(res.headers.get('location'), '/cms/api/v1/media/notes/hello.txt');
+
+    res = await site.fetch('/media/notes/hello.txt');
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(await res.text(), 'hello world');
+});
+
+test('uploads over the size limit are refused', async () => {
+    const headers = await login('author', 'authorpass123');
+    assert.strictEqual((await upload(headers, 'big.txt', Buffer.alloc(2048))).status, 413);
+});
+
+test('users without the media permission are refused before the upload is read', async () => {
+    const headers = await login('viewer', 'viewerpass123');
+    // a body over the size limit would be a 413 if it were read first
+    for (const size of [10, 2048])
+        assert.strictEqual((await upload(headers, 'denied.txt', Buffer.alloc(size))).status, 403, `${size} bytes`);
+    assert.strictEqual(await site.cms.findMedia('denied.txt'), null);
+});
@@ -0,0 +1,70 @@
+'use strict';
+const assert = require('assert');  // assertions
+const { test } = require('node:test');  // test runner
+const Menus = require('../lib/menus');  // navigation menus
+
+/** page summaries like pageIndex() has them */
+const pages = [
+    { _id: 'home', url: '/', title: 'Home', status: 'published' },
+    { _id: 'about', url: '/about', parent: 'home', title: 'About', status: 'published' },
+    { _id: 'team', url: '/about/team', parent: 'about', title: 'Team', status: 'published' },
+    { _id: 'secret', url: '/secret', parent: 'home', title: 'Secret', status: 'draft' }
+];
+const index = { byId: new Map(pages.map((page) => [page._id, page])) };
+
+const main = {
+    _id: 'main',
+    items: [
+        { label: 'Home', page: 'home', labels: { es: 'Inicio' } },
+        { label: 'About', page: 'about', items: [{ label: 'Team', page: 'team' }, { label: 'Secret', page: 'secret' }] },
+        { label: 'Hidden', items: [{ label: 'Secret', page: 'secret' }] },
+        { label: 'Docs', url: 'https://example.com/docs' }
+    ]
+};
+
+/**
+ * menus as they'd be rendered on a page
+ * @param {string} id page ID
+ * @param {string} locale optional page locale
+ * @returns {Menus}
+ */
+function menusFor(id, locale) {
+    return new Menus([main], index, { _id: id, locale: locale }, (page) => page.status == 'published');
+}
+
+test('items link to visible pages and mark the current page and its ancestors', () => {
+    const items = menusFor('team').items('main');
+    assert.deepStrictEqual(items.map((item) => [item.label, item.href, item.active, item.external]), [
+        ['Home', '/', false, false],
+        ['About', '/about', true, false],
+        ['Docs', 'https://example.com/docs', false, true]
+    ]);
+    assert.deepStrictEqual(items[1].items.map((item) => [item.label, item.current]), [['Team', true]]);
+    assert.deepStrictEqual(menusFor('team').items('nope'), []);
+    assert.strictEqual(menusFor('home', 'es').items('main')[0].label, 'Inicio');
+});
+
+test('navbars render nested items as dropdowns', () => {
+    const html = menusFor('about').navbar('main', { brand: 'Site <1>', search: true });
+    assert.match(html, /<a class="navbar-brand" href="\/">Site &lt;1&gt;<\/a>/);
+    assert.match(html, /<li class="nav-item dropdown active">/);
+    assert.match(html, /<a class="dropdown-item" href="\/about\/team">Team<\/a>/);
+    assert.match(html, /action="\/search"/);
+    assert.doesNotMatch(html, /secret/i);
+    assert.strictEqual(new Menus([], index, {}, () => true).navbar('main'), '');
+});
+
+test('breadcrumbs follow the menu, or the page\'s parents when it isn\'t in the menu', () => {
+    assert.strictEqual(menusFor('team').breadcrumb(),
+        '<nav aria-label="breadcrumb"><ol class="breadcrumb"><li class="breadcrumb-item"><a href="/">Home</a></li>'
+        + '<li class="breadcrumb-item"><a href="/about">About</a></li><li class="breadcrumb-item active" aria-current="page">Team</li></ol></nav>');
+    assert.match(new Menus([], index, { _id: 'team' }, () => true).breadcrumb(), /<a href="\/about">About<\/a>.*Team<\/li>/);
+    assert.strictEqual(menusFor('home').breadcrumb(), '');
+});
+
+test('menu documents are checked', () => {
+    assert.strictEqual(Menus.validate(main), null);
+    assert.match(Menus.validate({ items: [{ label: 'Both', page: 'home', url: '/' }] }), /not both/);
+    assert.match(Menus.validate({ items: [{ label: 'Empty' }] }), /needs a page, url or items/);
+    assert.match(Menus.validate({ items: [{ label: 'Nested', items: [{ page: 'home' }] }] }), /items\[0\]\.items\[0\]\.label is required/);
+});
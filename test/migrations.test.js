@@ -0,0 +1,74 @@
+'use strict';
+const assert = require('assert');  // assertions
+const fs = require('fs');  // temporary directories
+const os = require('os');  // temporary directories
+const path = require('path');  // enable path functionality
+const { after, before, test } = require('node:test');  // test runner
+const { startSite } = require('./support/site');  // CMS on temporary storage
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'cms-migrations-'));
+let site;
+before(async () => {
+    // one migration that sets a setting, and a slow one to hold the lock for a while
+    fs.writeFileSync(path.join(directory, '001-add-flag.js'), `module.exports = {
+        description: 'set flag',
+        up: (cms) => cms.updateOne('cms', { _id: 'settings' }, { $set: { flag: true } }),
+        down: (cms) => cms.updateOne('cms', { _id: 'settings' }, { $unset: { flag: '' } })
+    };`);
+    fs.writeFileSync(path.join(directory, '002-slow.js'), `module.exports = {
+        up: () => new Promise((resolve) => setTimeout(resolve, 300)),
+        down: async () => {}
+    };`);
+    fs.writeFileSync(path.join(directory, 'README.md'), 'not a migration');
+
+    // a new database starts at the latest version without running anything
+    site = await startSite({ migrationDirectory: directory });
+});
+after(async () => {
+    await site.close();
+    fs.rmSync(directory, { recursive: true, force: true });
+});
+
+test('new databases start at the latest version', async () => {
+    const status = await site.cms.migrationStatus();
+    assert.strictEqual(status.version, 2);
+    assert.strictEqual(status.latest, 2);
+    assert.deepStrictEqual(status.applied.map((migration) => migration.name), ['add-flag', 'slow']);
+    assert.strictEqual((await site.cms.findOne('cms', { _id: 'settings' })).flag, undefined);
+});
+
+test('migrations run down and up in order, recording each version', async () => {
+    assert.deepStrictEqual(await site.cms.migrateSchema(0), [
+        { version: 2, name: 'slow', direction: 'down' },
+        { version: 1, name: 'add-flag', direction: 'down' }
+    ]);
+    assert.strictEqual((await site.cms.migrationStatus()).version, 0);
+
+    assert.deepStrictEqual(await site.cms.migrateSchema(1), [{ version: 1, name: 'add-flag', direction: 'up' }]);
+    assert.strictEqual((await site.cms.findOne('cms', { _id: 'settings' })).flag, true);
+    assert.deepStrictEqual((await site.cms.migrationStatus()).pending.map((migration) => migration.version), [2]);
+    assert.deepStrictEqual(await site.cms.migrateSchema(1), []);
+    await assert.rejects(site.cms.migrateSchema(7), /Unknown schema version: 7/);
+});
+
+test('the lock keeps a second runner out until the first is done', async () => {
+    const first = site.cms.migrateSchema();
+    while (!await site.cms.findOne('cms', { _id: 'migrationLock' }))
+        await new Promise((resolve) => setTimeout(resolve, 10));
+
+    assert.ok((await site.cms.migrationStatus()).lock);
+    await assert.rejects(site.cms.migrateSchema(), /Migrations are locked by /);
+
+    // a runner that waits finds the work done once the lock is released
+    const second = site.cms.migrateSchema(null, { wait: 5000 });
+    assert.deepStrictEqual(await first, [{ version: 2, name: 'slow', direction: 'up' }]);
+    assert.deepStrictEqual(await second, []);
+    assert.strictEqual((await site.cms.migrationStatus()).lock, null);
+});
+
+test('expired locks are taken over', async () => {
+    await site.cms.insertOne('cms', { _id: 'migrationLock', token: 'stale', owner: 'crashed', created: new Date(0), expires: new Date(1000) });
+    assert.strictEqual((await site.cms.migrationStatus()).lock, null);
+    assert.deepStrictEqual(await site.cms.migrateSchema(1), [{ version: 2, name: 'slow', direction: 'down' }]);
+    assert.strictEqual(await site.cms.findOne('cms', { _id: 'migrationLock' }), null);
+});
@@ -0,0 +1,40 @@
+'use strict';
+const assert = require('assert');  // assertions
+const { after, before, test } = require('node:test');  // test runner
+const { startSite, addPage } = require('./support/site');  // CMS on temporary storage
+
+let site;
+before(async () => {
+    site = await startSite();
+});
+after(() => site.close());
+
+/**
+ * render a page whose source runs a query, reporting what it returned or the error it got
+ * @param {string} id page ID
+ * @param {string} call query call from the source
+ * @returns {Promise<string>} paragraph rendered by the page
+ */
+async function render(id, call) {
+    await addPage(site.cms, id, `try { output.paragraph('found ' + [].concat(await ${call}).map((item) => Object.keys(item).map((key) => key + '=' + item[key]).join('&')).join(' ')); } catch (err) { output.paragraph('error ' + err.message); }`);
+    const res = await site.fetch(`/${id}`);
+    assert.strictEqual(res.status, 200);
+    return (await res.text()).match(/>((?:found|error) [^<]*)</)[1];
+}
+
+test('page source queries content with the usual operators and options', async () => {
+    const found = await render('titles', "query.find('cmsPages', { _id: { $in: ['home', 'titles'] }, $or: [{ status: 'published' }] }, { sort: { _id: 1 }, projection: { _id: 1 }, limit: 5 })");
+    assert.strictEqual(found, 'found _id=home _id=titles');
+});
+
+test('operators and options that run code on the database are refused', async () => {
+    for (const [id, call, message] of [
+        ['where', "query.find('cmsPages', { $where: 'sleep(1000) || true' })", /operator is not allowed.*\$where/],
+        ['function', "query.findOne('cmsPages', { $expr: { $function: { body: 'return true', args: [], lang: 'js' } } })", /operator is not allowed.*\$expr/],
+        ['nested', "query.find('cmsPages', { tags: { $elemMatch: { $where: 'true' } } })", /operator is not allowed.*\$where/],
+        ['accumulator', "query.find('cmsPages', {}, { projection: { total: { $accumulator: {} } } })", /option is invalid: projection/],
+        ['option', "query.find('cmsPages', {}, { comment: 'x', maxTimeMS: 1 })", /option is not allowed.*comment/],
+        ['media', "media.find({ $where: 'true' })", /operator is not allowed.*\$where/]
+    ])
+        assert.match(await render(id, call), new RegExp('^error .*' + message.source), id);
+});
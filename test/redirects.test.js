@@ -0,0 +1,55 @@
+'use strict';
+const assert = require('assert');  // assertions
+const { after, before, test } = require('node:test');  // test runner
+const { startSite, addPage } = require('./support/site');  // CMS on temporary storage
+
+let site;
+before(async () => {
+    site = await startSite();
+    await addPage(site.cms, 'blog', "output.paragraph('Blog');");
+    await addPage(site.cms, 'hello', "output.paragraph('Hello');", { parent: 'blog' });
+
+    const rules = [
+        { _id: 'old-hello', match: 'exact', from: '/old-hello', to: '/blog/hello' },
+        { _id: 'news', match: 'prefix', from: '/news', to: '/blog/*', status: 308 },
+        { _id: 'archive', match: 'regex', from: '^/archive/(\\d{4})/(.+)$', to: '/blog/$2?year=$1', status: 302 },
+        { _id: 'twitter', match: 'exact', from: '/twitter', to: 'https://twitter.com/example', query: false }
+    ];
+    for (const rule of rules)
+        await site.cms.insertOne('cmsRedirects', Object.assign({ created: new Date() }, rule));
+});
+after(() => site.close());
+
+test('rules redirect matching paths, passing the query string on', async () => {
+    for (const [path, status, location] of [
+        ['/old-hello', 301, '/blog/hello'],
+        ['/Old-Hello/?utm=1', 301, '/blog/hello?utm=1'],
+        ['/news', 308, '/blog'],
+        ['/news/hello', 308, '/blog/hello'],
+        ["/news/$&/$`/$'", 308, "/blog/$&/$%60/$'"],
+        ['/archive/2020/hello?x=1', 302, '/blog/hello?year=2020&x=1'],
+        ['/twitter?a=b', 301, 'https://twitter.com/example']
+    ]) {
+        const res = await site.fetch(path);
+        assert.strictEqual(res.status, status, path);
+        assert.strictEqual(res.headers.get('location'), location, path);
+    }
+});
+
+test('paths only sharing a prefix aren\'t redirected', async () => {
+    assert.strictEqual((await site.fetch('/newsletter')).status, 404);
+});
+
+test('rules creating loops or taking over pages are rejected', async () => {
+    await assert.rejects(site.cms.insertOne('cmsRedirects', { _id: 'loop', match: 'exact', from: '/blog/hello', to: '/old-hello' }), /loop|page/i);
+    await assert.rejects(site.cms.insertOne('cmsRedirects', { _id: 'self', match: 'exact', from: '/x', to: '/X/' }), /loop/i);
+    await assert.rejects(site.cms.insertOne('cmsRedirects', { _id: 'shadow', match: 'prefix', from: '/blog', to: '/news2' }), /blog/);
+    await assert.rejects(site.cms.insertOne('cmsRedirects', { _id: 'invalid', match: 'glob', from: 'x', to: '//example.com' }));
+});
+
+test('hits are counted', async () => {
+    await site.fetch('/old-hello');
+    // hits are recorded in the background
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    assert.ok((await site.cms.findOne('cmsRedirects', { _id: 'old-hello' })).hits >= 1);
+});
@@ -0,0 +1,74 @@
+'use strict';
+const assert = require('assert');  // assertions
+const { after, test } = require('node:test');  // test runner
+const Renderer = require('../lib/renderer');  // worker thread running page/template source
+
+const renderer = new Renderer();
+after(() => renderer.close());
+
+/**
+ * render a page body under a bare template
+ * @param {string} body page source
+ * @param {number} timeout time limit in milliseconds for each section
+ * @returns {Promise<object>} { html, errors, timings }
+ */
+function render(body, timeout) {
+    return renderer.render({
+        page: { _id: 'test', title: 'Test', body: body },
+        templates: [{ _id: 'base', header: "output = new bs.HTML('Test');", body: 'await content();' }],
+        settings: { title: 'CMS Demo' },
+        packageInfo: {},
+        menus: [],
+        index: { pages: [], urls: {} },
+        published: [],
+        bootstrap: {},
+        debug: false,
+        timeout: timeout || 1000
+    }, {
+        'query.find': async () => [{ _id: 'home' }],
+        'query.findOne': async () => null
+    });
+}
+
+test('page source awaits storage helpers', async () => {
+    const result = await render("const pages = await query.find('cmsPages'); output.paragraph(pages[0]._id + settings.title);");
+    assert.deepStrictEqual(result.errors, []);
+    assert.match(result.html, /homeCMS Demo/);
+});
+
+test('this.constructor.constructor does not reach the host', async () => {
+    const result = await render("output.paragraph(String(this.constructor.constructor('return process')()));");
+    assert.strictEqual(result.errors.length, 1);
+    assert.match(result.errors[0].error.message, /Code generation from strings disallowed|not a function/);
+    assert.doesNotMatch(result.html, /\[object process\]/);
+});
+
+test('API function constructors do not reach the host', async () => {
+    let result = await render('output.paragraph(typeof query.find.constructor + String(Object.getPrototypeOf(query.find)));');
+    assert.deepStrictEqual(result.errors, []);
+    assert.match(result.html, /undefinednull/);
+
+    result = await render("output.paragraph(String(query.find.constructor('return process')()));");
+    assert.strictEqual(result.errors.length, 1);
+    assert.match(result.errors[0].error.message, /not a function/);
+});
+
+test('loops after an await are stopped by the time limit', async () => {
+    const started = Date.now();
+    for (const body of ['while (true) { }', 'await null; while (true) { }', "await query.find('cmsPages'); while (true) { }"]) {
+        // the template body awaiting the page body shares its time limit, so it fails as well
+        const result = await render(body, 100);
+        assert.deepStrictEqual(result.errors.map((failure) => failure.section).sort(), ['Page body', 'Template body'], body);
+        for (const failure of result.errors)
+            assert.match(failure.error.message, /timed out after 100ms/, body);
+    }
+    assert.ok(Date.now() - started < 3000);
+
+    // the worker keeps rendering afterward
+    assert.deepStrictEqual((await render("output.paragraph('ok');")).errors, []);
+});
+
+test('source never settling is stopped by the time limit', async () => {
+    const result = await render('await new Promise(() => { });', 100);
+    assert.match(result.errors[0].error.message, /timed out after 100ms/);
+});
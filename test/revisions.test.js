@@ -0,0 +1,69 @@
+'use strict';
+const assert = require('assert');  // assertions
+const { after, before, test } = require('node:test');  // test runner
+const { startSite, addPage } = require('./support/site');  // CMS on temporary storage
+
+let site;
+before(async () => {
+    site = await startSite();
+    await addPage(site.cms, 'about', "output.paragraph('First');");
+    await site.cms.updateOne('cmsPages', { _id: 'about' }, { $set: { body: "output.paragraph('Second');" } }, { author: 'ada' });
+    await site.cms.updateOne('cmsPages', { _id: 'about' }, { $set: { body: "output.paragraph('Third');" } }, { author: 'grace' });
+});
+after(() => site.close());
+
+/**
+ * revision of the about page saved with a body
+ * @param {string} word paragraph text of the body
+ * @returns {Promise<object>} revision metadata from listRevisions()
+ */
+async function revision(word) {
+    const revisions = await site.cms.listRevisions('cmsPages', 'about');
+    for (const listed of revisions)
+        if ((await site.cms.findOne('cmsRevisions', { _id: listed._id })).revision.body.includes(word))
+            return listed;
+
+    return null;
+}
+
+test('overwritten versions are saved as revisions, without their documents in the list', async () => {
+    const revisions = await site.cms.listRevisions('cmsPages', 'about');
+    assert.strictEqual(revisions.length, 2);
+    assert.deepStrictEqual(revisions.map((listed) => listed.author).sort(), ['ada', 'grace']);
+    assert.ok(revisions.every((listed) => listed.revision === undefined && listed.saved instanceof Date));
+    assert.strictEqual((await revision('First')).author, 'ada');
+
+    // other collections don't keep revisions
+    await site.cms.updateOne('cmsMenus', { _id: 'main' }, { $set: { items: [] } }, { upsert: true });
+    assert.strictEqual(await site.cms.countDocuments('cmsRevisions', { collection: 'cmsMenus' }), 0);
+});
+
+test('revisions are compared line by line with each other or the current version', async () => {
+    const [first, second] = [await revision('First'), await revision('Second')];
+    assert.deepStrictEqual((await site.cms.diffRevisions(first._id, second._id)).body, [
+        { type: '-', line: "output.paragraph('First');" },
+        { type: '+', line: "output.paragraph('Second');" }
+    ]);
+    assert.deepStrictEqual((await site.cms.diffRevisions(first._id)).body.filter((line) => line.type == '+'), [{ type: '+', line: "output.paragraph('Third');" }]);
+    await assert.rejects(site.cms.diffRevisions('nope'), /Revision not found/);
+});
+
+test('restoring a revision makes it current and saves the version it replaces', async () => {
+    await site.cms.restoreRevision((await revision('First'))._id, 'linus');
+    assert.strictEqual((await site.cms.findOne('cmsPages', { _id: 'about' })).body, "output.paragraph('First');");
+    assert.match(await (await site.fetch('/about')).text(), /First/);
+
+    const revisions = await site.cms.listRevisions('cmsPages', 'about');
+    assert.strictEqual(revisions.length, 3);
+    assert.strictEqual((await revision('Third')).author, 'linus');
+});
+
+test('deleted pages can be restored from their last revision', async () => {
+    await site.cms.deleteOne('cmsPages', { _id: 'about' }, { author: 'ada' });
+    assert.strictEqual((await site.fetch('/about')).status, 404);
+
+    const [latest] = await site.cms.listRevisions('cmsPages', 'about');
+    assert.strictEqual(latest.author, 'ada');
+    await site.cms.restoreRevision(latest._id, 'ada');
+    assert.strictEqual((await site.fetch('/about')).status, 200);
+});
@@ -0,0 +1,83 @@
+'use strict';
+const assert = require('assert');  // assertions
+const { after, before, test } = require('node:test');  // test runner
+const { startSite, addPage } = require('./support/site');  // CMS on temporary storage
+
+let site;
+before(async () => {
+    site = await startSite();
+    await addPage(site.cms, 'about', "output.paragraph('About us');");
+    await addPage(site.cms, 'team', "output.paragraph('Our team');", { parent: 'about' });
+});
+after(() => site.close());
+
+test('pages are served at their canonical URLs', async () => {
+    let res = await site.fetch('/');
+    assert.strictEqual(res.status, 200);
+    assert.match(await res.text(), /Hello World!/);
+
+    res = await site.fetch('/about/team');
+    assert.strictEqual(res.status, 200);
+    assert.match(await res.text(), /Our team/);
+});
+
+test('non-canonical variants redirect to the canonical URL, keeping the query string', async () => {
+    for (const [path, location] of [
+        ['/home', '/'],
+        ['/HOME/', '/'],
+        ['/home?x=1', '/?x=1'],
+        ['/About', '/about'],
+        ['/about/', '/about'],
+        ['//about//team', '/about/team']
+    ]) {
+        const res = await site.fetch(path);
+        assert.strictEqual(res.status, 301, path);
+        assert.strictEqual(res.headers.get('location'), location, path);
+    }
+});
+
+test('unknown paths are 404s rendered by the CMS', async () => {
+    for (const path of ['/nope', '/about/nope', '/team', '/x/y/about']) {
+        const res = await site.fetch(path);
+        assert.strictEqual(res.status, 404, path);
+        assert.match(await res.text(), /could not be found/, path);
+    }
+});
+
+test('pages moved to another parent or slug redirect from their old URLs', async () => {
+    await addPage(site.cms, 'history', "output.paragraph('History');", { parent: 'about' });
+    await addPage(site.cms, 'founding', "output.paragraph('Founding');", { parent: 'history' });
+
+    // moving a page redirects it and its subpages
+    await site.cms.updateOne('cmsPages', { _id: 'history' }, { $set: { parent: 'home', slug: 'our-history' } });
+    for (const [path, location] of [['/about/history', '/our-history'], ['/about/history/founding?x=1', '/our-history/founding?x=1']]) {
+        const res = await site.fetch(path);
+        assert.strictEqual(res.status, 301, path);
+        assert.strictEqual(res.headers.get('location'), location, path);
+    }
+    assert.strictEqual((await site.fetch('/our-history')).status, 200);
+
+    // moving it again points the earlier rules at the new URL, and moving back drops the rule hiding it
+    await site.cms.updateOne('cmsPages', { _id: 'history' }, { $set: { slug: 'story' } });
+    assert.strictEqual((await site.fetch('/about/history')).headers.get('location'), '/story');
+    await site.cms.updateOne('cmsPages', { _id: 'history' }, { $set: { parent: 'about', slug: 'history' } });
+    assert.strictEqual((await site.fetch('/about/history')).status, 200);
+    assert.strictEqual((await site.fetch('/story')).headers.get('location'), '/about/history');
+    assert.strictEqual((await site.fetch('/our-history/founding')).headers.get('location'), '/about/history/founding');
+    assert.strictEqual(await site.cms.countDocuments('cmsRedirects', { page: 'history', from: '/about/history' }), 0);
+});
+
+test('unpublished pages are 404s', async () => {
+    await addPage(site.cms, 'draft', "output.paragraph('Draft');", { status: 'draft' });
+    assert.strictEqual((await site.fetch('/draft')).status, 404);
+});
+
+test('pages can\'t be scheduled at times that aren\'t on the calendar', async () => {
+    await assert.rejects(site.cms.updateOne('cmsPages', { _id: 'about' }, { $set: { publish: '2021-02-30T10:00' } }), (err) => {
+        assert.strictEqual(err.name, 'ValidationError');
+        assert.deepStrictEqual(err.fields, { publish: 'Must be a date/time' });
+        return true;
+    });
+    await site.cms.updateOne('cmsPages', { _id: 'about' }, { $set: { publish: '2021-02-28T10:00' } });
+    assert.strictEqual((await site.fetch('/about')).status, 200);
+});
@@ -0,0 +1,55 @@
+'use strict';
+const assert = require('assert');  // assertions
+const { after, before, test } = require('node:test');  // test runner
+const { startSite, addPage } = require('./support/site');  // CMS on temporary storage
+
+let site;
+before(async () => {
+    site = await startSite();
+    await addPage(site.cms, 'gardening', "output.paragraph('Planting tomatoes in <b>spring</b> keeps the garden busy.');", { title: 'Gardening tips' });
+    await addPage(site.cms, 'cooking', "output.paragraph('Tomato soup is best with fresh tomatoes.');", { title: 'Tomato soup' });
+    await addPage(site.cms, 'secret', "output.paragraph('Secret tomato recipes.');", { status: 'draft' });
+});
+after(() => site.close());
+
+/**
+ * search through the JSON endpoint
+ * @param {string} q search string
+ * @param {object} parameters optional other query string parameters
+ * @returns {Promise<object>} response body
+ */
+async function search(q, parameters) {
+    const res = await site.fetch(`/search.json?${new URLSearchParams(Object.assign({ q: q }, parameters))}`);
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.headers.get('x-robots-tag'), 'noindex');
+    return res.json();
+}
+
+test('published pages are found by their text, title matches first', async () => {
+    const { data, meta } = await search('tomatoes');
+    assert.deepStrictEqual(data.map((result) => result._id), ['cooking', 'gardening']);
+    assert.deepStrictEqual(data.map((result) => result.url), ['/cooking', '/gardening']);
+    assert.strictEqual(meta.total, 2);
+    assert.match(data[1].snippet, /Planting <mark>tomatoes<\/mark> in spring/);
+});
+
+test('phrases must appear and excluded words must not', async () => {
+    assert.deepStrictEqual((await search('"tomato soup"')).data.map((result) => result._id), ['cooking']);
+    assert.deepStrictEqual((await search('tomatoes -soup')).data.map((result) => result._id), ['gardening']);
+    assert.deepStrictEqual((await search('   ')).data, []);
+});
+
+test('results are paged', async () => {
+    const { data, meta } = await search('tomatoes', { limit: 1, page: 2 });
+    assert.deepStrictEqual(data.map((result) => result._id), ['gardening']);
+    assert.deepStrictEqual(meta, { q: 'tomatoes', page: 2, limit: 1, total: 2, pages: 2 });
+});
+
+test('the results page is rendered through the search template', async () => {
+    const res = await site.fetch('/search?q=garden');
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.headers.get('cache-control'), 'no-cache');
+    const html = await res.text();
+    assert.match(html, /href="\/gardening"/);
+    assert.doesNotMatch(html, /Secret/);
+});
@@ -0,0 +1,54 @@
+'use strict';
+const assert = require('assert');  // assertions
+const fs = require('fs');  // temporary directories
+const os = require('os');  // temporary directories
+const path = require('path');  // enable path functionality
+const { after, before, test } = require('node:test');  // test runner
+const { startSite, addPage } = require('./support/site');  // CMS on temporary storage
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'cms-seed-'));
+let site;
+before(async () => {
+    site = await startSite();
+});
+after(async () => {
+    await site.close();
+    fs.rmSync(directory, { recursive: true, force: true });
+});
+
+test('a freshly seeded database exports the seed directory unchanged', async () => {
+    const results = await site.cms.exportSeed({ dryRun: true });
+    assert.ok(results.length > 0);
+    assert.deepStrictEqual(results.filter((result) => result.status != 'unchanged'), []);
+});
+
+test('documents are written in the format migrate() reads, leaving out private documents and timestamps', async () => {
+    await addPage(site.cms, 'about', "output.paragraph('About us');", { created: new Date(), published: new Date('2021-01-01T00:00:00Z') });
+    const results = await site.cms.exportSeed({ directory: directory });
+    assert.ok(results.every((result) => result.status == 'added'));
+
+    const json = JSON.parse(fs.readFileSync(path.join(directory, 'cmsPages-about.json'), 'utf-8'));
+    assert.deepStrictEqual(json.published, { $date: '2021-01-01T00:00:00.000Z' });
+    assert.strictEqual(json.created, undefined);
+    assert.strictEqual(json.body, undefined);
+    assert.strictEqual(fs.readFileSync(path.join(directory, 'cmsPages-about.js'), 'utf-8'), "output.paragraph('About us');");
+    assert.match(fs.readFileSync(path.join(directory, 'cmsTemplates-public.js'), 'utf-8'), /TEMPLATE DIVIDER/);
+    assert.ok(!fs.existsSync(path.join(directory, 'cms-secret.json')));
+});
+
+test('dry runs report differences without writing, and prune removes what the database no longer has', async () => {
+    await site.cms.updateOne('cmsPages', { _id: 'about' }, { $set: { body: "output.paragraph('About');" } });
+    await site.cms.deleteOne('cmsPages', { _id: 'error-500' });
+
+    let results = await site.cms.exportSeed({ directory: directory, dryRun: true });
+    const about = results.find((result) => result.id == 'about');
+    assert.strictEqual(about.status, 'changed');
+    assert.deepStrictEqual(Object.keys(about.diff), ['cmsPages-about.js']);
+    assert.strictEqual(results.find((result) => result.id == 'error-500').status, 'removed');
+    assert.strictEqual(fs.readFileSync(path.join(directory, 'cmsPages-about.js'), 'utf-8'), "output.paragraph('About us');");
+
+    await site.cms.exportSeed({ directory: directory, prune: true });
+    results = await site.cms.exportSeed({ directory: directory, dryRun: true });
+    assert.deepStrictEqual(results.filter((result) => result.status != 'unchanged'), []);
+    assert.ok(!fs.existsSync(path.join(directory, 'cmsPages-error-500.json')));
+});
@@ -0,0 +1,96 @@
+'use strict';
+const assert = require('assert');  // assertions
+const http = require('http');  // requests with a Host header (fetch sets its own)
+const { after, before, test } = require('node:test');  // test runner
+const { startSite, addPage } = require('./support/site');  // CMS on temporary storage
+
+let site;
+let blog;
+let shop;
+before(async () => {
+    site = await startSite();
+    await site.cms.saveSite({ _id: 'blog', hostnames: ['blog.example'], aliases: ['www.blog.example'], settings: { title: 'The Blog' } });
+    await site.cms.saveSite({ _id: 'shop', hostnames: ['shop.example'] });
+    blog = await site.cms.siteInstance('blog');
+    shop = await site.cms.siteInstance('shop');
+
+    await addPage(site.cms, 'main-only', "output.paragraph('Main site');");
+    await addPage(blog, 'post', "output.paragraph('Blog post');");
+    await addPage(shop, 'product', "output.paragraph('Product');");
+    await shop.insertOne('cmsMenus', { _id: 'shop-menu', items: [{ label: 'Product', page: 'product' }] });
+});
+after(() => site.close());
+
+/**
+ * request a path on a hostname
+ * @param {string} hostname Host header
+ * @param {string} path
+ * @param {object} options optional: method, headers and body
+ * @returns {Promise<object>} { status, headers, text() and json() }
+ */
+function request(hostname, path, options) {
+    options = Object.assign({ method: 'GET', headers: {} }, options);
+    return new Promise((resolve, reject) => {
+        const req = http.request(site.url + path, { method: options.method, headers: Object.assign({ host: hostname }, options.headers) }, (res) => {
+            const chunks = [];
+            res.on('data', (chunk) => chunks.push(chunk));
+            res.on('end', () => {
+                const body = Buffer.concat(chunks).toString();
+                resolve({ status: res.statusCode, headers: res.headers, text: async () => body, json: async () => JSON.parse(body) });
+            });
+        });
+        req.on('error', reject);
+        req.end(options.body);
+    });
+}
+
+test('requests are served by the site their hostname belongs to', async () => {
+    let res = await request('blog.example', '/post');
+    assert.strictEqual(res.status, 200);
+    assert.match(await res.text(), /Blog post/);
+    assert.strictEqual((await request('blog.example', '/main-only')).status, 404);
+    assert.strictEqual((await request('shop.example', '/post')).status, 404);
+    assert.strictEqual((await request('other.example', '/main-only')).status, 200);
+
+    res = await request('www.blog.example', '/post?x=1');
+    assert.strictEqual(res.status, 301);
+    assert.strictEqual(res.headers.location, 'http://blog.example/post?x=1');
+});
+
+test('sites keep their content in their own prefixed collections', async () => {
+    assert.ok(await site.storage.findOne('sites.blog.cmsPages', { _id: 'post' }, {}));
+    assert.strictEqual(await site.cms.findOne('cmsPages', { _id: 'post' }), null);
+    assert.strictEqual(await blog.findOne('cmsPages', { _id: 'product' }), null);
+    assert.strictEqual(blog.settings.title, 'The Blog');
+
+    // naming another site's collection only reaches a collection under this site's prefix
+    assert.deepStrictEqual(await blog.find('sites.shop.cmsPages', {}), []);
+    assert.deepStrictEqual(await blog.find('sites.shop.cmsMenus', {}), []);
+});
+
+test('page source on one site can\'t read another site\'s content', async () => {
+    const source = "output.paragraph('pages ' + (await query.find('cmsPages', {}, { sort: { _id: 1 } })).map((page) => page._id).join(' '));"
+        + "for (const collection of ['sites.shop.cmsPages', 'sites.shop.cmsMenus']) { try { await query.find(collection, {}); output.paragraph('read ' + collection); } catch (err) { output.paragraph(err.message); } }";
+    await addPage(blog, 'snoop', source);
+
+    const html = await (await request('blog.example', '/snoop')).text();
+    assert.match(html, />pages error-404 error-500 home post snoop</);
+    assert.match(html, /Collection is not readable from page\/template source: sites\.shop\.cmsPages/);
+    assert.doesNotMatch(html, /read sites|product/);
+});
+
+test('users and sessions are shared, so logging in on one site works on the others', async () => {
+    await site.cms.createUser('editor', 'editorpass123', 'editor');
+    const res = await request('blog.example', '/cms/api/v1/session', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ username: 'editor', password: 'editorpass123' }) });
+    assert.strictEqual(res.status, 200);
+    const cookie = res.headers['set-cookie'][0].split(';')[0];
+
+    const pages = await (await request('shop.example', '/cms/api/v1/pages?fields=_id', { headers: { cookie: cookie } })).json();
+    assert.deepStrictEqual(pages.data.map((page) => page._id).sort(), ['error-404', 'error-500', 'home', 'product']);
+});
+
+test('hostnames belong to one site', async () => {
+    await assert.rejects(site.cms.saveSite({ _id: 'copy', hostnames: ['shop.example'] }), /already belongs to site shop/);
+    await assert.rejects(site.cms.saveSite({ _id: 'bad', hostnames: ['Bad.Example:80'] }), /Invalid hostname/);
+    await assert.rejects(blog.saveSite({ _id: 'nested', hostnames: ['nested.example'] }), /main CMS instance/);
+});
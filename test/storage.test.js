@@ -0,0 +1,103 @@
+'use strict';
+const assert = require('assert');  // assertions
+const fs = require('fs');  // temporary directories
+const os = require('os');  // temporary directories
+const path = require('path');  // enable path functionality
+const { after, test } = require('node:test');  // test runner
+const FileStorage = require('../lib/storage/file');  // JSON file storage
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'cms-storage-'));
+after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+/**
+ * read a stream to the end
+ * @param {Readable} stream
+ * @returns {Promise<string>}
+ */
+async function read(stream) {
+    const chunks = [];
+    for await (const chunk of stream)
+        chunks.push(chunk);
+    return Buffer.concat(chunks).toString();
+}
+
+test('documents are queried, sorted and projected', async () => {
+    const storage = new FileStorage();
+    await storage.connect();
+    for (const [_id, order] of [['b', 2], ['a', 1], ['c', 3]])
+        await storage.insertOne('cmsPages', { _id: _id, order: order, status: 'published' });
+
+    assert.deepStrictEqual(await storage.find('cmsPages', { order: { $gte: 2 } }, { sort: { order: -1 }, projection: { _id: 1 } }), [{ _id: 'c' }, { _id: 'b' }]);
+    assert.deepStrictEqual(await storage.find('cmsPages', { _id: /^[ab]$/ }, { sort: { _id: 1 }, skip: 1, projection: { _id: 1 } }), [{ _id: 'b' }]);
+    assert.strictEqual((await storage.findOne('cmsPages', { _id: 'a' })).order, 1);
+    assert.strictEqual(await storage.findOne('cmsPages', { _id: 'nope' }), null);
+    assert.strictEqual(await storage.countDocuments('cmsPages', { status: 'published' }), 3);
+});
+
+test('inserting a duplicate _id fails', async () => {
+    const storage = new FileStorage();
+    await storage.insertOne('cmsPages', { _id: 'home' });
+    await assert.rejects(storage.insertOne('cmsPages', { _id: 'home' }), /E11000 duplicate key/);
+
+    // generated IDs are given back to the caller
+    const document = {};
+    const results = await storage.insertOne('cmsPages', document);
+    assert.strictEqual(results.insertedId, document._id);
+});
+
+test('documents are updated, replaced and deleted', async () => {
+    const storage = new FileStorage();
+    await storage.insertOne('cmsPages', { _id: 'home', title: 'Home', views: 1 });
+
+    assert.deepStrictEqual(await storage.updateOne('cmsPages', { _id: 'home' }, { $set: { title: 'Welcome' }, $inc: { views: 1 } }), { matchedCount: 1, modifiedCount: 1, upsertedCount: 0, upsertedId: null });
+    assert.deepStrictEqual(await storage.findOne('cmsPages', { _id: 'home' }), { _id: 'home', title: 'Welcome', views: 2 });
+
+    await storage.replaceOne('cmsPages', { _id: 'home' }, { title: 'Replaced' });
+    assert.deepStrictEqual(await storage.findOne('cmsPages', { _id: 'home' }), { _id: 'home', title: 'Replaced' });
+    await assert.rejects(storage.replaceOne('cmsPages', { _id: 'home' }, { $set: { title: 'x' } }), /update operators/);
+
+    const upserted = await storage.replaceOne('cmsPages', { _id: 'about' }, { title: 'About' }, { upsert: true });
+    assert.deepStrictEqual(upserted.upsertedId, { _id: 'about' });
+
+    assert.deepStrictEqual(await storage.deleteOne('cmsPages', { _id: 'home' }), { deletedCount: 1 });
+    assert.deepStrictEqual(await storage.deleteMany('cmsPages', {}), { deletedCount: 1 });
+    assert.strictEqual(await storage.countDocuments('cmsPages', {}), 0);
+});
+
+test('returned documents are copies', async () => {
+    const storage = new FileStorage();
+    await storage.insertOne('cmsPages', { _id: 'home', tags: ['a'] });
+    (await storage.findOne('cmsPages', { _id: 'home' })).tags.push('b');
+    assert.deepStrictEqual((await storage.findOne('cmsPages', { _id: 'home' })).tags, ['a']);
+});
+
+test('collections and files persist to the directory, with dates', async () => {
+    const updated = new Date('2021-02-03T04:05:06.000Z');
+    let storage = new FileStorage(directory);
+    await storage.connect();
+    await storage.insertOne('cmsPages', { _id: 'home', updated: updated });
+    const file = await storage.writeFile('cmsMedia', 'hello.txt', Buffer.from('hello world'), { contentType: 'text/plain' });
+    await storage.close();
+
+    storage = new FileStorage(directory);
+    await storage.connect();
+    const page = await storage.findOne('cmsPages', { _id: 'home' });
+    assert.ok(page.updated instanceof Date);
+    assert.strictEqual(page.updated.getTime(), updated.getTime());
+    assert.strictEqual(await read(await storage.openFile('cmsMedia', file._id)), 'hello world');
+    assert.strictEqual(await read(await storage.openFile('cmsMedia', file._id, { start: 6, end: 9 })), 'wor');
+
+    await storage.deleteFile('cmsMedia', file._id);
+    await assert.rejects(storage.openFile('cmsMedia', file._id), /File not found/);
+    await storage.close();
+});
+
+test('text search scores matching documents', async () => {
+    const storage = new FileStorage();
+    await storage.insertOne('cmsPages', { _id: 'a', title: 'Bootstrap themes', body: 'colors' });
+    await storage.insertOne('cmsPages', { _id: 'b', title: 'Other', body: 'a note about bootstrap' });
+    await storage.insertOne('cmsPages', { _id: 'c', title: 'Unrelated', body: 'nothing' });
+
+    const results = await storage.textSearch('cmsPages', 'bootstrap', { weights: { title: 10, body: 1 }, projection: { _id: 1 } });
+    assert.deepStrictEqual(results.map((result) => result._id), ['a', 'b']);
+});
@@ -0,0 +1,54 @@
+'use strict';
+const fs = require('fs');  // temporary directories
+const os = require('os');  // temporary directories
+const path = require('path');  // enable path functionality
+const CMS = require('../../app');  // CMS under test
+
+/**
+ * start a CMS backed by JSON files in a temporary directory (seeded with the home page and public template), serving on
+ * an ephemeral port
+ * @param {object} properties optional CMS properties to set before it starts (e.g., mediaMaxSize)
+ * @returns {Promise<object>} { cms, storage (for writes the CMS doesn't see, like another instance's), url, fetch(path,
+ * options) (not following redirects), close() }
+ */
+async function startSite(properties) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'cms-test-'));
+    const storage = new CMS.FileStorage(directory);
+    const cms = new CMS(storage);
+    cms.debug = false;
+    cms.logger.level = 'fatal';
+    Object.assign(cms, properties);
+    await cms.ready();
+
+    const server = await new Promise((resolve) => {
+        const listening = cms.app().listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    const url = `http://127.0.0.1:${server.address().port}`;
+
+    return {
+        cms: cms,
+        storage: storage,
+        url: url,
+        fetch: (pathname, options) => fetch(url + pathname, Object.assign({ redirect: 'manual' }, options)),
+        close: async () => {
+            server.closeAllConnections();
+            await new Promise((resolve) => server.close(resolve));
+            await cms.close();
+            fs.rmSync(directory, { recursive: true, force: true });
+        }
+    };
+}
+
+/**
+ * add a published page under the home page
+ * @param {CMS} cms
+ * @param {string} id page _id (and slug)
+ * @param {string} body page source
+ * @param {object} fields optional other fields (e.g., parent)
+ * @returns {Promise}
+ */
+function addPage(cms, id, body, fields) {
+    return cms.insertOne('cmsPages', Object.assign({ _id: id, template: 'public', status: 'published', title: id, parent: 'home', body: body }, fields));
+}
+
+module.exports = { startSite, addPage };
@@ -0,0 +1,52 @@
+'use strict';
+const assert = require('assert');  // assertions
+const { after, before, test } = require('node:test');  // test runner
+const { startSite, addPage } = require('./support/site');  // CMS on temporary storage
+
+let site;
+before(async () => {
+    site = await startSite();
+    await site.cms.insertOne('cmsTemplates', { _id: 'base', header: "output = new bs.HTML('Base');", body: "output.paragraph('base before'); await content(); output.paragraph('base after');", footer: "output.paragraph('base footer');" });
+    await site.cms.insertOne('cmsTemplates', { _id: 'post', parent: 'base', body: "output.paragraph('post before'); await parent(); output.paragraph('post after');" });
+    await site.cms.insertOne('cmsBlocks', { _id: 'greeting', body: "return 'Hello ' + params.name + await block('punctuation');" });
+    await site.cms.insertOne('cmsBlocks', { _id: 'punctuation', body: "return '!';" });
+    await site.cms.insertOne('cmsBlocks', { _id: 'ping', body: "return await block('pong');" });
+    await site.cms.insertOne('cmsBlocks', { _id: 'pong', body: "return await block('ping');" });
+});
+after(() => site.close());
+
+/**
+ * texts of a page's paragraphs, in order
+ * @param {string} path page URL
+ * @returns {Promise<string[]>}
+ */
+async function paragraphs(path) {
+    const res = await site.fetch(path);
+    assert.strictEqual(res.status, 200);
+    return [...(await res.text()).matchAll(/>([^<>]+)<\/(?:p|paragraph)>/g)].map((match) => match[1]);
+}
+
+test('templates inherit empty sections and run their parent\'s version with parent()', async () => {
+    await addPage(site.cms, 'article', "output.paragraph('article');", { template: 'post' });
+    assert.deepStrictEqual(await paragraphs('/article'), ['post before', 'base before', 'article', 'base after', 'post after', 'base footer']);
+});
+
+test('blocks take parameters and include other blocks', async () => {
+    await addPage(site.cms, 'greeting', "output.paragraph(await block('greeting', { name: 'Ada' }));", { template: 'base' });
+    assert.deepStrictEqual(await paragraphs('/greeting'), ['base before', 'Hello Ada!', 'base after', 'base footer']);
+});
+
+test('block include cycles are errors instead of endless renders', async () => {
+    await addPage(site.cms, 'cycle', "try { await block('ping'); } catch (err) { output.paragraph(err.message); }", { template: 'base' });
+    assert.ok((await paragraphs('/cycle')).includes('Block include cycle: ping → pong → ping'));
+
+    await addPage(site.cms, 'missing', "try { await block('nope'); } catch (err) { output.paragraph(err.message); }", { template: 'base' });
+    assert.ok((await paragraphs('/missing')).includes('Block not found: nope'));
+});
+
+test('template parent cycles and missing parents are reported', async () => {
+    await site.cms.updateOne('cmsTemplates', { _id: 'base' }, { $set: { parent: 'post' } });
+    await assert.rejects(site.cms.templateChain(await site.cms.findOne('cmsTemplates', { _id: 'post' })), /Template parent cycle: post → base → post/);
+    await site.cms.updateOne('cmsTemplates', { _id: 'base' }, { $set: { parent: 'nope' } });
+    await assert.rejects(site.cms.templateChain(await site.cms.findOne('cmsTemplates', { _id: 'post' })), /Parent template not found: nope \(of base\)/);
+});
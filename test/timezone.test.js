@@ -0,0 +1,25 @@
+'use strict';
+const assert = require('assert');  // assertions
+const { test } = require('node:test');  // test runner
+const timezone = require('../lib/timezone');  // wall-clock times in time zones
+
+test('wall-clock times are interpreted in the time zone', () => {
+    assert.strictEqual(timezone.toDate('2021-01-31T09:30', 'America/Denver').toISOString(), '2021-01-31T16:30:00.000Z');
+    assert.strictEqual(timezone.toDate('2021-07-31 09:30:15', 'America/Denver').toISOString(), '2021-07-31T15:30:15.000Z');
+    assert.strictEqual(timezone.toDate('2020-02-29').toISOString(), '2020-02-29T00:00:00.000Z');
+    assert.strictEqual(timezone.toWallTime(new Date('2021-01-31T16:30:00Z'), 'America/Denver'), '2021-01-31T09:30');
+});
+
+test('wall-clock times not on the calendar are invalid', () => {
+    for (const value of ['2021-02-30T10:00', '2021-02-29', '2021-13-01', '2021-04-31T12:00', '2021-01-31T24:00', '2021-01-31T09:60', '2021-01-31T09:30:60'])
+        assert.strictEqual(timezone.toDate(value, 'America/Denver'), null, value);
+});
+
+test('dates, timestamps and strings with offsets are taken as they are', () => {
+    const date = new Date('2021-01-31T16:30:00Z');
+    assert.strictEqual(timezone.toDate(date, 'America/Denver'), date);
+    assert.strictEqual(timezone.toDate(date.getTime()).getTime(), date.getTime());
+    assert.strictEqual(timezone.toDate('2021-01-31T09:30:00-07:00', 'Asia/Tokyo').getTime(), date.getTime());
+    assert.strictEqual(timezone.toDate('', 'UTC'), null);
+    assert.strictEqual(timezone.toDate('soon', 'UTC'), null);
+});
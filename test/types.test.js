@@ -0,0 +1,83 @@
+'use strict';
+const assert = require('assert');  // assertions
+const { after, before, test } = require('node:test');  // test runner
+const CMS = require('../app');  // ValidationError
+const { startSite, addPage } = require('./support/site');  // CMS on temporary storage
+
+let site;
+before(async () => {
+    site = await startSite();
+    await site.cms.insertOne('cmsTypes', {
+        _id: 'event',
+        name: 'Event',
+        fields: {
+            starts: { type: 'date', required: true },
+            seats: { type: 'number', min: 1, max: 500 },
+            venue: { type: 'page' },
+            speakers: { type: 'text', multiple: true, maxLength: 20 }
+        }
+    });
+    await addPage(site.cms, 'hall', "output.paragraph('The hall');");
+});
+after(() => site.close());
+
+/**
+ * rejection check for a ValidationError with the given messages
+ * @param {object} fields error messages by field name
+ * @returns {function}
+ */
+function invalid(fields) {
+    return (err) => {
+        assert.ok(err instanceof CMS.ValidationError);
+        assert.deepStrictEqual(err.fields, fields);
+        return true;
+    };
+}
+
+test('type definitions are checked before they\'re saved', async () => {
+    await assert.rejects(site.cms.insertOne('cmsTypes', {
+        _id: 'bad',
+        fields: { slug: { type: 'text' }, 'two words': { type: 'text' }, size: { type: 'huge' }, title: { type: 'text', min: 1 } }
+    }), invalid({
+        'fields.slug': 'slug is managed by the CMS',
+        'fields.two words': 'Field names must match ^[A-Za-z][A-Za-z0-9_]*$',
+        'fields.size': 'Type must be one of: text, richText, number, boolean, date, page, media',
+        'fields.title': 'min must be a number, for number fields'
+    }));
+    assert.strictEqual(await site.cms.countDocuments('cmsTypes', { _id: 'bad' }), 0);
+});
+
+test('pages are checked against their type on insert and update', async () => {
+    await assert.rejects(addPage(site.cms, 'party', '', { type: 'event', seats: 0, venue: 'nowhere', speakers: ['Ada', 7] }), invalid({
+        starts: 'Required',
+        seats: 'Must be at least 1',
+        venue: 'Unknown page: nowhere',
+        speakers: 'Must be text (item 2)'
+    }));
+
+    await addPage(site.cms, 'party', '', { type: 'event', starts: '2030-06-01T18:00', venue: 'hall', speakers: ['Ada'] });
+    await assert.rejects(site.cms.updateOne('cmsPages', { _id: 'party' }, { $set: { speakers: 'Ada' } }), invalid({ speakers: 'Must be a list' }));
+    await assert.rejects(site.cms.updateOne('cmsPages', { _id: 'party' }, { $unset: { starts: '' } }), invalid({ starts: 'Required' }));
+    assert.strictEqual((await site.cms.findOne('cmsPages', { _id: 'party' })).starts, '2030-06-01T18:00');
+});
+
+test('pages naming an undefined type are rejected', async () => {
+    await assert.rejects(addPage(site.cms, 'mystery', '', { type: 'nope' }), invalid({ type: 'Unknown content type: nope' }));
+});
+
+test('validatePage() returns the messages without saving', async () => {
+    assert.deepStrictEqual(await site.cms.validatePage({ _id: 'x', type: 'event', starts: '2030-02-30T10:00' }), { starts: 'Must be a date/time' });
+    assert.deepStrictEqual(await site.cms.validatePage({ _id: 'x', type: 'event', starts: new Date() }), {});
+});
+
+test('page source gets typed values, with missing references as null', async () => {
+    await addPage(site.cms, 'launch', "output.paragraph(`${typeof cmsPage.starts.getTime} ${cmsPage.venue.url} ${cmsPage.venue.title}`);", { type: 'event', starts: '2030-06-01T18:00', venue: 'hall' });
+    let res = await site.fetch('/launch');
+    assert.match(await res.text(), /function \/hall hall/);
+
+    // the referenced page is unpublished without re-checking the page pointing at it
+    await site.cms.updateOne('cmsPages', { _id: 'hall' }, { $set: { status: 'draft' } });
+    await site.cms.updateOne('cmsPages', { _id: 'launch' }, { $set: { body: "output.paragraph(`venue ${cmsPage.venue}`);" } });
+    res = await site.fetch('/launch');
+    assert.match(await res.text(), /venue null/);
+});